@@ -2,7 +2,7 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import readline from 'readline';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -10,12 +10,17 @@ const __dirname = path.dirname(__filename);
 
 const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'flasher');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// The CLI runs from src/, so it loads the esptool-js bundle vendored into the template
+const ESPTOOL_URL = pathToFileURL(path.join(TEMPLATE_DIR, 'js', 'vendor', 'esptool-js.js')).href;
+
+// Created on first prompt, so flashing commands don't hold stdin open
+let rl = null;
 
 function question(query) {
+  rl = rl || readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
   return new Promise(resolve => rl.question(query, resolve));
 }
 
@@ -94,7 +99,7 @@ https://github.com/adam-weber/esp-webflash-toolkit
     console.error('Error scaffolding project:', error.message);
     process.exit(1);
   } finally {
-    rl.close();
+    rl?.close();
   }
 }
 
@@ -105,8 +110,17 @@ ESP WebFlash Toolkit - Browser-based ESP32 flashing
 Usage:
   npx esp-webflash create <project-name>    Create new flasher project
   npx esp-webflash init                     Initialize in current directory
+  npx esp-webflash flash [options]          Flash a project's firmware and config to a device
+  npx esp-webflash write-config [options]   Write just the config (NVS) to a device
+  npx esp-webflash nvs generate|dump|diff   Build, inspect and compare NVS binaries offline
+  npx esp-webflash projects build|validate  Generate projects-config.js from sensors/*/project.json
   npx esp-webflash --help                   Show this help
 
+  Run \`npx esp-webflash flash --help\` for flashing options. Flashing from
+  Node needs the serialport package (npm install serialport).
+  Run \`npx esp-webflash nvs --help\` for the NVS commands.
+  Run \`npx esp-webflash projects --help\` for project generation options.
+
 Library Usage:
   npm install esp-webflash-toolkit
 
@@ -116,6 +130,12 @@ Library Usage:
 Examples:
   npx esp-webflash create my-device-flasher
   npx esp-webflash init
+  npx esp-webflash flash --port /dev/ttyUSB0 --project active-wing --config config.json
+  npx esp-webflash write-config --port /dev/ttyUSB0 --set wifi.ssid=Lab --set wifi.password=secret
+  npx esp-webflash nvs generate device-42.json -o nvs.bin --size 0x6000
+  npx esp-webflash nvs dump customer-nvs.bin --format json
+  npx esp-webflash nvs diff before.bin after.bin
+  npx esp-webflash projects build --release v1.0.0 -o docs/flasher/js/projects-config.js
 `);
 }
 
@@ -140,6 +160,21 @@ async function main() {
   } else if (command === 'init') {
     const targetDir = process.cwd();
     await scaffoldFlasher(targetDir);
+  } else if (command === 'flash' || command === 'write-config') {
+    const { runFlashCommand } = await import('../src/flash-commands.js');
+
+    // Ctrl+C stops between write chunks instead of leaving the port mid-command
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    const exitCode = await runFlashCommand(command, args.slice(1), { esptool: ESPTOOL_URL, signal: controller.signal });
+    process.exit(exitCode);
+  } else if (command === 'nvs') {
+    const { runNVSCommand } = await import('../src/nvs-commands.js');
+    process.exit(await runNVSCommand(args.slice(1)));
+  } else if (command === 'projects') {
+    const { runProjectsCommand } = await import('../src/project-commands.js');
+    process.exit(await runProjectsCommand(args.slice(1)));
   } else {
     console.error(`Unknown command: ${command}`);
     showHelp();
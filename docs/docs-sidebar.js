@@ -99,7 +99,7 @@ function renderSidebar() {
                 html += `
                     <a href="#installation" class="page-subnav-link">Installation</a>
                     <a href="#nvsgenerator" class="page-subnav-link">NVSGenerator</a>
-                    <a href="#detectnvspartition" class="page-subnav-link">detectNVSPartition</a>
+                    <a href="#partitiontable" class="page-subnav-link">PartitionTable</a>
                     <a href="#deviceconnection" class="page-subnav-link">DeviceConnection</a>
                     <a href="#configmanager" class="page-subnav-link">ConfigManager</a>
                     <a href="#firmwareflasher" class="page-subnav-link">FirmwareFlasher</a>
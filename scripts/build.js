@@ -12,6 +12,40 @@ const rootDir = path.join(__dirname, '..');
 const srcDir = path.join(rootDir, 'src');
 const distDir = path.join(rootDir, 'dist');
 const templateJsDir = path.join(rootDir, 'templates', 'flasher', 'js');
+const vendorDir = path.join(distDir, 'vendor');
+
+// Modules for the CLI and tests only - the browser flasher template doesn't get them
+const NODE_ONLY_MODULES = ['cli-errors.js', 'flash-commands.js', 'node-serial.js', 'nvs-commands.js', 'project-commands.js', 'project-schema.js', 'simulated-device.js'];
+
+/**
+ * Bundle esptool-js (and its dependencies) into a single ES module at
+ * dist/vendor/esptool-js.js, where DeviceConnection loads it from, so the
+ * flasher works without internet access
+ */
+async function bundleESPTool() {
+  try {
+    await build({
+      stdin: {
+        contents: "export * from 'esptool-js';",
+        resolveDir: rootDir,
+        sourcefile: 'esptool-js-vendor.js'
+      },
+      outfile: path.join(vendorDir, 'esptool-js.js'),
+      bundle: true,
+      format: 'esm',
+      platform: 'browser',
+      target: 'es2020',
+      minify: true,
+      logLevel: 'silent'
+    });
+  } catch (error) {
+    // A flasher without js/vendor/esptool-js.js can't connect, so never build one
+    if (error.message.includes('Could not resolve "esptool-js"')) {
+      throw new Error('esptool-js is not installed - run `npm install` first. Without js/vendor/esptool-js.js the flasher cannot connect.');
+    }
+    throw error;
+  }
+}
 
 async function main() {
   console.log('Building ESP WebFlash Toolkit...\n');
@@ -51,20 +85,29 @@ async function main() {
     }
   }
 
+  // Vendor esptool-js so nothing is loaded from a CDN at runtime
+  console.log('\nBundling esptool-js into dist/vendor/...');
+  await bundleESPTool();
+  console.log('  vendor/esptool-js.js');
+
   // Copy built files to templates for scaffolding
   console.log('\nCopying to templates/flasher/js/...');
   await fs.ensureDir(templateJsDir);
 
-  for (const file of jsFiles) {
+  const templateFiles = jsFiles.filter(file => !NODE_ONLY_MODULES.includes(file));
+  for (const file of templateFiles) {
     const srcPath = path.join(distDir, file);
     const destPath = path.join(templateJsDir, file);
     await fs.copy(srcPath, destPath);
     console.log(`  ${file}`);
   }
 
+  await fs.copy(vendorDir, path.join(templateJsDir, 'vendor'));
+  console.log('  vendor/esptool-js.js');
+
   // Copy source maps too
   const mapFiles = await fs.readdir(distDir);
-  for (const file of mapFiles.filter(f => f.endsWith('.map'))) {
+  for (const file of mapFiles.filter(f => f.endsWith('.map') && templateFiles.includes(f.replace(/\.map$/, '')))) {
     const srcPath = path.join(distDir, file);
     const destPath = path.join(templateJsDir, file);
     await fs.copy(srcPath, destPath);
@@ -0,0 +1,254 @@
+/**
+ * AES-XTS for NVS Encryption
+ *
+ * Pure JavaScript AES-256 block cipher and XTS mode (IEEE 1619), used to
+ * encrypt and decrypt NVS entries the same way as ESP-IDF's
+ * nvs_partition_gen.py. WebCrypto has no XTS mode, so this runs everywhere
+ * (browser and Node.js) without native dependencies.
+ *
+ * Only whole 16-byte blocks are supported - NVS always encrypts 32-byte
+ * entries, so ciphertext stealing is never needed.
+ */
+
+const BLOCK_SIZE = 16;
+
+// S-box and inverse S-box, generated once from the GF(2^8) inverse + affine transform
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+
+(function buildSBoxes() {
+    let p = 1;
+    let q = 1;
+
+    // p walks the multiplicative group with generator 3, q tracks its inverse
+    do {
+        p = p ^ ((p << 1) & 0xFF) ^ (p & 0x80 ? 0x1B : 0);
+        q ^= q << 1;
+        q ^= q << 2;
+        q ^= q << 4;
+        q &= 0xFF;
+        if (q & 0x80) q ^= 0x09;
+
+        const rotl = (x, n) => ((x << n) | (x >> (8 - n))) & 0xFF;
+        const s = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+        SBOX[p] = s;
+        INV_SBOX[s] = p;
+    } while (p !== 1);
+
+    SBOX[0] = 0x63;
+    INV_SBOX[0x63] = 0;
+})();
+
+/**
+ * Multiply two bytes in GF(2^8) with the AES polynomial
+ */
+function gmul(a, b) {
+    let result = 0;
+    while (b) {
+        if (b & 1) result ^= a;
+        a = (a << 1) ^ (a & 0x80 ? 0x11B : 0);
+        b >>= 1;
+    }
+    return result;
+}
+
+/**
+ * AES block cipher (128, 192 or 256-bit key)
+ */
+class AES {
+    /**
+     * @param {Uint8Array} key - 16, 24 or 32 byte key
+     */
+    constructor(key) {
+        if (![16, 24, 32].includes(key.length)) {
+            throw new Error(`Invalid AES key length: ${key.length} bytes`);
+        }
+        this.rounds = key.length / 4 + 6;
+        this.roundKeys = this.expandKey(key);
+    }
+
+    expandKey(key) {
+        const nk = key.length / 4;
+        const words = (this.rounds + 1) * 4;
+        const w = new Uint8Array(words * 4);
+        w.set(key);
+
+        let rcon = 1;
+        for (let i = nk; i < words; i++) {
+            let t0 = w[(i - 1) * 4];
+            let t1 = w[(i - 1) * 4 + 1];
+            let t2 = w[(i - 1) * 4 + 2];
+            let t3 = w[(i - 1) * 4 + 3];
+
+            if (i % nk === 0) {
+                // RotWord + SubWord + Rcon
+                [t0, t1, t2, t3] = [SBOX[t1] ^ rcon, SBOX[t2], SBOX[t3], SBOX[t0]];
+                rcon = gmul(rcon, 2);
+            } else if (nk > 6 && i % nk === 4) {
+                [t0, t1, t2, t3] = [SBOX[t0], SBOX[t1], SBOX[t2], SBOX[t3]];
+            }
+
+            w[i * 4] = w[(i - nk) * 4] ^ t0;
+            w[i * 4 + 1] = w[(i - nk) * 4 + 1] ^ t1;
+            w[i * 4 + 2] = w[(i - nk) * 4 + 2] ^ t2;
+            w[i * 4 + 3] = w[(i - nk) * 4 + 3] ^ t3;
+        }
+
+        return w;
+    }
+
+    addRoundKey(state, round) {
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            state[i] ^= this.roundKeys[round * BLOCK_SIZE + i];
+        }
+    }
+
+    /**
+     * Encrypt one 16-byte block
+     * @param {Uint8Array} block - Plaintext block
+     * @returns {Uint8Array} - Ciphertext block
+     */
+    encryptBlock(block) {
+        const s = Uint8Array.from(block);
+        this.addRoundKey(s, 0);
+
+        for (let round = 1; round <= this.rounds; round++) {
+            // SubBytes + ShiftRows (state is column-major: s[row + 4 * col])
+            const t = new Uint8Array(BLOCK_SIZE);
+            for (let col = 0; col < 4; col++) {
+                for (let row = 0; row < 4; row++) {
+                    t[row + 4 * col] = SBOX[s[row + 4 * ((col + row) % 4)]];
+                }
+            }
+
+            // MixColumns (skipped in the final round)
+            if (round !== this.rounds) {
+                for (let col = 0; col < 4; col++) {
+                    const [a0, a1, a2, a3] = t.subarray(col * 4, col * 4 + 4);
+                    s[col * 4] = gmul(a0, 2) ^ gmul(a1, 3) ^ a2 ^ a3;
+                    s[col * 4 + 1] = a0 ^ gmul(a1, 2) ^ gmul(a2, 3) ^ a3;
+                    s[col * 4 + 2] = a0 ^ a1 ^ gmul(a2, 2) ^ gmul(a3, 3);
+                    s[col * 4 + 3] = gmul(a0, 3) ^ a1 ^ a2 ^ gmul(a3, 2);
+                }
+            } else {
+                s.set(t);
+            }
+
+            this.addRoundKey(s, round);
+        }
+
+        return s;
+    }
+
+    /**
+     * Decrypt one 16-byte block
+     * @param {Uint8Array} block - Ciphertext block
+     * @returns {Uint8Array} - Plaintext block
+     */
+    decryptBlock(block) {
+        const s = Uint8Array.from(block);
+        this.addRoundKey(s, this.rounds);
+
+        for (let round = this.rounds - 1; round >= 0; round--) {
+            // InvShiftRows + InvSubBytes
+            const t = new Uint8Array(BLOCK_SIZE);
+            for (let col = 0; col < 4; col++) {
+                for (let row = 0; row < 4; row++) {
+                    t[row + 4 * ((col + row) % 4)] = INV_SBOX[s[row + 4 * col]];
+                }
+            }
+
+            s.set(t);
+            this.addRoundKey(s, round);
+
+            // InvMixColumns (skipped after the first key addition)
+            if (round !== 0) {
+                for (let col = 0; col < 4; col++) {
+                    const [a0, a1, a2, a3] = s.slice(col * 4, col * 4 + 4);
+                    s[col * 4] = gmul(a0, 14) ^ gmul(a1, 11) ^ gmul(a2, 13) ^ gmul(a3, 9);
+                    s[col * 4 + 1] = gmul(a0, 9) ^ gmul(a1, 14) ^ gmul(a2, 11) ^ gmul(a3, 13);
+                    s[col * 4 + 2] = gmul(a0, 13) ^ gmul(a1, 9) ^ gmul(a2, 14) ^ gmul(a3, 11);
+                    s[col * 4 + 3] = gmul(a0, 11) ^ gmul(a1, 13) ^ gmul(a2, 9) ^ gmul(a3, 14);
+                }
+            }
+        }
+
+        return s;
+    }
+}
+
+/**
+ * Multiply the XTS tweak by alpha (x) in GF(2^128), little-endian byte order
+ */
+function multiplyTweak(tweak) {
+    let carry = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        const next = tweak[i] >> 7;
+        tweak[i] = ((tweak[i] << 1) | carry) & 0xFF;
+        carry = next;
+    }
+    if (carry) {
+        tweak[0] ^= 0x87;
+    }
+}
+
+/**
+ * Run XTS over one data unit, returning a new buffer
+ */
+function xtsProcess(key, tweak, data, decrypt) {
+    if (key.length !== 32 && key.length !== 64) {
+        throw new Error(`Invalid XTS key length: ${key.length} bytes (expected 32 or 64)`);
+    }
+    if (tweak.length !== BLOCK_SIZE) {
+        throw new Error(`Invalid XTS tweak length: ${tweak.length} bytes (expected 16)`);
+    }
+    if (data.length % BLOCK_SIZE !== 0) {
+        throw new Error('XTS data length must be a multiple of 16 bytes');
+    }
+
+    // First half of the key encrypts data, second half encrypts the tweak
+    const half = key.length / 2;
+    const dataCipher = new AES(key.subarray(0, half));
+    const tweakCipher = new AES(key.subarray(half));
+
+    const t = tweakCipher.encryptBlock(tweak);
+    const output = new Uint8Array(data.length);
+    const block = new Uint8Array(BLOCK_SIZE);
+
+    for (let offset = 0; offset < data.length; offset += BLOCK_SIZE) {
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            block[i] = data[offset + i] ^ t[i];
+        }
+        const processed = decrypt ? dataCipher.decryptBlock(block) : dataCipher.encryptBlock(block);
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            output[offset + i] = processed[i] ^ t[i];
+        }
+        multiplyTweak(t);
+    }
+
+    return output;
+}
+
+/**
+ * Encrypt a data unit with AES-XTS
+ * @param {Uint8Array} key - 64-byte key (AES-256-XTS) or 32-byte key (AES-128-XTS)
+ * @param {Uint8Array} tweak - 16-byte tweak (data unit number, little-endian)
+ * @param {Uint8Array} data - Plaintext, a multiple of 16 bytes
+ * @returns {Uint8Array} - Ciphertext
+ */
+function xtsEncrypt(key, tweak, data) {
+    return xtsProcess(key, tweak, data, false);
+}
+
+/**
+ * Decrypt a data unit with AES-XTS
+ * @param {Uint8Array} key - 64-byte key (AES-256-XTS) or 32-byte key (AES-128-XTS)
+ * @param {Uint8Array} tweak - 16-byte tweak (data unit number, little-endian)
+ * @param {Uint8Array} data - Ciphertext, a multiple of 16 bytes
+ * @returns {Uint8Array} - Plaintext
+ */
+function xtsDecrypt(key, tweak, data) {
+    return xtsProcess(key, tweak, data, true);
+}
+
+export { AES, xtsEncrypt, xtsDecrypt };
@@ -0,0 +1,18 @@
+/**
+ * CLI Errors for the esp-webflash CLI
+ * Shared by the command modules without loading each other: `projects`
+ * shouldn't pull in the device, flasher and esptool stack of `flash`
+ */
+
+/**
+ * Error for bad arguments: commands print its message and exit with status 2
+ * @param {string} message - What was wrong with the arguments
+ * @returns {Error} - With isUsageError set
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.isUsageError = true;
+    return error;
+}
+
+export { usageError };
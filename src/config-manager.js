@@ -1,26 +1,194 @@
 /**
  * Configuration Management for ESP32 Web Flasher
  * Handles loading, saving, and rendering configuration forms
+ *
+ * Field types and how their values are kept in the config and stored in NVS:
+ *   text, password, email, url, textarea - string
+ *   number, range                         - number (type inferred unless nvsType is set)
+ *   select                                - the chosen option's value; options are
+ *                                           values or { value, label }
+ *   checkbox, toggle                      - true/false, stored as u8 0/1 (or nvsType bool)
+ *   file                                  - { name, data } with base64 data, stored as a blob;
+ *                                           kept in memory only, never saved to localStorage
+ *   hex                                   - hex string ("0a1b2c", spaces/colons allowed), stored as a blob
  */
 
+import { coerceNVSValue, decodeNVSValue } from './nvs-generator.js';
+
+// nvsType used when a field doesn't set one
+const DEFAULT_NVS_TYPES = {
+    checkbox: 'u8',
+    toggle: 'u8',
+    file: 'blob',
+    hex: 'blob'
+};
+
+function fieldError(field, reason) {
+    const error = new Error(`Invalid NVS value for ${field.nvsKey || field.id}: ${reason}`);
+    error.isNVSValueError = true;
+    error.nvsKey = field.nvsKey;
+    return error;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Bytes of a hex field, ignoring whitespace, colons and a 0x prefix
+ * @returns {Uint8Array|null} - Null if the text isn't whole hex bytes
+ */
+function parseHexBytes(text) {
+    const clean = String(text).replace(/^\s*0x/i, '').replace(/[\s:]+/g, '');
+    if (clean.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(clean)) {
+        return null;
+    }
+    return Uint8Array.from(clean.match(/../g) || [], byte => parseInt(byte, 16));
+}
+
+/**
+ * Options of a select field as { value, label }
+ */
+function selectOptions(field) {
+    return (field.options || []).map(option =>
+        (option !== null && typeof option === 'object' ? { value: option.value, label: option.label ?? String(option.value) } : { value: option, label: String(option) }));
+}
+
+/**
+ * The value a field's control starts at before it's edited: its default, an
+ * unchecked checkbox's false, a range's minimum
+ * @returns {*} - undefined if the control starts empty
+ */
+function fieldDefaultValue(field) {
+    const hasDefault = field.default !== undefined && field.default !== '';
+
+    switch (field.type) {
+        case 'checkbox':
+        case 'toggle':
+            return field.default === true;
+        case 'range':
+            return hasDefault ? Number(field.default) : (field.min ?? 0);
+        case 'select':
+            return hasDefault ? selectOptions(field).find(option => String(option.value) === String(field.default))?.value : undefined;
+        case 'file':
+            return undefined;
+        default:
+            return hasDefault ? field.default : undefined;
+    }
+}
+
+/**
+ * A config without file field values (certificates and keys), for localStorage
+ */
+function withoutFiles(config) {
+    const isFile = value => value !== null && typeof value === 'object' && typeof value.data === 'string';
+    return Object.fromEntries(Object.entries(config).map(([section, values]) =>
+        [section, Object.fromEntries(Object.entries(values || {}).filter(([, value]) => !isFile(value)))]));
+}
+
+/**
+ * The NVS value for a field's config value: the field type's encoding, then
+ * coerced into the field's nvsType (see coerceNVSValue)
+ * @param {Object} field - Field definition
+ * @param {*} value - Value from the config
+ * @returns {*} - NVSValue, or the raw value when the field has no nvsType
+ * @throws {Error} - With isNVSValueError set if the value doesn't fit
+ */
+function fieldNVSValue(field, value) {
+    const nvsType = field.nvsType || DEFAULT_NVS_TYPES[field.type];
+    let raw = value;
+
+    if (field.type === 'checkbox' || field.type === 'toggle') {
+        const checked = value === true || ['true', '1', 'on', 'yes'].includes(String(value).toLowerCase());
+        raw = nvsType === 'bool' ? checked : (checked ? 1 : 0);
+    } else if (field.type === 'hex') {
+        raw = parseHexBytes(value);
+        if (!raw) {
+            throw fieldError(field, `"${value}" is not a hex byte string`);
+        }
+    } else if (field.type === 'file') {
+        if (typeof value?.data !== 'string') {
+            throw fieldError(field, 'expected a file ({ name, data } with base64 data)');
+        }
+        raw = base64ToBytes(value.data);
+    } else if (field.type === 'select' && field.options && !selectOptions(field).some(option => String(option.value) === String(value))) {
+        throw fieldError(field, `"${value}" is not one of the options (${selectOptions(field).map(option => option.value).join(', ')})`);
+    }
+
+    return nvsType ? coerceNVSValue(raw, nvsType, field.nvsKey || field.id) : raw;
+}
+
+/**
+ * The config value for a value read from NVS, undoing fieldNVSValue()
+ * @param {Object} field - Field definition
+ * @param {*} value - Value from NVSGenerator.parse()
+ * @returns {*} - Value as kept in the config (JSON-serializable)
+ */
+function fieldConfigValue(field, value) {
+    const nvsType = field.nvsType || DEFAULT_NVS_TYPES[field.type];
+    let decoded = nvsType ? decodeNVSValue(value, nvsType) : value;
+
+    if (field.type === 'checkbox' || field.type === 'toggle') {
+        return decoded === true || (decoded !== false && Number(decoded) !== 0);
+    }
+    if (decoded instanceof Uint8Array && field.type === 'file') {
+        return { name: `${field.nvsKey || field.id}.bin`, data: bytesToBase64(decoded) };
+    }
+    if (decoded instanceof Uint8Array && field.type === 'hex') {
+        return Array.from(decoded, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    if (field.type === 'select') {
+        const option = selectOptions(field).find(candidate => String(candidate.value) === String(decoded));
+        if (option) return option.value;
+    }
+
+    // 64-bit integers are kept as strings so the config stays JSON-serializable
+    if (typeof decoded === 'bigint') {
+        decoded = decoded.toString();
+    }
+    return decoded;
+}
+
 export class ConfigManager {
-    constructor() {
+    /**
+     * @param {Object} options - Config manager options
+     * @param {Function} options.onChange - Called after the config changes (a field is edited, cleared or read from the device)
+     */
+    constructor(options = {}) {
         this.config = this.loadConfig();
+        this.project = null; // Project whose form is rendered
+        this.fields = {};
+        this.touched = new Set(); // Field ids edited since the form was rendered
+        this.onChange = options.onChange || null;
     }
 
     loadConfig() {
         const saved = localStorage.getItem('active-wing-config');
-        return saved ? JSON.parse(saved) : {};
+        return saved ? withoutFiles(JSON.parse(saved)) : {};
     }
 
+    /**
+     * Persist the config to localStorage, leaving out file fields: they hold
+     * certificates and keys, so they only live as long as the page
+     */
     saveConfig() {
-        localStorage.setItem('active-wing-config', JSON.stringify(this.config));
+        localStorage.setItem('active-wing-config', JSON.stringify(withoutFiles(this.config)));
     }
 
     clearConfig() {
         this.config = {};
         this.saveConfig();
+        this.applyDefaults(this.project);
         this.loadConfigValues();
+        this.onChange?.();
     }
 
     loadConfigValues() {
@@ -29,7 +197,7 @@ export class ConfigManager {
             const section = input.dataset.section;
             const field = input.dataset.field;
             if (this.config[section] && this.config[section][field] !== undefined) {
-                input.value = this.config[section][field];
+                this.setInputValue(input, this.config[section][field]);
             }
         });
     }
@@ -37,18 +205,100 @@ export class ConfigManager {
     attachConfigListeners() {
         const inputs = document.querySelectorAll('[data-section][data-field]');
         inputs.forEach(input => {
-            input.addEventListener('input', () => {
+            // Checkboxes, selects and file inputs only fire change
+            const event = input.type === 'checkbox' || input.type === 'file' || input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(event, async () => {
                 const section = input.dataset.section;
                 const field = input.dataset.field;
+                const value = await this.readInputValue(input);
+                if (value === undefined) return;
 
                 if (!this.config[section]) this.config[section] = {};
-                this.config[section][field] = input.value;
+                this.config[section][field] = value;
                 this.saveConfig();
+                this.showValue(input, value);
+                this.touched.add(input.id);
+                this.onChange?.();
             });
         });
     }
 
+    /**
+     * Config value of a form control, by field type
+     * @returns {Promise<*>} - undefined when there is nothing to store (e.g. a file selection was cleared)
+     */
+    async readInputValue(input) {
+        const field = this.fields[input.id] || {};
+
+        if (input.type === 'checkbox') {
+            return input.checked;
+        }
+        if (input.type === 'file') {
+            const [file] = input.files;
+            if (!file) return undefined;
+            return { name: file.name, data: bytesToBase64(new Uint8Array(await file.arrayBuffer())) };
+        }
+        if (input.type === 'range') {
+            return Number(input.value);
+        }
+        if (field.type === 'select') {
+            // Keep the option's own value, so numeric options stay numbers
+            const option = selectOptions(field).find(candidate => String(candidate.value) === input.value);
+            return option ? option.value : input.value;
+        }
+        return input.value;
+    }
+
+    /**
+     * Show a config value in its form control
+     */
+    setInputValue(input, value) {
+        if (input.type === 'checkbox') {
+            input.checked = value === true;
+        } else if (input.type !== 'file') {
+            // A file input can't be given a value - showValue() names the stored file
+            input.value = value;
+        }
+        this.showValue(input, value);
+    }
+
+    /**
+     * Update the text next to controls that don't show their value: a range's
+     * number and a file field's stored file
+     */
+    showValue(input, value) {
+        if (input.type === 'range') {
+            const output = document.getElementById(`${input.id}-value`);
+            if (output) output.textContent = value;
+        }
+        if (input.type === 'file') {
+            const status = document.getElementById(`${input.id}-file`);
+            if (status && value?.data !== undefined) {
+                status.textContent = `${value.name} (${atob(value.data).length} bytes)`;
+            }
+        }
+    }
+
+    /**
+     * Give fields the config doesn't have yet the value their control starts
+     * at (see fieldDefaultValue), so untouched controls are written to NVS
+     * as shown - an unchecked checkbox as 0, a range at its position
+     * @param {Object} project - Project with configSections
+     */
+    applyDefaults(project) {
+        for (const section of project?.configSections || []) {
+            for (const field of section.fields) {
+                const value = fieldDefaultValue(field);
+                if (value === undefined || this.config[section.id]?.[field.id] !== undefined) continue;
+
+                if (!this.config[section.id]) this.config[section.id] = {};
+                this.config[section.id][field.id] = value;
+            }
+        }
+    }
+
     renderConfigFields(project) {
+        this.project = project;
         if (!project.configSections) {
             document.getElementById('config-container').innerHTML =
                 '<div style="padding: 20px 0; text-align: center; color: #999; font-size: 13px;">No configuration needed</div>';
@@ -57,6 +307,8 @@ export class ConfigManager {
 
         const container = document.getElementById('config-container');
         container.innerHTML = '';
+        this.fields = {};
+        this.touched.clear();
 
         project.configSections.forEach(section => {
             const sectionDiv = document.createElement('div');
@@ -69,20 +321,38 @@ export class ConfigManager {
 
             section.fields.forEach(field => {
                 const fieldId = `${section.id}-${field.id}`;
-                sectionHTML += `
-                    <div class="form-group">
-                        <label for="${fieldId}">${field.label}${field.required ? ' <span style="color: #ff3b30;">*</span>' : ' <span style="color: #86868b; font-weight: 400;">(optional)</span>'}</label>
-                        <input
-                            type="${field.type || 'text'}"
+                this.fields[fieldId] = field;
+
+                const attributes = `
                             id="${fieldId}"
-                            placeholder="${field.placeholder || ''}"
-                            ${field.default ? `value="${field.default}"` : ''}
                             ${field.required ? 'required' : ''}
                             aria-required="${field.required ? 'true' : 'false'}"
-                            aria-describedby="${field.help ? fieldId + '-help' : ''}"
+                            aria-describedby="${field.help ? fieldId + '-help ' : ''}${fieldId}-error"
                             data-section="${section.id}"
-                            data-field="${field.id}">
-                        ${field.help ? `<span class="help-text" id="${fieldId}-help">${field.help}</span>` : ''}
+                            data-field="${field.id}"`;
+                const help = field.help ? `<span class="help-text" id="${fieldId}-help">${field.help}</span>` : '';
+                const error = `<span class="field-error" id="${fieldId}-error" role="alert"></span>`;
+
+                if (field.type === 'checkbox' || field.type === 'toggle') {
+                    sectionHTML += `
+                    <div class="form-group">
+                        <label class="checkbox-label${field.type === 'toggle' ? ' toggle' : ''}" for="${fieldId}">
+                            <input type="checkbox" ${fieldDefaultValue(field) ? 'checked' : ''} ${attributes}>
+                            <span>${field.label}</span>
+                        </label>
+                        ${help}
+                        ${error}
+                    </div>
+                `;
+                    return;
+                }
+
+                sectionHTML += `
+                    <div class="form-group">
+                        <label for="${fieldId}">${field.label}${field.required ? ' <span style="color: #ff3b30;">*</span>' : ' <span style="color: #86868b; font-weight: 400;">(optional)</span>'}</label>
+                        ${this.renderControl(field, fieldId, attributes)}
+                        ${help}
+                        ${error}
                     </div>
                 `;
             });
@@ -91,14 +361,72 @@ export class ConfigManager {
             container.appendChild(sectionDiv);
         });
 
+        this.applyDefaults(project);
         this.loadConfigValues();
         this.attachConfigListeners();
     }
 
+    /**
+     * HTML of a field's form control (everything but checkboxes and toggles)
+     */
+    renderControl(field, fieldId, attributes) {
+        const placeholder = `placeholder="${field.placeholder || ''}"`;
+        const hasDefault = field.default !== undefined && field.default !== '';
+
+        switch (field.type) {
+            case 'select': {
+                const options = selectOptions(field).map(option =>
+                    `<option value="${option.value}" ${hasDefault && String(option.value) === String(field.default) ? 'selected' : ''}>${option.label}</option>`);
+                const prompt = hasDefault ? '' : `<option value="" disabled selected>${field.placeholder || 'Select...'}</option>`;
+                return `<select ${attributes}>${prompt}${options.join('')}</select>`;
+            }
+            case 'range': {
+                const value = fieldDefaultValue(field);
+                return `
+                            <div class="range-group">
+                                <input type="range" min="${field.min ?? 0}" max="${field.max ?? 100}" step="${field.step ?? 1}" value="${value}" ${attributes}>
+                                <output id="${fieldId}-value" for="${fieldId}">${value}</output>
+                            </div>`;
+            }
+            case 'textarea':
+                return `<textarea rows="${field.rows || 4}" ${placeholder} ${attributes}>${hasDefault ? field.default : ''}</textarea>`;
+            case 'file':
+                return `
+                            <input type="file" ${field.accept ? `accept="${field.accept}"` : ''} ${attributes}>
+                            <span class="help-text" id="${fieldId}-file"></span>`;
+            case 'hex':
+                return `<input type="text" class="hex-input" spellcheck="false" autocomplete="off" pattern="^\\s*(0x)?([0-9a-fA-F]{2}[\\s:]*)*$" ${placeholder} ${hasDefault ? `value="${field.default}"` : ''} ${attributes}>`;
+            default:
+                return `<input type="${field.type || 'text'}" ${placeholder} ${hasDefault ? `value="${field.default}"` : ''} ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''} ${field.step !== undefined ? `step="${field.step}"` : ''} ${attributes}>`;
+        }
+    }
+
     getConfig() {
         return this.config;
     }
 
+    /**
+     * Show validation errors under their fields, clearing the others
+     * @param {Array} errors - From validateConfig()
+     * @param {Object} options - Display options
+     * @param {boolean} options.all - Show errors on fields not edited yet too
+     *   (otherwise an untouched empty form isn't covered in red)
+     */
+    showErrors(errors, options = {}) {
+        Object.keys(this.fields).forEach(fieldId => {
+            const input = document.getElementById(fieldId);
+            const error = errors.find(candidate => `${candidate.section}-${candidate.field}` === fieldId);
+            const message = error && (options.all || this.touched.has(fieldId)) ? error.message : '';
+
+            const text = document.getElementById(`${fieldId}-error`);
+            if (text) text.textContent = message ? `${error.label} ${message}` : '';
+            if (input) {
+                input.classList.toggle('invalid', message !== '');
+                input.setAttribute('aria-invalid', message ? 'true' : 'false');
+            }
+        });
+    }
+
     /**
      * Populate form fields from NVS data read from device
      * @param {Object} nvsData - Parsed NVS data (nvsKey -> value mapping)
@@ -116,23 +444,34 @@ export class ConfigManager {
                 const nvsKey = field.nvsKey || `${section.id}_${field.id}`;
 
                 if (nvsData[nvsKey] !== undefined) {
+                    // Undo the field type's and nvsType's encodings (u8 checkboxes,
+                    // base64 files, hex strings, bool/float types)
+                    const value = fieldConfigValue(field, nvsData[nvsKey]);
+
                     // Store in config
                     if (!this.config[section.id]) {
                         this.config[section.id] = {};
                     }
-                    this.config[section.id][field.id] = nvsData[nvsKey];
+                    this.config[section.id][field.id] = value;
 
                     // Update form field
                     const fieldId = `${section.id}-${field.id}`;
                     const inputElement = document.getElementById(fieldId);
                     if (inputElement) {
-                        inputElement.value = nvsData[nvsKey];
+                        this.setInputValue(inputElement, value);
                     }
                 }
             });
         });
 
+        // Fields the device has no value for start over from their defaults
+        this.applyDefaults(project);
+        this.loadConfigValues();
+
         // Save to localStorage
         this.saveConfig();
+        this.onChange?.();
     }
 }
+
+export { fieldNVSValue, fieldConfigValue };
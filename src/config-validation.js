@@ -0,0 +1,217 @@
+/**
+ * Config Validation for ESP32 Web Flasher
+ * Declarative rules on config fields, checked by the browser form before
+ * Flash / Write Config and by the CLI before it touches the device
+ *
+ * Field rules (all optional):
+ *   required               - must be filled in (checkboxes: checked)
+ *   minLength, maxLength   - length in characters
+ *   pattern                - regular expression the whole value must match;
+ *                            patternMessage replaces the default message
+ *   min, max               - numeric range
+ *   format                 - ipv4, hostname, url, mqtt-url or port
+ * Values must also fit the field's nvsType (see fieldNVSValue).
+ *
+ * Cross-field rules go in the project's configRules:
+ *   configRules: [
+ *       { if: 'mqtt.enabled', require: ['mqtt.broker'] },
+ *       { if: 'wifi.mode', equals: 'static', require: ['wifi.ip', 'wifi.gateway'], message: 'needed for a static IP' }
+ *   ]
+ * Without equals, a rule applies when its field is filled in (or checked).
+ *
+ * Usage:
+ *   const errors = validateConfig(project, config);
+ *   if (errors.length > 0) throw configValidationError(errors);
+ */
+
+import { fieldNVSValue } from './config-manager.js';
+
+const IPV4_OCTET = '(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+const IPV4 = new RegExp(`^${IPV4_OCTET}(\\.${IPV4_OCTET}){3}$`);
+const HOSTNAME_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+function parseURL(value) {
+    try {
+        return new URL(value);
+    } catch {
+        return null;
+    }
+}
+
+const FORMATS = {
+    'ipv4': {
+        test: value => IPV4.test(value),
+        message: 'must be an IPv4 address, e.g. 192.168.1.100'
+    },
+    'hostname': {
+        test: value => value.length <= 253 && value.split('.').every(label => HOSTNAME_LABEL.test(label)),
+        message: 'must be a hostname or IP address'
+    },
+    'url': {
+        test: value => ['http:', 'https:'].includes(parseURL(value)?.protocol),
+        message: 'must be an http(s) URL'
+    },
+    'mqtt-url': {
+        test: value => {
+            const url = parseURL(value);
+            return url !== null && ['mqtt:', 'mqtts:', 'ws:', 'wss:'].includes(url.protocol) && url.hostname !== '';
+        },
+        message: 'must be an MQTT URL, e.g. mqtt://192.168.1.100:1883'
+    },
+    'port': {
+        test: value => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= 65535,
+        message: 'must be a port number (1-65535)'
+    }
+};
+
+function isEmpty(field, value) {
+    if (field.type === 'checkbox' || field.type === 'toggle') {
+        return value !== true && value !== 'true';
+    }
+    if (field.type === 'file') {
+        return typeof value?.data !== 'string';
+    }
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Check one field's value against its rules (everything but required)
+ * @param {Object} field - Field definition
+ * @param {*} value - Filled-in value from the config
+ * @returns {string|null} - What is wrong, or null if the value is valid
+ */
+function validateField(field, value) {
+    const text = typeof value === 'string' ? value : String(value);
+    const length = [...text].length;
+
+    if (field.minLength !== undefined && length < field.minLength) {
+        return `must be at least ${field.minLength} characters`;
+    }
+    if (field.maxLength !== undefined && length > field.maxLength) {
+        return `must be at most ${field.maxLength} characters`;
+    }
+    if (field.pattern !== undefined && !new RegExp(`^(?:${field.pattern})$`, 'u').test(text)) {
+        return field.patternMessage || `must match ${field.pattern}`;
+    }
+    if (field.min !== undefined || field.max !== undefined) {
+        const number = Number(value);
+        if (text.trim() === '' || !Number.isFinite(number)) {
+            return 'must be a number';
+        }
+        if (field.min !== undefined && number < field.min) {
+            return `must be at least ${field.min}`;
+        }
+        if (field.max !== undefined && number > field.max) {
+            return `must be at most ${field.max}`;
+        }
+    }
+    if (field.format && FORMATS[field.format] && !FORMATS[field.format].test(text.trim())) {
+        return FORMATS[field.format].message;
+    }
+
+    if (field.nvsKey) {
+        try {
+            fieldNVSValue(field, value);
+        } catch (error) {
+            if (!error.isNVSValueError) throw error;
+            // "Invalid NVS value for key: reason" - the field is already named where this is shown
+            return error.message.replace(/^Invalid NVS value for [^:]+: /, '');
+        }
+    }
+    return null;
+}
+
+/**
+ * A field's value in a config: the stored value, or the field's default when
+ * the config leaves it out. This is what gets validated and written to NVS.
+ * @param {Object} config - Config ({ section: { field: value } })
+ * @param {Object} section - Section definition
+ * @param {Object} field - Field definition
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.partial - No default: fields left out keep the device's values
+ * @returns {*} - Undefined if there's neither
+ */
+function configValue(config, section, field, options = {}) {
+    const stored = config[section.id]?.[field.id];
+    return options.partial ? stored : stored ?? field.default;
+}
+
+/**
+ * Check a config against its project's field rules and configRules
+ * @param {Object} project - Project with configSections (and optionally configRules)
+ * @param {Object} config - Config ({ section: { field: value } })
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Don't require anything: fields left out keep
+ *   the device's values (write-config with preserveNVS)
+ * @returns {Array<{section: string, field: string, label: string, message: string}>} - At most one error per field, in form order
+ */
+function validateConfig(project, config = {}, options = {}) {
+    const errors = [];
+    const fields = new Map();
+
+    for (const section of project.configSections || []) {
+        for (const field of section.fields) {
+            fields.set(`${section.id}.${field.id}`, { section, field, value: configValue(config, section, field, options) });
+        }
+    }
+
+    const addError = (key, message) => {
+        const { section, field } = fields.get(key);
+        if (!errors.some(error => error.section === section.id && error.field === field.id)) {
+            errors.push({ section: section.id, field: field.id, label: field.label || field.id, message });
+        }
+    };
+
+    for (const [key, { field, value }] of fields) {
+        if (isEmpty(field, value)) {
+            if (field.required && !options.partial) {
+                addError(key, field.type === 'checkbox' || field.type === 'toggle' ? 'must be checked' : 'is required');
+            }
+            continue;
+        }
+        const message = validateField(field, value);
+        if (message) {
+            addError(key, message);
+        }
+    }
+
+    if (!options.partial) {
+        for (const rule of project.configRules || []) {
+            const condition = fields.get(rule.if);
+            if (!condition) continue;
+
+            const applies = rule.equals !== undefined
+                ? String(condition.value) === String(rule.equals)
+                : !isEmpty(condition.field, condition.value);
+            if (!applies) continue;
+
+            const reason = rule.equals !== undefined
+                ? `when ${condition.field.label || condition.field.id} is ${rule.equals}`
+                : `when ${condition.field.label || condition.field.id} is set`;
+            for (const key of rule.require || []) {
+                if (fields.has(key) && isEmpty(fields.get(key).field, fields.get(key).value)) {
+                    addError(key, rule.message || `is required ${reason}`);
+                }
+            }
+        }
+    }
+
+    // Keep form order whichever check found the problem
+    const order = [...fields.keys()];
+    return errors.sort((a, b) => order.indexOf(`${a.section}.${a.field}`) - order.indexOf(`${b.section}.${b.field}`));
+}
+
+/**
+ * Error for a config that failed validateConfig()
+ * @param {Array} errors - From validateConfig()
+ * @returns {Error} - With isConfigValidationError and the errors set
+ */
+function configValidationError(errors) {
+    const list = errors.map(error => `${error.section}.${error.field} ${error.message}`).join('; ');
+    const error = new Error(`Invalid configuration: ${list}`);
+    error.isConfigValidationError = true;
+    error.errors = errors;
+    return error;
+}
+
+export { FORMATS, configValue, validateField, validateConfig, configValidationError };
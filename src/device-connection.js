@@ -3,29 +3,70 @@
  * Manages serial connection and chip detection
  */
 
+import { md5Hex } from './md5.js';
+
+const ROM_BAUDRATE = 115200;
+const DEFAULT_BAUDRATE = 921600;
+// Rates tried when stepping down, fastest first
+const BAUDRATES = [2000000, 921600, 460800, 230400];
+const LINK_TEST_SIZE = 0x4000;
+
+// esptool-js, bundled next to this module by scripts/build.js (dist/vendor, templates/flasher/js/vendor)
+const DEFAULT_ESPTOOL_URL = new URL('./vendor/esptool-js.js', import.meta.url).href;
+
+const SRI_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+/**
+ * Reject if a promise doesn't settle within ms
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 export class DeviceConnection {
-    constructor(ui) {
+    /**
+     * @param {FlasherUI} ui - UI instance for status updates and logging
+     * @param {Object} options - Connection options
+     * @param {string|Object|Function} options.esptool - Where esptool-js comes from: a module URL,
+     *   { url, integrity } to check a CDN copy against an SRI hash, or an async function returning
+     *   { Transport, ESPLoader }. Defaults to the bundled vendor/esptool-js.js.
+     * @param {SerialProvider} options.serial - Where ports come from (default: navigator.serial; see transport.js)
+     * @param {Storage} options.storage - Where chip overrides and the last port are remembered (default: localStorage)
+     * @param {Function} options.confirmChipMismatch - Async (expectedChip, detectedChip) => 'cancel', 'once'
+     *   or 'always', asked when the chip doesn't match the project (default: inline dialog in the status box)
+     */
+    constructor(ui, options = {}) {
         this.ui = ui;
+        this.esptool = options.esptool || DEFAULT_ESPTOOL_URL;
+        this.serial = options.serial || globalThis.navigator?.serial;
+        this.storage = options.storage || globalThis.localStorage;
+        this.confirmChipMismatch = options.confirmChipMismatch || ((expected, detected) => this.showChipMismatchDialog(expected, detected));
+        this.resetMode = 'default_reset';
         this.transport = null;
         this.espStub = null;
+        this.port = null;
         this.isConnected = false;
     }
 
     getChipOverrides() {
-        const stored = localStorage.getItem('chip-overrides');
+        const stored = this.storage.getItem('chip-overrides');
         return stored ? JSON.parse(stored) : {};
     }
 
     saveChipOverride(detectedChip, expectedChip) {
         const overrides = this.getChipOverrides();
         overrides[detectedChip] = expectedChip;
-        localStorage.setItem('chip-overrides', JSON.stringify(overrides));
+        this.storage.setItem('chip-overrides', JSON.stringify(overrides));
     }
 
     clearChipOverride(detectedChip) {
         const overrides = this.getChipOverrides();
         delete overrides[detectedChip];
-        localStorage.setItem('chip-overrides', JSON.stringify(overrides));
+        this.storage.setItem('chip-overrides', JSON.stringify(overrides));
     }
 
     async showChipMismatchDialog(expectedChip, detectedChip) {
@@ -83,9 +124,17 @@ export class DeviceConnection {
         }
         this.transport = null;
         this.espStub = null;
+        this.port = null;
         this.isConnected = false;
     }
 
+    /**
+     * Connect to a device and check its chip against the project
+     * @param {Object|null} project - Project to check the chip and baudrate against,
+     *   or null to connect first and identify the device afterwards
+     * @param {Object} options - Connection options (skipChipCheck, resetMode, baudrate, port)
+     * @returns {Promise<{chipType: string, macAddr: string|null, baudrate: number}>}
+     */
     async connect(project, options = {}) {
         // Clean up any existing connection first
         if (this.transport || this.isConnected) {
@@ -96,6 +145,9 @@ export class DeviceConnection {
         // Get skip chip check option from developer options
         const devSkipChipCheck = options.skipChipCheck || false;
 
+        // 'no_reset' for chips already in download mode, or links without DTR/RTS (e.g. a pseudo-terminal)
+        this.resetMode = options.resetMode || 'default_reset';
+
         try {
             let port = options.port; // Use provided port if available
 
@@ -103,60 +155,32 @@ export class DeviceConnection {
                 this.ui.log('Initiating connection to ESP32...', 'info');
                 this.ui.updateStatus('waiting', 'Connecting...', 'Select your device from the prompt');
 
-                port = await navigator.serial.requestPort();
+                port = await this.serial.requestPort();
 
                 // Store device for auto-reconnect
-                const ports = await navigator.serial.getPorts();
+                const ports = await this.serial.getPorts();
                 const deviceIndex = ports.indexOf(port);
                 if (deviceIndex !== -1) {
-                    localStorage.setItem('lastSerialDeviceIndex', deviceIndex.toString());
+                    this.storage.setItem('lastSerialDeviceIndex', deviceIndex.toString());
                 }
             }
 
             this.ui.log('Opening serial port...', 'info');
             this.ui.updateStatus('waiting', 'Opening port...', 'Establishing connection');
 
-            // Import Transport and ESPLoader from esptool-js
-            const { Transport, ESPLoader } = await import('https://unpkg.com/esptool-js@0.4.5/bundle.js');
-
-            this.transport = new Transport(port, true);
-
-            this.ui.log('Initializing esptool...', 'info');
-            this.ui.updateStatus('waiting', 'Initializing...', 'Detecting chip type');
-
-            this.espStub = new ESPLoader({
-                transport: this.transport,
-                baudrate: 115200,
-                terminal: {
-                    clean: () => {},
-                    writeLine: (data) => this.ui.log(data, 'info'),
-                    write: (data) => this.ui.log(data, 'info')
-                }
-            });
-
-            // Add timeout to prevent infinite loops
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => {
-                    reject(new Error('Connection timeout - device not responding. Make sure you selected the correct serial port (not Bluetooth) and try holding the BOOT button.'));
-                }, 15000); // 15 second timeout
-            });
-
-            const chipType = await Promise.race([
-                this.espStub.main(),
-                timeoutPromise
-            ]);
-
+            this.port = port;
+            const chipType = await this.openLoader(port);
             this.ui.log('Chip: ' + chipType, 'info');
 
             let macAddr = null;
-            if (this.espStub.chip && this.espStub.chip.macAddr) {
-                macAddr = this.espStub.chip.macAddr();
+            if (this.espStub.chip && this.espStub.chip.readMac) {
+                macAddr = await this.espStub.chip.readMac(this.espStub);
                 this.ui.log('MAC Address: ' + macAddr, 'info');
                 this.ui.updateChipInfo(chipType, macAddr);
             }
 
             // Check chip type matches project
-            if (project.chip && chipType) {
+            if (project?.chip && chipType) {
                 const expectedChip = project.chip.toUpperCase();
                 const detectedChip = chipType.toUpperCase();
                 const chipMismatch = !detectedChip.includes(expectedChip.replace('ESP32-', ''));
@@ -180,7 +204,7 @@ export class DeviceConnection {
                         this.ui.updateStatus('waiting', 'Chip mismatch detected', `Expected ${expectedChip} but found ${chipType}`);
 
                         // Show warning dialog with options
-                        const userChoice = await this.showChipMismatchDialog(expectedChip, chipType);
+                        const userChoice = await this.confirmChipMismatch(expectedChip, chipType);
 
                         if (userChoice === 'cancel') {
                             this.ui.log('Connection cancelled by user', 'info');
@@ -199,11 +223,14 @@ export class DeviceConnection {
                 }
             }
 
+            // Speed up from the ROM's 115200 to the fastest rate the bridge handles
+            const baudrate = await this.negotiateBaudrate(port, options.baudrate ?? project?.baudrate ?? 'auto');
+
             this.isConnected = true;
-            this.ui.updateStatus('connected', 'Device connected', 'Ready to flash firmware');
+            this.ui.updateStatus('connected', 'Device connected', `Ready to flash firmware (${baudrate} baud)`);
             this.ui.log(`Connected to ${chipType}`, 'success');
 
-            return { chipType, macAddr };
+            return { chipType, macAddr, baudrate };
 
         } catch (error) {
             // Clean up on error
@@ -216,6 +243,172 @@ export class DeviceConnection {
         }
     }
 
+    /**
+     * Connect to the port used last time without prompting
+     * @param {Object} project - As for connect()
+     * @param {Object} options - As for connect(), without port
+     * @returns {Promise<Object|null>} - As connect(), or null if no port was granted before
+     */
+    async reconnect(project, options = {}) {
+        // Get list of previously approved devices
+        const ports = await this.serial.getPorts();
+        if (ports.length === 0) {
+            return null;
+        }
+
+        // Get the last used device from localStorage
+        const lastDeviceIndex = this.storage.getItem('lastSerialDeviceIndex');
+        const deviceIndex = lastDeviceIndex ? parseInt(lastDeviceIndex) : 0;
+        const port = ports[deviceIndex] || ports[0];
+
+        this.ui.log('Attempting to reconnect to previous device...', 'info');
+        return this.connect(project, { ...options, port });
+    }
+
+    /**
+     * Open the port at the ROM baud rate, sync with the chip and load the stub
+     * @returns {Promise<string>} - Chip description from esptool-js
+     */
+    async openLoader(port) {
+        const { Transport, ESPLoader } = await this.loadESPTool();
+
+        this.transport = new Transport(port, true);
+
+        this.ui.log('Initializing esptool...', 'info');
+        this.ui.updateStatus('waiting', 'Initializing...', 'Detecting chip type');
+
+        this.espStub = new ESPLoader({
+            transport: this.transport,
+            baudrate: ROM_BAUDRATE,
+            romBaudrate: ROM_BAUDRATE,
+            terminal: {
+                clean: () => {},
+                writeLine: (data) => this.ui.log(data, 'info'),
+                write: (data) => this.ui.log(data, 'info')
+            }
+        });
+
+        // Add timeout to prevent infinite loops
+        return withTimeout(this.espStub.main(this.resetMode), 15000,
+            'Connection timeout - device not responding. Make sure you selected the correct serial port (not Bluetooth) and try holding the BOOT button.');
+    }
+
+    /**
+     * Load esptool-js from the configured source (see constructor)
+     * @returns {Promise<{Transport: Function, ESPLoader: Function}>}
+     * @throws {Error} - With isESPToolLoadError set if it can't be loaded
+     */
+    async loadESPTool() {
+        const source = this.esptool;
+        const description = typeof source === 'function' ? 'custom loader' : (source.url || source);
+
+        let module;
+        try {
+            if (typeof source === 'function') {
+                module = await source();
+            } else if (typeof source === 'object') {
+                module = await this.importWithIntegrity(source.url, source.integrity);
+            } else {
+                module = await import(source);
+            }
+        } catch (error) {
+            const loadError = new Error(`Could not load esptool-js from ${description}: ${error.message}`);
+            loadError.isESPToolLoadError = true;
+            throw loadError;
+        }
+
+        if (!module?.Transport || !module?.ESPLoader) {
+            const loadError = new Error(`esptool-js from ${description} does not export Transport and ESPLoader`);
+            loadError.isESPToolLoadError = true;
+            throw loadError;
+        }
+        return module;
+    }
+
+    /**
+     * Import a single-file ES module only if it matches a Subresource Integrity
+     * hash (e.g. "sha384-..."), since import() has no integrity option
+     */
+    async importWithIntegrity(url, integrity) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const code = await response.arrayBuffer();
+
+        if (integrity) {
+            const [algorithm, expected] = integrity.split(/-(.*)/s);
+            if (!SRI_ALGORITHMS[algorithm]) {
+                throw new Error(`Unsupported integrity algorithm "${algorithm}" (use sha256, sha384 or sha512)`);
+            }
+            const digest = new Uint8Array(await crypto.subtle.digest(SRI_ALGORITHMS[algorithm], code));
+            const actual = btoa(String.fromCharCode(...digest));
+            if (actual !== expected) {
+                throw new Error(`integrity check failed (expected ${algorithm}-${expected}, got ${algorithm}-${actual})`);
+            }
+        }
+
+        const blobUrl = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+        try {
+            return await import(blobUrl);
+        } finally {
+            URL.revokeObjectURL(blobUrl);
+        }
+    }
+
+    /**
+     * Switch the stub to the fastest baud rate that passes a readback test,
+     * stepping down through BAUDRATES when a rate fails. A failed rate leaves
+     * the link in an unknown state, so the chip is reset and re-synced at the
+     * ROM baud rate before trying the next one.
+     * @param {SerialPort} port - Open serial port
+     * @param {number|string} requested - Baud rate to start from, or 'auto' (DEFAULT_BAUDRATE)
+     * @returns {Promise<number>} - Baud rate in use
+     */
+    async negotiateBaudrate(port, requested) {
+        const start = requested === 'auto' ? DEFAULT_BAUDRATE : Number(requested);
+        if (!(start > 0)) {
+            throw new Error(`Invalid baud rate: ${requested}`);
+        }
+
+        // The requested rate, then every standard rate below it
+        const rates = [start, ...BAUDRATES.filter(rate => rate < start)].filter(rate => rate > ROM_BAUDRATE);
+
+        for (const rate of rates) {
+            this.ui.updateStatus('waiting', 'Optimizing speed...', `Trying ${rate} baud`);
+            try {
+                this.espStub.baudrate = rate;
+                await withTimeout(this.espStub.changeBaud(), 5000, `No response after switching to ${rate} baud`);
+                await this.testLink();
+                this.ui.log(`Using ${rate} baud`, 'success');
+                return rate;
+            } catch (error) {
+                this.ui.log(`${rate} baud failed (${error.message}) - stepping down`, 'warning');
+                try {
+                    await this.transport.disconnect();
+                } catch (e) {
+                    // Port may already be closed
+                }
+                await this.openLoader(port);
+            }
+        }
+
+        this.ui.log(`Using ${ROM_BAUDRATE} baud`, 'info');
+        return ROM_BAUDRATE;
+    }
+
+    /**
+     * Read a block of flash and compare it with the stub's MD5 of the same
+     * block, so a rate that garbles data fails even if the stub still answers
+     */
+    async testLink() {
+        const data = await withTimeout(this.espStub.readFlash(0, LINK_TEST_SIZE), 5000, 'Readback timed out');
+        const digest = await withTimeout(this.espStub.flashMd5sum(0, LINK_TEST_SIZE), 5000, 'MD5 timed out');
+        if (md5Hex(new Uint8Array(data)) !== String(digest).toLowerCase()) {
+            throw new Error('Readback does not match flash');
+        }
+    }
+
     handleConnectionError(error) {
         // Handle port already open
         if (error.message && error.message.includes('port is already open')) {
@@ -225,6 +418,11 @@ export class DeviceConnection {
         }
 
         // Handle esptool library not loaded
+        if (error.isESPToolLoadError) {
+            this.ui.log(error.message, 'error');
+            this.ui.updateStatus('error', 'Library loading error', 'esptool-js is missing - rebuild the flasher (npm run build) or check the esptool loader setting');
+            return;
+        }
         if (error.message && (error.message.includes('Transport is not defined') || error.message.includes('ESPLoader is not defined'))) {
             this.ui.log('ESPTool library failed to load', 'error');
             this.ui.updateStatus('error', 'Library loading error', 'Please refresh the page and ensure you have internet connection');
@@ -279,6 +477,14 @@ export class DeviceConnection {
         return this.isConnected;
     }
 
+    /**
+     * USB IDs of the connected port, from the port's getInfo()
+     * @returns {{usbVendorId?: number, usbProductId?: number}} - Empty when unknown (e.g. a native serial port)
+     */
+    getPortInfo() {
+        return this.port?.getInfo?.() || {};
+    }
+
     /**
      * Read flash memory from device
      * @param {number} offset - Flash offset to read from (e.g., 0x9000 for NVS)
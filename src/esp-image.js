@@ -0,0 +1,286 @@
+/**
+ * ESP Image Inspector for ESP32 Web Flasher
+ * Parses ESP application/bootloader images and merged flash images
+ *
+ * Image layout (esp_image_header_t, 24 bytes):
+ * [0]     Magic 0xE9
+ * [1]     Segment count
+ * [2]     SPI flash mode
+ * [3]     Flash frequency (low nibble) | flash size (high nibble)
+ * [4-7]   Entry point
+ * [8-11]  WP pin + SPI pin drive settings
+ * [12-13] Chip ID
+ * [14]    Min chip revision (legacy)
+ * [15-16] Min chip revision (major * 100 + minor)
+ * [17-18] Max chip revision
+ * [19-22] Reserved
+ * [23]    SHA-256 appended
+ *
+ * Each segment is an 8-byte header (load address, length) followed by its
+ * data. After the last segment the image is padded so the XOR checksum
+ * byte ends a 16-byte block, optionally followed by a SHA-256 of everything
+ * before it. Apps start their first segment with esp_app_desc_t.
+ */
+
+import { PartitionTable, PARTITION_TABLE_OFFSET, PARTITION_TABLE_SIZE } from './partition-table.js';
+
+const IMAGE_MAGIC = 0xE9;
+const HEADER_SIZE = 24;
+const SEGMENT_HEADER_SIZE = 8;
+const MAX_SEGMENTS = 16;
+const CHECKSUM_SEED = 0xEF;
+const SHA256_SIZE = 32;
+
+const APP_DESC_MAGIC = 0xABCD5432;
+const APP_DESC_SIZE = 256;
+
+// Image chip IDs (esp_chip_id_t)
+const CHIP_IDS = {
+    'ESP32': 0x0000,
+    'ESP32-S2': 0x0002,
+    'ESP32-C3': 0x0005,
+    'ESP32-S3': 0x0009,
+    'ESP32-C2': 0x000C,
+    'ESP32-C6': 0x000D,
+    'ESP32-H2': 0x0010,
+    'ESP32-P4': 0x0012,
+    'ESP32-C61': 0x0014,
+    'ESP32-C5': 0x0017
+};
+
+// Where the second-stage bootloader lives in flash (0x0 unless listed)
+const BOOTLOADER_OFFSETS = {
+    'ESP32': 0x1000,
+    'ESP32-S2': 0x1000,
+    'ESP32-P4': 0x2000,
+    'ESP32-C5': 0x2000
+};
+
+const FLASH_MODES = ['QIO', 'QOUT', 'DIO', 'DOUT', 'FAST_READ', 'SLOW_READ'];
+const FLASH_SIZES = ['1MB', '2MB', '4MB', '8MB', '16MB', '32MB', '64MB', '128MB'];
+
+// Flash frequency codes differ on chips with a different SPI clock source
+const FLASH_FREQUENCIES = {
+    default: { 0x0: '40m', 0x1: '26m', 0x2: '20m', 0xF: '80m' },
+    'ESP32-C2': { 0x0: '30m', 0x1: '20m', 0x2: '15m', 0xF: '60m' },
+    'ESP32-H2': { 0x0: '24m', 0x1: '16m', 0x2: '12m', 0xF: '48m' }
+};
+
+/**
+ * Chip name (e.g. "ESP32-C3") for an image chip ID
+ */
+function chipName(chipId) {
+    return Object.keys(CHIP_IDS).find(name => CHIP_IDS[name] === chipId) || `Unknown (0x${chipId.toString(16)})`;
+}
+
+/**
+ * Image chip ID for a chip name, accepting "esp32c3", "ESP32-C3" or esptool-js descriptions
+ * @returns {number|undefined}
+ */
+function chipIdFromName(name) {
+    const normalized = String(name).toUpperCase().replace(/[\s_-]/g, '');
+    // Longest names first so "ESP32C61" isn't taken for "ESP32C6"
+    const match = Object.keys(CHIP_IDS)
+        .sort((a, b) => b.length - a.length)
+        .find(chip => normalized.startsWith(chip.replace('-', '')));
+    return match === undefined ? undefined : CHIP_IDS[match];
+}
+
+/**
+ * Bootloader flash offset for a chip (0x1000 on ESP32/ESP32-S2, 0x0 on C3/S3 and most newer chips)
+ * @param {string} chip - Chip name, e.g. "esp32c3" or "ESP32-C3"
+ * @returns {number}
+ */
+function bootloaderOffset(chip) {
+    const chipId = chipIdFromName(chip);
+    if (chipId === undefined) {
+        throw new Error(`Unknown chip "${chip}" - cannot determine bootloader offset`);
+    }
+    return BOOTLOADER_OFFSETS[chipName(chipId)] ?? 0x0;
+}
+
+/**
+ * Read a fixed-size, null-terminated string field
+ */
+function readString(bytes, offset, length) {
+    const field = bytes.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return new TextDecoder().decode(field.subarray(0, end >= 0 ? end : length));
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function revision(value) {
+    return `v${Math.floor(value / 100)}.${value % 100}`;
+}
+
+/**
+ * Parse the esp_app_desc_t at the start of an app's first segment
+ * @returns {Object|null} - Description, or null if the segment doesn't start with one
+ */
+function parseAppDescription(bytes, offset) {
+    if (offset + APP_DESC_SIZE > bytes.length) {
+        return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(offset, true) !== APP_DESC_MAGIC) {
+        return null;
+    }
+
+    return {
+        secureVersion: view.getUint32(offset + 4, true),
+        version: readString(bytes, offset + 16, 32),
+        projectName: readString(bytes, offset + 48, 32),
+        time: readString(bytes, offset + 80, 16),
+        date: readString(bytes, offset + 96, 16),
+        idfVersion: readString(bytes, offset + 112, 32),
+        elfSHA256: toHex(bytes.subarray(offset + 144, offset + 176))
+    };
+}
+
+/**
+ * Parse an ESP image (app or bootloader)
+ * @param {Uint8Array} binary - Image bytes (may extend past the image, e.g. a partition)
+ * @returns {Promise<Object>} - { chipId, chipName, flashMode, flashSize, flashFrequency, entryPoint,
+ *   minChipRevision, maxChipRevision, segments, size, checksum, sha256, appDescription }
+ * @throws {Error} - With isImageError set if the header or segments are malformed
+ */
+async function parseImage(binary) {
+    const bytes = binary instanceof Uint8Array ? binary : new Uint8Array(binary);
+    const fail = (message) => {
+        const error = new Error(message);
+        error.isImageError = true;
+        throw error;
+    };
+
+    if (bytes.length < HEADER_SIZE || bytes[0] !== IMAGE_MAGIC) {
+        fail(`Not an ESP firmware image (expected magic 0xE9, found 0x${(bytes[0] ?? 0).toString(16)})`);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segmentCount = bytes[1];
+    if (segmentCount === 0 || segmentCount > MAX_SEGMENTS) {
+        fail(`Invalid ESP image: ${segmentCount} segments`);
+    }
+
+    const chipId = view.getUint16(12, true);
+    const name = chipName(chipId);
+    const frequencies = FLASH_FREQUENCIES[name] || FLASH_FREQUENCIES.default;
+
+    // Walk the segments, XORing their data for the checksum
+    const segments = [];
+    let offset = HEADER_SIZE;
+    let checksum = CHECKSUM_SEED;
+
+    for (let i = 0; i < segmentCount; i++) {
+        if (offset + SEGMENT_HEADER_SIZE > bytes.length) {
+            fail(`Invalid ESP image: segment ${i} header is past the end of the file`);
+        }
+
+        const loadAddress = view.getUint32(offset, true);
+        const length = view.getUint32(offset + 4, true);
+        const dataOffset = offset + SEGMENT_HEADER_SIZE;
+
+        if (dataOffset + length > bytes.length) {
+            fail(`Invalid ESP image: segment ${i} (${length} bytes) is truncated`);
+        }
+
+        for (let j = dataOffset; j < dataOffset + length; j++) {
+            checksum ^= bytes[j];
+        }
+
+        segments.push({ loadAddress, offset: dataOffset, length });
+        offset = dataOffset + length;
+    }
+
+    // Checksum byte is the last byte of the next 16-byte block
+    const checksumOffset = (offset | 0xF);
+    if (checksumOffset >= bytes.length) {
+        fail('Invalid ESP image: checksum is past the end of the file');
+    }
+    const storedChecksum = bytes[checksumOffset];
+    let size = checksumOffset + 1;
+
+    const hashAppended = bytes[23] === 1;
+    let sha256 = null;
+    if (hashAppended) {
+        if (size + SHA256_SIZE > bytes.length) {
+            fail('Invalid ESP image: appended SHA-256 is past the end of the file');
+        }
+        const stored = bytes.subarray(size, size + SHA256_SIZE);
+        const calculated = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes.slice(0, size)));
+        sha256 = {
+            stored: toHex(stored),
+            calculated: toHex(calculated),
+            valid: stored.every((b, i) => b === calculated[i])
+        };
+        size += SHA256_SIZE;
+    }
+
+    return {
+        chipId,
+        chipName: name,
+        flashMode: FLASH_MODES[bytes[2]] || `0x${bytes[2].toString(16)}`,
+        flashSize: FLASH_SIZES[bytes[3] >> 4] || `0x${(bytes[3] >> 4).toString(16)}`,
+        flashFrequency: frequencies[bytes[3] & 0x0F] || `0x${(bytes[3] & 0x0F).toString(16)}`,
+        entryPoint: view.getUint32(4, true),
+        minChipRevision: revision(view.getUint16(15, true)),
+        maxChipRevision: revision(view.getUint16(17, true)),
+        segments,
+        size,
+        checksum: { stored: storedChecksum, calculated: checksum, valid: storedChecksum === checksum },
+        sha256,
+        appDescription: parseAppDescription(bytes, segments[0].offset)
+    };
+}
+
+/**
+ * Inspect a firmware file: a single app/bootloader image, or a merged flash
+ * image (bootloader + partition table + app, written at 0x0)
+ * @param {Uint8Array} binary - Firmware file contents
+ * @returns {Promise<Object>} - { kind: 'app'|'bootloader'|'merged', app, bootloader, partitionTable, appOffset }
+ * @throws {Error} - With isImageError set if no valid image is found
+ */
+async function inspectFirmware(binary) {
+    const bytes = binary instanceof Uint8Array ? binary : new Uint8Array(binary);
+
+    // A merged image carries a partition table at 0x8000 that says where the app is
+    let partitionTable = null;
+    if (bytes.length >= PARTITION_TABLE_OFFSET + PARTITION_TABLE_SIZE) {
+        try {
+            partitionTable = PartitionTable.parse(bytes.subarray(PARTITION_TABLE_OFFSET, PARTITION_TABLE_OFFSET + PARTITION_TABLE_SIZE));
+        } catch (error) {
+            // Not a merged image
+        }
+    }
+
+    if (partitionTable) {
+        // Bootloader is at 0x1000 on ESP32/ESP32-S2 and 0x0 on newer chips
+        const bootloaderOffset = bytes[0] === IMAGE_MAGIC ? 0 : 0x1000;
+        const bootloader = bytes[bootloaderOffset] === IMAGE_MAGIC ? await parseImage(bytes.subarray(bootloaderOffset)) : null;
+
+        const appPartition = partitionTable.findBySubtype('app', 'factory')[0] || partitionTable.findBySubtype('app')[0];
+        const app = appPartition && appPartition.offset < bytes.length && bytes[appPartition.offset] === IMAGE_MAGIC
+            ? await parseImage(bytes.subarray(appPartition.offset))
+            : null;
+
+        if (!bootloader && !app) {
+            const error = new Error('Merged image contains a partition table but no bootloader or app image');
+            error.isImageError = true;
+            throw error;
+        }
+
+        return { kind: 'merged', app, bootloader, partitionTable, appOffset: appPartition?.offset ?? null };
+    }
+
+    const image = await parseImage(bytes);
+    if (image.appDescription) {
+        return { kind: 'app', app: image, bootloader: null, partitionTable: null, appOffset: null };
+    }
+    return { kind: 'bootloader', app: null, bootloader: image, partitionTable: null, appOffset: null };
+}
+
+export { parseImage, inspectFirmware, chipName, chipIdFromName, bootloaderOffset, CHIP_IDS, IMAGE_MAGIC };
@@ -3,130 +3,994 @@
  * Handles firmware download, NVS generation, and flashing
  */
 
+import { NVSGenerator, NVSValue } from './nvs-generator.js';
+import { fieldNVSValue } from './config-manager.js';
+import { configValue, validateConfig, configValidationError } from './config-validation.js';
+import { PartitionTable, readPartitionTable, PARTITION_TABLE_OFFSET, PARTITION_TABLE_SIZE } from './partition-table.js';
+import { inspectFirmware, parseImage, chipName, chipIdFromName, bootloaderOffset, IMAGE_MAGIC } from './esp-image.js';
+import { loadManifest, selectBuild, buildImages } from './web-tools-manifest.js';
+import { md5Hex } from './md5.js';
+
+const FLASH_SECTOR_SIZE = 0x1000;
+const RESUME_BLOCK_SIZE = 0x10000; // Unit compared by MD5 when resuming
+const WRITE_CHUNK_SIZE = 0x40000;  // Largest single writeFlash call, so an abort takes effect within seconds
+
 export class FirmwareFlasher {
     constructor(ui, configManager) {
         this.ui = ui;
         this.configManager = configManager;
+        this.pendingFlash = null; // Prepared regions of a flash that didn't finish, for resume
     }
 
+    /**
+     * Flash a project's firmware, plus its NVS config partition
+     * @param {Object} project - Project with firmwareUrl, images or manifestUrl, and optionally nvsPartition
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Object} options - Flash options
+     * @param {File} options.customFirmware - Single file replacing the project's firmware
+     * @param {Object} options.customImages - Image name -> File (see prepareImages)
+     * @param {string} options.manifestUrl - ESP Web Tools manifest replacing the project's firmware
+     * @param {Object} options.nvsData - NVS data ({ namespace: { key: value } }) instead of the config form
+     * @param {Uint8Array} options.nvsEncryptionKey - 64-byte XTS key for encrypted NVS
+     * @param {boolean} options.skipChipCheck - Warn instead of refusing firmware built for another chip
+     * @param {string} options.chipType - Chip to use for the bootloader offset instead of the detected one
+     * @param {boolean} options.verify - Check every written region's MD5 and re-flash mismatches
+     * @param {number} options.verifyRetries - Re-flash attempts per region before giving up (default: 2)
+     * @param {string} options.erase - 'all' to erase the entire flash chip before writing
+     * @param {Array<string|Object>} options.eraseRegions - Partition names or { offset, size } ranges to erase before writing
+     * @param {boolean} options.preserveNVS - Merge the config into the device's existing NVS values instead of replacing them
+     * @param {AbortSignal} options.signal - Cancels the flash (between downloads and write chunks)
+     * @param {boolean} options.resume - Skip blocks whose MD5 on the device already matches; reuses the
+     *   regions prepared by an unfinished flash of the same project, config and options (see hasPendingFlash)
+     * @returns {Promise<boolean>} - True on success
+     */
     async flash(project, espStub, options = {}) {
+        const { signal } = options;
+
         try {
             this.ui.log('Starting flash process...', 'info');
             this.ui.showProgress();
 
-            let firmwareData;
-
-            // Check if using custom firmware file
-            if (options.customFirmware) {
-                this.ui.updateStatus('flashing', 'Using custom firmware...', `File: ${options.customFirmware.name}`);
-                this.ui.log('Using custom firmware file: ' + options.customFirmware.name, 'warning');
-                firmwareData = await options.customFirmware.arrayBuffer();
-                this.ui.log(`Loaded ${(firmwareData.byteLength / 1024).toFixed(1)} KB from custom file`, 'success');
+            let session = options.resume && this.hasPendingFlash(project, options) ? this.pendingFlash : null;
+            if (session) {
+                this.ui.log('Resuming previous flash - only unfinished blocks will be written', 'info');
             } else {
-                // Download firmware from release
-                this.ui.updateStatus('flashing', 'Downloading firmware...', 'Please wait');
-                this.ui.log('Firmware URL: ' + project.firmwareUrl, 'info');
-                const response = await fetch(project.firmwareUrl);
+                if (options.resume && this.hasPendingFlash(project)) {
+                    this.ui.log('Config or options changed since the interrupted flash - preparing it again', 'info');
+                }
+                this.checkConfig(project, options);
+                session = await this.prepareFlash(project, espStub, options);
+                session.inputs = this.flashInputs(options);
+                this.pendingFlash = session;
+            }
+
+            // Erase last, once everything that reads the device (partition table, existing NVS) is done.
+            // A resumed flash has already erased - doing it again would lose the blocks written so far.
+            if (!session.erased && (options.erase === 'all' || options.eraseRegions?.length)) {
+                signal?.throwIfAborted();
+                await this.eraseFlash(espStub, options, session.images);
+                session.erased = true;
+            }
+
+            this.ui.updateStatus('flashing', 'Writing to flash...', 'Do not disconnect');
+            await this.writeRegions(espStub, session.fileArray, { signal, resume: options.resume });
+
+            if (options.verify) {
+                signal?.throwIfAborted();
+                await this.verifyFlash(espStub, session.fileArray, options.verifyRetries, signal);
+            }
+
+            this.pendingFlash = null;
+            this.ui.updateStatus('success', 'Flash complete!', 'Device ready to use');
+            this.ui.log('Flash completed successfully', 'success');
+
+            return true;
+
+        } catch (error) {
+            this.handleFlashError(error, project);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a flash of this project was interrupted after its regions were prepared
+     * @param {Object} project - Project being flashed
+     * @param {Object} options - Flash options; if given, the config and options must
+     *   also be the ones the regions were prepared from (see flashInputs)
+     */
+    hasPendingFlash(project, options) {
+        return this.pendingFlash !== null && this.pendingFlash.project === project &&
+            (options === undefined || this.pendingFlash.inputs === this.flashInputs(options));
+    }
+
+    /**
+     * Everything a prepared flash's regions depend on besides the project: the
+     * config or NVS data, and the options that pick, place or erase regions
+     * (verify is applied afresh on resume). Resuming with different inputs
+     * would write a stale NVS image or skip the config check.
+     * @returns {string} - Comparable snapshot
+     */
+    flashInputs(options) {
+        const files = Object.entries(options.customImages || {});
+        if (options.customFirmware) files.push(['firmware', options.customFirmware]);
+
+        return JSON.stringify({
+            config: options.nvsData ?? this.configManager?.getConfig() ?? null,
+            nvsEncryptionKey: options.nvsEncryptionKey ?? null,
+            preserveNVS: Boolean(options.preserveNVS),
+            erase: options.erase ?? 'none',
+            eraseRegions: options.eraseRegions ?? [],
+            skipChipCheck: Boolean(options.skipChipCheck),
+            chipType: options.chipType ?? null,
+            manifestUrl: options.manifestUrl ?? null,
+            files: files.map(([name, file]) => [name, file.name, file.size, file.lastModified])
+        }, (key, value) => {
+            if (typeof value === 'bigint') return value.toString();
+            if (value instanceof Uint8Array) return Array.from(value);
+            return value;
+        });
+    }
+
+    discardPendingFlash() {
+        this.pendingFlash = null;
+    }
 
-                if (!response.ok) {
-                    throw new Error(`Failed to download firmware: ${response.status} ${response.statusText}`);
+    /**
+     * Download/read the images and generate NVS: everything up to writing
+     * @returns {Promise<{project: Object, images: Array, fileArray: Array, erased: boolean}>}
+     */
+    async prepareFlash(project, espStub, options = {}) {
+        // Load every image and work out where it goes
+        const images = await this.prepareImages(project, espStub, options);
+        options.signal?.throwIfAborted();
+
+        // Prepare file array for flashing
+        const fileArray = images.map(image => ({ name: image.name, data: this.toBinaryString(image.data), address: image.address }));
+
+        // Generate NVS partition if project has config sections (or NVS data was passed in)
+        if (project.nvsPartition && (project.configSections || options.nvsData)) {
+            const nvsPartition = await this.resolveNVSPartition(project, { espStub, images });
+            const existingNVS = options.preserveNVS ? await this.readDeviceNVS(espStub, nvsPartition, options) : null;
+            await this.generateAndAddNVS(project, fileArray, { ...options, nvsPartition, existingNVS });
+        }
+
+        return { project, images, fileArray, erased: false };
+    }
+
+    /**
+     * Write just the NVS config partition, leaving the firmware alone
+     * @param {Object} project - Project with nvsPartition
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Object} options - Write options
+     * @param {Object} options.nvsData - NVS data ({ namespace: { key: value } }) instead of the config form
+     * @param {Uint8Array} options.nvsEncryptionKey - 64-byte XTS key for encrypted NVS
+     * @param {boolean} options.preserveNVS - Merge into the device's existing NVS values instead of replacing them
+     * @param {boolean} options.verify - Check the partition's MD5 after writing and re-flash on mismatch
+     * @param {number} options.verifyRetries - Re-flash attempts before giving up (default: 2)
+     * @param {AbortSignal} options.signal - Cancels between write chunks
+     * @returns {Promise<{nvsPartition: Object, keys: Array<string>}>} - Where the config went and what was written
+     */
+    async writeConfig(project, espStub, options = {}) {
+        if (!project.nvsPartition) {
+            throw new Error('This project does not have NVS configuration');
+        }
+        this.checkConfig(project, options);
+
+        this.ui.updateStatus('flashing', 'Writing configuration', 'Generating NVS partition...');
+        this.ui.log('Writing configuration to device...', 'info');
+
+        // Generate NVS partition from current config (coerced to each field's nvsType)
+        const nvsData = options.nvsData || this.buildNVSData(project, options);
+
+        // Log what we're about to write
+        const keys = Object.keys(nvsData).flatMap(namespace => this.logNVSData(nvsData, namespace));
+
+        // Locate NVS from the device's partition table, not just the project's defaults
+        const nvsPartition = await this.resolveNVSPartition(project, { espStub });
+
+        // Generate NVS partition binary (encrypted if a key was given)
+        const existingNVS = options.preserveNVS ? await this.readDeviceNVS(espStub, nvsPartition, options) : null;
+        const nvsBytes = this.generateNVSBinary(project, this.mergeNVSData(existingNVS, nvsData), { ...options, nvsPartition });
+
+        this.ui.log(`Generated NVS partition: ${nvsBytes.length} bytes`, 'info');
+
+        // Write just the NVS partition to flash
+        const fileArray = [{ name: 'NVS', data: this.toBinaryString(nvsBytes), address: nvsPartition.offset }];
+
+        this.ui.updateStatus('flashing', 'Writing to flash...', 'Do not disconnect');
+        this.ui.showProgress();
+
+        await this.writeRegions(espStub, fileArray, { signal: options.signal });
+
+        if (options.verify) {
+            options.signal?.throwIfAborted();
+            await this.verifyFlash(espStub, fileArray, options.verifyRetries, options.signal);
+        }
+
+        return { nvsPartition, keys };
+    }
+
+    /**
+     * Write regions to flash in chunks of at most WRITE_CHUNK_SIZE, checking
+     * the abort signal between chunks. With options.resume, each region is
+     * first compared block by block with the device and only blocks whose MD5
+     * differs are written, so an interrupted flash picks up where it stopped.
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Array<{name: string, data: string, address: number}>} fileArray - Regions (binary strings)
+     * @param {Object} options - Write options
+     * @param {AbortSignal} options.signal - Cancels between chunks
+     * @param {boolean} options.resume - Skip blocks already on the device
+     */
+    async writeRegions(espStub, fileArray, options = {}) {
+        const { signal } = options;
+        const totalSize = fileArray.reduce((sum, file) => sum + file.data.length, 0);
+        let done = 0;
+        const report = () => this.ui.updateProgress(Math.round((done / totalSize) * 100), done, totalSize);
+
+        for (const file of fileArray) {
+            signal?.throwIfAborted();
+            const ranges = options.resume
+                ? await this.findChangedBlocks(espStub, file, signal)
+                : [{ start: 0, end: file.data.length }];
+
+            // Blocks already on the device count as written
+            done += file.data.length - ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+            report();
+
+            for (const range of ranges) {
+                for (let start = range.start; start < range.end; start += WRITE_CHUNK_SIZE) {
+                    signal?.throwIfAborted();
+                    const end = Math.min(start + WRITE_CHUNK_SIZE, range.end);
+                    const before = done;
+
+                    // Images go out unmodified (flash mode/frequency 'keep') so they can be verified
+                    await espStub.writeFlash({
+                        fileArray: [{ data: file.data.slice(start, end), address: file.address + start }],
+                        flashSize: 'keep',
+                        flashMode: 'keep',
+                        flashFreq: 'keep',
+                        compress: true,
+                        reportProgress: (idx, written, total) => {
+                            done = before + Math.round((end - start) * (written / total));
+                            report();
+                        }
+                    });
+                    done = before + (end - start);
                 }
+            }
+        }
+        report();
+    }
 
-                firmwareData = await response.arrayBuffer();
-                this.ui.log(`Downloaded ${(firmwareData.byteLength / 1024).toFixed(1)} KB`, 'success');
+    /**
+     * Compare a region with the device in RESUME_BLOCK_SIZE blocks
+     * @returns {Promise<Array<{start: number, end: number}>>} - Byte ranges (within the region) that differ
+     */
+    async findChangedBlocks(espStub, file, signal) {
+        const name = file.name || `region at 0x${file.address.toString(16)}`;
+        this.ui.updateStatus('flashing', `Checking ${name}...`, 'Comparing with device');
+
+        const ranges = [];
+        let blocks = 0;
+        let changed = 0;
+        for (let start = 0; start < file.data.length; start += RESUME_BLOCK_SIZE) {
+            signal?.throwIfAborted();
+            const end = Math.min(start + RESUME_BLOCK_SIZE, file.data.length);
+            const { matches } = await this.compareWithDevice(espStub, file.address + start, file.data.slice(start, end));
+            blocks++;
+            if (matches) continue;
+
+            changed++;
+            const last = ranges[ranges.length - 1];
+            if (last && last.end === start) {
+                last.end = end;
+            } else {
+                ranges.push({ start, end });
+            }
+        }
+
+        this.ui.log(`${name}: ${blocks - changed} of ${blocks} block${blocks === 1 ? '' : 's'} already written`, 'info');
+        this.ui.updateStatus('flashing', 'Writing to flash...', 'Do not disconnect');
+        return ranges;
+    }
+
+    /**
+     * Compare data (a binary string) with flash via the stub's MD5 of the region.
+     * writeFlash pads each write to a 4-byte boundary with 0xFF, so the data is padded the same way.
+     * @returns {Promise<{matches: boolean, expected: string, actual: string, length: number}>}
+     */
+    async compareWithDevice(espStub, address, data) {
+        const bytes = Uint8Array.from(data, c => c.charCodeAt(0));
+        const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4).fill(0xFF);
+        padded.set(bytes);
+
+        const expected = md5Hex(padded);
+        const actual = String(await espStub.flashMd5sum(address, padded.length)).toLowerCase();
+        return { matches: actual === expected, expected, actual, length: padded.length };
+    }
+
+    /**
+     * Load the images to flash and resolve their addresses
+     *
+     * Projects either have a single merged firmwareUrl, or an images list:
+     *   images: [
+     *     { name: 'bootloader', url: '.../bootloader.bin' },               // per-chip offset
+     *     { name: 'partition-table', url: '.../partition-table.bin' },     // 0x8000
+     *     { name: 'otadata', url: '.../ota_data_initial.bin', partition: 'otadata' },
+     *     { name: 'app', url: '.../app.bin', partition: 'factory' },
+     *     { name: 'storage', url: '.../spiffs.bin', offset: '0x310000' }
+     *   ]
+     * An image's offset comes from `offset`, then `partition` (looked up in the
+     * partition table being flashed, or the device's), then its name ('app'
+     * goes to the factory/first app partition).
+     *
+     * A project (or options.manifestUrl) may instead point at an ESP Web Tools
+     * manifest.json; the build for the connected chip becomes the images list.
+     * @param {Object} project - Project with firmwareUrl, images or manifestUrl
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Object} options - Flash options
+     * @param {File} options.customFirmware - Single merged/app file replacing the project's firmware
+     * @param {Object} options.customImages - Image name -> File, replacing those images' URLs
+     * @param {string} options.manifestUrl - ESP Web Tools manifest replacing the project's firmware
+     * @returns {Promise<Array<{name: string, data: Uint8Array, address: number}>>}
+     */
+    async prepareImages(project, espStub, options = {}) {
+        const chip = options.chipType || espStub?.chip?.CHIP_NAME || project.chip;
+        const manifestUrl = options.manifestUrl || project.manifestUrl;
+
+        if (manifestUrl && !options.customFirmware) {
+            project = { ...project, images: await this.loadManifestImages(manifestUrl, chip, options.erase) };
+        }
+
+        if (options.customFirmware || !project.images) {
+            const data = options.customFirmware
+                ? await this.readImageFile(options.customFirmware, 'custom firmware')
+                : await this.downloadImage(project.firmwareUrl, 'firmware', options.signal);
+
+            // Check what the file is and who it's for before touching the device
+            const address = await this.checkFirmwareImage(data, espStub, options);
+            return [{ name: 'firmware', data, address }];
+        }
+
+        const customImages = options.customImages || {};
+        const images = [];
+        for (const spec of project.images) {
+            const file = customImages[spec.name];
+            const data = file
+                ? await this.readImageFile(file, spec.name)
+                : await this.downloadImage(spec.url, spec.name, options.signal);
+            images.push({ name: spec.name, spec, data });
+        }
+
+        // Offsets by partition name come from the table being flashed, else the device's
+        const tableImage = images.find(image => this.isPartitionTableImage(image.spec));
+        let table = tableImage ? PartitionTable.parse(tableImage.data) : null;
+
+        for (const image of images) {
+            const needsTable = image.spec.offset === undefined && (image.spec.partition || image.spec.name === 'app');
+            if (needsTable && !table) {
+                table = await readPartitionTable(espStub);
             }
+            image.address = this.resolveImageOffset(image, chip, table);
+            delete image.spec;
+        }
 
-            // Convert firmware to binary string
-            const firmwareBytes = new Uint8Array(firmwareData);
-            let firmwareBinary = '';
-            for (let i = 0; i < firmwareBytes.length; i++) {
-                firmwareBinary += String.fromCharCode(firmwareBytes[i]);
+        this.checkImageLayout(images);
+
+        for (const image of images) {
+            this.ui.log(`  ${image.name}: ${image.data.length} bytes at 0x${image.address.toString(16)}`, 'info');
+            if (image.data[0] === IMAGE_MAGIC) {
+                const parsed = await parseImage(image.data);
+                this.verifyImage(parsed, espStub, options, image.name);
+                this.showAppDescription(parsed.appDescription);
             }
+        }
 
-            // Prepare file array for flashing
-            const fileArray = [{ data: firmwareBinary, address: 0x0 }];
+        return images;
+    }
+
+    /**
+     * Erase the whole chip (options.erase === 'all') or the given regions.
+     * Regions are partition names, looked up in the partition table being
+     * flashed or the device's, or { offset, size } ranges aligned to 4 KB sectors.
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Object} options - Flash options (erase, eraseRegions)
+     * @param {Array<{name: string, data: Uint8Array, address: number}>} images - Images about to be flashed
+     * @throws {Error} - With isPartitionError set if a region can't be resolved
+     */
+    async eraseFlash(espStub, options, images = []) {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.isPartitionError = true;
+            throw error;
+        };
 
-            // Generate NVS partition if project has config sections
-            if (project.configSections && project.nvsPartition) {
-                await this.generateAndAddNVS(project, fileArray);
+        if (options.erase === 'all') {
+            // Without a bootloader, partition table and app in the images the device would be left unbootable
+            const missing = await this.findMissingBootImages(images, options.chipType || espStub?.chip?.CHIP_NAME);
+            if (missing.length > 0) {
+                fail(`Full chip erase needs complete firmware (bootloader, partition table and app) - this firmware has no ${missing.join(', ')}`);
             }
 
-            this.ui.updateStatus('flashing', 'Writing to flash...', 'Do not disconnect');
+            this.ui.updateStatus('flashing', 'Erasing flash...', 'This can take up to a minute');
+            this.ui.log('Erasing entire flash chip...', 'info');
+            await espStub.eraseFlash();
+            this.ui.log('Flash erased', 'success');
+            return;
+        }
 
-            await espStub.writeFlash({
-                fileArray: fileArray,
-                flashSize: 'keep',
-                compress: true,
-                reportProgress: (idx, written, total) => {
-                    const percent = Math.round((written / total) * 100);
-                    this.ui.updateProgress(percent, written, total);
+        let table = null;
+        const regions = [];
+        for (const region of options.eraseRegions) {
+            if (typeof region === 'string') {
+                if (!table) {
+                    ({ table } = await this.findPartitionTable({ espStub, images }));
+                    if (!table) {
+                        fail(`Cannot erase partition "${region}" - no partition table found`);
+                    }
                 }
-            });
+                const partition = table.find(region);
+                if (!partition) {
+                    fail(`Cannot erase partition "${region}" - not in the partition table`);
+                }
+                regions.push({ name: region, offset: partition.offset, size: partition.size });
+            } else {
+                const offset = typeof region.offset === 'number' ? region.offset : parseInt(region.offset, 16);
+                const size = typeof region.size === 'number' ? region.size : parseInt(region.size, 16);
+                if (!(size > 0) || offset % FLASH_SECTOR_SIZE !== 0 || size % FLASH_SECTOR_SIZE !== 0) {
+                    fail(`Cannot erase 0x${offset.toString(16)}+0x${(size || 0).toString(16)} - offset and size must be multiples of 0x${FLASH_SECTOR_SIZE.toString(16)}`);
+                }
+                regions.push({ name: `0x${offset.toString(16)}-0x${(offset + size).toString(16)}`, offset, size });
+            }
+        }
 
-            this.ui.updateStatus('success', 'Flash complete!', 'Device ready to use');
-            this.ui.log('Flash completed successfully', 'success');
+        // The loader erases each region's sectors before writing it, so
+        // writing 0xFF (which compresses to almost nothing) erases the region
+        this.ui.updateStatus('flashing', 'Erasing...', 'Do not disconnect');
+        for (const region of regions) {
+            this.ui.log(`Erasing ${region.name} (${region.size} bytes at 0x${region.offset.toString(16)})`, 'info');
+        }
+        await espStub.writeFlash({
+            fileArray: regions.map(region => ({ data: '\xff'.repeat(region.size), address: region.offset })),
+            flashSize: 'keep',
+            flashMode: 'keep',
+            flashFreq: 'keep',
+            compress: true,
+            reportProgress: () => {}
+        });
+        this.ui.log(`Erased ${regions.length} region${regions.length === 1 ? '' : 's'}`, 'success');
+    }
 
-            return true;
+    /**
+     * What a blank chip would still need to boot after flashing these images:
+     * an image at the chip's bootloader offset, a partition table at 0x8000
+     * and an image at one of that table's app partitions
+     * @param {Array<{data: Uint8Array, address: number}>} images - Images about to be flashed
+     * @param {string} chip - Chip name, for the bootloader offset
+     * @returns {Promise<string[]>} - Descriptions of the missing parts (empty if the images are complete)
+     */
+    async findMissingBootImages(images, chip) {
+        const imageStartsAt = (offset) => images.some(image => {
+            const start = offset - image.address;
+            return start >= 0 && start < image.data.length && image.data[start] === IMAGE_MAGIC;
+        });
+        const missing = [];
 
+        let loaderOffset = null;
+        try {
+            loaderOffset = bootloaderOffset(chip);
         } catch (error) {
-            this.handleFlashError(error, project);
+            // Unknown chip: no offset to check the bootloader at
+        }
+        if (loaderOffset === null || !imageStartsAt(loaderOffset)) {
+            missing.push(loaderOffset === null ? 'bootloader' : `bootloader at 0x${loaderOffset.toString(16)}`);
+        }
+
+        const { table } = await this.findPartitionTable({ images });
+        if (!table) {
+            missing.push(`partition table at 0x${PARTITION_TABLE_OFFSET.toString(16)}`);
+        } else if (!table.findBySubtype('app').some(partition => imageStartsAt(partition.offset))) {
+            missing.push('app in an app partition');
+        }
+
+        return missing;
+    }
+
+    /**
+     * Check that each written region reads back as the data sent, by comparing
+     * the stub's MD5 of the region with our own. The blocks of a region that
+     * doesn't match are re-flashed, up to `retries` times.
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Array<{name: string, data: string, address: number}>} fileArray - Regions as passed to writeFlash
+     * @param {number} retries - Re-flash attempts per region (default: 2)
+     * @param {AbortSignal} signal - Cancels between MD5 reads and re-flash chunks
+     * @throws {Error} - With isVerifyError set if a region still doesn't match
+     */
+    async verifyFlash(espStub, fileArray, retries = 2, signal) {
+        this.ui.updateStatus('flashing', 'Verifying flash...', 'Do not disconnect');
+
+        for (const file of fileArray) {
+            const name = file.name || `region at 0x${file.address.toString(16)}`;
+
+            for (let attempt = 0; ; attempt++) {
+                signal?.throwIfAborted();
+                const { matches, expected, actual, length } = await this.compareWithDevice(espStub, file.address, file.data);
+                if (matches) {
+                    this.ui.log(`Verified ${name}: ${length} bytes at 0x${file.address.toString(16)} (MD5 ${expected})`, 'success');
+                    break;
+                }
+
+                this.ui.log(`Verification failed for ${name} at 0x${file.address.toString(16)}: expected MD5 ${expected}, device has ${actual}`, 'warning');
+                if (attempt >= retries) {
+                    const error = new Error(`Flash verification failed for ${name} after ${retries} re-flash attempt${retries === 1 ? '' : 's'}`);
+                    error.isVerifyError = true;
+                    throw error;
+                }
+
+                this.ui.log(`Re-flashing ${name} (attempt ${attempt + 1} of ${retries})...`, 'info');
+                this.ui.updateStatus('flashing', `Re-flashing ${name}...`, 'Do not disconnect');
+                await this.writeRegions(espStub, [file], { signal, resume: true });
+                this.ui.updateStatus('flashing', 'Verifying flash...', 'Do not disconnect');
+            }
+        }
+    }
+
+    /**
+     * Images of the manifest build for a chip
+     * @returns {Promise<Array<{name: string, url: string, offset: number}>>}
+     */
+    async loadManifestImages(url, chip, erase) {
+        this.ui.updateStatus('flashing', 'Loading manifest...', 'Please wait');
+        this.ui.log(`Loading firmware manifest: ${url}`, 'info');
+
+        const manifest = await loadManifest(url);
+        const build = selectBuild(manifest, chip);
+        this.ui.log(`Using ${manifest.name || 'manifest'} ${manifest.version || ''} build for ${build.chipFamily} (${build.parts.length} part${build.parts.length === 1 ? '' : 's'})`, 'info');
+
+        if (manifest.version) {
+            this.ui.updateFirmwareInfo(`${manifest.name || ''} ${manifest.version}`.trim());
+        }
+        if (manifest.new_install_prompt_erase && erase !== 'all') {
+            this.ui.log('This firmware recommends erasing the entire flash before a new install', 'warning');
+        }
+
+        return buildImages(manifest, build);
+    }
+
+    isPartitionTableImage(spec) {
+        return spec.name === 'partition-table' || spec.name === 'partitions';
+    }
+
+    /**
+     * Flash address for one image of a multi-image project
+     * @throws {Error} - With isImageError set if the offset can't be determined or the image doesn't fit
+     */
+    resolveImageOffset(image, chip, table) {
+        const { spec } = image;
+        const fail = (message) => {
+            const error = new Error(message);
+            error.isImageError = true;
             throw error;
+        };
+
+        if (spec.offset !== undefined) {
+            return typeof spec.offset === 'number' ? spec.offset : parseInt(spec.offset, 16);
+        }
+
+        if (spec.partition) {
+            const partition = table.find(spec.partition);
+            if (!partition) {
+                fail(`Image "${spec.name}" targets partition "${spec.partition}", which is not in the partition table`);
+            }
+            if (image.data.length > partition.size) {
+                fail(`Image "${spec.name}" (${image.data.length} bytes) does not fit partition "${spec.partition}" (${partition.size} bytes)`);
+            }
+            return partition.offset;
+        }
+
+        if (spec.name === 'app' && table) {
+            const appPartition = table.findBySubtype('app', 'factory')[0] || table.findBySubtype('app')[0];
+            if (appPartition) {
+                return appPartition.offset;
+            }
+        }
+
+        if (spec.name === 'bootloader') {
+            return bootloaderOffset(chip);
+        }
+        if (this.isPartitionTableImage(spec)) {
+            return PARTITION_TABLE_OFFSET;
+        }
+
+        fail(`Image "${spec.name}" needs an offset or partition`);
+    }
+
+    /**
+     * Refuse image sets whose regions overlap
+     */
+    checkImageLayout(images) {
+        const sorted = [...images].sort((a, b) => a.address - b.address);
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = sorted[i - 1];
+            if (sorted[i].address < previous.address + previous.data.length) {
+                const error = new Error(`Image "${sorted[i].name}" at 0x${sorted[i].address.toString(16)} overlaps "${previous.name}" (ends at 0x${(previous.address + previous.data.length).toString(16)})`);
+                error.isImageError = true;
+                throw error;
+            }
+        }
+    }
+
+    async downloadImage(url, name, signal) {
+        this.ui.updateStatus('flashing', `Downloading ${name}...`, 'Please wait');
+        this.ui.log(`Downloading ${name}: ${url}`, 'info');
+        const response = await fetch(url, { signal });
+
+        if (!response.ok) {
+            throw new Error(`Failed to download firmware: ${response.status} ${response.statusText}`);
+        }
+
+        const data = new Uint8Array(await response.arrayBuffer());
+        this.ui.log(`Downloaded ${(data.length / 1024).toFixed(1)} KB`, 'success');
+        return data;
+    }
+
+    async readImageFile(file, name) {
+        this.ui.updateStatus('flashing', `Using custom ${name === 'custom firmware' ? 'firmware' : name}...`, `File: ${file.name}`);
+        this.ui.log(`Using custom file for ${name}: ${file.name}`, 'warning');
+        const data = new Uint8Array(await file.arrayBuffer());
+        this.ui.log(`Loaded ${(data.length / 1024).toFixed(1)} KB from custom file`, 'success');
+        return data;
+    }
+
+    /**
+     * Convert bytes to the binary string esptool-js writeFlash() expects
+     */
+    toBinaryString(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return binary;
+    }
+
+    /**
+     * Inspect a firmware file before flashing: reject corrupted images and
+     * images built for a different chip, and show the version being installed
+     * @param {Uint8Array} firmwareBytes - Firmware file contents
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Object} options - Flash options
+     * @param {boolean} options.skipChipCheck - Warn instead of refusing a chip mismatch (dev option)
+     * @returns {Promise<number>} - Flash address for the file (0x0 for merged images, the app partition for app images)
+     * @throws {Error} - With isImageError set if the image must not be flashed
+     */
+    async checkFirmwareImage(firmwareBytes, espStub, options = {}) {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.isImageError = true;
+            throw error;
+        };
+
+        const firmware = await inspectFirmware(firmwareBytes);
+        const image = firmware.app || firmware.bootloader;
+
+        this.ui.log(`Firmware image: ${firmware.kind} for ${image.chipName}, flash ${image.flashMode} ${image.flashSize} @ ${image.flashFrequency}`, 'info');
+
+        if (firmware.kind === 'bootloader') {
+            fail('This file is a bootloader image, not application firmware');
+        }
+
+        for (const part of [firmware.bootloader, firmware.app].filter(Boolean)) {
+            this.verifyImage(part, espStub, options, 'Firmware image');
+        }
+        this.showAppDescription(firmware.app?.appDescription);
+
+        if (firmware.kind === 'merged') {
+            return 0x0;
+        }
+
+        // App-only image: write to the app partition, never over the bootloader at 0x0
+        let appOffset = 0x10000;
+        try {
+            const table = await readPartitionTable(espStub);
+            const appPartition = table.findBySubtype('app', 'factory')[0] || table.findBySubtype('app')[0];
+            if (appPartition) {
+                appOffset = appPartition.offset;
+            }
+        } catch (error) {
+            this.ui.log(`Could not read partition table (${error.message}), using default app offset`, 'warning');
+        }
+        this.ui.log(`App-only image - writing to app partition at 0x${appOffset.toString(16)}`, 'info');
+        return appOffset;
+    }
+
+    /**
+     * Refuse a corrupted image, or one built for a different chip than the connected one
+     * @param {Object} image - Parsed image from parseImage()
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {Object} options - Flash options (skipChipCheck)
+     * @param {string} name - Image name for messages
+     * @throws {Error} - With isImageError set
+     */
+    verifyImage(image, espStub, options, name) {
+        const fail = (message) => {
+            const error = new Error(message);
+            error.isImageError = true;
+            throw error;
+        };
+
+        if (!image.checksum.valid || (image.sha256 && !image.sha256.valid)) {
+            fail(`${name} ${image.sha256 && !image.sha256.valid ? 'SHA-256' : 'checksum'} mismatch - the file is corrupted or incomplete`);
+        }
+
+        // Compare with the connected chip (esptool-js exposes IMAGE_CHIP_ID on its chip classes)
+        const connectedChipId = espStub?.chip?.IMAGE_CHIP_ID ?? chipIdFromName(espStub?.chip?.CHIP_NAME ?? '');
+        if (connectedChipId !== undefined && connectedChipId !== image.chipId) {
+            const message = `${name} is built for ${image.chipName} but the connected chip is ${chipName(connectedChipId)}`;
+            if (!options.skipChipCheck) {
+                fail(message);
+            }
+            this.ui.log(`${message} - flashing anyway (chip validation skipped)`, 'warning');
         }
     }
 
-    async generateAndAddNVS(project, fileArray) {
+    /**
+     * Show the app name and version being installed
+     * @param {Object|null} app - esp_app_desc_t from parseImage()
+     */
+    showAppDescription(app) {
+        if (!app) return;
+        this.ui.log(`Installing ${app.projectName} ${app.version} (ESP-IDF ${app.idfVersion}, built ${app.date} ${app.time})`, 'info');
+        this.ui.updateFirmwareInfo(`${app.projectName} ${app.version}`);
+        this.ui.updateStatus('flashing', `Installing ${app.projectName} ${app.version}`, 'Preparing to flash');
+    }
+
+    async generateAndAddNVS(project, fileArray, options = {}) {
         this.ui.updateStatus('flashing', 'Generating NVS config...', 'Please wait');
         this.ui.log('Generating NVS partition from configuration...', 'info');
 
+        // Any failure stops the flash: firmware without the config the user entered is not what they asked for
+        const nvsData = this.mergeNVSData(options.existingNVS, options.nvsData || this.buildNVSData(project, options));
+
+        // Log what we're about to write
+        const nvsKeys = Object.keys(nvsData).flatMap(namespace => this.logNVSData(nvsData, namespace));
+
+        // Generate NVS partition binary
+        const nvsBytes = this.generateNVSBinary(project, nvsData, options);
+
+        // Add NVS partition to file array
+        const nvsOffset = options.nvsPartition?.offset ?? parseInt(project.nvsPartition.offset, 16);
+        fileArray.push({ name: 'NVS', data: this.toBinaryString(nvsBytes), address: nvsOffset });
+
+        this.ui.log(`Generated NVS partition: ${nvsBytes.length} bytes at 0x${nvsOffset.toString(16)}`, 'success');
+        this.ui.log(`NVS contains ${nvsKeys.length} config values`, 'info');
+    }
+
+    /**
+     * Read the NVS values currently on the device, keeping their stored types
+     * @param {Object} espStub - Connected esptool-js loader
+     * @param {{offset: number, size: number}} nvsPartition - From resolveNVSPartition()
+     * @param {Object} options - Flash options
+     * @param {Uint8Array} options.nvsEncryptionKey - 64-byte XTS key for encrypted NVS
+     * @returns {Promise<Object>} - { namespace: { key: NVSValue } }
+     */
+    async readDeviceNVS(espStub, nvsPartition, options = {}) {
+        this.ui.updateStatus('flashing', 'Reading device settings...', 'Please wait');
+        this.ui.log(`Reading existing NVS from 0x${nvsPartition.offset.toString(16)} (${nvsPartition.size} bytes)...`, 'info');
+
+        let binary;
         try {
-            const config = this.configManager.getConfig();
-
-            // Build NVS data from config using nvsKey mappings
-            const nvsData = {};
-            const namespace = project.nvsPartition.namespace || 'config';
-            nvsData[namespace] = {};
-
-            project.configSections.forEach(section => {
-                section.fields.forEach(field => {
-                    if (field.nvsKey) {
-                        const value = config[section.id]?.[field.id];
-                        if (value !== undefined && value !== '') {
-                            nvsData[namespace][field.nvsKey] = value;
-                        }
+            binary = await espStub.readFlash(nvsPartition.offset, nvsPartition.size);
+        } catch (error) {
+            throw new Error(`Could not read existing NVS from device: ${error.message}`);
+        }
+
+        const diagnostics = [];
+        const existing = new NVSGenerator().parse(binary, {
+            strict: true,
+            typed: true,
+            diagnostics,
+            encryptionKey: options.nvsEncryptionKey
+        });
+
+        const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        if (errors.length > 0) {
+            this.ui.log(`Existing NVS has ${errors.length} damaged entr${errors.length === 1 ? 'y' : 'ies'} - those values are not kept`, 'warning');
+        }
+
+        const count = Object.values(existing).reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+        this.ui.log(`Keeping ${count} existing NVS value${count === 1 ? '' : 's'} not set by the new config`, 'info');
+        return existing;
+    }
+
+    /**
+     * Merge new NVS data over existing values; new values win, keys and
+     * namespaces only present on the device are kept
+     * @param {Object|null} existing - From readDeviceNVS()
+     * @param {Object} nvsData - New data ({ namespace: { key: value } })
+     * @returns {Object}
+     */
+    mergeNVSData(existing, nvsData) {
+        if (!existing) return nvsData;
+
+        const merged = { ...existing };
+        for (const [namespace, entries] of Object.entries(nvsData)) {
+            merged[namespace] = { ...merged[namespace], ...entries };
+        }
+        return merged;
+    }
+
+    /**
+     * Refuse a config that breaks the project's validation rules, before
+     * anything is downloaded or written
+     * @param {Object} project - Project with configSections
+     * @param {Object} options - Flash or write options
+     * @param {Object} options.nvsData - NVS data given directly (nothing to check)
+     * @param {boolean} options.preserveNVS - Missing values are kept from the device, so aren't required
+     * @throws {Error} - With isConfigValidationError and errors set (see validateConfig)
+     */
+    checkConfig(project, options = {}) {
+        if (options.nvsData || !project.nvsPartition || !project.configSections) {
+            return;
+        }
+        const errors = validateConfig(project, this.configManager.getConfig(), { partial: options.preserveNVS });
+        if (errors.length > 0) {
+            throw configValidationError(errors);
+        }
+    }
+
+    /**
+     * Build NVS data from the current config using the project's nvsKey mappings
+     * Values are encoded by field type (see fieldNVSValue): fields that declare
+     * an nvsType are coerced and range-checked into that type; fields without
+     * one keep their raw value and the type is inferred. Fields left out of the
+     * config get their default, as validateConfig() assumes.
+     * @param {Object} project - Project with configSections and nvsPartition
+     * @param {Object} options - Flash options
+     * @param {boolean} options.preserveNVS - No defaults: fields left out keep the device's values
+     * @returns {Object} - NVS data ({ namespace: { nvsKey: value } }) for NVSGenerator.generate()
+     * @throws {Error} - With isNVSValueError set if a value doesn't fit its nvsType
+     */
+    buildNVSData(project, options = {}) {
+        const config = this.configManager.getConfig();
+        const namespace = project.nvsPartition.namespace || 'config';
+        const nvsData = {};
+        nvsData[namespace] = {};
+
+        project.configSections.forEach(section => {
+            section.fields.forEach(field => {
+                if (field.nvsKey) {
+                    const value = configValue(config, section, field, { partial: options.preserveNVS });
+                    if (value !== undefined && value !== '') {
+                        nvsData[namespace][field.nvsKey] = fieldNVSValue(field, value);
                     }
-                });
+                }
             });
+        });
 
-            // Log what we're about to write
-            const nvsKeys = Object.keys(nvsData[namespace]);
-            this.ui.log(`NVS data to write: ${nvsKeys.join(', ')}`, 'info');
-            nvsKeys.forEach(key => {
-                const value = nvsData[namespace][key];
-                this.ui.log(`  ${key} = ${value}`, 'info');
-            });
+        return nvsData;
+    }
 
-            // Generate NVS partition binary
-            const generator = new NVSGenerator();
-            const partitionSize = parseInt(project.nvsPartition.size, 16);
-            const nvsBytes = generator.generate(nvsData, partitionSize);
+    /**
+     * Find the partition table that will be in effect after flashing: the one
+     * in the images (a merged image or partition-table.bin), otherwise the
+     * device's current table
+     * @param {Object} sources - Where to look for the table
+     * @param {Object} sources.espStub - Connected esptool-js loader
+     * @param {Array<{data: Uint8Array, address: number}>} sources.images - Images about to be flashed
+     * @returns {Promise<{table: PartitionTable|null, source: string}>} - source is 'firmware image' or 'device'
+     */
+    async findPartitionTable(sources = {}) {
+        // An image covering 0x8000 (merged image or partition-table.bin) replaces the device's table
+        for (const image of sources.images || []) {
+            const tableStart = PARTITION_TABLE_OFFSET - image.address;
+            if (tableStart < 0 || tableStart >= image.data.length) {
+                continue;
+            }
+            try {
+                const table = PartitionTable.parse(image.data.subarray(tableStart, tableStart + PARTITION_TABLE_SIZE));
+                return { table, source: 'firmware image' };
+            } catch (error) {
+                // Not a merged image - the app is flashed on its own
+            }
+        }
 
-            // Convert NVS bytes to binary string
-            let nvsBinary = '';
-            for (let i = 0; i < nvsBytes.length; i++) {
-                nvsBinary += String.fromCharCode(nvsBytes[i]);
+        if (sources.espStub) {
+            try {
+                return { table: await readPartitionTable(sources.espStub), source: 'device' };
+            } catch (error) {
+                this.ui.log(`Could not read partition table from device: ${error.message}`, 'warning');
             }
+        }
+
+        return { table: null, source: '' };
+    }
 
-            // Add NVS partition to file array
-            const nvsOffset = parseInt(project.nvsPartition.offset, 16);
-            fileArray.push({ data: nvsBinary, address: nvsOffset });
+    /**
+     * Resolve where the NVS partition lives from the partition table that will
+     * be in effect: the one in the images being flashed (a merged image or
+     * partition-table.bin), otherwise the table currently on the device. Falls back to the project's
+     * nvsPartition offset/size only when no table can be read (e.g. blank flash).
+     * @param {Object} project - Project with nvsPartition
+     * @param {Object} sources - Where to look for the table
+     * @param {Object} sources.espStub - Connected esptool-js loader
+     * @param {Array<{data: Uint8Array, address: number}>} sources.images - Images about to be flashed
+     * @returns {Promise<{offset: number, size: number, name: string}>}
+     * @throws {Error} - With isPartitionError set if the table has no NVS partition
+     */
+    async resolveNVSPartition(project, sources = {}) {
+        const declared = {
+            name: project.nvsPartition.name || 'nvs',
+            offset: parseInt(project.nvsPartition.offset, 16),
+            size: parseInt(project.nvsPartition.size, 16)
+        };
 
-            this.ui.log(`Generated NVS partition: ${nvsBytes.length} bytes at 0x${nvsOffset.toString(16)}`, 'success');
-            this.ui.log(`NVS contains ${nvsKeys.length} config values`, 'info');
+        const { table, source } = await this.findPartitionTable(sources);
 
-        } catch (nvsError) {
-            this.ui.log(`Warning: NVS generation failed: ${nvsError.message}`, 'warning');
-            this.ui.log('Continuing with firmware flash only (config will use defaults)', 'warning');
+        if (!table) {
+            this.ui.log(`Using project NVS location: 0x${declared.offset.toString(16)} (${declared.size} bytes)`, 'warning');
+            return declared;
         }
+
+        const nvs = table.findNVS(declared.name);
+        if (!nvs) {
+            const error = new Error(`Partition table (${source}) has no NVS partition - refusing to write config`);
+            error.isPartitionError = true;
+            throw error;
+        }
+
+        if (nvs.offset !== declared.offset || nvs.size !== declared.size) {
+            this.ui.log(`Partition table places NVS "${nvs.name}" at 0x${nvs.offset.toString(16)} (${nvs.size} bytes), not 0x${declared.offset.toString(16)} as configured - using partition table`, 'warning');
+        } else {
+            this.ui.log(`NVS partition "${nvs.name}" at 0x${nvs.offset.toString(16)} (from ${source} partition table)`, 'info');
+        }
+
+        return { name: nvs.name, offset: nvs.offset, size: nvs.size };
+    }
+
+    /**
+     * Generate the NVS partition binary for a project, encrypted when the
+     * project's nvsPartition is marked encrypted or a key is supplied
+     * @param {Object} project - Project with nvsPartition
+     * @param {Object} nvsData - Data from buildNVSData()
+     * @param {Object} options - Flash options
+     * @param {Uint8Array} options.nvsEncryptionKey - 64-byte XTS key (see NVSGenerator.parseKeyPartition)
+     * @param {Object} options.nvsPartition - Location from resolveNVSPartition() (defaults to the project's)
+     * @returns {Uint8Array} - NVS partition binary
+     */
+    generateNVSBinary(project, nvsData, options = {}) {
+        const generator = new NVSGenerator();
+        const partitionSize = options.nvsPartition?.size ?? parseInt(project.nvsPartition.size, 16);
+        const encryptionKey = options.nvsEncryptionKey;
+
+        if (project.nvsPartition.encrypted && !encryptionKey) {
+            const error = new Error('NVS partition is encrypted - select the device\'s nvs_keys file in Developer Options');
+            error.isNVSKeyError = true;
+            throw error;
+        }
+
+        if (encryptionKey) {
+            this.ui.log('Encrypting NVS partition (AES-XTS)', 'info');
+        }
+
+        return generator.generate(nvsData, partitionSize, { encryptionKey });
+    }
+
+    /**
+     * Log the keys and values about to be written to NVS
+     * @returns {string[]} - Keys in the namespace
+     */
+    logNVSData(nvsData, namespace) {
+        const nvsKeys = Object.keys(nvsData[namespace]);
+        this.ui.log(`NVS data to write: ${nvsKeys.join(', ')}`, 'info');
+        nvsKeys.forEach(key => {
+            const value = nvsData[namespace][key];
+            if (value instanceof NVSValue) {
+                this.ui.log(`  ${key} = ${value.value} (${value.type})`, 'info');
+            } else {
+                this.ui.log(`  ${key} = ${value}`, 'info');
+            }
+        });
+        return nvsKeys;
     }
 
     handleFlashError(error, project) {
@@ -137,16 +1001,31 @@ export class FirmwareFlasher {
         let errorDetails = '';
 
         // Extract GitHub repo from firmware URL for links
-        const urlMatch = project.firmwareUrl.match(/github\.com\/([^\/]+\/[^\/]+)/);
+        const firmwareUrl = project.firmwareUrl || project.manifestUrl || project.images?.[0]?.url || '';
+        const urlMatch = firmwareUrl.match(/github\.com\/([^\/]+\/[^\/]+)/);
         const repoPath = urlMatch ? urlMatch[1] : 'repository';
         const releasesUrl = urlMatch ? `https://github.com/${repoPath}/releases` : '#';
 
-        if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+        if (error.name === 'AbortError') {
+            errorTitle = 'Flash cancelled';
+            errorDetails = this.hasPendingFlash(project)
+                ? 'Stopped before finishing. Resume to write only the blocks that are missing.'
+                : 'Stopped before anything was written.';
+        } else if (error.isVerifyError) {
+            errorTitle = 'Verification failed';
+            errorDetails = `${error.message}. The device may not boot - check the USB cable or hub and flash again.`;
+        } else if (error.isConfigValidationError) {
+            errorTitle = 'Configuration error';
+            errorDetails = error.errors.map(({ label, message }) => `${label} ${message}`).join('<br>');
+        } else if (error.isImageError) {
+            errorTitle = 'Wrong firmware file';
+            errorDetails = `${error.message}. Check that you selected the right .bin for this device.`;
+        } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
             errorTitle = 'Cannot download firmware';
             errorDetails = `No release found. <a href="${releasesUrl}" target="_blank" style="color: #2196f3; text-decoration: underline;">Check releases</a> or verify internet connection.`;
         } else if (error.message.includes('404') || error.message.includes('Not Found')) {
             errorTitle = 'Firmware not found';
-            errorDetails = `File not available at <a href="${project.firmwareUrl}" target="_blank" style="color: #2196f3; text-decoration: underline;">this URL</a>. <a href="${releasesUrl}" target="_blank" style="color: #2196f3; text-decoration: underline;">View releases</a>.`;
+            errorDetails = `File not available at <a href="${firmwareUrl}" target="_blank" style="color: #2196f3; text-decoration: underline;">this URL</a>. <a href="${releasesUrl}" target="_blank" style="color: #2196f3; text-decoration: underline;">View releases</a>.`;
         } else if (error.message.includes('CORS')) {
             errorTitle = 'Download blocked';
             errorDetails = 'Browser blocked download due to CORS policy. Firmware must be on GitHub releases.';
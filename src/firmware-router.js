@@ -0,0 +1,146 @@
+/**
+ * Firmware Router for ESP32 Web Flasher
+ * Single-call flashing for multi-chip firmware: detects the chip, picks the
+ * image set by directory convention, generates NVS (via FirmwareFlasher and
+ * NVSGenerator) and reports staged progress
+ *
+ * Directory convention:
+ *   <basePath>/<chip>/bootloader.bin
+ *   <basePath>/<chip>/partitions.bin
+ *   <basePath>/<chip>/app.bin
+ * where <chip> is the lowercase chip name without dashes (esp32, esp32c3, esp32s3, ...).
+ */
+
+import { DeviceConnection } from './device-connection.js';
+import { FirmwareFlasher } from './firmware-flasher.js';
+import { chipIdFromName, chipName } from './esp-image.js';
+
+// Progress ranges for each stage (percent at stage start)
+const STAGES = {
+    connecting: 0,
+    detecting: 20,
+    loading: 30,
+    flashing: 50,
+    complete: 100
+};
+
+export class FirmwareRouter {
+    /**
+     * @param {string} basePath - Base URL of the firmware directory (default: '/firmware')
+     * @param {Object} options - Router options
+     * @param {Function} options.onLog - Receives (message, type) for every log line
+     * @param {string} options.nvsName - NVS partition name to look up in the partition table (default: 'nvs')
+     * @param {string|Object|Function} options.esptool - esptool-js source (see DeviceConnection)
+     * @param {SerialProvider} options.serial - Port provider instead of navigator.serial (see DeviceConnection)
+     */
+    constructor(basePath = '/firmware', options = {}) {
+        this.basePath = basePath.replace(/\/+$/, '');
+        this.options = options;
+    }
+
+    /**
+     * Directory name for a chip, e.g. "ESP32-C3 (QFN32) (revision v0.4)" -> "esp32c3"
+     * @returns {string|null} - Directory, or null if the chip is unknown
+     */
+    chipDirectory(chip) {
+        const chipId = chipIdFromName(chip);
+        return chipId === undefined ? null : chipName(chipId).toLowerCase().replace(/-/g, '');
+    }
+
+    /**
+     * Connect, detect the chip and flash bootloader, partition table, app and NVS
+     * @param {Object} options - Flash options
+     * @param {Object} options.config - NVS data to write ({ namespace: { key: value } })
+     * @param {number} options.nvsSize - NVS partition size if the partition table can't be read (default: 0x6000)
+     * @param {Function} options.onProgress - Called with (percent, stage); stage is
+     *   'connecting', 'detecting', 'loading', 'flashing' or 'complete'
+     * @param {string} options.chipType - Override automatic chip detection (e.g. 'ESP32-C3')
+     * @param {SerialPort} options.port - Serial port (if not provided, prompts user)
+     * @param {number|string} options.baudrate - Flashing baud rate to start from, or 'auto' (default)
+     * @param {boolean} options.verify - Check each region's MD5 after writing and re-flash mismatches (default: true)
+     * @param {AbortSignal} options.signal - Cancels the flash
+     * @returns {Promise<{chip: string, macAddr: string|null}>}
+     */
+    async flash(options = {}) {
+        const {
+            config,
+            nvsSize = 0x6000,
+            onProgress = () => {},
+            chipType = null,
+            port = null,
+            baudrate = 'auto',
+            verify = true,
+            signal
+        } = options;
+
+        const ui = this.createUI(onProgress);
+        const connection = new DeviceConnection(ui, { esptool: this.options.esptool, serial: this.options.serial });
+        const flasher = new FirmwareFlasher(ui, null);
+
+        try {
+            // Stage 1: Connect to device
+            onProgress(STAGES.connecting, 'connecting');
+            const { chipType: detected, macAddr } = await connection.connect({}, { port, baudrate });
+            const espStub = connection.getESPStub();
+
+            // Stage 2: Detect chip type
+            onProgress(STAGES.detecting, 'detecting');
+            const chip = chipType || espStub.chip?.CHIP_NAME || detected;
+            const chipDir = this.chipDirectory(chip);
+            if (!chipDir) {
+                throw new Error(`Unsupported chip: ${chip}`);
+            }
+            ui.log(`Using firmware from ${this.basePath}/${chipDir}/`, 'info');
+
+            // Stage 3: Load firmware binaries (fetched by FirmwareFlasher)
+            onProgress(STAGES.loading, 'loading');
+            const project = {
+                name: chipDir,
+                chip: chipDir,
+                images: [
+                    { name: 'bootloader', url: `${this.basePath}/${chipDir}/bootloader.bin` },
+                    { name: 'partition-table', url: `${this.basePath}/${chipDir}/partitions.bin` },
+                    { name: 'app', url: `${this.basePath}/${chipDir}/app.bin` }
+                ],
+                nvsPartition: config ? {
+                    name: this.options.nvsName || 'nvs',
+                    offset: '0x9000',
+                    size: `0x${nvsSize.toString(16)}`
+                } : undefined
+            };
+
+            // Stages 4-5: Generate NVS and flash everything
+            // An explicit chipType means the caller knows better than detection
+            await flasher.flash(project, espStub, { nvsData: config, chipType: chip, skipChipCheck: Boolean(chipType), verify, signal });
+
+            onProgress(STAGES.complete, 'complete');
+            await espStub.hardReset();
+
+            return { chip, macAddr };
+
+        } finally {
+            await connection.disconnect();
+        }
+    }
+
+    /**
+     * Headless UI for DeviceConnection/FirmwareFlasher: maps write progress
+     * onto the 'flashing' stage and forwards log lines to options.onLog
+     */
+    createUI(onProgress) {
+        const onLog = this.options.onLog || (() => {});
+        const flashingRange = STAGES.complete - STAGES.flashing - 5;
+
+        return {
+            log: (message, type = 'info') => onLog(message, type),
+            updateStatus: () => {},
+            updateChipInfo: () => {},
+            updateFirmwareInfo: () => {},
+            showProgress: () => {},
+            hideProgress: () => {},
+            updateProgress: (percent) => {
+                onProgress(STAGES.flashing + Math.round((percent / 100) * flashingRange), 'flashing');
+            }
+        };
+    }
+}
@@ -0,0 +1,392 @@
+/**
+ * Flashing Commands for the esp-webflash CLI
+ * `flash` and `write-config` from Node.js, running the same project
+ * definitions, DeviceConnection, FirmwareFlasher and NVSGenerator as the
+ * browser flasher over a serialport transport (see node-serial.js)
+ *
+ * Usage:
+ *   esp-webflash flash --port /dev/ttyUSB0 --project active-wing --config config.json
+ *   esp-webflash write-config --port /dev/ttyUSB0 --set wifi.ssid=Lab --set tcp.port=9000
+ *
+ * Config values are given per section and field, as in the browser form:
+ * a JSON file { "wifi": { "ssid": "Lab" } } and/or --set section.field=value.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { File } from 'node:buffer';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { DeviceConnection } from './device-connection.js';
+import { FirmwareFlasher } from './firmware-flasher.js';
+import { NVSGenerator } from './nvs-generator.js';
+import { parseEraseRegions } from './partition-table.js';
+import { usageError } from './cli-errors.js';
+import { createNodeSerial } from './node-serial.js';
+
+// Where `create`/`init` put the project definitions, relative to the working directory
+const DEFAULT_PROJECTS_FILES = ['js/projects-config.js', 'projects-config.js'];
+
+const OPTIONS = {
+    port: { type: 'string', short: 'p' },
+    projects: { type: 'string' },
+    project: { type: 'string' },
+    config: { type: 'string', short: 'c' },
+    set: { type: 'string', multiple: true },
+    firmware: { type: 'string' },
+    image: { type: 'string', multiple: true },
+    manifest: { type: 'string' },
+    baud: { type: 'string', short: 'b' },
+    erase: { type: 'string', multiple: true },
+    'erase-all': { type: 'boolean' },
+    'preserve-nvs': { type: 'boolean' },
+    'nvs-keys': { type: 'string' },
+    'no-verify': { type: 'boolean' },
+    'no-reset': { type: 'boolean' },
+    'skip-chip-check': { type: 'boolean' },
+    esptool: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = {
+    flash: 'esp-webflash flash --port <path> [--project <id>] [--config <file>] [--set section.field=value ...]',
+    'write-config': 'esp-webflash write-config --port <path> [--project <id>] [--config <file>] [--set section.field=value ...]'
+};
+
+const HELP = `
+Options:
+  -p, --port <path>          Serial device (/dev/ttyUSB0, COM3, a pseudo-terminal); default: the only USB serial device
+      --projects <file>      projects-config.js or a JSON file of projects (default: ./js/projects-config.js)
+      --project <id>         Project to use (default: the only project)
+  -c, --config <file>        JSON config values: { "section": { "field": value } }
+      --set <s.f=value>      Set one config value (repeatable, overrides --config)
+      --preserve-nvs         Keep NVS values on the device that the config doesn't set
+      --nvs-keys <file>      nvs_keys partition for encrypted NVS
+      --no-verify            Skip the MD5 check of written regions
+      --no-reset             Don't reset via DTR/RTS (device already in download mode, or a pseudo-terminal)
+      --skip-chip-check      Flash even if the chip doesn't match the project or firmware
+  -b, --baud <rate|auto>     Flashing baud rate to start from (default: project baudrate or auto)
+      --esptool <module>     esptool-js module to load (default: the bundled copy)
+  -v, --verbose              Show every log line
+
+flash only:
+      --firmware <file>      Local merged/app image instead of the project's firmware
+      --image <name=file>    Local file for one of the project's images (repeatable)
+      --manifest <url>       ESP Web Tools manifest instead of the project's firmware
+      --erase-all            Erase the entire flash first
+      --erase <region>       Erase a partition name or 0xOFFSET:0xSIZE range first (repeatable)
+`;
+
+/**
+ * Parse a command's arguments
+ * @param {Array<string>} args - Arguments after the command name
+ * @returns {Object} - Option values keyed by long name
+ * @throws {Error} - With isUsageError set for unknown or malformed options
+ */
+function parseCommandArgs(args) {
+    try {
+        return parseArgs({ args, options: OPTIONS, strict: true, allowPositionals: false }).values;
+    } catch (error) {
+        throw usageError(error.message);
+    }
+}
+
+/**
+ * Load project definitions: a projects-config.js module (exporting PROJECTS)
+ * or a JSON object of project id -> project
+ * @param {string|undefined} file - Path, or undefined for the scaffold's default location
+ * @param {string} cwd - Directory relative paths resolve against
+ * @returns {Promise<Object>}
+ */
+async function loadProjects(file, cwd) {
+    const candidates = file ? [file] : DEFAULT_PROJECTS_FILES;
+
+    for (const candidate of candidates) {
+        const fullPath = path.resolve(cwd, candidate);
+        try {
+            await fs.access(fullPath);
+        } catch (error) {
+            if (file) throw usageError(`Projects file not found: ${fullPath}`);
+            continue;
+        }
+
+        if (fullPath.endsWith('.json')) {
+            return JSON.parse(await fs.readFile(fullPath, 'utf8'));
+        }
+        const module = await import(pathToFileURL(fullPath).href);
+        const projects = module.PROJECTS || module.default;
+        if (!projects) {
+            throw usageError(`${fullPath} does not export PROJECTS`);
+        }
+        return projects;
+    }
+
+    throw usageError(`No projects file found (looked for ${DEFAULT_PROJECTS_FILES.join(', ')}) - pass --projects`);
+}
+
+/**
+ * Pick a project by id, or the only one
+ */
+function selectProject(projects, id) {
+    const ids = Object.keys(projects);
+    if (id) {
+        if (!projects[id]) {
+            throw usageError(`Unknown project "${id}" (available: ${ids.join(', ')})`);
+        }
+        return projects[id];
+    }
+    if (ids.length !== 1) {
+        throw usageError(`Several projects defined - choose one with --project (${ids.join(', ')})`);
+    }
+    return projects[ids[0]];
+}
+
+/**
+ * Build the config ({ section: { field: value } }) from a JSON file and --set values
+ *
+ * A file field given as a path is read into { name, data } as the browser's
+ * file input stores it. Paths in the JSON file are relative to that file,
+ * paths from --set to the working directory.
+ * @throws {Error} - With isUsageError set for fields the project doesn't have
+ */
+async function loadConfig(project, options, cwd) {
+    const configPath = options.config ? path.resolve(cwd, options.config) : null;
+    const config = configPath ? JSON.parse(await fs.readFile(configPath, 'utf8')) : {};
+    const baseDirs = {};
+
+    for (const assignment of options.set || []) {
+        const match = assignment.match(/^([^.=]+)\.([^=]+)=(.*)$/s);
+        if (!match) {
+            throw usageError(`--set expects section.field=value, got "${assignment}"`);
+        }
+        const [, section, field, value] = match;
+        config[section] = { ...config[section], [field]: value };
+        baseDirs[`${section}.${field}`] = cwd;
+    }
+
+    // Catch typos instead of silently writing nothing
+    for (const [sectionId, values] of Object.entries(config)) {
+        const section = project.configSections?.find(candidate => candidate.id === sectionId);
+        for (const [fieldId, value] of Object.entries(values)) {
+            const field = section?.fields.find(candidate => candidate.id === fieldId);
+            if (!field) {
+                throw usageError(`${project.name} has no config field ${sectionId}.${fieldId}`);
+            }
+            if (field.type === 'file' && typeof value === 'string' && value !== '') {
+                const filePath = path.resolve(baseDirs[`${sectionId}.${fieldId}`] || path.dirname(configPath), value);
+                let data;
+                try {
+                    data = await fs.readFile(filePath);
+                } catch (error) {
+                    throw usageError(`Cannot read ${sectionId}.${fieldId} file ${value}: ${error.message}`);
+                }
+                values[fieldId] = { name: path.basename(filePath), data: data.toString('base64') };
+            }
+        }
+    }
+
+    return config;
+}
+
+/**
+ * The problems in a config that failed validation, one field per line
+ * @param {Error} error - With isConfigValidationError set (see FirmwareFlasher.checkConfig)
+ */
+function formatConfigErrors(error) {
+    return `error: invalid configuration\n${error.errors.map(({ section, field, message }) => `  ${section}.${field} ${message}\n`).join('')}`;
+}
+
+/**
+ * A File for a local image, as the browser's file input would provide
+ */
+async function readLocalFile(file, cwd) {
+    const fullPath = path.resolve(cwd, file);
+    return new File([await fs.readFile(fullPath)], path.basename(fullPath));
+}
+
+/**
+ * Console stand-in for FlasherUI: status changes and warnings on one stream,
+ * every log line with --verbose, progress in 10% steps
+ */
+function createConsoleUI(stream, options = {}) {
+    let lastStatus = null;
+    let lastProgress = -1;
+    const write = (line) => stream.write(`${line}\n`);
+
+    const ui = {
+        reportedError: false,
+        log: (message, type = 'info') => {
+            if (type === 'error') {
+                ui.reportedError = true;
+                write(`error: ${message}`);
+            } else if (type === 'warning') {
+                write(`warning: ${message}`);
+            } else if (options.verbose) {
+                write(`  ${message}`);
+            }
+        },
+        updateStatus: (state, text, subtext) => {
+            const line = subtext ? `${text} (${subtext})` : text;
+            if (line !== lastStatus) {
+                lastStatus = line;
+                write(line);
+            }
+        },
+        updateChipInfo: (chip, macAddr) => write(`Chip: ${chip}${macAddr ? `, MAC ${macAddr}` : ''}`),
+        updateFirmwareInfo: (info) => write(`Firmware: ${info}`),
+        showProgress: () => { lastProgress = -1; },
+        hideProgress: () => {},
+        updateProgress: (percent) => {
+            const step = Math.floor(percent / 10) * 10;
+            if (step > lastProgress) {
+                lastProgress = step;
+                write(`  ${step}%`);
+            }
+        }
+    };
+    return ui;
+}
+
+/**
+ * In-memory Storage for DeviceConnection (chip overrides don't outlive a CLI run)
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+/**
+ * Run `flash` or `write-config`
+ * @param {string} command - 'flash' or 'write-config'
+ * @param {Array<string>} args - Arguments after the command
+ * @param {Object} env - Environment (all optional, for tests and embedding)
+ * @param {string} env.cwd - Working directory (default: process.cwd())
+ * @param {Object} env.stdout - Stream for the result line (default: process.stdout)
+ * @param {Object} env.stderr - Stream for progress and errors (default: process.stderr)
+ * @param {SerialProvider} env.serial - Port provider instead of serialport (e.g. a simulated device)
+ * @param {string|Object|Function} env.esptool - esptool-js source (see DeviceConnection)
+ * @param {AbortSignal} env.signal - Cancels the flash (the CLI wires this to Ctrl+C)
+ * @returns {Promise<number>} - Exit code
+ */
+async function runFlashCommand(command, args, env = {}) {
+    const cwd = env.cwd || process.cwd();
+    const stdout = env.stdout || process.stdout;
+    const stderr = env.stderr || process.stderr;
+
+    let options;
+    try {
+        options = parseCommandArgs(args);
+    } catch (error) {
+        stderr.write(`error: ${error.message}\nUsage: ${USAGE[command]}\n`);
+        return 2;
+    }
+    if (options.help) {
+        stdout.write(`Usage: ${USAGE[command]}\n${HELP}`);
+        return 0;
+    }
+
+    const ui = createConsoleUI(stderr, { verbose: options.verbose });
+    const serial = env.serial || createNodeSerial({ path: options.port });
+    const connection = new DeviceConnection(ui, {
+        esptool: options.esptool || env.esptool,
+        serial,
+        storage: createMemoryStorage(),
+        confirmChipMismatch: async () => {
+            ui.log('Pass --skip-chip-check to flash anyway', 'warning');
+            return 'cancel';
+        }
+    });
+
+    try {
+        const project = selectProject(await loadProjects(options.projects, cwd), options.project);
+        const config = await loadConfig(project, options, cwd);
+        const flasher = new FirmwareFlasher(ui, { getConfig: () => config });
+
+        const flashOptions = {
+            verify: !options['no-verify'],
+            preserveNVS: options['preserve-nvs'],
+            skipChipCheck: options['skip-chip-check'],
+            signal: env.signal
+        };
+        if (options['nvs-keys']) {
+            const keyPartition = await fs.readFile(path.resolve(cwd, options['nvs-keys']));
+            flashOptions.nvsEncryptionKey = new NVSGenerator().parseKeyPartition(new Uint8Array(keyPartition));
+        }
+
+        if (command === 'flash') {
+            if (options.firmware) {
+                flashOptions.customFirmware = await readLocalFile(options.firmware, cwd);
+            }
+            if (options.image) {
+                flashOptions.customImages = {};
+                for (const item of options.image) {
+                    const [name, file] = item.split(/=(.*)/s);
+                    if (!file || !project.images?.some(image => image.name === name)) {
+                        throw usageError(`--image expects name=file with one of the project's images (${(project.images || []).map(image => image.name).join(', ') || 'none'})`);
+                    }
+                    flashOptions.customImages[name] = await readLocalFile(file, cwd);
+                }
+            }
+            flashOptions.manifestUrl = options.manifest;
+            flashOptions.erase = options['erase-all'] ? 'all' : undefined;
+            try {
+                flashOptions.eraseRegions = (options.erase || []).flatMap(parseEraseRegions);
+            } catch (error) {
+                throw usageError(error.message);
+            }
+        } else if (!project.nvsPartition) {
+            throw usageError(`${project.name} does not have NVS configuration`);
+        }
+
+        // The browser form's validation rules, before touching the device
+        flasher.checkConfig(project, flashOptions);
+
+        const port = await serial.requestPort();
+        const { chipType, macAddr } = await connection.connect(project, {
+            port,
+            baudrate: options.baud,
+            skipChipCheck: options['skip-chip-check'],
+            resetMode: options['no-reset'] ? 'no_reset' : 'default_reset'
+        });
+        const espStub = connection.getESPStub();
+
+        if (command === 'flash') {
+            await flasher.flash(project, espStub, flashOptions);
+            stdout.write(`Flashed ${project.name} to ${chipType}${macAddr ? ` (${macAddr})` : ''}\n`);
+        } else {
+            const { nvsPartition, keys } = await flasher.writeConfig(project, espStub, flashOptions);
+            ui.updateStatus('success', 'Configuration written!', 'Config updated on device');
+            stdout.write(`Wrote ${keys.length} configuration value${keys.length === 1 ? '' : 's'} to NVS at 0x${nvsPartition.offset.toString(16)} on ${chipType}${macAddr ? ` (${macAddr})` : ''}\n`);
+        }
+
+        // Start the new firmware, as the browser flasher's device does on replug
+        if (!options['no-reset']) {
+            await espStub.hardReset();
+        }
+        return 0;
+
+    } catch (error) {
+        if (error.isUsageError) {
+            stderr.write(`error: ${error.message}\n`);
+            return 2;
+        }
+        if (error.isConfigValidationError) {
+            stderr.write(formatConfigErrors(error));
+            return 2;
+        }
+        if (!ui.reportedError) {
+            ui.log(error.name === 'AbortError' ? 'Cancelled' : error.message, 'error');
+        }
+        return 1;
+    } finally {
+        await connection.disconnect();
+    }
+}
+
+export { runFlashCommand, createConsoleUI, loadProjects, selectProject, loadConfig, formatConfigErrors };
@@ -3,6 +3,8 @@
  * Handles status updates, progress, logging, and visual feedback
  */
 
+import { projectChip } from './project-catalog.js';
+
 export class FlasherUI {
     constructor() {
         this.statusBox = document.getElementById('status-box');
@@ -152,6 +154,56 @@ export class FlasherUI {
         this.chipInfo.classList.add('active');
     }
 
+    updateFirmwareInfo(firmware) {
+        const firmwareInfo = document.getElementById('chip-firmware');
+        if (firmwareInfo) {
+            firmwareInfo.textContent = firmware;
+            firmwareInfo.parentElement.style.display = '';
+        }
+    }
+
+    /**
+     * Render the chip filter buttons above the project list
+     * @param {Array<string>} chips - Chip names (from listChips)
+     * @param {string} activeChip - Selected chip, or '' for all
+     */
+    renderChipFilter(chips, activeChip) {
+        const filter = document.getElementById('project-chip-filter');
+        const options = [['', 'All chips'], ...chips.map(chip => [chip, chip])];
+        filter.innerHTML = options.map(([chip, label]) => `
+            <button type="button" class="chip-filter${chip === activeChip ? ' active' : ''}" data-chip="${chip}" aria-pressed="${chip === activeChip}">${label}</button>
+        `).join('');
+    }
+
+    /**
+     * Render the project catalog
+     * @param {Object} projects - Projects from projects-config.js
+     * @param {Array<string>} ids - Ids to show (from filterProjects)
+     * @param {string|null} selectedId - Currently selected project
+     * @param {Array<string>} suggestedIds - Projects matching the connected device
+     */
+    renderProjectList(projects, ids, selectedId, suggestedIds = []) {
+        const list = document.getElementById('project-list');
+        if (ids.length === 0) {
+            list.innerHTML = '<div class="project-list-empty">No projects match</div>';
+            return;
+        }
+
+        list.innerHTML = ids.map(id => {
+            const project = projects[id];
+            const chip = projectChip(project);
+            const suggested = suggestedIds.includes(id);
+            return `
+                <button type="button" class="project-card${id === selectedId ? ' active' : ''}${suggested ? ' suggested' : ''}" data-project="${id}" aria-pressed="${id === selectedId}">
+                    <span class="project-card-name">${project.name}</span>
+                    ${chip ? `<span class="project-card-chip">${chip}</span>` : ''}
+                    ${suggested ? '<span class="project-card-match">Matches device</span>' : ''}
+                    <span class="project-card-description">${project.description || ''}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
     showProjectDetails(project) {
         const hardware = project.hardware.map(h => `<li>${h}</li>`).join('');
         const software = project.software.map(s => `<li>${s}</li>`).join('');
@@ -7,25 +7,54 @@ import { FlasherUI } from './flasher-ui.js';
 import { ConfigManager } from './config-manager.js';
 import { DeviceConnection } from './device-connection.js';
 import { FirmwareFlasher } from './firmware-flasher.js';
+import { NVSGenerator } from './nvs-generator.js';
+import { validateConfig } from './config-validation.js';
+import { chipIdFromName } from './esp-image.js';
+import { parseEraseRegions } from './partition-table.js';
+import { listChips, filterProjects, projectIdFromURL, projectURL, projectsWithNVSIdentity, matchProjects, pickProject } from './project-catalog.js';
+
+// How identifyDevice() explains a match
+const MATCH_REASON_LABELS = {
+    nvs: 'its stored product id',
+    usb: 'its USB ID',
+    chip: 'its chip'
+};
 
 export class FlasherApp {
-    constructor(projects) {
+    /**
+     * @param {Object} projects - Projects from projects-config.js
+     * @param {Object} options - App options
+     * @param {string|Object|Function} options.esptool - esptool-js source (see DeviceConnection)
+     * @param {SerialProvider} options.serial - Port provider instead of navigator.serial (e.g. a simulated device)
+     */
+    constructor(projects, options = {}) {
         this.projects = projects;
 
         // Initialize components
         this.ui = new FlasherUI();
-        this.configManager = new ConfigManager();
-        this.deviceConnection = new DeviceConnection(this.ui);
+        this.configManager = new ConfigManager({
+            onChange: () => {
+                this.discardPendingFlash();
+                this.checkConfig();
+            }
+        });
+        this.deviceConnection = new DeviceConnection(this.ui, { esptool: options.esptool, serial: options.serial });
         this.firmwareFlasher = new FirmwareFlasher(this.ui, this.configManager);
 
         // DOM elements
         this.btnConnect = document.getElementById('btn-connect');
         this.btnFlash = document.getElementById('btn-flash');
+        this.btnCancel = document.getElementById('btn-cancel');
         this.btnWriteConfig = document.getElementById('btn-write-config');
         this.btnClearMonitor = document.getElementById('btn-clear-monitor');
 
-        // State - auto-select the only project (active-wing)
-        this.selectedProject = this.projects['active-wing'];
+        // State - the project comes from ?project=, the catalog, or is the only one
+        this.selectedProjectId = null;
+        this.selectedProject = null;
+        this.connectedChip = null;
+        this.suggestedIds = [];
+        this.catalogFilter = { query: '', chip: '' };
+        this.configErrors = [];
 
         // Initialize
         this.init();
@@ -33,76 +62,263 @@ export class FlasherApp {
 
     init() {
         // Check browser support
-        if (!('serial' in navigator)) {
+        if (!this.deviceConnection.serial) {
             document.getElementById('browser-check').style.display = 'block';
             this.ui.updateStatus('error', 'Browser not supported', 'Please use Chrome, Edge, or Opera');
             this.ui.log('Web Serial API not available', 'error');
             return;
         }
 
-        // Check if project loaded
-        if (!this.selectedProject) {
-            this.ui.log('ERROR: active-wing project not found. Available projects: ' + Object.keys(this.projects).join(', '), 'error');
-            this.ui.updateStatus('error', 'Project not found', 'Configuration error - check console');
+        // Check if projects loaded
+        const projectIds = Object.keys(this.projects);
+        if (projectIds.length === 0) {
+            this.ui.log('ERROR: No projects configured - check js/projects-config.js', 'error');
+            this.ui.updateStatus('error', 'No projects found', 'Configuration error - check console');
             return;
         }
 
         // Attach event listeners
         this.attachEventListeners();
 
-        // Auto-load the active-wing project UI
-        this.loadProjectUI();
-
         // Initialize UI elements
         this.initializeUIElements();
 
+        // Select the project named in the URL, or the only one
+        const { id, requested } = projectIdFromURL(window.location.href, this.projects);
+        if (requested !== null && !id) {
+            this.ui.log(`Project "${requested}" not found. Available projects: ${projectIds.join(', ')}`, 'warning');
+        }
+        const initialId = id || (projectIds.length === 1 ? projectIds[0] : null);
+
+        this.renderCatalog();
         this.ui.log('Flasher ready', 'success');
 
+        if (initialId) {
+            this.selectProject(initialId, { updateURL: false });
+        } else {
+            // Connecting without a project identifies the board (see identifyDevice)
+            this.btnConnect.disabled = false;
+            this.ui.updateStatus('waiting', 'Select a Project', 'Choose your board, or connect it to detect which one it is');
+        }
+
         // Attempt auto-reconnect to previously connected device
         this.attemptAutoReconnect();
     }
 
+    /**
+     * Show the project catalog (when there is more than one project) with the
+     * current search and chip filter
+     */
+    renderCatalog() {
+        const catalog = document.getElementById('project-catalog');
+        if (!catalog || Object.keys(this.projects).length < 2) {
+            return;
+        }
+
+        catalog.style.display = '';
+        this.ui.renderChipFilter(listChips(this.projects), this.catalogFilter.chip);
+        this.renderProjectList();
+    }
+
+    renderProjectList() {
+        const ids = filterProjects(this.projects, this.catalogFilter);
+        this.ui.renderProjectList(this.projects, ids, this.selectedProjectId, this.suggestedIds);
+    }
+
+    /**
+     * Switch to a project: re-renders the instructions and config form, and
+     * records the choice in the URL so the page can be bookmarked or shared
+     * @param {string} id - Key in projects-config.js
+     * @param {Object} options - Selection options
+     * @param {boolean} options.updateURL - Set ?project= in the address bar (default: true)
+     */
+    selectProject(id, options = {}) {
+        if (!this.projects[id] || id === this.selectedProjectId) {
+            return;
+        }
+        if (this.abortController) {
+            this.ui.log('Wait for the current operation to finish before switching projects', 'warning');
+            return;
+        }
+
+        this.selectedProjectId = id;
+        this.selectedProject = this.projects[id];
+
+        if (options.updateURL !== false) {
+            window.history.replaceState(null, '', projectURL(window.location.href, id));
+        }
+
+        this.renderProjectList();
+        this.loadProjectUI();
+
+        if (this.deviceConnection.getIsConnected()) {
+            this.showConnectedControls();
+            const expectedChip = this.selectedProject.chip;
+            if (expectedChip && this.connectedChip && chipIdFromName(expectedChip) !== chipIdFromName(this.connectedChip)) {
+                this.ui.log(`${this.selectedProject.name} is built for ${expectedChip.toUpperCase()}, but the connected device is ${this.connectedChip}`, 'warning');
+                this.ui.updateStatus('waiting', 'Chip mismatch', `${this.selectedProject.name} needs ${expectedChip.toUpperCase()} - connected device is ${this.connectedChip}`);
+            } else {
+                this.ui.updateStatus('success', 'Device connected', `Ready to flash ${this.selectedProject.name}`);
+            }
+        }
+    }
+
+    /**
+     * Work out which project the connected device is, from its chip, USB
+     * VID/PID and (for projects with identify.nvs) the product id in its NVS
+     * - Nothing selected, or the selected project can't be this device: select the match
+     * - A different project matches better than the selected one: suggest it
+     * - No single match: mark the candidates in the catalog
+     * @param {string} chipType - Chip from DeviceConnection.connect()
+     */
+    async identifyDevice(chipType) {
+        if (Object.keys(this.projects).length < 2) return;
+
+        const device = {
+            chip: chipType,
+            usb: this.deviceConnection.getPortInfo(),
+            nvs: await this.readIdentityNVS()
+        };
+        const matches = matchProjects(this.projects, device);
+        const pick = pickProject(matches);
+        const selectedFits = matches.some(match => match.id === this.selectedProjectId);
+
+        this.suggestedIds = matches.filter(match => match.reasons.length > 0).map(match => match.id);
+
+        if (pick && pick.id === this.selectedProjectId) {
+            this.ui.log(`Device identified as ${this.selectedProject.name} by ${MATCH_REASON_LABELS[pick.reason]}`, 'success');
+        } else if (pick && (!this.selectedProject || !selectedFits)) {
+            const previous = this.selectedProject;
+            this.ui.log(previous
+                ? `${previous.name} can't be flashed to this device - switching to ${this.projects[pick.id].name} (identified by ${MATCH_REASON_LABELS[pick.reason]})`
+                : `Device identified as ${this.projects[pick.id].name} by ${MATCH_REASON_LABELS[pick.reason]}`, previous ? 'warning' : 'success');
+            this.selectProject(pick.id);
+        } else if (pick) {
+            const name = this.projects[pick.id].name;
+            this.ui.log(`This device looks like ${name} (by ${MATCH_REASON_LABELS[pick.reason]}), not ${this.selectedProject.name} - select it in the project list if so`, 'warning');
+            this.ui.updateStatus('waiting', `Is this a ${name}?`, `The device matches ${name} by ${MATCH_REASON_LABELS[pick.reason]} - check the selected project before flashing`);
+        } else if (this.selectedProject && !selectedFits) {
+            this.ui.log(`${this.selectedProject.name} can't be flashed to this ${chipType} - select another project`, 'warning');
+            this.ui.updateStatus('waiting', 'Wrong project?', `${this.selectedProject.name} doesn't match this device`);
+        } else if (!this.selectedProject) {
+            const count = this.suggestedIds.length;
+            this.ui.log(count > 0
+                ? `${count} projects match this ${chipType} - select yours in the project list`
+                : `No project matches this ${chipType}`, count > 0 ? 'info' : 'warning');
+            this.ui.updateStatus('waiting', 'Select your board', count > 0
+                ? `${count} projects match this device - they are marked in the list`
+                : `None of the projects is built for ${chipType}`);
+        }
+
+        this.renderProjectList();
+    }
+
+    /**
+     * Project DeviceConnection checks the chip against: on multi-project sites
+     * none, as identifyDevice() matches the device to a project afterwards
+     */
+    connectionProject() {
+        return Object.keys(this.projects).length > 1 ? null : this.selectedProject;
+    }
+
+    /**
+     * Read the device's NVS for product ids, if any project declares one
+     * @returns {Promise<Object|null>} - Parsed NVS ({ namespace: { key: value } }), or null
+     */
+    async readIdentityNVS() {
+        const [id] = projectsWithNVSIdentity(this.projects);
+        if (!id) return null;
+
+        try {
+            const espStub = this.deviceConnection.getESPStub();
+            const location = await this.firmwareFlasher.resolveNVSPartition(this.projects[id], { espStub });
+            const binary = await espStub.readFlash(location.offset, location.size);
+            return new NVSGenerator().parse(binary);
+        } catch (error) {
+            // Blank or encrypted NVS, or no partition table yet - identify by chip and USB only
+            this.ui.log(`Could not read product id from NVS: ${error.message}`, 'info');
+            return null;
+        }
+    }
+
+    /**
+     * Enable Flash and Write Config once a device is connected
+     */
+    showConnectedControls() {
+        this.btnFlash.style.display = 'block';
+        this.btnFlash.textContent = 'Flash Firmware';
+        this.btnWriteConfig.style.display = '';
+        this.btnWriteConfig.textContent = 'Write Config';
+        this.btnConnect.style.display = 'none';
+        this.checkConfig();
+    }
+
+    /**
+     * Check the config against the selected project's validation rules, show
+     * the problems under their fields and block Flash / Write Config until
+     * they're fixed (see validateConfig)
+     * @param {Object} options - Check options
+     * @param {boolean} options.all - Show errors on fields not edited yet; always
+     *   done once a device is connected
+     * @returns {Array} - Errors from validateConfig()
+     */
+    checkConfig(options = {}) {
+        const project = this.selectedProject;
+        this.configErrors = project?.configSections && project.nvsPartition
+            ? validateConfig(project, this.configManager.getConfig(), { partial: document.getElementById('dev-preserve-nvs')?.checked })
+            : [];
+        this.configManager.showErrors(this.configErrors, { all: options.all || this.deviceConnection.getIsConnected() });
+        this.updateActionButtons();
+        return this.configErrors;
+    }
+
+    /**
+     * Enable Flash and Write Config while connected, with a project selected
+     * and a valid config
+     */
+    updateActionButtons() {
+        // Not yet connected, or a flash / write is running
+        if (!this.deviceConnection.getIsConnected() || this.abortController) return;
+
+        const count = this.configErrors.length;
+        const invalid = count > 0 ? `Fix ${count} configuration field${count === 1 ? '' : 's'} first` : '';
+        this.btnFlash.disabled = !this.selectedProject || count > 0;
+        this.btnFlash.title = invalid;
+        this.btnWriteConfig.disabled = !this.selectedProject || count > 0;
+        this.btnWriteConfig.title = invalid || 'Write configuration to device NVS partition';
+    }
+
+    /**
+     * Stop a flash or config write from starting with an invalid config
+     * @returns {boolean} - True if the config is valid
+     */
+    confirmConfigValid() {
+        const count = this.checkConfig({ all: true }).length;
+        if (count === 0) return true;
+
+        this.ui.log(`Configuration has ${count} problem${count === 1 ? '' : 's'}: ${this.configErrors.map(({ label, message }) => `${label} ${message}`).join('; ')}`, 'error');
+        this.ui.updateStatus('error', 'Check configuration', `Fix the highlighted field${count === 1 ? '' : 's'} before writing to the device`);
+        return false;
+    }
+
     async attemptAutoReconnect() {
         try {
-            // Get list of previously approved devices
-            const ports = await navigator.serial.getPorts();
-
-            if (ports.length > 0) {
-                // Get the last used device from localStorage
-                const lastDeviceIndex = localStorage.getItem('lastSerialDeviceIndex');
-                const deviceIndex = lastDeviceIndex ? parseInt(lastDeviceIndex) : 0;
-                const port = ports[deviceIndex] || ports[0];
-
-                this.ui.log('Attempting to reconnect to previous device...', 'info');
-
-                try {
-                    // Connect using the device connection handler, passing the port
-                    const { chipType, macAddr } = await this.deviceConnection.connect(this.selectedProject, {
-                        port: port,
-                        skipChipCheck: false
-                    });
-
-                    if (chipType) {
-                        this.ui.log(`Auto-reconnected to ${chipType}`, 'success');
-
-                        // Enable flash and write config buttons
-                        this.btnFlash.disabled = false;
-                        this.btnFlash.style.display = 'block';
-                        this.btnWriteConfig.disabled = false;
-                        this.btnWriteConfig.title = 'Write configuration to device NVS partition';
-                        this.btnConnect.style.display = 'none';
-                    }
-                } catch (connectError) {
-                    // Auto-reconnect failed - fail silently
-                    console.log('Auto-reconnect failed:', connectError.message);
-                    // Reset UI state
-                    this.btnConnect.disabled = false;
-                    this.btnConnect.textContent = 'Connect Device';
-                }
+            const connection = await this.deviceConnection.reconnect(this.connectionProject(), { skipChipCheck: false, baudrate: this.getBaudrate() });
+
+            if (connection?.chipType) {
+                this.ui.log(`Auto-reconnected to ${connection.chipType}`, 'success');
+                this.connectedChip = connection.chipType;
+
+                // Enable flash and write config buttons
+                this.showConnectedControls();
+                await this.identifyDevice(connection.chipType);
             }
         } catch (error) {
-            // Auto-reconnect not available - fail silently
-            console.log('Auto-reconnect not available:', error.message);
+            // Auto-reconnect failed or not available - fail silently
+            console.log('Auto-reconnect failed:', error.message);
+            // Reset UI state
+            this.btnConnect.disabled = false;
+            this.btnConnect.textContent = 'Connect Device';
         }
     }
 
@@ -121,6 +337,7 @@ export class FlasherApp {
 
         this.ui.log('Rendering config fields...', 'info');
         this.configManager.renderConfigFields(this.selectedProject);
+        this.checkConfig();
 
         console.log('Config container after render:', configContainer.innerHTML.substring(0, 200));
 
@@ -139,13 +356,38 @@ export class FlasherApp {
 
         // Flash
         this.btnFlash.addEventListener('click', () => this.handleFlash());
+        this.btnCancel?.addEventListener('click', () => this.handleCancel());
 
         // Write config
         this.btnWriteConfig.addEventListener('click', () => this.handleWriteConfig());
 
+        // Preserving the device's NVS makes fields left empty optional
+        document.getElementById('dev-preserve-nvs')?.addEventListener('change', () => this.checkConfig());
+
+        // An interrupted flash is only resumed with the options it was prepared with
+        ['dev-skip-chip-check', 'dev-verify-flash', 'dev-erase-mode', 'dev-erase-regions', 'dev-preserve-nvs', 'dev-nvs-keys-file', 'dev-manifest-url'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.discardPendingFlash());
+        });
+
         // Clear console
         this.btnClearMonitor.addEventListener('click', () => this.ui.clearLog());
 
+        // Project catalog: search, chip filter and selection
+        document.getElementById('project-search')?.addEventListener('input', (e) => {
+            this.catalogFilter.query = e.target.value;
+            this.renderProjectList();
+        });
+        document.getElementById('project-chip-filter')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-chip]');
+            if (!button) return;
+            this.catalogFilter.chip = button.dataset.chip;
+            this.renderCatalog();
+        });
+        document.getElementById('project-list')?.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-project]');
+            if (card) this.selectProject(card.dataset.project);
+        });
+
         // Developer options toggle (slide panel)
         const devModeToggle = document.getElementById('dev-mode-toggle');
         if (devModeToggle) {
@@ -260,24 +502,22 @@ export class FlasherApp {
     }
 
     async handleConnect() {
-        if (!this.selectedProject) return;
-
         try {
             // Get developer options
             const skipChipCheck = document.getElementById('dev-skip-chip-check')?.checked || false;
 
             const options = {
-                skipChipCheck: skipChipCheck
+                skipChipCheck: skipChipCheck,
+                // 'auto' starts from the project's baudrate (or 921600) and steps down
+                baudrate: this.getBaudrate()
             };
 
-            const { chipType, macAddr } = await this.deviceConnection.connect(this.selectedProject, options);
+            const { chipType, macAddr } = await this.deviceConnection.connect(this.connectionProject(), options);
+            this.connectedChip = chipType;
 
             // Connection successful
-            this.btnConnect.style.display = 'none';
-            this.btnFlash.style.display = 'block';
-            this.btnFlash.disabled = false;
-            this.btnWriteConfig.disabled = false;
-            this.btnWriteConfig.title = 'Write configuration to device NVS partition';
+            this.showConnectedControls();
+            await this.identifyDevice(chipType);
 
         } catch (error) {
             // Error already handled by DeviceConnection
@@ -285,8 +525,17 @@ export class FlasherApp {
         }
     }
 
+    /**
+     * Baud rate from Developer Options: a number, or 'auto' to let the
+     * project's baudrate (if any) and negotiation decide
+     */
+    getBaudrate() {
+        const value = document.getElementById('dev-baudrate')?.value || 'auto';
+        return value === 'auto' ? (this.selectedProject?.baudrate ?? 'auto') : Number(value);
+    }
+
     async handleFlash() {
-        if (!this.selectedProject) return;
+        if (!this.selectedProject || !this.confirmConfigValid()) return;
 
         try {
             this.btnFlash.disabled = true;
@@ -298,12 +547,33 @@ export class FlasherApp {
 
             // Get developer options
             const firmwareSource = document.querySelector('input[name="firmware-source"]:checked')?.value || 'release';
-            const options = {};
+            const options = {
+                skipChipCheck: document.getElementById('dev-skip-chip-check')?.checked || false,
+                verify: document.getElementById('dev-verify-flash')?.checked || false,
+                erase: document.getElementById('dev-erase-mode')?.value || 'none',
+                preserveNVS: document.getElementById('dev-preserve-nvs')?.checked || false
+            };
+
+            try {
+                options.eraseRegions = parseEraseRegions(document.getElementById('dev-erase-regions')?.value || '');
+            } catch (regionError) {
+                this.ui.log(regionError.message, 'error');
+                this.ui.updateStatus('error', 'Invalid erase region', regionError.message);
+                this.btnFlash.disabled = false;
+                return;
+            }
 
             if (firmwareSource === 'custom') {
                 const fileInput = document.getElementById('dev-custom-file');
                 if (fileInput.files.length > 0) {
-                    options.customFirmware = fileInput.files[0];
+                    // Files named after the project's images replace those images; otherwise
+                    // a single file is treated as the whole firmware
+                    const customImages = this.matchCustomImages(Array.from(fileInput.files), this.selectedProject);
+                    if (Object.keys(customImages).length > 0) {
+                        options.customImages = customImages;
+                    } else {
+                        options.customFirmware = fileInput.files[0];
+                    }
                 } else {
                     this.ui.log('No custom firmware file selected', 'error');
                     this.ui.updateStatus('error', 'No file selected', 'Please select a .bin file in Developer Options');
@@ -312,6 +582,30 @@ export class FlasherApp {
                 }
             }
 
+            if (firmwareSource === 'manifest') {
+                const manifestUrl = document.getElementById('dev-manifest-url')?.value.trim();
+                if (!manifestUrl) {
+                    this.ui.log('No manifest URL entered', 'error');
+                    this.ui.updateStatus('error', 'No manifest URL', 'Enter an ESP Web Tools manifest.json URL in Developer Options');
+                    this.btnFlash.disabled = false;
+                    return;
+                }
+                options.manifestUrl = manifestUrl;
+            }
+
+            try {
+                options.nvsEncryptionKey = await this.getNVSEncryptionKey();
+            } catch (keyError) {
+                this.ui.log(keyError.message, 'error');
+                this.ui.updateStatus('error', 'Invalid NVS keys file', keyError.message);
+                this.btnFlash.disabled = false;
+                return;
+            }
+
+            // After an interrupted flash, only the blocks that didn't make it are written
+            options.resume = this.firmwareFlasher.hasPendingFlash(this.selectedProject, options);
+            options.signal = this.startCancellable();
+
             await this.firmwareFlasher.flash(this.selectedProject, espStub, options);
 
             // Flash successful
@@ -321,8 +615,45 @@ export class FlasherApp {
         } catch (error) {
             // Error already handled by FirmwareFlasher
             this.btnFlash.disabled = false;
-            this.btnFlash.textContent = 'Retry Flash';
+            if (this.firmwareFlasher.hasPendingFlash(this.selectedProject)) {
+                // Offer a reconnect too, in case the device dropped off the bus
+                this.btnFlash.textContent = 'Resume Flash';
+                this.btnConnect.textContent = 'Reconnect Device';
+                this.btnConnect.style.display = 'block';
+            } else {
+                this.btnFlash.textContent = 'Retry Flash';
+            }
+        } finally {
+            this.endCancellable();
+        }
+    }
+
+    /**
+     * Show the Cancel button for a flash or config write
+     * @returns {AbortSignal} - Aborted when Cancel is clicked
+     */
+    startCancellable() {
+        this.abortController = new AbortController();
+        if (this.btnCancel) {
+            this.btnCancel.disabled = false;
+            this.btnCancel.style.display = 'block';
         }
+        return this.abortController.signal;
+    }
+
+    endCancellable() {
+        this.abortController = null;
+        if (this.btnCancel) {
+            this.btnCancel.style.display = 'none';
+        }
+    }
+
+    handleCancel() {
+        if (!this.abortController) return;
+        this.ui.log('Cancelling - stopping after the current block...', 'warning');
+        this.ui.updateStatus('flashing', 'Cancelling...', 'Finishing the current block');
+        this.btnCancel.disabled = true;
+        this.abortController.abort();
     }
 
     async handleWriteConfig() {
@@ -341,88 +672,60 @@ export class FlasherApp {
             return;
         }
 
+        if (!this.confirmConfigValid()) return;
+
         try {
             // Disable the Write Config button during write
             this.btnWriteConfig.disabled = true;
             this.btnWriteConfig.textContent = 'Writing...';
 
-            this.ui.updateStatus('flashing', 'Writing configuration', 'Generating NVS partition...');
-            this.ui.log('Writing configuration to device...', 'info');
-
             const espStub = this.deviceConnection.getESPStub();
             if (!espStub) {
                 throw new Error('Device not connected');
             }
 
-            // Generate NVS partition from current config
-            const config = this.configManager.getConfig();
-            const namespace = this.selectedProject.nvsPartition.namespace || 'config';
-            const nvsData = {};
-            nvsData[namespace] = {};
-
-            this.selectedProject.configSections.forEach(section => {
-                section.fields.forEach(field => {
-                    if (field.nvsKey) {
-                        const value = config[section.id]?.[field.id];
-                        if (value !== undefined && value !== '') {
-                            nvsData[namespace][field.nvsKey] = value;
-                        }
-                    }
-                });
-            });
-
-            // Log what we're about to write
-            const nvsKeys = Object.keys(nvsData[namespace]);
-            this.ui.log(`NVS data to write: ${nvsKeys.join(', ')}`, 'info');
-            nvsKeys.forEach(key => {
-                const value = nvsData[namespace][key];
-                this.ui.log(`  ${key} = ${value}`, 'info');
-            });
-
-            // Generate NVS partition binary
-            const generator = new NVSGenerator();
-            const partitionSize = parseInt(this.selectedProject.nvsPartition.size, 16);
-            const nvsBytes = generator.generate(nvsData, partitionSize);
-
-            // Convert NVS bytes to binary string
-            let nvsBinary = '';
-            for (let i = 0; i < nvsBytes.length; i++) {
-                nvsBinary += String.fromCharCode(nvsBytes[i]);
-            }
-
-            this.ui.log(`Generated NVS partition: ${nvsBytes.length} bytes`, 'info');
-
-            // Write just the NVS partition to flash
-            const nvsOffset = parseInt(this.selectedProject.nvsPartition.offset, 16);
-            const fileArray = [{ data: nvsBinary, address: nvsOffset }];
-
-            this.ui.updateStatus('flashing', 'Writing to flash...', 'Do not disconnect');
-            this.ui.showProgress();
-
-            await espStub.writeFlash({
-                fileArray: fileArray,
-                flashSize: 'keep',
-                compress: true,
-                reportProgress: (idx, written, total) => {
-                    const percent = Math.round((written / total) * 100);
-                    this.ui.updateProgress(percent, written, total);
-                }
+            const { keys } = await this.firmwareFlasher.writeConfig(this.selectedProject, espStub, {
+                nvsEncryptionKey: await this.getNVSEncryptionKey(),
+                preserveNVS: document.getElementById('dev-preserve-nvs')?.checked,
+                verify: document.getElementById('dev-verify-flash')?.checked,
+                signal: this.startCancellable()
             });
 
             this.ui.updateStatus('success', 'Configuration written!', 'Config updated on device');
-            this.ui.log(`Wrote ${nvsKeys.length} configuration values to device`, 'success');
+            this.ui.log(`Wrote ${keys.length} configuration values to device`, 'success');
 
             // Hide button after successful write
             this.btnWriteConfig.style.display = 'none';
 
         } catch (error) {
-            this.ui.log(`Failed to write configuration: ${error.message}`, 'error');
-            this.ui.updateStatus('error', 'Write failed', error.message);
+            if (error.name === 'AbortError') {
+                this.ui.log('Configuration write cancelled', 'warning');
+                this.ui.updateStatus('error', 'Write cancelled', 'The NVS partition may be incomplete - write the config again before restarting the device');
+            } else {
+                this.ui.log(`Failed to write configuration: ${error.message}`, 'error');
+                this.ui.updateStatus('error', 'Write failed', error.message);
+            }
             this.btnWriteConfig.disabled = false;
             this.btnWriteConfig.textContent = 'Write Config';
+        } finally {
+            this.endCancellable();
         }
     }
 
+    /**
+     * Read the XTS key from the nvs_keys file selected in Developer Options
+     * @returns {Promise<Uint8Array|null>} - Key, or null if no file is selected
+     */
+    async getNVSEncryptionKey() {
+        const fileInput = document.getElementById('dev-nvs-keys-file');
+        if (!fileInput || fileInput.files.length === 0) {
+            return null;
+        }
+
+        const keyPartition = new Uint8Array(await fileInput.files[0].arrayBuffer());
+        return new NVSGenerator().parseKeyPartition(keyPartition);
+    }
+
     exportLog() {
         const monitor = document.getElementById('serial-monitor');
         const lines = monitor.querySelectorAll('.serial-line');
@@ -460,25 +763,58 @@ export class FlasherApp {
         document.querySelector(`.dev-tab-content[data-tab="${tabName}"]`).classList.add('active');
     }
 
-    handleFirmwareSourceChange(e) {
-        if (e.target.value === 'release') {
-            document.getElementById('release-options').style.display = 'block';
-            document.getElementById('custom-options').style.display = 'none';
-        } else {
-            document.getElementById('release-options').style.display = 'none';
-            document.getElementById('custom-options').style.display = 'block';
+    /**
+     * Drop an interrupted flash once the config, options or firmware it was
+     * prepared from change, so the next flash starts over instead of resuming
+     */
+    discardPendingFlash() {
+        if (!this.firmwareFlasher.hasPendingFlash(this.selectedProject)) return;
+
+        this.firmwareFlasher.discardPendingFlash();
+        if (this.btnFlash.textContent === 'Resume Flash') {
+            this.btnFlash.textContent = 'Retry Flash';
         }
+        this.ui.log('Settings changed - the next flash starts from the beginning', 'info');
+    }
+
+    handleFirmwareSourceChange(e) {
+        // A different firmware source can't resume the previous one's flash
+        this.discardPendingFlash();
+        const source = e.target.value;
+        document.getElementById('release-options').style.display = source === 'release' ? 'block' : 'none';
+        document.getElementById('custom-options').style.display = source === 'custom' ? 'block' : 'none';
+        document.getElementById('manifest-options').style.display = source === 'manifest' ? 'block' : 'none';
     }
 
     handleCustomFileUpload(e) {
-        const file = e.target.files[0];
+        this.discardPendingFlash();
+        const files = Array.from(e.target.files);
         const info = document.getElementById('custom-file-info');
-        if (file) {
+        info.textContent = files.map(file => {
             const sizeMB = (file.size / 1024 / 1024).toFixed(2);
-            info.textContent = `${file.name} (${sizeMB} MB)`;
-        } else {
-            info.textContent = '';
-        }
+            return `${file.name} (${sizeMB} MB)`;
+        }).join(', ');
+    }
+
+    /**
+     * Match uploaded files to a multi-image project's images by file name,
+     * e.g. "bootloader.bin" or "my-app_partition-table.bin"
+     * @returns {Object} - Image name -> File
+     */
+    matchCustomImages(files, project) {
+        const customImages = {};
+        if (!project.images) return customImages;
+
+        files.forEach(file => {
+            const base = file.name.replace(/\.bin$/i, '').toLowerCase();
+            const image = project.images.find(({ name }) =>
+                base === name || base.endsWith(`-${name}`) || base.endsWith(`_${name}`) || base.endsWith(`.${name}`));
+            if (image) {
+                customImages[image.name] = file;
+            }
+        });
+
+        return customImages;
     }
 
     toggleTroubleshooting() {
@@ -0,0 +1,98 @@
+/**
+ * MD5 for Partition Tables and Flash Verification
+ *
+ * Pure JavaScript MD5 (RFC 1321). ESP-IDF protects the partition table with
+ * an MD5 entry, and the ROM/stub loaders report flash region checksums as
+ * MD5. WebCrypto does not implement MD5, so this runs everywhere (browser
+ * and Node.js) without native dependencies.
+ */
+
+// Per-round left rotation amounts
+const SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// K[i] = floor(abs(sin(i + 1)) * 2^32)
+const K = new Uint32Array(64).map((_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+/**
+ * Calculate the MD5 digest of data
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} - 16-byte digest
+ */
+function md5(data) {
+    // Pad: 0x80, zeros, then the bit length as a 64-bit little-endian integer
+    const paddedLength = (((data.length + 8) >> 6) + 1) << 6;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, (data.length * 8) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(data.length / 0x20000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xEFCDAB89;
+    let c0 = 0x98BADCFE;
+    let d0 = 0x10325476;
+    const m = new Uint32Array(16);
+
+    for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+        for (let i = 0; i < 16; i++) {
+            m[i] = view.getUint32(chunk + i * 4, true);
+        }
+
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+
+            const sum = (a + f + K[i] + m[g]) >>> 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) >>> 0;
+        }
+
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    const digest = new Uint8Array(16);
+    const digestView = new DataView(digest.buffer);
+    [a0, b0, c0, d0].forEach((word, i) => digestView.setUint32(i * 4, word, true));
+    return digest;
+}
+
+/**
+ * Calculate the MD5 digest of data as a lowercase hex string
+ * @param {Uint8Array} data - Input bytes
+ * @returns {string} - 32-character hex digest
+ */
+function md5Hex(data) {
+    return Array.from(md5(data), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export { md5, md5Hex };
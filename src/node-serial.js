@@ -0,0 +1,163 @@
+/**
+ * Node.js Serial Transport for ESP32 Web Flasher
+ * Adapts the `serialport` package to the SerialPortLike/SerialProvider
+ * interface (see transport.js), so DeviceConnection and FirmwareFlasher run
+ * unchanged from the CLI, CI jobs and bench scripts
+ *
+ * `serialport` is loaded on first use and is not a dependency of the browser
+ * build: install it next to the toolkit (npm install serialport) to flash from Node.
+ *
+ * Usage:
+ *   const serial = createNodeSerial({ path: '/dev/ttyUSB0' });
+ *   const connection = new DeviceConnection(ui, { serial });
+ */
+
+import { SerialReadable } from './transport.js';
+
+/**
+ * Load the SerialPort class from the serialport package
+ */
+async function loadSerialPort() {
+    try {
+        const { SerialPort } = await import('serialport');
+        return SerialPort;
+    } catch (error) {
+        throw new Error(`The serialport package is required to flash from Node.js - run \`npm install serialport\` (${error.message})`);
+    }
+}
+
+function settle(resolve, reject) {
+    return (error) => (error ? reject(error) : resolve());
+}
+
+/**
+ * One serial device, opened with the Web Serial SerialPort semantics
+ */
+class NodeSerialPort {
+    /**
+     * @param {Function} SerialPort - serialport's SerialPort class
+     * @param {Object} info - Entry from SerialPort.list(), or just { path }
+     */
+    constructor(SerialPort, info) {
+        this.SerialPort = SerialPort;
+        this.info = info;
+        this.port = null;
+        this.input = null;
+        this.writable = null;
+        // node-serialport's set() writes every line at once, so remember both
+        this.signals = { dtr: false, rts: false };
+    }
+
+    get path() {
+        return this.info.path;
+    }
+
+    /**
+     * Bytes from the device; a new stream after a reader cancels (see SerialReadable)
+     */
+    get readable() {
+        return this.input?.readable ?? null;
+    }
+
+    getInfo() {
+        return {
+            usbVendorId: this.info.vendorId ? parseInt(this.info.vendorId, 16) : undefined,
+            usbProductId: this.info.productId ? parseInt(this.info.productId, 16) : undefined
+        };
+    }
+
+    async open({ baudRate }) {
+        if (this.port) {
+            throw new Error('The port is already open.');
+        }
+
+        const port = new this.SerialPort({ path: this.info.path, baudRate, autoOpen: false });
+        await new Promise((resolve, reject) => port.open(settle(resolve, reject)));
+        this.port = port;
+
+        // Listen for as long as the port is open, so bytes arriving between reads are kept
+        const input = new SerialReadable();
+        this.input = input;
+        port.on('data', (data) => input.push(new Uint8Array(data)));
+        port.on('close', () => input.close());
+        port.on('error', (error) => input.error(error));
+
+        this.writable = new WritableStream({
+            write: (chunk) => new Promise((resolve, reject) => {
+                port.write(Buffer.from(chunk), (error) => {
+                    if (error) return reject(error);
+                    port.drain(settle(resolve, reject));
+                });
+            })
+        });
+    }
+
+    async close() {
+        const port = this.port;
+        this.port = null;
+        this.input?.close();
+        this.input = null;
+        this.writable = null;
+        port?.removeAllListeners('data');
+
+        if (port?.isOpen) {
+            await new Promise((resolve, reject) => port.close(settle(resolve, reject)));
+        }
+    }
+
+    async setSignals(signals) {
+        if (!this.port) {
+            throw new Error('The port is closed.');
+        }
+        if (signals.dataTerminalReady !== undefined) {
+            this.signals.dtr = signals.dataTerminalReady;
+        }
+        if (signals.requestToSend !== undefined) {
+            this.signals.rts = signals.requestToSend;
+        }
+        await new Promise((resolve, reject) => this.port.set(this.signals, settle(resolve, reject)));
+    }
+}
+
+/**
+ * A navigator.serial stand-in (SerialProvider) over serialport
+ * @param {Object} options - Provider options
+ * @param {string} options.path - Device to use (e.g. '/dev/ttyUSB0', 'COM3' or a pseudo-terminal);
+ *   without it requestPort() picks the only USB serial device
+ * @param {Function} options.SerialPort - SerialPort class to use instead of importing serialport
+ * @returns {SerialProvider}
+ */
+function createNodeSerial(options = {}) {
+    let SerialPort = options.SerialPort || null;
+    const load = async () => {
+        SerialPort = SerialPort || await loadSerialPort();
+        return SerialPort;
+    };
+
+    const getPorts = async () => {
+        const SerialPortClass = await load();
+        const list = await SerialPortClass.list();
+        return list.map(info => new NodeSerialPort(SerialPortClass, info));
+    };
+
+    const requestPort = async () => {
+        const ports = await getPorts();
+
+        if (options.path) {
+            // Pseudo-terminals and some adapters aren't listed - open them by path anyway
+            return ports.find(port => port.path === options.path) || new NodeSerialPort(SerialPort, { path: options.path });
+        }
+
+        const usbPorts = ports.filter(port => port.info.vendorId);
+        if (usbPorts.length === 1) {
+            return usbPorts[0];
+        }
+        throw new Error(usbPorts.length === 0
+            ? 'No USB serial device found - connect the device or pass --port'
+            : `Several USB serial devices found (${usbPorts.map(port => port.path).join(', ')}) - choose one with --port`);
+    };
+
+    return { requestPort, getPorts };
+}
+
+export { createNodeSerial, NodeSerialPort };
@@ -0,0 +1,392 @@
+/**
+ * NVS Commands for the esp-webflash CLI
+ * Generate, inspect and compare NVS partition binaries offline, with the
+ * same NVSGenerator the browser flasher writes them with
+ *
+ * Usage:
+ *   esp-webflash nvs generate config.json -o nvs.bin --size 0x6000
+ *   esp-webflash nvs generate nvs.csv -o nvs.bin
+ *   esp-webflash nvs dump nvs.bin [--format table|json|csv]
+ *   esp-webflash nvs diff before.bin after.bin
+ *
+ * JSON input is namespaced: { "config": { "wifi_ssid": "Lab", "port": { "type": "u16", "value": 9000 } } },
+ * the same shape `dump --format json` prints (blobs as hex, 64-bit integers as strings).
+ * With --project it is instead the flasher form's { section: { field: value } } config.
+ */
+
+import fs from 'node:fs/promises';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { NVSGenerator, NVSValue, coerceNVSValue } from './nvs-generator.js';
+import { FirmwareFlasher } from './firmware-flasher.js';
+import { createConsoleUI, loadProjects, selectProject, loadConfig, formatConfigErrors } from './flash-commands.js';
+import { usageError } from './cli-errors.js';
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    size: { type: 'string' },
+    offset: { type: 'string' },
+    'nvs-version': { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    'nvs-keys': { type: 'string' },
+    lenient: { type: 'boolean' },
+    projects: { type: 'string' },
+    project: { type: 'string' },
+    config: { type: 'string', short: 'c' },
+    set: { type: 'string', multiple: true },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `esp-webflash nvs generate <config.json|nvs.csv> -o <nvs.bin> [--size 0x6000]
+       esp-webflash nvs dump <nvs.bin> [--format table|json|csv]
+       esp-webflash nvs diff <a.bin> <b.bin> [--format text|json]`;
+
+const HELP = `
+generate:
+  -o, --output <file>        Where to write the partition binary (required)
+      --size <bytes>         Partition size, hex or decimal (default: 0x6000, or the project's)
+      --nvs-version <1|2>    NVS format version (default: 2)
+      --nvs-keys <file>      nvs_keys partition: encrypt the output with its key
+      --project <id>         Read the input as the flasher form config of this project
+      --projects <file>      projects-config.js or JSON (default: ./js/projects-config.js)
+      --set <s.f=value>      With --project: set one config value (repeatable)
+
+dump / diff:
+  -f, --format <format>      dump: table (default), json or csv; diff: text (default) or json
+      --offset <bytes>       Read the partition at this offset of a full flash dump
+      --size <bytes>         Partition size at --offset (default: 0x6000)
+      --nvs-keys <file>      nvs_keys partition to decrypt an encrypted partition
+      --lenient              Show every entry found, skipping CRC and entry state checks
+
+nvs diff exits with 0 when the partitions hold the same values, 1 when they differ and 2 on errors.
+`;
+
+// Longest blob prefix shown in tables; dump --format json prints blobs in full
+const TABLE_BLOB_BYTES = 16;
+
+function parseNumber(text, option) {
+    const value = /^0x[0-9a-f]+$/i.test(text) ? parseInt(text, 16) : /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+    if (Number.isNaN(value)) {
+        throw usageError(`--${option} expects a hex (0x6000) or decimal number, got "${text}"`);
+    }
+    return value;
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex, key) {
+    const clean = String(hex).replace(/\s+/g, '');
+    if (clean.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(clean)) {
+        throw new Error(`Invalid NVS value for ${key}: blob values must be hex strings`);
+    }
+    return Uint8Array.from(clean.match(/../g) || [], byte => parseInt(byte, 16));
+}
+
+/**
+ * A parsed NVSValue as plain JSON: blobs as hex, 64-bit integers as strings
+ */
+function toJSONValue(typed) {
+    if (typed.type === 'blob') return bytesToHex(typed.value);
+    if (typeof typed.value === 'bigint') return typed.value.toString();
+    return typed.value;
+}
+
+/**
+ * Turn namespaced JSON ({ namespace: { key: value | { type, value } } }) into generate() data
+ */
+function fromJSONData(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('NVS JSON must be an object of namespaces: { "config": { "key": value } }');
+    }
+
+    const data = {};
+    for (const [namespace, entries] of Object.entries(json)) {
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new Error(`NVS JSON namespace "${namespace}" must be an object of keys`);
+        }
+        data[namespace] = {};
+        for (const [key, value] of Object.entries(entries)) {
+            if (value && typeof value === 'object') {
+                data[namespace][key] = value.type === 'blob'
+                    ? new NVSValue('blob', hexToBytes(value.value, key))
+                    : coerceNVSValue(value.value, value.type, key);
+            } else {
+                data[namespace][key] = value;
+            }
+        }
+    }
+    return data;
+}
+
+async function readBinary(file, cwd) {
+    return new Uint8Array(await fs.readFile(path.resolve(cwd, file)));
+}
+
+async function readEncryptionKey(options, cwd) {
+    if (!options['nvs-keys']) return undefined;
+    return new NVSGenerator().parseKeyPartition(await readBinary(options['nvs-keys'], cwd));
+}
+
+/**
+ * Read an NVS partition from a file: the whole file, or --offset/--size of a flash dump
+ */
+async function readPartition(file, options, cwd) {
+    const binary = await readBinary(file, cwd);
+    if (options.offset === undefined) {
+        return binary;
+    }
+
+    const offset = parseNumber(options.offset, 'offset');
+    const size = options.size !== undefined ? parseNumber(options.size, 'size') : 0x6000;
+    if (offset + size > binary.length) {
+        throw new Error(`${file} is ${binary.length} bytes - too short for a 0x${size.toString(16)} byte partition at 0x${offset.toString(16)}`);
+    }
+    return binary.slice(offset, offset + size);
+}
+
+/**
+ * Parse a partition into { namespace: { key: NVSValue } }, reporting problems the strict parser finds
+ */
+function parsePartition(binary, options, encryptionKey, ui, label) {
+    const diagnostics = [];
+    const data = new NVSGenerator().parse(binary, { typed: true, strict: !options.lenient, diagnostics, encryptionKey });
+    for (const { severity, message } of diagnostics) {
+        ui.log(label ? `${label}: ${message}` : message, severity);
+    }
+    return data;
+}
+
+function formatTableValue(typed) {
+    if (typed.type === 'blob') {
+        const hex = bytesToHex(typed.value.subarray(0, TABLE_BLOB_BYTES));
+        return typed.value.length > TABLE_BLOB_BYTES ? `${hex}... (${typed.value.length} bytes)` : hex;
+    }
+    if (typed.type === 'string') return JSON.stringify(typed.value);
+    return String(typed.value);
+}
+
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join('  ')).join('\n') + '\n';
+}
+
+/**
+ * Compare two parsed partitions
+ * @param {Object} before - { namespace: { key: NVSValue } }
+ * @param {Object} after - { namespace: { key: NVSValue } }
+ * @returns {{added: Array, removed: Array, changed: Array}} - Entries as { namespace, key, type, value }
+ *   (changed: { namespace, key, from, to }) with JSON values
+ */
+function diffNVSData(before, after) {
+    const result = { added: [], removed: [], changed: [] };
+    const entry = (namespace, key, typed) => ({ namespace, key, type: typed.type, value: toJSONValue(typed) });
+
+    const namespaces = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    for (const namespace of namespaces) {
+        const a = before[namespace] || {};
+        const b = after[namespace] || {};
+
+        for (const key of Object.keys(a)) {
+            if (!(key in b)) {
+                result.removed.push(entry(namespace, key, a[key]));
+            } else if (a[key].type !== b[key].type || toJSONValue(a[key]) !== toJSONValue(b[key])) {
+                const { type: fromType, value: fromValue } = entry(namespace, key, a[key]);
+                const { type: toType, value: toValue } = entry(namespace, key, b[key]);
+                result.changed.push({ namespace, key, from: { type: fromType, value: fromValue }, to: { type: toType, value: toValue } });
+            }
+        }
+        for (const key of Object.keys(b)) {
+            if (!(key in a)) {
+                result.added.push(entry(namespace, key, b[key]));
+            }
+        }
+    }
+
+    return result;
+}
+
+async function generateCommand(positionals, options, env, ui) {
+    const [input] = positionals;
+    if (!input || positionals.length > 1) {
+        throw usageError('nvs generate expects one input file (.json or .csv)');
+    }
+    if (!options.output) {
+        throw usageError('nvs generate needs --output <file>');
+    }
+
+    const { cwd, stdout } = env;
+    const encryptionKey = await readEncryptionKey(options, cwd);
+    const inputPath = path.resolve(cwd, input);
+    const generator = new NVSGenerator();
+    let binary;
+
+    if (options.project || options.projects) {
+        // The flasher form's config, mapped through the project's nvsKey/nvsType fields
+        const project = selectProject(await loadProjects(options.projects, cwd), options.project);
+        if (!project.nvsPartition) {
+            throw usageError(`${project.name} does not have NVS configuration`);
+        }
+        const config = await loadConfig(project, { ...options, config: input }, cwd);
+        const flasher = new FirmwareFlasher(ui, { getConfig: () => config });
+        flasher.checkConfig(project);
+        const nvsPartition = options.size !== undefined ? { size: parseNumber(options.size, 'size') } : undefined;
+        binary = flasher.generateNVSBinary(project, flasher.buildNVSData(project), { nvsEncryptionKey: encryptionKey, nvsPartition });
+    } else {
+        if (options.set) {
+            throw usageError('--set needs --project');
+        }
+        const size = options.size !== undefined ? parseNumber(options.size, 'size') : 0x6000;
+        const version = options['nvs-version'] !== undefined ? parseNumber(options['nvs-version'], 'nvs-version') : 2;
+        const text = await fs.readFile(inputPath, 'utf8');
+
+        const data = input.toLowerCase().endsWith('.csv')
+            // file rows are relative to the CSV, as with nvs_partition_gen.py run from its directory
+            ? generator.parseCSV(text, { files: (file) => readFileSync(path.resolve(path.dirname(inputPath), file)) })
+            : fromJSONData(JSON.parse(text));
+        binary = generator.generate(data, size, { version, encryptionKey });
+    }
+
+    await fs.writeFile(path.resolve(cwd, options.output), binary);
+    const keys = Object.values(generator.parse(binary, { encryptionKey })).reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+    stdout.write(`Wrote ${options.output} (0x${binary.length.toString(16)} bytes, ${keys} key${keys === 1 ? '' : 's'}${encryptionKey ? ', encrypted' : ''})\n`);
+    return 0;
+}
+
+async function dumpCommand(positionals, options, env, ui) {
+    if (positionals.length !== 1) {
+        throw usageError('nvs dump expects one partition file');
+    }
+    const format = options.format || 'table';
+    if (!['table', 'json', 'csv'].includes(format)) {
+        throw usageError(`Unknown dump format "${format}" (expected table, json or csv)`);
+    }
+
+    const { cwd, stdout } = env;
+    const binary = await readPartition(positionals[0], options, cwd);
+    const encryptionKey = await readEncryptionKey(options, cwd);
+
+    if (format === 'csv') {
+        stdout.write(new NVSGenerator().exportCSV(binary, { strict: !options.lenient, encryptionKey }));
+        return 0;
+    }
+
+    const data = parsePartition(binary, options, encryptionKey, ui);
+
+    if (format === 'json') {
+        const json = Object.fromEntries(Object.entries(data).map(([namespace, entries]) => [
+            namespace,
+            Object.fromEntries(Object.entries(entries).map(([key, typed]) => [key, { type: typed.type, value: toJSONValue(typed) }]))
+        ]));
+        stdout.write(`${JSON.stringify(json, null, 2)}\n`);
+        return 0;
+    }
+
+    const rows = [['NAMESPACE', 'KEY', 'TYPE', 'VALUE']];
+    for (const [namespace, entries] of Object.entries(data)) {
+        for (const [key, typed] of Object.entries(entries)) {
+            rows.push([namespace, key, typed.type, formatTableValue(typed)]);
+        }
+    }
+    if (rows.length === 1) {
+        ui.log('Partition holds no values', 'warning');
+        return 0;
+    }
+    stdout.write(formatTable(rows));
+    return 0;
+}
+
+async function diffCommand(positionals, options, env, ui) {
+    if (positionals.length !== 2) {
+        throw usageError('nvs diff expects two partition files');
+    }
+    const format = options.format || 'text';
+    if (!['text', 'json'].includes(format)) {
+        throw usageError(`Unknown diff format "${format}" (expected text or json)`);
+    }
+
+    const { cwd, stdout } = env;
+    const encryptionKey = await readEncryptionKey(options, cwd);
+    const [before, after] = await Promise.all(positionals.map(file => readPartition(file, options, cwd)));
+    const diff = diffNVSData(
+        parsePartition(before, options, encryptionKey, ui, positionals[0]),
+        parsePartition(after, options, encryptionKey, ui, positionals[1])
+    );
+    const count = diff.added.length + diff.removed.length + diff.changed.length;
+
+    if (format === 'json') {
+        stdout.write(`${JSON.stringify(diff, null, 2)}\n`);
+    } else {
+        const show = ({ type, value }) => `(${type}) ${formatTableValue({ type, value: type === 'blob' ? hexToBytes(value) : value })}`;
+        const lines = [
+            ...diff.removed.map(item => `- ${item.namespace}/${item.key} ${show(item)}`),
+            ...diff.added.map(item => `+ ${item.namespace}/${item.key} ${show(item)}`),
+            ...diff.changed.map(item => `~ ${item.namespace}/${item.key} ${show(item.from)} -> ${show(item.to)}`)
+        ];
+        stdout.write(lines.map(line => `${line}\n`).join(''));
+        ui.updateStatus('success', count === 0 ? 'No differences' : `${count} difference${count === 1 ? '' : 's'}`);
+    }
+
+    return count === 0 ? 0 : 1;
+}
+
+const SUBCOMMANDS = { generate: generateCommand, dump: dumpCommand, diff: diffCommand };
+
+/**
+ * Run `nvs generate|dump|diff`
+ * @param {Array<string>} args - Arguments after `nvs`, starting with the subcommand
+ * @param {Object} env - Environment (all optional, for tests and embedding)
+ * @param {string} env.cwd - Working directory (default: process.cwd())
+ * @param {Object} env.stdout - Stream for results (default: process.stdout)
+ * @param {Object} env.stderr - Stream for warnings and errors (default: process.stderr)
+ * @returns {Promise<number>} - Exit code (diff: 1 when the partitions differ)
+ */
+async function runNVSCommand(args, env = {}) {
+    const cwd = env.cwd || process.cwd();
+    const stdout = env.stdout || process.stdout;
+    const stderr = env.stderr || process.stderr;
+    const [subcommand, ...rest] = args;
+    // diff uses 1 for "different", like diff(1)
+    const failureCode = subcommand === 'diff' ? 2 : 1;
+
+    if (!subcommand || subcommand === '--help' || subcommand === '-h') {
+        stdout.write(`Usage: ${USAGE}\n${HELP}`);
+        return 0;
+    }
+
+    let parsed;
+    try {
+        if (!SUBCOMMANDS[subcommand]) {
+            throw usageError(`Unknown nvs command "${subcommand}" (expected generate, dump or diff)`);
+        }
+        parsed = parseArgs({ args: rest, options: OPTIONS, strict: true, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`error: ${error.message}\nUsage: ${USAGE}\n`);
+        return 2;
+    }
+    if (parsed.values.help) {
+        stdout.write(`Usage: ${USAGE}\n${HELP}`);
+        return 0;
+    }
+
+    const ui = createConsoleUI(stderr);
+    try {
+        return await SUBCOMMANDS[subcommand](parsed.positionals, parsed.values, { cwd, stdout }, ui);
+    } catch (error) {
+        if (error.isUsageError) {
+            stderr.write(`error: ${error.message}\n`);
+            return 2;
+        }
+        if (error.isConfigValidationError) {
+            stderr.write(formatConfigErrors(error));
+            return 2;
+        }
+        ui.log(error.message, 'error');
+        return failureCode;
+    }
+}
+
+export { runNVSCommand, diffNVSData };
@@ -7,16 +7,22 @@
  *
  * NVS Format:
  * - Partition divided into pages (4096 bytes each)
- * - Each page contains entries (32 bytes each)
- * - First page contains partition state
+ * - Each page has a 32-byte header (state, sequence number, CRC) and a
+ *   32-byte entry state bitmap, followed by 126 entries (32 bytes each)
  * - Entries store key-value pairs with type information
+ * - Encrypted partitions (nvs_keys) encrypt each written entry with
+ *   AES-256-XTS, using the entry's offset in the partition as the tweak
  */
 
+import { xtsEncrypt, xtsDecrypt } from './aes-xts.js';
+
 class NVSGenerator {
     constructor() {
         this.PAGE_SIZE = 4096;
         this.ENTRY_SIZE = 32;
-        this.ENTRIES_PER_PAGE = 126; // (4096 - 32) / 32
+        this.ENTRIES_PER_PAGE = 126; // (4096 - 32 header - 32 bitmap) / 32
+        this.BITMAP_OFFSET = 32;     // Entry state bitmap follows the page header
+        this.FIRST_ENTRY_OFFSET = 64;
 
         // NVS entry types
         this.TYPE_U8 = 0x01;
@@ -25,104 +31,346 @@ class NVSGenerator {
         this.TYPE_I16 = 0x12;
         this.TYPE_U32 = 0x04;
         this.TYPE_I32 = 0x14;
+        this.TYPE_U64 = 0x08;
+        this.TYPE_I64 = 0x18;
         this.TYPE_STR = 0x21;
-        this.TYPE_BLOB = 0x41;
+        this.TYPE_BLOB = 0x41;        // V1 single-page blob
+        this.TYPE_BLOB_DATA = 0x42;   // V2 blob chunk
+        this.TYPE_BLOB_IDX = 0x48;    // V2 blob index
+
+        // Page format versions (header byte 8)
+        this.VERSION_1 = 0xFF;
+        this.VERSION_2 = 0xFE;
 
         // Page states
         this.PAGE_STATE_ACTIVE = 0xFFFFFFFE;
         this.PAGE_STATE_FULL = 0xFFFFFFFC;
         this.PAGE_STATE_EMPTY = 0xFFFFFFFF;
+        this.PAGE_STATE_FREEING = 0xFFFFFFF8; // Being garbage collected
+        this.PAGE_STATE_CORRUPT = 0xFFFFFFF0;
+        this.PAGE_STATE_INVALID = 0;
+
+        // Entry states (2 bits per entry in the page bitmap)
+        this.ENTRY_STATE_EMPTY = 0b11;
+        this.ENTRY_STATE_WRITTEN = 0b10;
+        this.ENTRY_STATE_ERASED = 0b00;
+
+        // nvs_keys partition: XTS encryption key (32) + tweak key (32) + CRC32
+        this.XTS_KEY_SIZE = 64;
+        this.KEY_PARTITION_SIZE = 4096;
     }
 
     /**
      * Generate NVS partition binary from key-value pairs
+     *
+     * Entries are packed page by page. A spanned entry (string/blob) is never
+     * split across pages; if it does not fit in the remaining entries the page
+     * is marked FULL and the entry starts on the next page. The last page of
+     * the partition is always left erased, as ESP-IDF needs one free page for
+     * garbage collection.
+     *
+     * Uint8Array/ArrayBuffer values are written as blobs. In version 2 (the
+     * default, used by current ESP-IDF) blobs are split into BLOB_DATA chunks
+     * that may span several pages, followed by a BLOB_IDX entry. Version 1
+     * writes a single BLOB entry limited to one page.
+     *
      * @param {Object} data - Key-value pairs organized by namespace
      * @param {number} partitionSize - Size of partition in bytes (default: 0x6000 = 24KB)
+     * @param {Object} options - Generation options
+     * @param {number} options.version - NVS format version, 1 or 2 (default: 2)
+     * @param {Uint8Array} options.encryptionKey - 64-byte XTS key; encrypts the partition (see parseKeyPartition)
      * @returns {Uint8Array} - Binary data ready to flash
      */
-    generate(data, partitionSize = 0x6000) {
+    generate(data, partitionSize = 0x6000, options = {}) {
+        const version = options.version ?? 2;
+        if (version !== 1 && version !== 2) {
+            throw new Error(`Unsupported NVS format version: ${version}`);
+        }
+
         const numPages = Math.floor(partitionSize / this.PAGE_SIZE);
+        if (numPages < 2) {
+            throw new Error('NVS partition must be at least 2 pages (0x2000 bytes)');
+        }
+
         const binary = new Uint8Array(partitionSize);
         binary.fill(0xFF); // Initialize with 0xFF (erased flash state)
 
-        let pageIndex = 0;
-        let entryIndex = 1;  // Start at 1 (entry 0 reserved for bitmap)
+        // Current write position: page, next free entry slot, page sequence number
+        const cursor = {
+            pageIndex: 0,
+            entryIndex: 0,
+            sequence: 0,
+            maxPages: numPages - 1,
+            version: version === 2 ? this.VERSION_2 : this.VERSION_1
+        };
         let namespaceIndex = 0;  // Sequential namespace index
 
-        // Build namespace map
-        const namespaceMap = {};
-        for (const namespace of Object.keys(data)) {
-            if (Object.keys(data[namespace]).length > 0) {
-                namespaceMap[namespace] = ++namespaceIndex;
+        // Process each namespace
+        for (const [namespace, entries] of Object.entries(data)) {
+            // Skip namespaces without data
+            if (Object.keys(entries).length === 0) {
+                continue;
             }
-        }
 
-        // Write bitmap entry at index 0 (ESP-IDF format)
-        // Bitmap marks which entries are in use (0xAA = first few entries used)
-        const bitmapOffset = pageIndex * this.PAGE_SIZE + 32;
-        binary[bitmapOffset] = 0xAA;  // Bitmap pattern
-        binary[bitmapOffset + 1] = 0xAA;
+            const nsIndex = ++namespaceIndex;
+            this.appendEntry(binary, cursor, {
+                namespace: 0, // Namespace entries use index 0
+                type: this.TYPE_U8, // Namespace type (ESP-IDF uses U8 holding the index)
+                span: 1,
+                key: namespace,
+                data: new Uint8Array([nsIndex])  // Store the index in data
+            });
 
-        // Process each namespace
-        for (const [namespace, entries] of Object.entries(data)) {
-            // Add namespace entry if we have data
-            if (Object.keys(entries).length > 0) {
-                const nsIndex = namespaceMap[namespace];
-                this.writeEntry(binary, pageIndex, entryIndex++, {
-                    namespace: 0, // Namespace entries use index 0
-                    type: 0x01, // Namespace type (ESP-IDF uses 0x01)
-                    span: 1,
-                    key: namespace,
-                    data: new Uint8Array([nsIndex])  // Store the index in data
-                });
-
-                // Add key-value entries
-                for (const [key, value] of Object.entries(entries)) {
-                    const entry = this.createEntry(nsIndex, key, value);
-                    this.writeEntry(binary, pageIndex, entryIndex, entry);
-                    entryIndex += entry.span; // Increment by span, not just 1
-
-                    // Move to next page if current page is full
-                    if (entryIndex >= this.ENTRIES_PER_PAGE) {
-                        this.finalizePage(binary, pageIndex, entryIndex);
-                        pageIndex++;
-                        entryIndex = 1;  // Start at 1 (entry 0 reserved for bitmap)
-
-                        // Write bitmap for new page
-                        const newBitmapOffset = pageIndex * this.PAGE_SIZE + 32;
-                        binary[newBitmapOffset] = 0xAA;
-                        binary[newBitmapOffset + 1] = 0xAA;
-
-                        if (pageIndex >= numPages) {
-                            throw new Error('NVS partition size too small for data');
-                        }
-                    }
+            // Add key-value entries
+            for (const [key, value] of Object.entries(entries)) {
+                const entry = this.createEntry(nsIndex, key, value);
+                if (entry.type === this.TYPE_BLOB && version === 2) {
+                    this.appendMultiPageBlob(binary, cursor, entry);
+                } else {
+                    this.appendEntry(binary, cursor, entry);
                 }
             }
         }
 
-        // Finalize last page
-        if (entryIndex > 0) {
-            this.finalizePage(binary, pageIndex, entryIndex);
+        // Last page written stays ACTIVE so the firmware can keep appending to it
+        this.finalizePage(binary, cursor.pageIndex, cursor.sequence, this.PAGE_STATE_ACTIVE, cursor.version);
+
+        if (options.encryptionKey) {
+            return this.encryptPartition(binary, options.encryptionKey);
         }
 
         return binary;
     }
 
+    /**
+     * Generate a random 64-byte XTS key for NVS encryption
+     * @returns {Uint8Array} - Encryption key (32 bytes) followed by tweak key (32 bytes)
+     */
+    generateEncryptionKey() {
+        const key = new Uint8Array(this.XTS_KEY_SIZE);
+        globalThis.crypto.getRandomValues(key);
+        return key;
+    }
+
+    /**
+     * Build an nvs_keys partition binary holding an XTS key, in the layout
+     * read by nvs_flash_read_security_cfg(): key (64 bytes), CRC32 of the key,
+     * rest erased
+     * @param {Uint8Array} key - 64-byte XTS key
+     * @returns {Uint8Array} - 4096-byte nvs_keys partition
+     */
+    generateKeyPartition(key) {
+        this.checkEncryptionKey(key);
+
+        const binary = new Uint8Array(this.KEY_PARTITION_SIZE).fill(0xFF);
+        binary.set(key, 0);
+        new DataView(binary.buffer).setUint32(this.XTS_KEY_SIZE, this.calculateCRC32(key), true);
+        return binary;
+    }
+
+    /**
+     * Extract the XTS key from an nvs_keys partition binary, checking its CRC
+     * @param {Uint8Array} binary - nvs_keys partition contents
+     * @returns {Uint8Array} - 64-byte XTS key
+     */
+    parseKeyPartition(binary) {
+        if (binary.length < this.XTS_KEY_SIZE + 4) {
+            throw new Error('NVS keys partition is too small');
+        }
+
+        const key = binary.slice(0, this.XTS_KEY_SIZE);
+        const view = new DataView(binary.buffer, binary.byteOffset, binary.byteLength);
+        const storedCRC = view.getUint32(this.XTS_KEY_SIZE, true);
+        if (key.every(b => b === 0xFF)) {
+            throw new Error('NVS keys partition is empty');
+        }
+        if (storedCRC !== this.calculateCRC32(key)) {
+            throw new Error('NVS keys partition CRC mismatch - wrong file or corrupted keys');
+        }
+
+        return key;
+    }
+
+    checkEncryptionKey(key) {
+        if (!(key instanceof Uint8Array) || key.length !== this.XTS_KEY_SIZE) {
+            throw new Error(`NVS encryption key must be a ${this.XTS_KEY_SIZE}-byte Uint8Array`);
+        }
+    }
+
+    /**
+     * Encrypt every non-empty entry of a plaintext partition
+     * Page headers and entry state bitmaps stay in plaintext, as in ESP-IDF.
+     * @param {Uint8Array} binary - Plaintext NVS partition
+     * @param {Uint8Array} key - 64-byte XTS key
+     * @returns {Uint8Array} - Encrypted copy of the partition
+     */
+    encryptPartition(binary, key) {
+        return this.transformEntries(binary, key, xtsEncrypt);
+    }
+
+    /**
+     * Decrypt every non-empty entry of an encrypted partition
+     * @param {Uint8Array} binary - Encrypted NVS partition
+     * @param {Uint8Array} key - 64-byte XTS key
+     * @returns {Uint8Array} - Plaintext copy of the partition
+     */
+    decryptPartition(binary, key) {
+        return this.transformEntries(binary, key, xtsDecrypt);
+    }
+
+    transformEntries(binary, key, cipher) {
+        this.checkEncryptionKey(key);
+
+        const output = new Uint8Array(binary);
+        const numPages = Math.floor(binary.length / this.PAGE_SIZE);
+        const tweak = new Uint8Array(16);
+        const tweakView = new DataView(tweak.buffer);
+
+        for (let pageIndex = 0; pageIndex < numPages; pageIndex++) {
+            const pageOffset = pageIndex * this.PAGE_SIZE;
+            if (new DataView(output.buffer).getUint32(pageOffset, true) === this.PAGE_STATE_EMPTY) {
+                continue;
+            }
+
+            for (let entryIndex = 0; entryIndex < this.ENTRIES_PER_PAGE; entryIndex++) {
+                if (this.getEntryState(output, pageIndex, entryIndex) === this.ENTRY_STATE_EMPTY) {
+                    continue;
+                }
+
+                // Tweak: entry offset within the partition, 128-bit little-endian
+                const offset = pageOffset + this.FIRST_ENTRY_OFFSET + entryIndex * this.ENTRY_SIZE;
+                tweakView.setUint32(0, offset, true);
+
+                const entry = output.subarray(offset, offset + this.ENTRY_SIZE);
+                entry.set(cipher(key, tweak, entry));
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Write an entry at the cursor, moving to a new page first if the entry's
+     * span does not fit in the current one
+     */
+    appendEntry(binary, cursor, entry) {
+        if (entry.span > this.ENTRIES_PER_PAGE) {
+            throw new Error(`NVS entry "${entry.key}" is too large (${entry.span} entries, max ${this.ENTRIES_PER_PAGE} per page)`);
+        }
+
+        if (cursor.entryIndex + entry.span > this.ENTRIES_PER_PAGE) {
+            this.nextPage(binary, cursor);
+        }
+
+        this.writeEntry(binary, cursor.pageIndex, cursor.entryIndex, entry);
+        for (let i = 0; i < entry.span; i++) {
+            this.setEntryState(binary, cursor.pageIndex, cursor.entryIndex + i, this.ENTRY_STATE_WRITTEN);
+        }
+        cursor.entryIndex += entry.span;
+    }
+
+    /**
+     * Mark the cursor's page FULL and move to the next page
+     */
+    nextPage(binary, cursor) {
+        this.finalizePage(binary, cursor.pageIndex, cursor.sequence, this.PAGE_STATE_FULL, cursor.version);
+        cursor.pageIndex++;
+        cursor.sequence++;
+        cursor.entryIndex = 0;
+
+        if (cursor.pageIndex >= cursor.maxPages) {
+            throw new Error('NVS partition size too small for data');
+        }
+    }
+
+    /**
+     * Write a blob in the version 2 format: the data is split into BLOB_DATA
+     * chunks that fill the remaining space of each page, then a BLOB_IDX entry
+     * records the total size and chunk count
+     */
+    appendMultiPageBlob(binary, cursor, entry) {
+        const blob = entry.data;
+        let written = 0;
+        let chunkCount = 0;
+
+        do {
+            // Need room for the chunk header plus at least one data entry
+            if (cursor.entryIndex + 2 > this.ENTRIES_PER_PAGE) {
+                this.nextPage(binary, cursor);
+            }
+
+            const room = (this.ENTRIES_PER_PAGE - cursor.entryIndex - 1) * this.ENTRY_SIZE;
+            const chunk = blob.subarray(written, written + room);
+
+            this.appendEntry(binary, cursor, {
+                namespace: entry.namespace,
+                type: this.TYPE_BLOB_DATA,
+                span: 1 + Math.ceil(chunk.length / this.ENTRY_SIZE),
+                chunkIndex: chunkCount,
+                key: entry.key,
+                data: chunk
+            });
+
+            written += chunk.length;
+            chunkCount++;
+        } while (written < blob.length);
+
+        if (chunkCount > 128) {
+            throw new Error(`NVS blob "${entry.key}" needs ${chunkCount} chunks, max 128`);
+        }
+
+        // Index entry: size (u32), chunk count (u8), chunk start (u8), reserved (u16)
+        const index = new Uint8Array(8).fill(0xFF);
+        const view = new DataView(index.buffer);
+        view.setUint32(0, blob.length, true);
+        index[4] = chunkCount;
+        index[5] = 0; // Chunk start (ESP-IDF alternates 0/128 when updating)
+
+        this.appendEntry(binary, cursor, {
+            namespace: entry.namespace,
+            type: this.TYPE_BLOB_IDX,
+            span: 1,
+            key: entry.key,
+            data: index
+        });
+    }
+
+    /**
+     * Set the 2-bit state of an entry in the page's entry state bitmap
+     * (32 bytes after the page header, 4 entries per byte, LSB first)
+     */
+    setEntryState(binary, pageIndex, entryIndex, state) {
+        const offset = pageIndex * this.PAGE_SIZE + this.BITMAP_OFFSET + (entryIndex >> 2);
+        const shift = (entryIndex & 3) * 2;
+        binary[offset] = (binary[offset] & ~(0b11 << shift)) | (state << shift);
+    }
+
+    /**
+     * Read the 2-bit state of an entry from the page's entry state bitmap
+     */
+    getEntryState(binary, pageIndex, entryIndex) {
+        const offset = pageIndex * this.PAGE_SIZE + this.BITMAP_OFFSET + (entryIndex >> 2);
+        return (binary[offset] >> ((entryIndex & 3) * 2)) & 0b11;
+    }
+
     /**
      * Create an NVS entry from a key-value pair
+     * NVSValue instances are stored as their declared type; plain JavaScript
+     * values have their type inferred (integers: the smallest of u8/u16/u32 that
+     * fits, i32 or i64 when negative, u64 above 0xFFFFFFFF).
      */
     createEntry(namespaceIndex, key, value) {
         let type, data;
 
-        if (typeof value === 'string') {
+        if (value instanceof NVSValue) {
+            ({ type, data } = this.encodeTypedValue(coerceNVSValue(value.value, value.type, key)));
+        } else if (typeof value === 'string') {
             type = this.TYPE_STR;
             const encoder = new TextEncoder();
             const strBytes = encoder.encode(value);
             data = new Uint8Array(strBytes.length + 1); // +1 for null terminator
             data.set(strBytes);
             data[strBytes.length] = 0; // Null terminator
-            console.log(`[NVS Writer] Key: ${key}, value: "${value}", data.length: ${data.length}, bytes:`, Array.from(data));
         } else if (typeof value === 'number') {
             if (Number.isInteger(value)) {
                 if (value >= 0 && value <= 255) {
@@ -132,14 +380,27 @@ class NVSGenerator {
                     type = this.TYPE_U16;
                     data = new Uint8Array(2);
                     new DataView(data.buffer).setUint16(0, value, true); // little-endian
-                } else {
+                } else if (value >= 0 && value <= 0xFFFFFFFF) {
                     type = this.TYPE_U32;
                     data = new Uint8Array(4);
                     new DataView(data.buffer).setUint32(0, value, true); // little-endian
+                } else {
+                    // Negative numbers are signed, larger ones need 64 bits; integers a
+                    // double can't hold exactly are rejected rather than rounded
+                    const inferred = value < 0 ? (value >= -0x80000000 ? 'i32' : 'i64') : 'u64';
+                    ({ type, data } = this.encodeTypedValue(coerceNVSValue(value, inferred, key)));
                 }
             } else {
-                throw new Error('Float values not supported yet');
+                // Non-integer numbers default to a 32-bit float (u32 bit pattern)
+                ({ type, data } = this.encodeTypedValue(coerceNVSValue(value, 'f32', key)));
             }
+        } else if (typeof value === 'bigint') {
+            ({ type, data } = this.encodeTypedValue(coerceNVSValue(value, value < 0n ? 'i64' : 'u64', key)));
+        } else if (typeof value === 'boolean') {
+            ({ type, data } = this.encodeTypedValue(coerceNVSValue(value, 'bool', key)));
+        } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+            type = this.TYPE_BLOB;
+            data = new Uint8Array(value);
         } else {
             throw new Error(`Unsupported value type for key ${key}: ${typeof value}`);
         }
@@ -149,7 +410,7 @@ class NVSGenerator {
         // - First entry: metadata (length at offset 24)
         // - Second+ entries: data (32 bytes per entry)
         let span = 1;
-        if (type === this.TYPE_STR || type === this.TYPE_BLOB) {
+        if (this.isVariableLength(type)) {
             // Minimum span is 2 for strings/blobs
             span = 1 + Math.ceil(data.length / this.ENTRY_SIZE);
         } else {
@@ -166,18 +427,64 @@ class NVSGenerator {
         };
     }
 
+    /**
+     * Encode a coerced NVSValue into its entry type and data bytes
+     */
+    encodeTypedValue(typed) {
+        if (typed.type === 'string') {
+            const strBytes = new TextEncoder().encode(typed.value);
+            const data = new Uint8Array(strBytes.length + 1); // +1 for null terminator
+            data.set(strBytes);
+            return { type: this.TYPE_STR, data };
+        }
+
+        if (typed.type === 'blob') {
+            return { type: this.TYPE_BLOB, data: typed.value };
+        }
+
+        // Booleans are stored as u8 0/1
+        if (typed.type === 'bool') {
+            return { type: this.TYPE_U8, data: new Uint8Array([typed.value ? 1 : 0]) };
+        }
+
+        // Floats are stored as the IEEE 754 bit pattern of a u32 (f32) or u64 (f64)
+        if (typed.type === 'f32' || typed.type === 'f64') {
+            const data = new Uint8Array(typed.type === 'f32' ? 4 : 8);
+            const view = new DataView(data.buffer);
+            if (typed.type === 'f32') {
+                view.setFloat32(0, typed.value, true);
+            } else {
+                view.setFloat64(0, typed.value, true);
+            }
+            return { type: typed.type === 'f32' ? this.TYPE_U32 : this.TYPE_U64, data };
+        }
+
+        // Integer types: little-endian, width from the type name
+        const { bits, signed } = NVS_INTEGER_TYPES[typed.type];
+        const data = new Uint8Array(bits / 8);
+        const view = new DataView(data.buffer);
+        const setter = `set${bits === 64 ? 'Big' : ''}${signed ? 'Int' : 'Uint'}${bits}`;
+        if (bits === 8) {
+            view[setter](0, typed.value);
+        } else {
+            view[setter](0, typed.value, true);
+        }
+
+        return { type: this[`TYPE_${typed.type.toUpperCase()}`], data };
+    }
+
     /**
      * Write an entry to the binary at the specified page and entry index
      */
     writeEntry(binary, pageIndex, entryIndex, entry) {
-        const offset = pageIndex * this.PAGE_SIZE + 32 + entryIndex * this.ENTRY_SIZE;
+        const offset = pageIndex * this.PAGE_SIZE + this.FIRST_ENTRY_OFFSET + entryIndex * this.ENTRY_SIZE;
         const view = new DataView(binary.buffer);
 
         // Entry format (32 bytes) - ESP-IDF official format:
         // [0] Namespace (1 byte)
         // [1] Type (1 byte)
         // [2] Span (1 byte)
-        // [3] Reserved (1 byte)
+        // [3] Chunk index (1 byte, 0xFF unless BLOB_DATA)
         // [4-7] CRC32 (4 bytes)
         // [8-23] Key (16 bytes, null-padded)
         // [24-31] Data (8 bytes for values ≤8 bytes)
@@ -185,7 +492,7 @@ class NVSGenerator {
         binary[offset + 0] = entry.namespace;
         binary[offset + 1] = entry.type;
         binary[offset + 2] = entry.span;
-        binary[offset + 3] = 0xFF; // Reserved
+        binary[offset + 3] = entry.chunkIndex ?? 0xFF; // Chunk index (BLOB_DATA only)
 
         // Write key (max 15 chars + null terminator)
         const keyBytes = new TextEncoder().encode(entry.key.substring(0, 15));
@@ -194,10 +501,12 @@ class NVSGenerator {
             binary[offset + 8 + i] = 0;
         }
 
-        // For strings/blobs, write length at offset 24, ALL data goes to continuation entries
-        if (entry.type === this.TYPE_STR || entry.type === this.TYPE_BLOB) {
+        // For strings/blobs, the data field holds size, reserved and data CRC;
+        // ALL data goes to continuation entries
+        if (this.isVariableLength(entry.type)) {
             view.setUint16(offset + 24, entry.data.length, true);  // Length at offset 24-25
-            // Bytes 26-31 are unused/padding (0xFF)
+            // Bytes 26-27 are reserved (0xFF)
+            view.setUint32(offset + 28, this.calculateCRC32(entry.data), true);
 
             // ALL string data goes into continuation entries (starting from entry index + 1)
             let dataOffset = 0;
@@ -212,49 +521,84 @@ class NVSGenerator {
             binary.set(entry.data, offset + 24);
         }
 
-        // Calculate and write CRC32 at offset 4-7
-        // CRC is calculated over: namespace(1) + type(1) + span(1) + reserved(1) + key(16) + data(8) = 28 bytes
-        const crcData = new Uint8Array(28);
-        crcData[0] = binary[offset + 0];  // namespace
-        crcData[1] = binary[offset + 1];  // type
-        crcData[2] = binary[offset + 2];  // span
-        crcData[3] = binary[offset + 3];  // reserved
-        crcData.set(binary.slice(offset + 8, offset + 24), 4);   // key (16 bytes)
-        crcData.set(binary.slice(offset + 24, offset + 32), 20); // data (8 bytes)
+        view.setUint32(offset + 4, this.calculateEntryCRC(binary, offset), true);  // CRC at offset 4
+    }
+
+    /**
+     * NVS type name (as used by NVSValue and the CSV format) for an entry type
+     */
+    typeName(type) {
+        const names = {
+            [this.TYPE_U8]: 'u8', [this.TYPE_I8]: 'i8',
+            [this.TYPE_U16]: 'u16', [this.TYPE_I16]: 'i16',
+            [this.TYPE_U32]: 'u32', [this.TYPE_I32]: 'i32',
+            [this.TYPE_U64]: 'u64', [this.TYPE_I64]: 'i64',
+            [this.TYPE_STR]: 'string',
+            [this.TYPE_BLOB]: 'blob', [this.TYPE_BLOB_DATA]: 'blob', [this.TYPE_BLOB_IDX]: 'blob'
+        };
+        return names[type];
+    }
+
+    /**
+     * Whether entries of this type store their data in continuation entries
+     */
+    isVariableLength(type) {
+        return type === this.TYPE_STR || type === this.TYPE_BLOB || type === this.TYPE_BLOB_DATA;
+    }
 
-        const crc = this.calculateCRC32(crcData);
-        view.setUint32(offset + 4, crc, true);  // CRC at offset 4
+    /**
+     * Read the data of a variable-length entry (string, blob or blob chunk):
+     * size at offset 24, data in the following span - 1 entries
+     */
+    readEntryData(binary, entryOffset, span) {
+        const view = new DataView(binary.buffer, binary.byteOffset, binary.byteLength);
+        const size = view.getUint16(entryOffset + 24, true);
+        const available = Math.max(0, span - 1) * this.ENTRY_SIZE;
+        const start = entryOffset + this.ENTRY_SIZE;
+        return binary.slice(start, start + Math.min(size, available));
+    }
+
+    /**
+     * Calculate the CRC32 of the entry at the given offset
+     * CRC is calculated over: namespace(1) + type(1) + span(1) + reserved(1) + key(16) + data(8) = 28 bytes
+     */
+    calculateEntryCRC(binary, offset) {
+        const crcData = new Uint8Array(28);
+        crcData.set(binary.subarray(offset, offset + 4), 0);       // namespace, type, span, reserved
+        crcData.set(binary.subarray(offset + 8, offset + 32), 4);  // key (16 bytes) + data (8 bytes)
+        return this.calculateCRC32(crcData);
     }
 
     /**
      * Finalize a page by writing the page header
      */
-    finalizePage(binary, pageIndex, numEntries) {
+    finalizePage(binary, pageIndex, sequence, state, version = this.VERSION_2) {
         const offset = pageIndex * this.PAGE_SIZE;
         const view = new DataView(binary.buffer);
 
         // Page header (32 bytes):
         // [0-3] Page state (4 bytes)
         // [4-7] Sequence number (4 bytes)
-        // [8-11] Version (4 bytes) - set to 0xFFFFFFFF (unused)
-        // [12-31] Reserved
+        // [8] Version (1 byte) - 0xFF (version 1) or 0xFE (version 2)
+        // [9-27] Reserved (0xFF)
+        // [28-31] CRC32 of bytes 4-27
 
-        view.setUint32(offset + 0, this.PAGE_STATE_ACTIVE, true);
-        view.setUint32(offset + 4, pageIndex, true); // Sequence number
-        view.setUint32(offset + 8, 0xFFFFFFFF, true); // Version (unused)
+        view.setUint32(offset + 0, state, true);
+        view.setUint32(offset + 4, sequence, true);
+        binary[offset + 8] = version;
 
-        // Calculate page CRC and store at end of header
-        const headerCRC = this.calculateCRC32(binary.slice(offset, offset + 28));
+        const headerCRC = this.calculateCRC32(binary.subarray(offset + 4, offset + 28));
         view.setUint32(offset + 28, headerCRC, true);
     }
 
 
     /**
      * Calculate CRC32 checksum
-     * This is a simplified implementation - ESP-IDF uses proper CRC32
+     * Matches ESP-IDF's esp_rom_crc32_le(0xFFFFFFFF, ...), i.e. zlib.crc32(data, 0xFFFFFFFF)
+     * as used by nvs_partition_gen.py - not the standard zlib CRC32 seed.
      */
     calculateCRC32(data) {
-        let crc = 0xFFFFFFFF;
+        let crc = 0;
 
         for (let i = 0; i < data.length; i++) {
             crc ^= data[i];
@@ -267,6 +611,173 @@ class NVSGenerator {
     }
 }
 
+/**
+ * Integer NVS types: bit width and signedness
+ */
+const NVS_INTEGER_TYPES = {
+    u8: { bits: 8, signed: false },
+    i8: { bits: 8, signed: true },
+    u16: { bits: 16, signed: false },
+    i16: { bits: 16, signed: true },
+    u32: { bits: 32, signed: false },
+    i32: { bits: 32, signed: true },
+    u64: { bits: 64, signed: false },
+    i64: { bits: 64, signed: true }
+};
+
+/**
+ * Type names accepted for a config field's nvsType
+ *
+ * Besides the native NVS types there are three encodings for values NVS has
+ * no type for, chosen per key:
+ * - bool: u8 entry holding 0 or 1
+ * - f32: u32 entry holding the IEEE 754 single-precision bit pattern
+ * - f64: u64 entry holding the IEEE 754 double-precision bit pattern
+ * In firmware, read the integer and reinterpret it (memcpy / f32::from_bits).
+ */
+const NVS_TYPES = [...Object.keys(NVS_INTEGER_TYPES), 'bool', 'f32', 'f64', 'string', 'blob'];
+
+/**
+ * A value with an explicit NVS storage type (see NVS_TYPES)
+ * Pass these to generate() to control the entry type instead of letting it
+ * be inferred from the JavaScript value.
+ */
+class NVSValue {
+    constructor(type, value) {
+        this.type = type;
+        this.value = value;
+    }
+}
+
+/**
+ * Coerce a value (typically a form string) into the given NVS type, checking
+ * that it fits the type's range
+ * @param {*} value - Raw value, e.g. "9000" from an input field
+ * @param {string} nvsType - One of NVS_TYPES
+ * @param {string} key - NVS key, used in error messages
+ * @returns {NVSValue} - Coerced value
+ * @throws {Error} - With isNVSValueError set if the value cannot be stored as nvsType
+ */
+function coerceNVSValue(value, nvsType, key = 'value') {
+    const fail = (reason) => {
+        const error = new Error(`Invalid NVS value for ${key}: ${reason}`);
+        error.isNVSValueError = true;
+        error.nvsKey = key;
+        return error;
+    };
+
+    if (!NVS_TYPES.includes(nvsType)) {
+        throw fail(`unknown nvsType "${nvsType}" (expected one of ${NVS_TYPES.join(', ')})`);
+    }
+
+    if (nvsType === 'string') {
+        const str = String(value);
+        // ESP-IDF limits strings to 4000 bytes including the null terminator
+        if (new TextEncoder().encode(str).length + 1 > 4000) {
+            throw fail('string is longer than 4000 bytes');
+        }
+        return new NVSValue('string', str);
+    }
+
+    if (nvsType === 'blob') {
+        if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+            return new NVSValue('blob', new Uint8Array(value));
+        }
+        if (typeof value === 'string') {
+            return new NVSValue('blob', new TextEncoder().encode(value));
+        }
+        throw fail(`cannot store ${typeof value} as blob`);
+    }
+
+    if (nvsType === 'bool') {
+        const text = String(value).trim().toLowerCase();
+        if (value === true || ['true', '1', 'on', 'yes'].includes(text)) {
+            return new NVSValue('bool', true);
+        }
+        if (value === false || ['false', '0', 'off', 'no'].includes(text)) {
+            return new NVSValue('bool', false);
+        }
+        throw fail(`"${value}" is not a boolean`);
+    }
+
+    if (nvsType === 'f32' || nvsType === 'f64') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            throw fail(`"${value}" is not a finite number`);
+        }
+        if (nvsType === 'f32' && !Number.isFinite(Math.fround(number))) {
+            throw fail(`${number} is out of range for f32`);
+        }
+        return new NVSValue(nvsType, number);
+    }
+
+    // Integer types: accept numbers, BigInts and decimal or 0x-prefixed hex strings.
+    // Range checks use BigInt so 64-bit limits are exact.
+    let integer;
+    if (typeof value === 'bigint') {
+        integer = value;
+    } else if (typeof value === 'string') {
+        const text = value.trim();
+        if (/^[-+]?\d+$/.test(text) || /^0x[0-9a-f]+$/i.test(text)) {
+            integer = BigInt(text);
+        } else {
+            throw fail(`"${value}" is not an integer`);
+        }
+    } else if (typeof value === 'number' && Number.isInteger(value)) {
+        if (!Number.isSafeInteger(value)) {
+            throw fail(`${value} cannot be represented exactly; pass a BigInt or string`);
+        }
+        integer = BigInt(value);
+    } else {
+        throw fail(`${value} is not an integer`);
+    }
+
+    const { bits, signed } = NVS_INTEGER_TYPES[nvsType];
+    const min = signed ? -(1n << BigInt(bits - 1)) : 0n;
+    const max = signed ? (1n << BigInt(bits - 1)) - 1n : (1n << BigInt(bits)) - 1n;
+    if (integer < min || integer > max) {
+        throw fail(`${integer} is out of range for ${nvsType} (${min} to ${max})`);
+    }
+
+    // 64-bit values stay BigInt, narrower ones become plain numbers
+    return new NVSValue(nvsType, bits === 64 ? integer : Number(integer));
+}
+
+/**
+ * Convert a value returned by parse() back into the JavaScript value for an
+ * nvsType, undoing the bool/f32/f64 encodings applied by coerceNVSValue()
+ * @param {*} value - Parsed value (number, BigInt, string or Uint8Array)
+ * @param {string} nvsType - The nvsType the value was written with
+ * @returns {*} - Decoded value
+ */
+function decodeNVSValue(value, nvsType) {
+    if (nvsType === 'bool') {
+        return value !== 0;
+    }
+
+    if (nvsType === 'f32' && typeof value === 'number') {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setUint32(0, value, true);
+        const float = view.getFloat32(0, true);
+        // Shortest decimal that maps back to the same f32 (e.g. 0.1, not 0.10000000149011612)
+        for (let precision = 1; precision < 9; precision++) {
+            const shortest = Number(float.toPrecision(precision));
+            if (Math.fround(shortest) === float) {
+                return shortest;
+            }
+        }
+        return float;
+    }
+
+    if (nvsType === 'f64' && typeof value === 'bigint') {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setBigUint64(0, value, true);
+        return view.getFloat64(0, true);
+    }
+
+    return value;
+}
+
 /**
  * Helper function to generate NVS partition from web form inputs
  * @param {Object} config - Configuration object from form
@@ -294,12 +805,33 @@ function generateNVSFromConfig(config, namespace = 'config', partitionSize = 0x6
 
 /**
  * Parse NVS partition binary back into key-value pairs
+ * Blobs (V1 BLOB or V2 BLOB_DATA chunks joined via BLOB_IDX) are returned as Uint8Array,
+ * U64/I64 as BigInt. Use decodeNVSValue() to recover bool/f32/f64 values.
  * @param {Uint8Array} binary - NVS partition binary data
+ * @param {Object} options - Parse options
+ * @param {Uint8Array} options.encryptionKey - 64-byte XTS key for encrypted partitions
+ * @param {boolean} options.typed - Return values as NVSValue with their stored type
+ * @param {boolean} options.strict - Use parseStrict() (CRC checks, newest live copy only)
+ * @param {Array} options.diagnostics - With strict, receives the parseStrict() diagnostics
  * @returns {Object} - Parsed data organized by namespace
  */
-NVSGenerator.prototype.parse = function(binary) {
+NVSGenerator.prototype.parse = function(binary, options = {}) {
+    if (options.strict) {
+        const result = this.parseStrict(binary, options);
+        if (Array.isArray(options.diagnostics)) {
+            options.diagnostics.push(...result.diagnostics);
+        }
+        return result.data;
+    }
+
+    if (options.encryptionKey) {
+        binary = this.decryptPartition(binary, options.encryptionKey);
+    }
+
     const data = {};
     const namespaces = {}; // Map namespace index to name
+    const blobChunks = {}; // "ns:key" -> { chunkIndex: Uint8Array }
+    const blobIndexes = []; // V2 BLOB_IDX entries, resolved after all pages are read
 
     const view = new DataView(binary.buffer, binary.byteOffset, binary.byteLength);
     const numPages = Math.floor(binary.length / this.PAGE_SIZE);
@@ -315,9 +847,9 @@ NVSGenerator.prototype.parse = function(binary) {
             continue;
         }
 
-        // Read entries in this page (start at 1, entry 0 is bitmap)
-        for (let entryIdx = 1; entryIdx < this.ENTRIES_PER_PAGE; ) {
-            const entryOffset = pageOffset + 32 + (entryIdx * this.ENTRY_SIZE);
+        // Read entries in this page (entries start after header and bitmap)
+        for (let entryIdx = 0; entryIdx < this.ENTRIES_PER_PAGE; ) {
+            const entryOffset = pageOffset + this.FIRST_ENTRY_OFFSET + (entryIdx * this.ENTRY_SIZE);
 
             // Check if entry is used (namespace byte != 0xFF)
             const namespace = view.getUint8(entryOffset);
@@ -327,15 +859,11 @@ NVSGenerator.prototype.parse = function(binary) {
             }
 
             const type = view.getUint8(entryOffset + 1);
-            const span = view.getUint8(entryOffset + 2);
-
-            // Read key (16 bytes, null-terminated) - starts at offset 8
-            const keyBytes = new Uint8Array(binary.buffer, binary.byteOffset + entryOffset + 8, 16);
-            const keyEnd = keyBytes.indexOf(0);
-            const key = new TextDecoder().decode(keyBytes.slice(0, keyEnd > 0 ? keyEnd : 16));
+            const span = Math.max(1, view.getUint8(entryOffset + 2));
+            const key = this.readKey(binary, entryOffset);
 
             // Handle namespace entries (type 0x01 AND namespace 0)
-            if (type === 0x01 && namespace === 0) {
+            if (type === this.TYPE_U8 && namespace === 0) {
                 // Namespace entries have index 0, actual index is in data[0]
                 const nsIndex = view.getUint8(entryOffset + 24);
                 namespaces[nsIndex] = key;
@@ -352,82 +880,569 @@ NVSGenerator.prototype.parse = function(binary) {
                 data[namespaceName] = {};
             }
 
-            // Parse value based on type
-            let value;
+            if (type === this.TYPE_BLOB_DATA) {
+                // V2 blob chunk: collected here, joined once its BLOB_IDX is known
+                const chunkIndex = view.getUint8(entryOffset + 3);
+                const chunks = blobChunks[`${namespace}:${key}`] ??= {};
+                chunks[chunkIndex] = this.readEntryData(binary, entryOffset, span);
+            } else if (type === this.TYPE_BLOB_IDX) {
+                // Placeholder keeps the key in entry order until the chunks are joined
+                data[namespaceName][key] = undefined;
+                blobIndexes.push({ namespace, key, ...this.readBlobIndex(binary, entryOffset) });
+            } else {
+                const value = this.readEntryValue(binary, entryOffset, type, span);
+                if (value === undefined) {
+                    // Unknown type
+                    entryIdx++;
+                    continue;
+                }
+                data[namespaceName][key] = options.typed ? new NVSValue(this.typeName(type), value) : value;
+            }
+
+            entryIdx += span;  // Skip span entries (includes this one + continuation entries)
+        }
+    }
+
+    // Join V2 blob chunks in index order
+    for (const index of blobIndexes) {
+        const value = this.joinBlobChunks(blobChunks[`${index.namespace}:${index.key}`] || {}, index);
+        const namespaceName = namespaces[index.namespace] || `ns_${index.namespace}`;
+        if (value) {
+            data[namespaceName][index.key] = options.typed ? new NVSValue('blob', value) : value;
+        } else {
+            delete data[namespaceName][index.key];
+        }
+    }
+
+    return data;
+};
+
+/**
+ * Parse an NVS partition the way ESP-IDF loads it on boot
+ *
+ * Unlike parse(), this verifies page header and entry CRCs, follows the entry
+ * state bitmap (erased entries are skipped), visits pages in sequence-number
+ * order and keeps only the newest live copy of each key. Problems are
+ * returned as diagnostics rather than thrown, so a partially damaged
+ * partition still yields every value that can be trusted.
+ *
+ * Diagnostics: { severity: 'error'|'warning', code, message, page, entry?, offset, namespace?, key? }
+ * Codes: page-state, page-header-crc, page-version, duplicate-sequence, entry-crc,
+ * entry-state, invalid-span, orphan-span, data-crc, unknown-type, unknown-namespace,
+ * orphan-blob-chunk, incomplete-blob
+ *
+ * @param {Uint8Array} binary - NVS partition binary
+ * @param {Object} options - { encryptionKey, typed } as for parse()
+ * @returns {{data: Object, diagnostics: Array<Object>}}
+ */
+NVSGenerator.prototype.parseStrict = function(binary, options = {}) {
+    if (options.encryptionKey) {
+        binary = this.decryptPartition(binary, options.encryptionKey);
+    }
+
+    const data = {};
+    const diagnostics = [];
+    const namespaces = {};  // Namespace index -> name
+    const blobChunks = {};  // "ns:key" -> { chunkIndex: { value, page, entry } }
+    const blobIndexes = {}; // "ns:key" -> newest BLOB_IDX
+
+    const view = new DataView(binary.buffer, binary.byteOffset, binary.byteLength);
+    const numPages = Math.floor(binary.length / this.PAGE_SIZE);
+    const report = (severity, code, message, details) => {
+        diagnostics.push({ severity, code, message, ...details });
+    };
+    const store = (namespace, key, value, typeName) => {
+        const namespaceName = namespaces[namespace];
+        // Re-insert so the key order follows the newest copy
+        delete data[namespaceName][key];
+        data[namespaceName][key] = options.typed ? new NVSValue(typeName, value) : value;
+    };
+
+    // Collect valid pages, then visit them oldest first so newer copies win
+    const pages = [];
+    for (let pageIdx = 0; pageIdx < numPages; pageIdx++) {
+        const pageOffset = pageIdx * this.PAGE_SIZE;
+        const state = view.getUint32(pageOffset, true);
+
+        if (state === this.PAGE_STATE_EMPTY) {
+            continue;
+        }
+
+        if (state !== this.PAGE_STATE_ACTIVE && state !== this.PAGE_STATE_FULL && state !== this.PAGE_STATE_FREEING) {
+            const stateName = state === this.PAGE_STATE_CORRUPT ? 'CORRUPT' : `0x${state.toString(16).padStart(8, '0')}`;
+            report('error', 'page-state', `Page ${pageIdx} has state ${stateName}; page skipped`, { page: pageIdx, offset: pageOffset });
+            continue;
+        }
+
+        const storedCRC = view.getUint32(pageOffset + 28, true);
+        if (storedCRC !== this.calculateCRC32(binary.subarray(pageOffset + 4, pageOffset + 28))) {
+            report('error', 'page-header-crc', `Page ${pageIdx} header CRC mismatch; page skipped`, { page: pageIdx, offset: pageOffset });
+            continue;
+        }
+
+        const version = binary[pageOffset + 8];
+        if (version !== this.VERSION_1 && version !== this.VERSION_2) {
+            report('error', 'page-version', `Page ${pageIdx} has unknown format version 0x${version.toString(16)}; page skipped`, { page: pageIdx, offset: pageOffset });
+            continue;
+        }
+
+        pages.push({ index: pageIdx, offset: pageOffset, state, version, sequence: view.getUint32(pageOffset + 4, true) });
+    }
+
+    // A FREEING page is older than the page its entries are being moved to
+    pages.sort((a, b) => a.sequence - b.sequence ||
+        (b.state === this.PAGE_STATE_FREEING) - (a.state === this.PAGE_STATE_FREEING));
+
+    for (let i = 1; i < pages.length; i++) {
+        if (pages[i].sequence === pages[i - 1].sequence) {
+            report('warning', 'duplicate-sequence', `Pages ${pages[i - 1].index} and ${pages[i].index} share sequence number ${pages[i].sequence}`, { page: pages[i].index, offset: pages[i].offset });
+        }
+    }
+
+    for (const page of pages) {
+        for (let entryIdx = 0; entryIdx < this.ENTRIES_PER_PAGE; ) {
+            const entryOffset = page.offset + this.FIRST_ENTRY_OFFSET + entryIdx * this.ENTRY_SIZE;
+            const entryState = this.getEntryState(binary, page.index, entryIdx);
+            const location = { page: page.index, entry: entryIdx, offset: entryOffset };
+
+            if (entryState === this.ENTRY_STATE_ERASED) {
+                entryIdx++;
+                continue;
+            }
 
-            if (type === this.TYPE_U8) {
-                value = view.getUint8(entryOffset + 24);
-            } else if (type === this.TYPE_I8) {
-                value = view.getInt8(entryOffset + 24);
-            } else if (type === this.TYPE_U16) {
-                value = view.getUint16(entryOffset + 24, true);
-            } else if (type === this.TYPE_I16) {
-                value = view.getInt16(entryOffset + 24, true);
-            } else if (type === this.TYPE_U32) {
-                value = view.getUint32(entryOffset + 24, true);
-            } else if (type === this.TYPE_I32) {
-                value = view.getInt32(entryOffset + 24, true);
-            } else if (type === this.TYPE_STR) {
-                // String: length at offset+24 (2 bytes), ALL data in continuation entries
-                const strLen = view.getUint16(entryOffset + 24, true);
-                const totalBytes = new Uint8Array(strLen);
-                let bytesRead = 0;
-
-                // Read from continuation entries ONLY (skip first entry, it only has length)
-                for (let s = 1; s < span; s++) {
-                    const spanOffset = entryOffset + (s * this.ENTRY_SIZE);
-                    const chunkSize = Math.min(strLen - bytesRead, this.ENTRY_SIZE);
-
-                    totalBytes.set(
-                        new Uint8Array(binary.buffer, binary.byteOffset + spanOffset, chunkSize),
-                        bytesRead
-                    );
-                    bytesRead += chunkSize;
+            if (entryState !== this.ENTRY_STATE_WRITTEN) {
+                // ESP-IDF treats a non-empty entry marked EMPTY as an interrupted write
+                if (entryState === this.ENTRY_STATE_EMPTY &&
+                    binary.subarray(entryOffset, entryOffset + this.ENTRY_SIZE).some(b => b !== 0xFF)) {
+                    report('warning', 'entry-state', `Entry ${entryIdx} on page ${page.index} holds data but is marked empty; ignored`, location);
                 }
+                entryIdx++;
+                continue;
+            }
 
-                // Find null terminator and decode only up to that point
-                const nullIndex = totalBytes.indexOf(0);
-                const actualLen = nullIndex >= 0 ? nullIndex : strLen;
-                console.log(`[NVS Parser] Key: ${key}, strLen: ${strLen}, span: ${span}, bytes:`, Array.from(totalBytes.slice(0, actualLen + 1)));
-                value = new TextDecoder().decode(totalBytes.slice(0, actualLen));
-            } else if (type === this.TYPE_BLOB) {
-                // Blob: similar to string but return as Uint8Array
-                const blobLen = view.getUint16(entryOffset + 20, true);
-                value = new Uint8Array(binary.buffer, binary.byteOffset + entryOffset + 24, Math.min(blobLen, 8));
-            } else {
-                // Unknown type
+            if (view.getUint32(entryOffset + 4, true) !== this.calculateEntryCRC(binary, entryOffset)) {
+                report('error', 'entry-crc', `Entry ${entryIdx} on page ${page.index} CRC mismatch; entry skipped`, location);
                 entryIdx++;
                 continue;
             }
 
-            data[namespaceName][key] = value;
-            entryIdx += span;  // Skip span entries (includes this one + continuation entries)
+            const namespace = view.getUint8(entryOffset);
+            const type = view.getUint8(entryOffset + 1);
+            const span = view.getUint8(entryOffset + 2);
+            const key = this.readKey(binary, entryOffset);
+            Object.assign(location, { key });
+
+            const expectedSpan = this.isVariableLength(type)
+                ? 1 + Math.ceil(view.getUint16(entryOffset + 24, true) / this.ENTRY_SIZE)
+                : 1;
+            if (span === 0 || span !== expectedSpan || entryIdx + span > this.ENTRIES_PER_PAGE) {
+                report('error', 'invalid-span', `Entry "${key}" on page ${page.index} has invalid span ${span}; entry skipped`, location);
+                entryIdx++;
+                continue;
+            }
+
+            // Every continuation entry must be marked written too
+            let continuationOk = true;
+            for (let i = 1; i < span; i++) {
+                if (this.getEntryState(binary, page.index, entryIdx + i) !== this.ENTRY_STATE_WRITTEN) {
+                    continuationOk = false;
+                }
+            }
+            if (!continuationOk) {
+                report('error', 'orphan-span', `Entry "${key}" on page ${page.index} has continuation entries that are not written; entry skipped`, location);
+                entryIdx++;
+                continue;
+            }
+            entryIdx += span;
+
+            // Namespace definitions live in namespace 0 as u8 entries
+            if (namespace === 0) {
+                if (type === this.TYPE_U8) {
+                    namespaces[view.getUint8(entryOffset + 24)] = key;
+                    data[key] ??= {};
+                } else {
+                    report('warning', 'unknown-type', `Entry "${key}" in namespace 0 has type 0x${type.toString(16)}; ignored`, location);
+                }
+                continue;
+            }
+
+            if (namespaces[namespace] === undefined) {
+                report('error', 'unknown-namespace', `Entry "${key}" on page ${page.index} uses undefined namespace index ${namespace}; entry skipped`, location);
+                continue;
+            }
+            Object.assign(location, { namespace: namespaces[namespace] });
+
+            if (this.isVariableLength(type)) {
+                const value = this.readEntryData(binary, entryOffset, span);
+                if (view.getUint32(entryOffset + 28, true) !== this.calculateCRC32(value)) {
+                    report('error', 'data-crc', `Entry "${key}" on page ${page.index} data CRC mismatch; entry skipped`, location);
+                    continue;
+                }
+            }
+
+            if (type === this.TYPE_BLOB_DATA) {
+                const chunkIndex = view.getUint8(entryOffset + 3);
+                const chunks = blobChunks[`${namespace}:${key}`] ??= {};
+                chunks[chunkIndex] = { value: this.readEntryData(binary, entryOffset, span), ...location };
+            } else if (type === this.TYPE_BLOB_IDX) {
+                blobIndexes[`${namespace}:${key}`] = { namespace, key, location, ...this.readBlobIndex(binary, entryOffset) };
+                store(namespace, key, undefined, 'blob');
+            } else {
+                const value = this.readEntryValue(binary, entryOffset, type, span);
+                if (value === undefined) {
+                    report('warning', 'unknown-type', `Entry "${key}" on page ${page.index} has unknown type 0x${type.toString(16)}; ignored`, location);
+                    continue;
+                }
+                store(namespace, key, value, this.typeName(type));
+            }
+        }
+    }
+
+    // Join V2 blobs from the chunks their newest index refers to
+    for (const [id, index] of Object.entries(blobIndexes)) {
+        const chunks = blobChunks[id] || {};
+        const values = Object.fromEntries(Object.entries(chunks).map(([i, chunk]) => [i, chunk.value]));
+        const value = this.joinBlobChunks(values, index);
+        const namespaceName = namespaces[index.namespace];
+
+        if (value) {
+            data[namespaceName][index.key] = options.typed ? new NVSValue('blob', value) : value;
+        } else {
+            delete data[namespaceName][index.key];
+            report('error', 'incomplete-blob', `Blob "${index.key}" is missing chunks or has the wrong size; value skipped`, index.location);
+        }
+
+        for (const [chunkIndex, chunk] of Object.entries(chunks)) {
+            if (chunkIndex < index.chunkStart || chunkIndex >= index.chunkStart + index.chunkCount) {
+                report('warning', 'orphan-blob-chunk', `Blob chunk ${chunkIndex} of "${index.key}" is not referenced by its index`, chunk);
+            }
+        }
+        delete blobChunks[id];
+    }
+
+    for (const chunks of Object.values(blobChunks)) {
+        for (const [chunkIndex, chunk] of Object.entries(chunks)) {
+            report('warning', 'orphan-blob-chunk', `Blob chunk ${chunkIndex} of "${chunk.key}" has no blob index`, chunk);
+        }
+    }
+
+    return { data, diagnostics };
+};
+
+/**
+ * Read the null-terminated key of an entry (16 bytes at offset 8)
+ */
+NVSGenerator.prototype.readKey = function(binary, entryOffset) {
+    const keyBytes = binary.subarray(entryOffset + 8, entryOffset + 24);
+    const keyEnd = keyBytes.indexOf(0);
+    return new TextDecoder().decode(keyBytes.subarray(0, keyEnd >= 0 ? keyEnd : 16));
+};
+
+/**
+ * Decode the value of a single-entry or string/V1 blob entry
+ * @returns {*} - Value, or undefined for types without a direct value (blob chunks/index, unknown)
+ */
+NVSGenerator.prototype.readEntryValue = function(binary, entryOffset, type, span) {
+    const view = new DataView(binary.buffer, binary.byteOffset, binary.byteLength);
+    const dataOffset = entryOffset + 24;
+
+    switch (type) {
+        case this.TYPE_U8: return view.getUint8(dataOffset);
+        case this.TYPE_I8: return view.getInt8(dataOffset);
+        case this.TYPE_U16: return view.getUint16(dataOffset, true);
+        case this.TYPE_I16: return view.getInt16(dataOffset, true);
+        case this.TYPE_U32: return view.getUint32(dataOffset, true);
+        case this.TYPE_I32: return view.getInt32(dataOffset, true);
+        case this.TYPE_U64: return view.getBigUint64(dataOffset, true);
+        case this.TYPE_I64: return view.getBigInt64(dataOffset, true);
+        case this.TYPE_STR: {
+            // String: length at offset+24, data in continuation entries, null-terminated
+            const bytes = this.readEntryData(binary, entryOffset, span);
+            const nullIndex = bytes.indexOf(0);
+            return new TextDecoder().decode(bytes.subarray(0, nullIndex >= 0 ? nullIndex : bytes.length));
+        }
+        case this.TYPE_BLOB:
+            // V1 blob: same layout as a string, returned as Uint8Array
+            return this.readEntryData(binary, entryOffset, span);
+        default:
+            return undefined;
+    }
+};
+
+/**
+ * Read a V2 BLOB_IDX entry: total size (u32), chunk count (u8), chunk start (u8)
+ */
+NVSGenerator.prototype.readBlobIndex = function(binary, entryOffset) {
+    const view = new DataView(binary.buffer, binary.byteOffset, binary.byteLength);
+    return {
+        size: view.getUint32(entryOffset + 24, true),
+        chunkCount: view.getUint8(entryOffset + 28),
+        chunkStart: view.getUint8(entryOffset + 29)
+    };
+};
+
+/**
+ * Join the chunks referenced by a BLOB_IDX entry
+ * @param {Object} chunks - chunkIndex -> Uint8Array
+ * @param {Object} index - { size, chunkCount, chunkStart }
+ * @returns {Uint8Array|null} - Blob, or null if chunks are missing or sizes disagree
+ */
+NVSGenerator.prototype.joinBlobChunks = function(chunks, index) {
+    const value = new Uint8Array(index.size);
+    let offset = 0;
+
+    for (let i = index.chunkStart; i < index.chunkStart + index.chunkCount; i++) {
+        const chunk = chunks[i];
+        if (!chunk || offset + chunk.length > index.size) {
+            return null;
+        }
+        value.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return offset === index.size ? value : null;
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting: "a,b" and "" escapes)
+ * @returns {Array<{line: number, fields: string[]}>} - Rows with their 1-based line numbers
+ */
+function splitCSV(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            rows.push({ line: rowLine, fields });
+            fields = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        rows.push({ line: rowLine, fields });
+    }
+
+    return rows;
+}
+
+/**
+ * Quote a CSV field if it contains a comma, quote or line break
+ */
+function escapeCSVField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function hexToBytes(hex) {
+    const clean = hex.replace(/\s+/g, '');
+    if (clean.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(clean)) {
+        throw new Error('invalid hex string');
+    }
+    const bytes = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64.replace(/\s+/g, '')), c => c.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Build generate() input from an ESP-IDF nvs_partition_gen.py CSV
+ *
+ * Rows are key,type,encoding,value where type is namespace, data or file.
+ * Encodings: u8, i8, u16, i16, u32, i32, u64, i64, string, hex2bin, base64
+ * and (file only) binary. Blank lines, # comments and the header row are skipped.
+ *
+ * @param {string} csv - CSV text
+ * @param {Object} options - Import options
+ * @param {Object|Function} options.files - For file rows: map of path -> Uint8Array/string,
+ *   or a function (path) => Uint8Array/string
+ * @returns {Object} - Namespaced data with NVSValue values, ready for generate()
+ */
+NVSGenerator.prototype.parseCSV = function(csv, options = {}) {
+    const data = {};
+    let namespace = null;
+
+    for (const { line, fields } of splitCSV(csv)) {
+        const [key = '', type = '', encoding = '', ...rest] = fields.map(f => f.trim());
+        const value = rest.join(',');
+        const fail = (reason) => new Error(`NVS CSV line ${line}: ${reason}`);
+
+        if ((key === '' && type === '') || key.startsWith('#')) {
+            continue;
+        }
+        if (key === 'key' && type === 'type') {
+            continue; // Header row
+        }
+        if (key.length > 15) {
+            throw fail(`key "${key}" is longer than 15 characters`);
+        }
+
+        if (type === 'namespace') {
+            namespace = key;
+            data[namespace] ??= {};
+            continue;
+        }
+
+        if (type !== 'data' && type !== 'file') {
+            throw fail(`unknown type "${type}" (expected namespace, data or file)`);
+        }
+        if (namespace === null) {
+            throw fail(`"${key}" appears before any namespace row`);
+        }
+
+        let raw = value;
+        if (type === 'file') {
+            const files = options.files;
+            const contents = typeof files === 'function' ? files(value) : files?.[value];
+            if (contents === undefined || contents === null) {
+                throw fail(`file "${value}" was not provided`);
+            }
+            raw = contents;
+        }
+
+        const asBytes = (input) => typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+        const asText = (input) => typeof input === 'string' ? input : new TextDecoder().decode(input);
+
+        try {
+            if (encoding === 'string') {
+                data[namespace][key] = coerceNVSValue(asText(raw), 'string', key);
+            } else if (encoding === 'hex2bin') {
+                data[namespace][key] = new NVSValue('blob', hexToBytes(asText(raw)));
+            } else if (encoding === 'base64') {
+                data[namespace][key] = new NVSValue('blob', base64ToBytes(asText(raw)));
+            } else if (encoding === 'binary') {
+                if (type !== 'file') {
+                    throw new Error('binary encoding is only valid for file rows');
+                }
+                data[namespace][key] = new NVSValue('blob', asBytes(raw));
+            } else if (NVS_INTEGER_TYPES[encoding]) {
+                data[namespace][key] = coerceNVSValue(asText(raw), encoding, key);
+            } else {
+                throw new Error(`unknown encoding "${encoding}"`);
+            }
+        } catch (error) {
+            throw fail(error.message);
         }
     }
 
     return data;
 };
 
+/**
+ * Generate an NVS partition binary from an nvs_partition_gen.py CSV
+ * @param {string} csv - CSV text
+ * @param {number} partitionSize - Size of partition in bytes
+ * @param {Object} options - parseCSV() and generate() options
+ * @returns {Uint8Array} - Binary data ready to flash
+ */
+NVSGenerator.prototype.generateFromCSV = function(csv, partitionSize = 0x6000, options = {}) {
+    return this.generate(this.parseCSV(csv, options), partitionSize, options);
+};
+
+/**
+ * Export an NVS partition binary as an nvs_partition_gen.py CSV
+ * Blobs are written as hex2bin (or base64 with options.blobEncoding = 'base64').
+ * @param {Uint8Array} binary - NVS partition binary data
+ * @param {Object} options - parse() options, plus blobEncoding
+ * @returns {string} - CSV text
+ */
+NVSGenerator.prototype.exportCSV = function(binary, options = {}) {
+    const parsed = this.parse(binary, { ...options, typed: true });
+    const lines = ['key,type,encoding,value'];
+
+    for (const [namespace, entries] of Object.entries(parsed)) {
+        lines.push(`${escapeCSVField(namespace)},namespace,,`);
+
+        for (const [key, typed] of Object.entries(entries)) {
+            let encoding = typed.type;
+            let value;
+
+            if (typed.type === 'blob') {
+                encoding = options.blobEncoding === 'base64' ? 'base64' : 'hex2bin';
+                value = encoding === 'base64' ? bytesToBase64(typed.value) : bytesToHex(typed.value);
+            } else {
+                value = String(typed.value);
+            }
+
+            lines.push(`${escapeCSVField(key)},data,${encoding},${escapeCSVField(value)}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+};
+
 /**
  * Parse NVS partition and return config matching the expected structure
+ *
+ * Uses the strict parser by default, so values read back from a device are
+ * the live ones. Pass an array as options.diagnostics to collect problems,
+ * or options.strict = false for the lenient parser.
  * @param {Uint8Array} binary - NVS partition binary data
  * @param {string} namespace - Expected namespace (default: 'config')
+ * @param {Object} options - Options passed to NVSGenerator.parse() (e.g. encryptionKey, diagnostics)
  * @returns {Object} - Parsed config with nvsKey mappings
  */
-function parseNVSConfig(binary, namespace = 'config') {
+function parseNVSConfig(binary, namespace = 'config', options = {}) {
     const generator = new NVSGenerator();
-    const parsed = generator.parse(binary);
+    const parsed = generator.parse(binary, { strict: true, ...options });
 
     // Return the namespace data directly
     return parsed[namespace] || {};
 }
 
 // ES6 export for module usage
-export { NVSGenerator, generateNVSFromConfig, parseNVSConfig };
+export { NVSGenerator, NVSValue, NVS_TYPES, coerceNVSValue, decodeNVSValue, generateNVSFromConfig, parseNVSConfig };
 
 // Also expose globally for browser usage (legacy compatibility)
 if (typeof window !== 'undefined') {
     window.NVSGenerator = NVSGenerator;
+    window.NVSValue = NVSValue;
+    window.coerceNVSValue = coerceNVSValue;
+    window.decodeNVSValue = decodeNVSValue;
     window.generateNVSFromConfig = generateNVSFromConfig;
     window.parseNVSConfig = parseNVSConfig;
 }
@@ -0,0 +1,468 @@
+/**
+ * Partition Table for ESP32 Web Flasher
+ * Parses, validates and generates ESP-IDF partition tables (partitions.bin)
+ *
+ * Binary format (as written by gen_esp32part.py), 32 bytes per entry:
+ * [0-1]   Magic 0xAA 0x50
+ * [2]     Type
+ * [3]     Subtype
+ * [4-7]   Offset (u32 LE)
+ * [8-11]  Size (u32 LE)
+ * [12-27] Label (16 bytes, null-padded)
+ * [28-31] Flags (bit 0 encrypted, bit 1 readonly)
+ *
+ * An optional MD5 entry (magic 0xEB 0xEB, 14 bytes 0xFF, MD5 of all previous
+ * entries) follows the last partition; the table ends at the first 0xFF entry.
+ */
+
+import { md5 } from './md5.js';
+
+const PARTITION_TABLE_OFFSET = 0x8000;
+const PARTITION_TABLE_SIZE = 0xC00;      // Max table length (flash sector minus reserved tail)
+const PARTITION_TABLE_SECTOR = 0x1000;   // Flash reserved for the table
+const ENTRY_SIZE = 32;
+const ENTRY_MAGIC = 0x50AA;
+const MD5_MAGIC = 0xEBEB;
+
+const FLAG_ENCRYPTED = 0x01;
+const FLAG_READONLY = 0x02;
+
+// App partitions must be 64KB aligned (MMU page), everything else 4KB (flash sector)
+const APP_ALIGNMENT = 0x10000;
+const DATA_ALIGNMENT = 0x1000;
+
+const PARTITION_TYPES = {
+    app: 0x00,
+    data: 0x01,
+    bootloader: 0x02,
+    partition_table: 0x03
+};
+
+const PARTITION_SUBTYPES = {
+    app: {
+        factory: 0x00,
+        test: 0x20,
+        ...Object.fromEntries(Array.from({ length: 16 }, (_, i) => [`ota_${i}`, 0x10 + i]))
+    },
+    data: {
+        ota: 0x00,
+        phy: 0x01,
+        nvs: 0x02,
+        coredump: 0x03,
+        nvs_keys: 0x04,
+        efuse: 0x05,
+        undefined: 0x06,
+        esphttpd: 0x80,
+        fat: 0x81,
+        spiffs: 0x82,
+        littlefs: 0x83
+    },
+    bootloader: {
+        primary: 0x00,
+        ota: 0x01,
+        recovery: 0x02
+    },
+    partition_table: {
+        primary: 0x00,
+        ota: 0x01
+    }
+};
+
+/**
+ * Name of a partition type, or its hex value for custom types
+ */
+function typeName(type) {
+    const name = Object.keys(PARTITION_TYPES).find(key => PARTITION_TYPES[key] === type);
+    return name || `0x${type.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Name of a partition subtype, or its hex value if it has no name
+ */
+function subtypeName(type, subtype) {
+    const subtypes = PARTITION_SUBTYPES[typeName(type)] || {};
+    const name = Object.keys(subtypes).find(key => subtypes[key] === subtype);
+    return name || `0x${subtype.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a number as used in partition CSVs: decimal, 0x hex, or with a K/M suffix
+ */
+function parseSize(value, field) {
+    const match = String(value).trim().match(/^(0x[0-9a-f]+|\d+)\s*([km]?)$/i);
+    if (!match) {
+        throw new Error(`Invalid partition ${field}: "${value}"`);
+    }
+    const multiplier = { '': 1, k: 1024, m: 1024 * 1024 }[match[2].toLowerCase()];
+    return Number(match[1]) * multiplier;
+}
+
+/**
+ * Resolve a type given by name or number
+ */
+function resolveType(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim().toLowerCase();
+    if (text in PARTITION_TYPES) return PARTITION_TYPES[text];
+    if (/^(0x[0-9a-f]+|\d+)$/.test(text)) return Number(text);
+    throw new Error(`Unknown partition type "${value}"`);
+}
+
+/**
+ * Resolve a subtype given by name or number (names depend on the type)
+ */
+function resolveSubtype(type, value) {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').trim().toLowerCase();
+    if (text === '') return 0;
+    const subtypes = PARTITION_SUBTYPES[typeName(type)] || {};
+    if (text in subtypes) return subtypes[text];
+    if (/^(0x[0-9a-f]+|\d+)$/.test(text)) return Number(text);
+    throw new Error(`Unknown subtype "${value}" for partition type ${typeName(type)}`);
+}
+
+function hex(value) {
+    return `0x${value.toString(16)}`;
+}
+
+export class PartitionTable {
+    /**
+     * @param {Array<Object>} partitions - Entries of { name, type, subtype, offset, size, encrypted, readonly }
+     * @param {Object} options - Options
+     * @param {number} options.offset - Flash offset of the table (default 0x8000)
+     */
+    constructor(partitions = [], options = {}) {
+        this.offset = options.offset ?? PARTITION_TABLE_OFFSET;
+        this.partitions = partitions.map(partition => this.normalize(partition));
+    }
+
+    /**
+     * Fill in type/subtype numbers and names for a partition description
+     */
+    normalize(partition) {
+        const type = resolveType(partition.type);
+        const subtype = resolveSubtype(type, partition.subtype);
+        return {
+            name: partition.name,
+            type,
+            subtype,
+            typeName: typeName(type),
+            subtypeName: subtypeName(type, subtype),
+            offset: partition.offset,
+            size: partition.size,
+            encrypted: Boolean(partition.encrypted),
+            readonly: Boolean(partition.readonly)
+        };
+    }
+
+    /**
+     * Parse a partition table binary (as read from flash at 0x8000)
+     * @param {Uint8Array} binary - Table bytes, at least up to the end marker
+     * @param {Object} options - Options
+     * @param {number} options.offset - Flash offset the table was read from
+     * @returns {PartitionTable}
+     * @throws {Error} - If no entries are found, an entry is malformed or the MD5 doesn't match
+     */
+    static parse(binary, options = {}) {
+        const bytes = binary instanceof Uint8Array ? binary : new Uint8Array(binary);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const partitions = [];
+        let md5Verified = false;
+
+        for (let offset = 0; offset + ENTRY_SIZE <= Math.min(bytes.length, PARTITION_TABLE_SIZE); offset += ENTRY_SIZE) {
+            const magic = view.getUint16(offset, true);
+
+            if (magic === 0xFFFF) {
+                break; // End of table
+            }
+
+            if (magic === MD5_MAGIC) {
+                const expected = md5(bytes.subarray(0, offset));
+                const stored = bytes.subarray(offset + 16, offset + 32);
+                if (!stored.every((b, i) => b === expected[i])) {
+                    throw new Error('Partition table MD5 mismatch - table is corrupted');
+                }
+                md5Verified = true;
+                continue;
+            }
+
+            if (magic !== ENTRY_MAGIC) {
+                throw new Error(`Invalid partition table entry at 0x${offset.toString(16)} (magic 0x${magic.toString(16)})`);
+            }
+
+            const labelBytes = bytes.subarray(offset + 12, offset + 28);
+            const labelEnd = labelBytes.indexOf(0);
+            const flags = view.getUint32(offset + 28, true);
+
+            partitions.push({
+                name: new TextDecoder().decode(labelBytes.subarray(0, labelEnd >= 0 ? labelEnd : 16)),
+                type: view.getUint8(offset + 2),
+                subtype: view.getUint8(offset + 3),
+                offset: view.getUint32(offset + 4, true),
+                size: view.getUint32(offset + 8, true),
+                encrypted: Boolean(flags & FLAG_ENCRYPTED),
+                readonly: Boolean(flags & FLAG_READONLY)
+            });
+        }
+
+        if (partitions.length === 0) {
+            throw new Error('No partition table found');
+        }
+
+        const table = new PartitionTable(partitions, options);
+        table.md5Verified = md5Verified;
+        return table;
+    }
+
+    /**
+     * Build a table from gen_esp32part.py CSV
+     * Format: Name, Type, SubType, Offset, Size, Flags - offsets may be left
+     * empty to place a partition directly after the previous one.
+     * @param {string} csv - CSV text
+     * @param {Object} options - Options
+     * @param {number} options.offset - Flash offset of the table (default 0x8000)
+     * @returns {PartitionTable}
+     */
+    static fromCSV(csv, options = {}) {
+        const partitions = [];
+
+        csv.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) return;
+
+            const fields = line.split(',').map(field => field.trim());
+            if (fields.length < 5) {
+                throw new Error(`Partition CSV line ${index + 1}: expected Name, Type, SubType, Offset, Size[, Flags]`);
+            }
+
+            const [name, type, subtype, offset, size, flags = ''] = fields;
+            const flagList = flags.split(':').map(flag => flag.trim().toLowerCase()).filter(Boolean);
+
+            try {
+                partitions.push({
+                    name,
+                    type,
+                    subtype,
+                    offset: offset ? parseSize(offset, 'offset') : null,
+                    size: parseSize(size, 'size'),
+                    encrypted: flagList.includes('encrypted'),
+                    readonly: flagList.includes('readonly')
+                });
+            } catch (error) {
+                throw new Error(`Partition CSV line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        return PartitionTable.fromJSON(partitions, options);
+    }
+
+    /**
+     * Build a table from a JSON description
+     * @param {Array<Object>|{partitions: Array<Object>}} json - Entries of
+     *   { name, type, subtype, offset?, size, encrypted?, readonly? }; numbers may be strings ("0x9000", "24K")
+     * @param {Object} options - Options
+     * @param {number} options.offset - Flash offset of the table (default 0x8000)
+     * @returns {PartitionTable}
+     */
+    static fromJSON(json, options = {}) {
+        const entries = Array.isArray(json) ? json : json.partitions;
+        const tableOffset = options.offset ?? json.offset ?? PARTITION_TABLE_OFFSET;
+        let nextOffset = (typeof tableOffset === 'number' ? tableOffset : parseSize(tableOffset, 'table offset')) + PARTITION_TABLE_SECTOR;
+
+        const partitions = entries.map(entry => {
+            const type = resolveType(entry.type);
+            const alignment = type === PARTITION_TYPES.app ? APP_ALIGNMENT : DATA_ALIGNMENT;
+            const size = typeof entry.size === 'number' ? entry.size : parseSize(entry.size, 'size');
+            let offset = entry.offset ?? null;
+
+            if (offset === null || offset === '') {
+                // Place after the previous partition, rounded up to this type's alignment
+                offset = Math.ceil(nextOffset / alignment) * alignment;
+            } else if (typeof offset !== 'number') {
+                offset = parseSize(offset, 'offset');
+            }
+
+            nextOffset = offset + size;
+            return { ...entry, type, offset, size };
+        });
+
+        return new PartitionTable(partitions, { offset: typeof tableOffset === 'number' ? tableOffset : parseSize(tableOffset, 'table offset') });
+    }
+
+    /**
+     * Check the table for problems the bootloader or IDF would reject
+     * @param {Object} options - Options
+     * @param {number} options.flashSize - Flash size in bytes, to check partitions fit
+     * @returns {string[]} - Problems found (empty if the table is valid)
+     */
+    validate(options = {}) {
+        const errors = [];
+        const names = new Set();
+        const tableEnd = this.offset + PARTITION_TABLE_SECTOR;
+
+        if (this.partitions.length * ENTRY_SIZE + ENTRY_SIZE > PARTITION_TABLE_SIZE) {
+            errors.push(`Too many partitions (${this.partitions.length}) to fit in the partition table`);
+        }
+
+        this.partitions.forEach(p => {
+            const alignment = p.type === PARTITION_TYPES.app ? APP_ALIGNMENT : DATA_ALIGNMENT;
+
+            if (!p.name || new TextEncoder().encode(p.name).length > 15) {
+                errors.push(`Partition name "${p.name}" must be 1-15 bytes`);
+            }
+            if (names.has(p.name)) {
+                errors.push(`Duplicate partition name "${p.name}"`);
+            }
+            names.add(p.name);
+
+            if (p.offset % alignment !== 0) {
+                errors.push(`Partition "${p.name}" offset ${hex(p.offset)} is not aligned to ${hex(alignment)}`);
+            }
+            if (p.size <= 0 || p.size % DATA_ALIGNMENT !== 0) {
+                errors.push(`Partition "${p.name}" size ${hex(p.size)} is not a positive multiple of ${hex(DATA_ALIGNMENT)}`);
+            }
+            if (p.offset < tableEnd && p.offset + p.size > this.offset) {
+                errors.push(`Partition "${p.name}" overlaps the partition table at ${hex(this.offset)}`);
+            }
+            if (options.flashSize && p.offset + p.size > options.flashSize) {
+                errors.push(`Partition "${p.name}" ends at ${hex(p.offset + p.size)}, beyond the ${hex(options.flashSize)} flash`);
+            }
+        });
+
+        const sorted = [...this.partitions].sort((a, b) => a.offset - b.offset);
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = sorted[i - 1];
+            if (sorted[i].offset < previous.offset + previous.size) {
+                errors.push(`Partition "${sorted[i].name}" at ${hex(sorted[i].offset)} overlaps "${previous.name}" (ends at ${hex(previous.offset + previous.size)})`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Generate the partition table binary (partitions.bin)
+     * @param {Object} options - Options
+     * @param {boolean} options.md5 - Append the MD5 checksum entry (default true)
+     * @returns {Uint8Array} - 0xC00-byte table, padded with 0xFF
+     * @throws {Error} - If the table fails validate()
+     */
+    toBinary(options = {}) {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            throw new Error(`Invalid partition table: ${errors.join('; ')}`);
+        }
+
+        const binary = new Uint8Array(PARTITION_TABLE_SIZE).fill(0xFF);
+        const view = new DataView(binary.buffer);
+        let offset = 0;
+
+        for (const p of this.partitions) {
+            view.setUint16(offset, ENTRY_MAGIC, true);
+            binary[offset + 2] = p.type;
+            binary[offset + 3] = p.subtype;
+            view.setUint32(offset + 4, p.offset, true);
+            view.setUint32(offset + 8, p.size, true);
+
+            binary.fill(0, offset + 12, offset + 28);
+            binary.set(new TextEncoder().encode(p.name), offset + 12);
+
+            view.setUint32(offset + 28, (p.encrypted ? FLAG_ENCRYPTED : 0) | (p.readonly ? FLAG_READONLY : 0), true);
+            offset += ENTRY_SIZE;
+        }
+
+        if (options.md5 !== false) {
+            view.setUint16(offset, MD5_MAGIC, true);
+            binary.set(md5(binary.subarray(0, offset)), offset + 16);
+        }
+
+        return binary;
+    }
+
+    /**
+     * Export the table as gen_esp32part.py CSV
+     * @returns {string} - CSV text
+     */
+    toCSV() {
+        const lines = ['# Name, Type, SubType, Offset, Size, Flags'];
+        for (const p of this.partitions) {
+            const flags = [p.encrypted && 'encrypted', p.readonly && 'readonly'].filter(Boolean).join(':');
+            lines.push(`${p.name}, ${p.typeName}, ${p.subtypeName}, ${hex(p.offset)}, ${hex(p.size)}, ${flags}`.trimEnd());
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Find a partition by name (label)
+     * @returns {Object|undefined}
+     */
+    find(name) {
+        return this.partitions.find(p => p.name === name);
+    }
+
+    /**
+     * Find partitions by type and subtype, given by name or number
+     * @param {string|number} type - e.g. 'data'
+     * @param {string|number} subtype - e.g. 'nvs' (omit to match any subtype)
+     * @returns {Object[]}
+     */
+    findBySubtype(type, subtype) {
+        const typeValue = resolveType(type);
+        const subtypeValue = subtype === undefined ? undefined : resolveSubtype(typeValue, subtype);
+        return this.partitions.filter(p => p.type === typeValue && (subtypeValue === undefined || p.subtype === subtypeValue));
+    }
+
+    /**
+     * Find the NVS partition to write config to: by name if given and
+     * present, otherwise the first data/nvs partition
+     * @param {string} name - Preferred partition name (e.g. 'nvs')
+     * @returns {Object|undefined}
+     */
+    findNVS(name) {
+        const nvsPartitions = this.findBySubtype('data', 'nvs');
+        return nvsPartitions.find(p => p.name === name) || nvsPartitions[0];
+    }
+}
+
+/**
+ * Read and parse the partition table from a connected device
+ * @param {Object} espStub - esptool-js loader with readFlash(offset, size)
+ * @param {number} offset - Table offset (default 0x8000)
+ * @returns {Promise<PartitionTable>}
+ */
+export async function readPartitionTable(espStub, offset = PARTITION_TABLE_OFFSET) {
+    const data = await espStub.readFlash(offset, PARTITION_TABLE_SIZE);
+    return PartitionTable.parse(new Uint8Array(data), { offset });
+}
+
+/**
+ * Parse a list of regions to erase, as typed in the flasher's developer
+ * options or passed to the CLI's --erase: partition names and hex
+ * offset:size ranges, comma-separated, e.g. "otadata, 0x310000:0x10000"
+ * @param {string} text - Region list
+ * @returns {Array<string|Object>} - Names and { offset, size } ranges, for FirmwareFlasher options.eraseRegions
+ * @throws {Error} - With isPartitionError set for a malformed range
+ */
+export function parseEraseRegions(text) {
+    return String(text).split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        if (!item.includes(':')) {
+            return item;
+        }
+        const [offset, size] = item.split(':').map(part => part.trim());
+        if (!/^0x[0-9a-f]+$/i.test(offset) || !/^0x[0-9a-f]+$/i.test(size)) {
+            const error = new Error(`Erase range "${item}" must be hex offset:size, e.g. 0x310000:0x10000`);
+            error.isPartitionError = true;
+            throw error;
+        }
+        return { offset: parseInt(offset, 16), size: parseInt(size, 16) };
+    });
+}
+
+export {
+    PARTITION_TABLE_OFFSET,
+    PARTITION_TABLE_SIZE,
+    PARTITION_TYPES,
+    PARTITION_SUBTYPES,
+    typeName as partitionTypeName,
+    subtypeName as partitionSubtypeName
+};
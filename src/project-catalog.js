@@ -0,0 +1,185 @@
+/**
+ * Project Catalog for ESP32 Web Flasher
+ * Search, chip filtering and ?project= selection over the projects in
+ * projects-config.js, for flasher sites that serve more than one firmware,
+ * and matching a connected device to its project
+ *
+ * A project can say how to recognise its boards, beyond the chip:
+ *   identify: {
+ *       usb: [{ vendorId: '0x303a', productId: '0x8001' }],  // productId optional
+ *       nvs: { key: 'product', namespace: 'config', value: 'active-wing' }
+ *   }
+ * nvs matches a product id the firmware keeps in NVS; namespace defaults to
+ * the project's nvsPartition namespace and value to the project id.
+ *
+ * Usage:
+ *   const ids = filterProjects(PROJECTS, { query: 'mqtt', chip: 'ESP32-S3' });
+ *   const id = projectIdFromURL(window.location.href, PROJECTS);
+ *   const match = pickProject(matchProjects(PROJECTS, { chip: 'ESP32-C3', usb: port.getInfo() }));
+ */
+
+import { chipIdFromName, chipName } from './esp-image.js';
+
+/**
+ * Display name of a project's chip, e.g. "ESP32-C3" for "esp32c3"
+ * @returns {string|null} - Null if the project doesn't name a known chip
+ */
+function projectChip(project) {
+    const chipId = project.chip ? chipIdFromName(project.chip) : undefined;
+    return chipId === undefined ? null : chipName(chipId);
+}
+
+/**
+ * Chips the projects are built for, for the chip filter
+ * @param {Object} projects - Projects from projects-config.js
+ * @returns {Array<string>} - Display names, sorted
+ */
+function listChips(projects) {
+    const chips = new Set(Object.values(projects).map(projectChip).filter(Boolean));
+    return [...chips].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Ids of the projects matching a search and chip filter, in config order
+ * @param {Object} projects - Projects from projects-config.js
+ * @param {Object} filter - Filter (both optional)
+ * @param {string} filter.query - Words that must all appear in the id, name, description or hardware list
+ * @param {string} filter.chip - Chip, e.g. "ESP32-S3" or "esp32s3"
+ * @returns {Array<string>}
+ */
+function filterProjects(projects, filter = {}) {
+    const words = (filter.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const chipId = filter.chip ? chipIdFromName(filter.chip) : undefined;
+
+    return Object.entries(projects)
+        .filter(([id, project]) => {
+            if (filter.chip && (!project.chip || chipIdFromName(project.chip) !== chipId)) {
+                return false;
+            }
+            const text = [id, project.name, project.description, ...(project.hardware || [])].join(' ').toLowerCase();
+            return words.every(word => text.includes(word));
+        })
+        .map(([id]) => id);
+}
+
+/**
+ * Project named by a ?project= query parameter
+ * @param {string|URL} url - Page URL
+ * @param {Object} projects - Projects from projects-config.js
+ * @returns {{id: string|null, requested: string|null}} - id is null when the
+ *   parameter is missing or names an unknown project (requested says which)
+ */
+function projectIdFromURL(url, projects) {
+    const requested = new URL(url).searchParams.get('project');
+    return {
+        id: requested !== null && Object.hasOwn(projects, requested) ? requested : null,
+        requested
+    };
+}
+
+/**
+ * The page URL with ?project= set to id, keeping other parameters
+ * @param {string|URL} url - Page URL
+ * @param {string} id - Project id
+ * @returns {string}
+ */
+function projectURL(url, id) {
+    const result = new URL(url);
+    result.searchParams.set('project', id);
+    return result.toString();
+}
+
+// Evidence that a device is a project's board, strongest first
+const MATCH_REASONS = ['nvs', 'usb', 'chip'];
+
+function usbId(value) {
+    return typeof value === 'string' ? parseInt(value, 16) : value;
+}
+
+/**
+ * Where a project's NVS product id lives
+ * @returns {{namespace: string, key: string, value: string}|null}
+ */
+function nvsIdentity(id, project) {
+    const nvs = project.identify?.nvs;
+    if (!nvs?.key) return null;
+    return {
+        namespace: nvs.namespace || project.nvsPartition?.namespace || 'config',
+        key: nvs.key,
+        value: String(nvs.value ?? id)
+    };
+}
+
+/**
+ * Projects whose NVS product id is worth reading from the device
+ * @param {Object} projects - Projects from projects-config.js
+ * @returns {Array<string>} - Ids of projects with identify.nvs and an nvsPartition
+ */
+function projectsWithNVSIdentity(projects) {
+    return Object.entries(projects)
+        .filter(([id, project]) => project.nvsPartition && nvsIdentity(id, project))
+        .map(([id]) => id);
+}
+
+/**
+ * Projects a connected device could be, best match first
+ *
+ * A project is left out when it's built for another chip, or when the
+ * device's NVS holds a different product id under the project's key.
+ * Projects that nothing points to either way are kept, with no reasons.
+ * @param {Object} projects - Projects from projects-config.js
+ * @param {Object} device - What is known about the device (all optional)
+ * @param {string} device.chip - Chip from DeviceConnection.connect(), e.g. "ESP32-C3 (QFN32) (revision v0.4)"
+ * @param {Object} device.usb - Port getInfo(): { usbVendorId, usbProductId }
+ * @param {Object} device.nvs - Parsed NVS ({ namespace: { key: value } })
+ * @returns {Array<{id: string, reasons: Array<string>}>} - reasons are 'nvs', 'usb' and/or 'chip'
+ */
+function matchProjects(projects, device = {}) {
+    const deviceChip = device.chip ? chipIdFromName(device.chip) : undefined;
+    const matches = [];
+
+    for (const [id, project] of Object.entries(projects)) {
+        const reasons = [];
+
+        if (deviceChip !== undefined && project.chip) {
+            if (chipIdFromName(project.chip) !== deviceChip) continue;
+            reasons.push('chip');
+        }
+
+        const { usbVendorId, usbProductId } = device.usb || {};
+        const usbMatch = usbVendorId !== undefined && (project.identify?.usb || []).some(entry =>
+            usbId(entry.vendorId) === usbVendorId && (entry.productId === undefined || usbId(entry.productId) === usbProductId));
+        if (usbMatch) {
+            reasons.unshift('usb');
+        }
+
+        const identity = nvsIdentity(id, project);
+        const stored = identity ? device.nvs?.[identity.namespace]?.[identity.key] : undefined;
+        if (stored !== undefined) {
+            if (String(stored) !== identity.value) continue;
+            reasons.unshift('nvs');
+        }
+
+        matches.push({ id, reasons });
+    }
+
+    const strength = ({ reasons }) => (reasons.length > 0 ? MATCH_REASONS.indexOf(reasons[0]) : MATCH_REASONS.length);
+    return matches.sort((a, b) => strength(a) - strength(b));
+}
+
+/**
+ * The project to select for a device, when the matches single one out
+ * @param {Array} matches - From matchProjects()
+ * @returns {{id: string, reason: string}|null} - Null when nothing points to
+ *   a project, or several are equally good
+ */
+function pickProject(matches) {
+    const [best] = matches;
+    if (!best || best.reasons.length === 0) return null;
+
+    const reason = best.reasons[0];
+    const tied = matches.filter(match => match.reasons[0] === reason);
+    return tied.length === 1 ? { id: best.id, reason } : null;
+}
+
+export { projectChip, listChips, filterProjects, projectIdFromURL, projectURL, nvsIdentity, projectsWithNVSIdentity, matchProjects, pickProject };
@@ -0,0 +1,313 @@
+/**
+ * Project Commands for the esp-webflash CLI
+ * Collect sensors/<id>/project.json files into the flasher's
+ * projects-config.js, validating each against schemas/project.schema.json
+ *
+ * Usage:
+ *   esp-webflash projects build --repo owner/repo --release v1.2.0 -o docs/flasher/js/projects-config.js
+ *   esp-webflash projects validate
+ *   esp-webflash projects validate sensors/active-wing/project.json
+ *
+ * Firmware, image and manifest URLs point at the GitHub release for
+ * --release (default: latest) unless a project gives a full URL.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { parseArgs } from 'node:util';
+
+import { validateProjectFile, formatValidationError } from './project-schema.js';
+import { usageError } from './cli-errors.js';
+
+const SCHEMA_URL = new URL('../schemas/project.schema.json', import.meta.url);
+
+const OPTIONS = {
+    sensors: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    repo: { type: 'string' },
+    release: { type: 'string' },
+    check: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `esp-webflash projects build [--sensors sensors] [-o js/projects-config.js] [--repo owner/repo] [--release latest] [--check]
+       esp-webflash projects validate [project.json ...]`;
+
+const HELP = `
+Options:
+      --sensors <dir>        Directory of <id>/project.json projects (default: sensors)
+  -o, --output <file>        Where to write projects-config.js, or - for stdout (default: js/projects-config.js)
+      --repo <owner/repo>    GitHub repository the release assets are on (default: $GITHUB_REPOSITORY or the origin remote)
+      --release <tag>        Release tag for asset URLs (default: $VERSION or latest)
+      --check                Don't write; fail if the output file is out of date (for CI)
+
+Projects are validated against schemas/project.schema.json; add
+"$schema": "https://raw.githubusercontent.com/adam-weber/esp-webflash-toolkit/main/schemas/project.schema.json"
+to a project.json for editor completion.
+`;
+
+let projectSchema = null;
+
+/**
+ * Load schemas/project.schema.json (shipped next to dist/ in the package)
+ */
+async function loadProjectSchema() {
+    projectSchema = projectSchema || JSON.parse(await fs.readFile(SCHEMA_URL, 'utf8'));
+    return projectSchema;
+}
+
+/**
+ * Read and validate project.json files
+ * @param {Array<{file: string, directory?: string}>} entries - Files, with the directory name the id must match
+ * @param {string} cwd - Directory relative paths resolve against (and are shown relative to)
+ * @returns {Promise<{projects: Array<Object>, errors: Array<Object>}>}
+ */
+async function readProjects(entries, cwd) {
+    const schema = await loadProjectSchema();
+    const projects = [];
+    const errors = [];
+
+    for (const { file, directory } of entries) {
+        const fullPath = path.resolve(cwd, file);
+        const shown = path.relative(cwd, fullPath) || fullPath;
+        let text;
+        try {
+            text = await fs.readFile(fullPath, 'utf8');
+        } catch (error) {
+            errors.push({ file: shown, pointer: '', message: error.code === 'ENOENT' ? 'file not found' : error.message });
+            continue;
+        }
+
+        const result = validateProjectFile(text, shown, schema, { directory });
+        errors.push(...result.errors);
+        if (result.errors.length === 0) {
+            projects.push(result.project);
+        }
+    }
+
+    return { projects, errors };
+}
+
+/**
+ * Find <sensors>/<id>/project.json, sorted by directory name
+ */
+async function findProjectFiles(sensorsDir, cwd, ui) {
+    let directories;
+    try {
+        directories = await fs.readdir(path.resolve(cwd, sensorsDir), { withFileTypes: true });
+    } catch (error) {
+        throw usageError(`Projects directory not found: ${path.resolve(cwd, sensorsDir)} - pass --sensors`);
+    }
+
+    const entries = [];
+    for (const directory of directories.filter(entry => entry.isDirectory()).map(entry => entry.name).sort()) {
+        const file = path.join(sensorsDir, directory, 'project.json');
+        try {
+            await fs.access(path.resolve(cwd, file));
+            entries.push({ file, directory });
+        } catch (error) {
+            ui.log(`Skipping ${path.join(sensorsDir, directory)} - no project.json`, 'warning');
+        }
+    }
+    return entries;
+}
+
+/**
+ * owner/repo from --repo, $GITHUB_REPOSITORY or the origin remote
+ */
+function detectRepository(options, cwd, ui) {
+    if (options.repo) return options.repo;
+    if (process.env.GITHUB_REPOSITORY) return process.env.GITHUB_REPOSITORY;
+
+    try {
+        const remote = execFileSync('git', ['remote', 'get-url', 'origin'], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).trim();
+        const match = /github\.com[:/](.+?)(?:\.git)?\/?$/.exec(remote);
+        if (match) return match[1];
+    } catch (error) {
+        // Not a git checkout, or no origin
+    }
+
+    ui.log('Could not detect the GitHub repository - pass --repo; using your-username/your-repo', 'warning');
+    return 'your-username/your-repo';
+}
+
+/**
+ * Turn a project.json into its projects-config.js entry: release asset names
+ * become download URLs and defaults are filled in
+ * @param {Object} project - Validated project.json contents
+ * @param {Object} release - { repo: 'owner/repo', version: 'v1.0.0' }
+ * @returns {Object}
+ */
+function toFlasherProject(project, release) {
+    const assetUrl = (name) => (name.includes('://') ? name : `https://github.com/${release.repo}/releases/download/${release.version}/${name}`);
+    const { id, $schema, manifest, documentation, images, ...rest } = project;
+
+    const entry = {
+        name: rest.name,
+        description: rest.description,
+        hardware: rest.hardware,
+        software: rest.software,
+        firmwareUrl: assetUrl(`${id}.bin`),
+        chip: rest.chip || 'esp32c3',
+        target: rest.target || 'riscv32imc-esp-espidf',
+        ...rest
+    };
+
+    if (images) {
+        entry.images = images.map(({ file, ...image }) => ({ ...image, url: image.url || assetUrl(file) }));
+    }
+    if (manifest) {
+        entry.manifestUrl = assetUrl(manifest);
+    }
+    if (documentation) {
+        // The flasher UI shows documentation as a labelled link
+        entry.documentation = typeof documentation === 'string' ? { url: documentation, label: 'Documentation' } : documentation;
+    }
+
+    return entry;
+}
+
+/**
+ * Source of projects-config.js for a set of projects
+ * @param {Array<Object>} projects - Validated project.json contents
+ * @param {Object} release - { repo, version }
+ * @returns {string}
+ */
+function generateProjectsConfig(projects, release) {
+    const entries = Object.fromEntries(projects.map(project => [project.id, toFlasherProject(project, release)]));
+
+    return `// Auto-generated project configuration
+// Generated from sensors/*/project.json by \`esp-webflash projects build\`
+// DO NOT EDIT MANUALLY - your changes will be overwritten
+//
+// Repository: ${release.repo}
+// Version: ${release.version}
+
+const PROJECTS = ${JSON.stringify(entries, null, 4)};
+
+// ES6 export for module usage
+export { PROJECTS };
+
+// Expose globally for browser usage
+if (typeof window !== 'undefined') {
+    window.PROJECTS = PROJECTS;
+}
+`;
+}
+
+function reportErrors(errors, stderr) {
+    for (const error of errors) {
+        stderr.write(`${formatValidationError(error)}\n`);
+    }
+    stderr.write(`${errors.length} problem${errors.length === 1 ? '' : 's'} found\n`);
+}
+
+async function buildCommand(positionals, options, env, ui) {
+    if (positionals.length > 0) {
+        throw usageError('projects build reads every project in --sensors; use projects validate for single files');
+    }
+
+    const { cwd, stdout, stderr } = env;
+    const sensorsDir = options.sensors || 'sensors';
+    const entries = await findProjectFiles(sensorsDir, cwd, ui);
+    if (entries.length === 0) {
+        throw usageError(`No */project.json found in ${path.resolve(cwd, sensorsDir)}`);
+    }
+
+    const { projects, errors } = await readProjects(entries, cwd);
+    if (errors.length > 0) {
+        reportErrors(errors, stderr);
+        return 1;
+    }
+
+    const release = { repo: detectRepository(options, cwd, ui), version: options.release || process.env.VERSION || 'latest' };
+    const source = generateProjectsConfig(projects, release);
+    const output = options.output || 'js/projects-config.js';
+
+    if (output === '-') {
+        stdout.write(source);
+        return 0;
+    }
+
+    const outputPath = path.resolve(cwd, output);
+    if (options.check) {
+        const current = await fs.readFile(outputPath, 'utf8').catch(() => null);
+        if (current !== source) {
+            ui.log(`${output} is out of date - run esp-webflash projects build`, 'error');
+            return 1;
+        }
+        stdout.write(`${output} is up to date (${projects.length} project${projects.length === 1 ? '' : 's'})\n`);
+        return 0;
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, source);
+    stdout.write(`Wrote ${output} (${projects.map(project => project.id).join(', ')})\n`);
+    return 0;
+}
+
+async function validateCommand(positionals, options, env, ui) {
+    const { cwd, stdout, stderr } = env;
+    const entries = positionals.length > 0
+        ? positionals.map(file => ({ file }))
+        : await findProjectFiles(options.sensors || 'sensors', cwd, ui);
+
+    const { projects, errors } = await readProjects(entries, cwd);
+    if (errors.length > 0) {
+        reportErrors(errors, stderr);
+        return 1;
+    }
+    stdout.write(`${projects.length} project${projects.length === 1 ? '' : 's'} valid\n`);
+    return 0;
+}
+
+const SUBCOMMANDS = { build: buildCommand, validate: validateCommand };
+
+/**
+ * Run `projects build|validate`
+ * @param {Array<string>} args - Arguments after `projects`, starting with the subcommand
+ * @param {Object} env - Environment (all optional, for tests and embedding)
+ * @param {string} env.cwd - Working directory (default: process.cwd())
+ * @param {Object} env.stdout - Stream for results (default: process.stdout)
+ * @param {Object} env.stderr - Stream for problems (default: process.stderr)
+ * @returns {Promise<number>} - Exit code: 1 when a project is invalid, 2 for bad usage
+ */
+async function runProjectsCommand(args, env = {}) {
+    const cwd = env.cwd || process.cwd();
+    const stdout = env.stdout || process.stdout;
+    const stderr = env.stderr || process.stderr;
+    const [subcommand, ...rest] = args;
+
+    if (!subcommand || subcommand === '--help' || subcommand === '-h') {
+        stdout.write(`Usage: ${USAGE}\n${HELP}`);
+        return 0;
+    }
+
+    let parsed;
+    try {
+        if (!SUBCOMMANDS[subcommand]) {
+            throw usageError(`Unknown projects command "${subcommand}" (expected build or validate)`);
+        }
+        parsed = parseArgs({ args: rest, options: OPTIONS, strict: true, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`error: ${error.message}\nUsage: ${USAGE}\n`);
+        return 2;
+    }
+    if (parsed.values.help) {
+        stdout.write(`Usage: ${USAGE}\n${HELP}`);
+        return 0;
+    }
+
+    const ui = {
+        log: (message, type) => stderr.write(`${type === 'error' ? 'error' : 'warning'}: ${message}\n`)
+    };
+    try {
+        return await SUBCOMMANDS[subcommand](parsed.positionals, parsed.values, { cwd, stdout, stderr }, ui);
+    } catch (error) {
+        stderr.write(`error: ${error.message}\n`);
+        return error.isUsageError ? 2 : 1;
+    }
+}
+
+export { runProjectsCommand, readProjects, toFlasherProject, generateProjectsConfig, loadProjectSchema };
@@ -0,0 +1,376 @@
+/**
+ * Project Definition Validation
+ * Checks sensors/<id>/project.json files against schemas/project.schema.json
+ * and the rules a schema can't express (unique nvsKeys, ids, image names),
+ * reporting each problem with its JSON pointer and line:column in the file
+ *
+ * Implements the part of JSON Schema (2020-12) the project schema uses:
+ * $ref to #/$defs, type, enum, pattern, minLength/maxLength, minimum/maximum,
+ * minItems, required, properties, additionalProperties, items, anyOf and
+ * dependentRequired, plus ajv-errors' errorMessage for readable pattern errors.
+ *
+ * Usage:
+ *   const { project, errors } = validateProjectFile(text, 'sensors/foo/project.json', schema);
+ *   errors.forEach(error => console.error(formatValidationError(error)));
+ */
+
+const JSON_TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number',
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    null: value => value === null
+};
+
+function pointerToken(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function describe(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    return typeof value === 'object' ? 'an object' : String(value);
+}
+
+function resolveRef(ref, root) {
+    const match = /^#\/\$defs\/(.+)$/.exec(ref);
+    if (!match || !root.$defs?.[match[1]]) {
+        throw new Error(`Unsupported schema reference ${ref}`);
+    }
+    return root.$defs[match[1]];
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} pointer - JSON pointer of value
+ * @param {Object} root - Root schema ($defs)
+ * @param {Array} errors - Receives { pointer, message, keyword }
+ */
+function validateValue(value, schema, pointer, root, errors) {
+    const fail = (message, keyword, at = pointer) => {
+        errors.push({ pointer: at, keyword, message: at === pointer && schema.errorMessage ? `${schema.errorMessage}, got ${describe(value)}` : message });
+    };
+
+    if (schema.$ref) {
+        validateValue(value, resolveRef(schema.$ref, root), pointer, root, errors);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => JSON_TYPES[type](value))) {
+            errors.push({ pointer, keyword: 'type', message: `must be ${types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}, got ${describe(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${describe(value)}`, 'enum');
+    }
+
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`, 'minLength');
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters, got ${describe(value)} (${length})`, 'maxLength');
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match ${schema.pattern}, got ${describe(value)}`, 'pattern');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`, 'minimum');
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`, 'maximum');
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`, 'minItems');
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, `${pointer}/${index}`, root, errors));
+        }
+    }
+
+    if (JSON_TYPES.object(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                fail(`missing required property "${key}"`, 'required');
+            }
+        }
+        for (const [key, dependencies] of Object.entries(schema.dependentRequired || {})) {
+            for (const dependency of key in value ? dependencies : []) {
+                if (!(dependency in value)) {
+                    fail(`"${key}" requires "${dependency}"`, 'dependentRequired');
+                }
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPointer = `${pointer}/${pointerToken(key)}`;
+            if (schema.properties?.[key]) {
+                validateValue(child, schema.properties[key], childPointer, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: childPointer, keyword: 'additionalProperties', message: `unknown property "${key}"` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(child, schema.additionalProperties, childPointer, root, errors);
+            }
+        }
+    }
+
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map(option => {
+            const optionErrors = [];
+            validateValue(value, option, pointer, root, optionErrors);
+            return optionErrors;
+        });
+        if (!attempts.some(attempt => attempt.length === 0)) {
+            // Report the alternative of the right type, if only one is
+            const typed = attempts.filter(attempt => !attempt.some(error => error.pointer === pointer && error.keyword === 'type'));
+            if (typed.length === 1) {
+                errors.push(...typed[0]);
+            } else {
+                fail(`must be ${attempts.map(attempt => attempt.find(error => error.keyword === 'type')?.message.replace(/^must be (.*), got .*$/, '$1')).filter(Boolean).join(' or ') || 'a valid value'}`, 'anyOf');
+            }
+        }
+    }
+}
+
+// nvsTypes each field type's value can be stored as
+const FIELD_NVS_TYPES = {
+    checkbox: ['u8', 'i8', 'u16', 'i16', 'u32', 'i32', 'u64', 'i64', 'bool'],
+    toggle: ['u8', 'i8', 'u16', 'i16', 'u32', 'i32', 'u64', 'i64', 'bool'],
+    file: ['blob'],
+    hex: ['blob']
+};
+
+function checkFieldType(field, pointer) {
+    const errors = [];
+    if (!field || typeof field !== 'object') return errors;
+
+    if (field.type === 'select' && !Array.isArray(field.options)) {
+        errors.push({ pointer, keyword: 'required', message: 'select fields need "options"' });
+    }
+    const allowed = FIELD_NVS_TYPES[field.type];
+    if (allowed && typeof field.nvsType === 'string' && !allowed.includes(field.nvsType)) {
+        errors.push({ pointer: `${pointer}/nvsType`, keyword: 'enum', message: `${field.type} fields can't be stored as ${field.nvsType} (use ${allowed.join(', ')})` });
+    }
+    if (typeof field.min === 'number' && typeof field.max === 'number' && field.min > field.max) {
+        errors.push({ pointer: `${pointer}/min`, keyword: 'maximum', message: `min (${field.min}) is greater than max (${field.max})` });
+    }
+    if (typeof field.minLength === 'number' && typeof field.maxLength === 'number' && field.minLength > field.maxLength) {
+        errors.push({ pointer: `${pointer}/minLength`, keyword: 'maximum', message: `minLength (${field.minLength}) is greater than maxLength (${field.maxLength})` });
+    }
+    if (typeof field.pattern === 'string') {
+        try {
+            // As config-validation.js uses it
+            new RegExp(`^(?:${field.pattern})$`, 'u');
+        } catch (error) {
+            errors.push({ pointer: `${pointer}/pattern`, keyword: 'pattern', message: `is not a valid regular expression: ${error.message}` });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Checks beyond the schema: ids and image names are unique, no two fields
+ * share an nvsKey, field types fit their options and nvsType, validation
+ * rules make sense and name real fields, and every image says where to
+ * download it from
+ */
+function checkProjectRules(project) {
+    const errors = [];
+    const duplicate = (seen, key, pointer, message) => {
+        if (seen.has(key)) {
+            errors.push({ pointer, keyword: 'unique', message: `${message} (also at ${seen.get(key)})` });
+        } else {
+            seen.set(key, pointer);
+        }
+    };
+
+    const sectionIds = new Map();
+    const nvsKeys = new Map();
+    (Array.isArray(project.configSections) ? project.configSections : []).forEach((section, sectionIndex) => {
+        const sectionPointer = `/configSections/${sectionIndex}`;
+        duplicate(sectionIds, section?.id, `${sectionPointer}/id`, `duplicate section id "${section?.id}"`);
+
+        const fieldIds = new Map();
+        (Array.isArray(section?.fields) ? section.fields : []).forEach((field, fieldIndex) => {
+            const fieldPointer = `${sectionPointer}/fields/${fieldIndex}`;
+            duplicate(fieldIds, field?.id, `${fieldPointer}/id`, `duplicate field id "${field?.id}" in section "${section.id}"`);
+            if (typeof field?.nvsKey === 'string') {
+                duplicate(nvsKeys, field.nvsKey, `${fieldPointer}/nvsKey`, `nvsKey "${field.nvsKey}" is used by more than one field`);
+            }
+            errors.push(...checkFieldType(field, fieldPointer));
+        });
+    });
+
+    const fieldRefs = new Set((Array.isArray(project.configSections) ? project.configSections : []).flatMap(section =>
+        (Array.isArray(section?.fields) ? section.fields : []).map(field => `${section.id}.${field?.id}`)));
+    (Array.isArray(project.configRules) ? project.configRules : []).forEach((rule, index) => {
+        const refs = [['if', rule?.if], ...(Array.isArray(rule?.require) ? rule.require.map((ref, i) => [`require/${i}`, ref]) : [])];
+        refs.forEach(([path, ref]) => {
+            if (typeof ref === 'string' && !fieldRefs.has(ref)) {
+                errors.push({ pointer: `/configRules/${index}/${path}`, keyword: 'enum', message: `no config field "${ref}"` });
+            }
+        });
+    });
+
+    const imageNames = new Map();
+    (Array.isArray(project.images) ? project.images : []).forEach((image, index) => {
+        duplicate(imageNames, image?.name, `/images/${index}/name`, `duplicate image name "${image?.name}"`);
+        if (image && typeof image === 'object' && !image.file && !image.url) {
+            errors.push({ pointer: `/images/${index}`, keyword: 'required', message: 'needs "file" (release asset name) or "url"' });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a parsed project definition
+ * @param {Object} project - Contents of project.json
+ * @param {Object} schema - schemas/project.schema.json
+ * @returns {Array<{pointer: string, message: string}>} - Problems, empty if valid
+ */
+function validateProject(project, schema) {
+    const errors = [];
+    validateValue(project, schema, '', schema, errors);
+    if (JSON_TYPES.object(project)) {
+        errors.push(...checkProjectRules(project));
+    }
+    return errors.map(({ pointer, message }) => ({ pointer, message }));
+}
+
+/**
+ * Map every JSON pointer in a JSON text to the offset of its value, or of its
+ * key for object properties
+ * @throws {Error} - With offset set to where the text stops being valid JSON
+ *   (JSON.parse doesn't always say)
+ */
+function locateJSONPointers(text) {
+    const positions = new Map();
+    let i = 0;
+
+    const fail = () => {
+        const error = new Error(i < text.length ? `unexpected ${JSON.stringify(text[i])}` : 'unexpected end of input');
+        error.offset = i;
+        throw error;
+    };
+    const expect = (char) => {
+        if (text[i] !== char) fail();
+        i++;
+    };
+    const skipWhitespace = () => {
+        while (/[ \t\r\n]/.test(text[i])) i++;
+    };
+    const readString = () => {
+        const start = i;
+        expect('"');
+        while (text[i] !== '"') {
+            if (i >= text.length || text[i] === '\n') fail();
+            i += text[i] === '\\' ? 2 : 1;
+        }
+        i++;
+        return JSON.parse(text.slice(start, i));
+    };
+    const readValue = (pointer, at) => {
+        skipWhitespace();
+        positions.set(pointer, at ?? i);
+
+        if (text[i] === '{' || text[i] === '[') {
+            const isObject = text[i++] === '{';
+            const close = isObject ? '}' : ']';
+            skipWhitespace();
+            for (let index = 0; text[i] !== close || index > 0; index++) {
+                skipWhitespace();
+                if (isObject) {
+                    const keyAt = i;
+                    const key = readString();
+                    skipWhitespace();
+                    expect(':');
+                    readValue(`${pointer}/${pointerToken(key)}`, keyAt);
+                } else {
+                    readValue(`${pointer}/${index}`);
+                }
+                skipWhitespace();
+                if (text[i] === close) break;
+                expect(',');
+            }
+            i++;
+        } else if (text[i] === '"') {
+            readString();
+        } else {
+            const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(i));
+            if (!literal) fail();
+            i += literal[0].length;
+        }
+    };
+
+    readValue('');
+    skipWhitespace();
+    if (i < text.length) fail();
+    return positions;
+}
+
+function lineAndColumn(text, offset) {
+    const before = text.slice(0, offset);
+    const line = before.split('\n').length;
+    return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+/**
+ * Parse and validate a project.json file
+ * @param {string} text - File contents
+ * @param {string} file - Path shown in errors
+ * @param {Object} schema - schemas/project.schema.json
+ * @param {Object} options - Validation options
+ * @param {string} options.directory - Name of the directory the file is in, which the id must match
+ * @returns {{project: Object|null, errors: Array<{file, line, column, pointer, message}>}}
+ */
+function validateProjectFile(text, file, schema, options = {}) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        let offset = 0;
+        try {
+            locateJSONPointers(text);
+        } catch (syntaxError) {
+            offset = syntaxError.offset ?? 0;
+        }
+        return { project: null, errors: [{ file, ...lineAndColumn(text, offset), pointer: '', message: `invalid JSON: ${error.message}` }] };
+    }
+
+    const errors = validateProject(project, schema);
+    if (options.directory !== undefined && typeof project?.id === 'string' && project.id !== options.directory) {
+        errors.unshift({ pointer: '/id', message: `id "${project.id}" must match its directory name "${options.directory}"` });
+    }
+    const positions = errors.length ? locateJSONPointers(text) : null;
+    return {
+        project,
+        errors: errors
+            .map(error => ({ file, ...lineAndColumn(text, positions.get(error.pointer) ?? 0), ...error }))
+            .sort((a, b) => a.line - b.line || a.column - b.column)
+    };
+}
+
+/**
+ * "file:line:column: /pointer: message"
+ */
+function formatValidationError(error) {
+    const location = error.line ? `${error.file}:${error.line}:${error.column}` : error.file;
+    return `${location}: ${error.pointer || '/'}: ${error.message}`;
+}
+
+export { validateProject, validateProjectFile, formatValidationError };
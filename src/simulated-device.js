@@ -0,0 +1,525 @@
+/**
+ * Simulated ESP Device for ESP32 Web Flasher
+ * An in-memory chip that speaks the ROM and stub loader protocol over a
+ * SerialPortLike (see transport.js), for tests and demos without hardware
+ *
+ * Supports the classic DTR/RTS auto-reset into download mode, SYNC, chip
+ * detection (magic register and GET_SECURITY_INFO), eFuse MAC registers, stub
+ * upload, CHANGE_BAUDRATE, plain and deflated flash writes, READ_FLASH,
+ * ERASE_FLASH/ERASE_REGION and SPI_FLASH_MD5. Failures can be injected
+ * through device.failures:
+ *   maxBaudrate          - bytes from the device are corrupted above this rate
+ *   corruptWrites        - number of upcoming flash writes that get a flipped bit
+ *   disconnectAfterBytes - the port is lost once this many more bytes have been received
+ *   ignoreCommands       - the device never answers (wrong port, no auto-reset circuit)
+ *
+ * Usage:
+ *   const device = new SimulatedDevice({ chip: 'ESP32-C3' });
+ *   const port = new SimulatedSerialPort(device);
+ *   await connection.connect(project, { port });
+ */
+
+import { ESP_COMMANDS, SYNC_PAYLOAD, slipEncode, SlipDecoder, SerialReadable, checksum } from './transport.js';
+import { md5, md5Hex } from './md5.js';
+
+const ROM_BAUDRATE = 115200;
+const SECTOR_SIZE = 0x1000;
+
+// Loader error codes (second status byte)
+const ERRORS = {
+    INVALID_MESSAGE: 0x05,
+    FAILED_TO_ACT: 0x06,
+    INVALID_CRC: 0x07,
+    FLASH_WRITE: 0x08,
+    FLASH_READ: 0x09,
+    DEFLATE: 0x0B
+};
+
+// Chip detection values: magic register at 0x40001000, security info chip ID,
+// and the eFuse register holding the low MAC word (high 16 bits in the next word)
+const CHIPS = {
+    'ESP32': { magic: 0x00F01D83, chipId: 0, securityInfo: false, macRegister: 0x3FF5A004 },
+    'ESP32-S2': { magic: 0x000007C6, chipId: 2, securityInfo: 'short', macRegister: 0x3F41A044 },
+    'ESP32-S3': { magic: 0x00000009, chipId: 9, securityInfo: true, macRegister: 0x60007044 },
+    'ESP32-C3': { magic: 0x1B31506F, chipId: 5, securityInfo: true, macRegister: 0x60008844 },
+    'ESP32-C2': { magic: 0x6F51306F, chipId: 12, securityInfo: true, macRegister: 0x60008840 },
+    'ESP32-C6': { magic: 0x2CE0806F, chipId: 13, securityInfo: true, macRegister: 0x600B0844 },
+    'ESP32-H2': { magic: 0xD7B73E80, chipId: 16, securityInfo: true, macRegister: 0x600B0844 }
+};
+const CHIP_MAGIC_REGISTER = 0x40001000;
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value >>> 0, true);
+    return bytes;
+}
+
+export class SimulatedDevice {
+    /**
+     * @param {Object} options - Device options
+     * @param {string} options.chip - One of the CHIPS names (default: 'ESP32-C3')
+     * @param {number} options.flashSize - Flash size in bytes (default: 4MB)
+     * @param {string} options.macAddr - MAC address, e.g. '24:0a:c4:12:34:56'
+     * @param {number} options.usbVendorId - Reported by the port's getInfo() (default: CP210x)
+     * @param {number} options.usbProductId
+     * @param {string} options.mode - Initial state: 'app' (default) or 'rom' (held in download mode by the BOOT button)
+     * @param {Object} options.failures - Initial failure injection (see module comment)
+     */
+    constructor(options = {}) {
+        this.chip = options.chip || 'ESP32-C3';
+        if (!CHIPS[this.chip]) {
+            throw new Error(`Unsupported simulated chip: ${this.chip}`);
+        }
+        this.flash = new Uint8Array(options.flashSize || 0x400000).fill(0xFF);
+        this.macAddr = options.macAddr || '24:0a:c4:12:34:56';
+        this.usbVendorId = options.usbVendorId ?? 0x10C4;
+        this.usbProductId = options.usbProductId ?? 0xEA60;
+        this.failures = {
+            maxBaudrate: Infinity,
+            corruptWrites: 0,
+            disconnectAfterBytes: null,
+            ignoreCommands: false,
+            ...options.failures
+        };
+
+        this.mode = options.mode || 'app';  // 'app', 'rom' (download mode) or 'stub'
+        this.baudRate = ROM_BAUDRATE;
+        this.port = null;
+        this.signals = { dataTerminalReady: false, requestToSend: false };
+        this.bootPinLow = false;    // GPIO0 held low at some point while EN was low
+        this.decoder = new SlipDecoder();
+        this.queue = Promise.resolve();
+        this.flashSession = null;
+        this.memSession = null;
+        this.registers = this.createRegisters();
+    }
+
+    createRegisters() {
+        const { magic, macRegister } = CHIPS[this.chip];
+        const mac = this.macAddr.split(':').map(part => parseInt(part, 16));
+        return new Map([
+            [CHIP_MAGIC_REGISTER, magic],
+            [macRegister, ((mac[2] << 24) | (mac[3] << 16) | (mac[4] << 8) | mac[5]) >>> 0],
+            [macRegister + 4, (mac[0] << 8) | mac[1]]
+        ]);
+    }
+
+    attach(port) {
+        this.port = port;
+    }
+
+    detach(port) {
+        if (this.port === port) {
+            this.port = null;
+        }
+    }
+
+    /**
+     * DTR/RTS as wired on dev boards: RTS holds EN (reset) low, DTR holds GPIO0 low.
+     * Releasing EN boots the chip, into download mode if GPIO0 was low.
+     */
+    setSignals(signals) {
+        const wasInReset = this.signals.requestToSend;
+        this.signals = { ...this.signals, ...signals };
+
+        if (this.signals.requestToSend && this.signals.dataTerminalReady) {
+            this.bootPinLow = true;
+        }
+        if (this.signals.requestToSend && !wasInReset) {
+            this.bootPinLow = this.signals.dataTerminalReady;
+        }
+        if (wasInReset && !this.signals.requestToSend) {
+            this.reset(this.bootPinLow || this.signals.dataTerminalReady);
+        }
+    }
+
+    /**
+     * Reset the chip, into the ROM loader or the app
+     */
+    reset(downloadMode) {
+        this.mode = downloadMode ? 'rom' : 'app';
+        this.baudRate = ROM_BAUDRATE;
+        this.decoder = new SlipDecoder();
+        this.flashSession = null;
+        this.memSession = null;
+        this.bootPinLow = false;
+        this.sendRaw(new TextEncoder().encode(downloadMode
+            ? `ESP-ROM:${this.chip.toLowerCase()}\r\nboot:0x0 (DOWNLOAD(USB/UART0))\r\nwaiting for download\r\n`
+            : `ESP-ROM:${this.chip.toLowerCase()}\r\nboot:0x8 (SPI_FAST_FLASH_BOOT)\r\n`));
+    }
+
+    /**
+     * Unplug the device: the port errors and the chip loses power (flash is kept)
+     */
+    disconnect() {
+        this.mode = 'app';
+        this.port?.fail(new Error('The device has been lost.'));
+        this.port = null;
+    }
+
+    /**
+     * Bytes written by the host
+     */
+    receive(bytes, port) {
+        if (this.failures.disconnectAfterBytes !== null) {
+            this.failures.disconnectAfterBytes -= bytes.length;
+            if (this.failures.disconnectAfterBytes <= 0) {
+                this.failures.disconnectAfterBytes = null;
+                this.disconnect();
+                throw new Error('The device has been lost.');
+            }
+        }
+
+        // Nothing gets through while the two ends disagree on the baud rate
+        if (port.baudRate !== this.baudRate || this.mode === 'app' || this.failures.ignoreCommands) {
+            return;
+        }
+
+        for (const packet of this.decoder.push(bytes)) {
+            this.queue = this.queue.then(() => this.handlePacket(packet)).catch(() => {});
+        }
+    }
+
+    sendRaw(bytes) {
+        if (!this.port || this.port.baudRate !== this.baudRate) return;
+        const out = bytes.slice();
+
+        // A bridge that can't keep up garbles the data
+        if (this.baudRate > this.failures.maxBaudrate) {
+            for (let i = 7; i < out.length; i += 61) {
+                out[i] ^= 0x10;
+            }
+        }
+        this.port.deliver(out);
+    }
+
+    send(packet) {
+        this.sendRaw(slipEncode(packet));
+    }
+
+    respond(op, { value = 0, data = new Uint8Array(0), error = 0 } = {}) {
+        // Stub replies carry two status bytes, the ROM four
+        const status = this.mode === 'stub' ? [error ? 1 : 0, error] : [error ? 1 : 0, error, 0, 0];
+        const packet = new Uint8Array(8 + data.length + status.length);
+        const view = new DataView(packet.buffer);
+        packet[0] = 0x01;
+        packet[1] = op;
+        view.setUint16(2, data.length + status.length, true);
+        view.setUint32(4, value >>> 0, true);
+        packet.set(data, 8);
+        packet.set(status, 8 + data.length);
+        this.send(packet);
+    }
+
+    async handlePacket(packet) {
+        // Anything that isn't a request (e.g. READ_FLASH acks) is ignored
+        if (packet.length < 8 || packet[0] !== 0x00) return;
+
+        const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+        const op = packet[1];
+        const size = view.getUint16(2, true);
+        const chk = view.getUint32(4, true);
+        const data = packet.subarray(8, 8 + size);
+        const arg = (i) => (data.length >= (i + 1) * 4 ? new DataView(data.buffer, data.byteOffset).getUint32(i * 4, true) : 0);
+        const fail = (error) => this.respond(op, { error });
+        const stubOnly = () => this.mode !== 'stub';
+
+        switch (op) {
+            case ESP_COMMANDS.SYNC: {
+                if (data.length !== SYNC_PAYLOAD.length || !data.every((b, i) => b === SYNC_PAYLOAD[i])) {
+                    return fail(ERRORS.INVALID_MESSAGE);
+                }
+                // The ROM answers a SYNC eight times
+                const replies = this.mode === 'stub' ? 1 : 8;
+                for (let i = 0; i < replies; i++) {
+                    this.respond(op, { value: this.mode === 'stub' ? 0 : 0x20120707 });
+                }
+                return;
+            }
+
+            case ESP_COMMANDS.READ_REG:
+                return this.respond(op, { value: this.registers.get(arg(0)) ?? 0 });
+
+            case ESP_COMMANDS.WRITE_REG:
+                this.registers.set(arg(0), arg(1));
+                return this.respond(op);
+
+            case ESP_COMMANDS.GET_SECURITY_INFO: {
+                const { chipId, securityInfo } = CHIPS[this.chip];
+                if (!securityInfo) {
+                    return fail(ERRORS.INVALID_MESSAGE);
+                }
+                const info = new Uint8Array(securityInfo === 'short' ? 12 : 20);
+                if (securityInfo !== 'short') {
+                    info.set(u32(chipId), 12);
+                }
+                return this.respond(op, { data: info });
+            }
+
+            case ESP_COMMANDS.SPI_ATTACH:
+            case ESP_COMMANDS.SPI_SET_PARAMS:
+                return this.respond(op);
+
+            case ESP_COMMANDS.CHANGE_BAUDRATE:
+                // Reply at the old rate, then switch
+                this.respond(op);
+                this.baudRate = arg(0);
+                return;
+
+            case ESP_COMMANDS.MEM_BEGIN:
+                this.memSession = { size: arg(0), received: 0 };
+                return this.respond(op);
+
+            case ESP_COMMANDS.MEM_DATA: {
+                const block = data.subarray(16, 16 + arg(0));
+                if (!this.memSession || checksum(block) !== chk) {
+                    return fail(this.memSession ? ERRORS.INVALID_CRC : ERRORS.FAILED_TO_ACT);
+                }
+                this.memSession.received += block.length;
+                return this.respond(op);
+            }
+
+            case ESP_COMMANDS.MEM_END:
+                this.respond(op);
+                // Jumping to the uploaded entry point starts the stub, which says hello
+                if (arg(0) === 0 && this.mode === 'rom') {
+                    this.mode = 'stub';
+                    this.send(new TextEncoder().encode('OHAI'));
+                }
+                return;
+
+            case ESP_COMMANDS.FLASH_BEGIN:
+            case ESP_COMMANDS.FLASH_DEFL_BEGIN: {
+                const [eraseSize, , blockSize, offset] = [arg(0), arg(1), arg(2), arg(3)];
+                if (offset + eraseSize > this.flash.length) {
+                    return fail(ERRORS.FAILED_TO_ACT);
+                }
+                this.eraseRange(offset, Math.ceil(eraseSize / SECTOR_SIZE) * SECTOR_SIZE);
+                const session = { offset, blockSize, blocks: arg(1), written: 0, corrupt: this.takeCorruption() };
+                session.inflater = op === ESP_COMMANDS.FLASH_DEFL_BEGIN ? this.createInflater(session) : null;
+                this.flashSession = session;
+                return this.respond(op);
+            }
+
+            case ESP_COMMANDS.FLASH_DATA:
+            case ESP_COMMANDS.FLASH_DEFL_DATA: {
+                const session = this.flashSession;
+                const block = data.subarray(16, 16 + arg(0));
+                if (!session || checksum(block) !== chk) {
+                    return fail(session ? ERRORS.INVALID_CRC : ERRORS.FAILED_TO_ACT);
+                }
+
+                if (!session.inflater) {
+                    this.writeFlash(session, session.offset + arg(1) * session.blockSize, block);
+                    return this.respond(op);
+                }
+
+                try {
+                    await session.inflater.write(block);
+                    // The last block completes the stream: make sure it's all in flash before replying
+                    if (arg(1) >= session.blocks - 1) {
+                        await session.inflater.finish();
+                    }
+                } catch (error) {
+                    return fail(ERRORS.DEFLATE);
+                }
+                return this.respond(op);
+            }
+
+            case ESP_COMMANDS.FLASH_END:
+            case ESP_COMMANDS.FLASH_DEFL_END:
+                this.respond(op);
+                this.flashSession = null;
+                // 0 = reboot into the app, 1 = stay in the loader
+                if (arg(0) === 0) {
+                    this.reset(false);
+                }
+                return;
+
+            case ESP_COMMANDS.SPI_FLASH_MD5: {
+                const [address, length] = [arg(0), arg(1)];
+                if (address + length > this.flash.length) {
+                    return fail(ERRORS.FLASH_READ);
+                }
+                const region = this.flash.subarray(address, address + length);
+                // The stub returns the raw digest, the ROM 32 hex characters
+                const digest = this.mode === 'stub' ? md5(region) : new TextEncoder().encode(md5Hex(region));
+                return this.respond(op, { data: digest });
+            }
+
+            case ESP_COMMANDS.ERASE_FLASH:
+                if (stubOnly()) return fail(ERRORS.INVALID_MESSAGE);
+                this.flash.fill(0xFF);
+                return this.respond(op);
+
+            case ESP_COMMANDS.ERASE_REGION: {
+                if (stubOnly()) return fail(ERRORS.INVALID_MESSAGE);
+                const [offset, length] = [arg(0), arg(1)];
+                if (offset % SECTOR_SIZE !== 0 || length % SECTOR_SIZE !== 0 || offset + length > this.flash.length) {
+                    return fail(ERRORS.FAILED_TO_ACT);
+                }
+                this.eraseRange(offset, length);
+                return this.respond(op);
+            }
+
+            case ESP_COMMANDS.READ_FLASH: {
+                if (stubOnly()) return fail(ERRORS.INVALID_MESSAGE);
+                const [offset, length, blockSize] = [arg(0), arg(1), arg(2)];
+                if (offset + length > this.flash.length) {
+                    return fail(ERRORS.FLASH_READ);
+                }
+                this.respond(op);
+                // Data goes out as bare SLIP packets, then the MD5 of everything sent
+                const region = this.flash.slice(offset, offset + length);
+                for (let start = 0; start < length; start += blockSize) {
+                    this.send(region.subarray(start, Math.min(start + blockSize, length)));
+                }
+                this.send(md5(region));
+                return;
+            }
+
+            case ESP_COMMANDS.RUN_USER_CODE:
+                this.reset(false);
+                return;
+
+            default:
+                return fail(ERRORS.INVALID_MESSAGE);
+        }
+    }
+
+    eraseRange(offset, length) {
+        this.flash.fill(0xFF, offset, Math.min(offset + length, this.flash.length));
+    }
+
+    takeCorruption() {
+        if (this.failures.corruptWrites > 0) {
+            this.failures.corruptWrites--;
+            return true;
+        }
+        return false;
+    }
+
+    writeFlash(session, address, bytes) {
+        const data = bytes.slice(0, Math.max(0, this.flash.length - address));
+        if (session.corrupt && data.length > 0) {
+            data[0] ^= 0x01;
+            session.corrupt = false;
+        }
+        this.flash.set(data, address);
+        session.written += data.length;
+    }
+
+    /**
+     * zlib stream for FLASH_DEFL_DATA; inflated bytes land in flash as they're produced
+     */
+    createInflater(session) {
+        const stream = new DecompressionStream('deflate');
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+
+        const pump = (async () => {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) return;
+                this.writeFlash(session, session.offset + session.written, value);
+            }
+        })();
+        pump.catch(() => {});
+
+        return {
+            write: (block) => writer.write(block.slice()),
+            finish: async () => {
+                await writer.close();
+                await pump;
+            }
+        };
+    }
+}
+
+export class SimulatedSerialPort {
+    /**
+     * @param {SimulatedDevice} device - Device at the other end of the cable
+     */
+    constructor(device) {
+        this.device = device;
+        this.input = null;
+        this.writable = null;
+        this.baudRate = null;
+    }
+
+    /**
+     * Bytes from the device; a new stream after a reader cancels (see SerialReadable)
+     */
+    get readable() {
+        return this.input?.readable ?? null;
+    }
+
+    getInfo() {
+        return { usbVendorId: this.device.usbVendorId, usbProductId: this.device.usbProductId };
+    }
+
+    async open({ baudRate }) {
+        if (this.input) {
+            throw new Error('The port is already open.');
+        }
+        this.baudRate = baudRate;
+        this.input = new SerialReadable();
+        this.writable = new WritableStream({
+            start: (controller) => { this.writeController = controller; },
+            write: (chunk) => this.device.receive(chunk, this)
+        });
+        this.device.attach(this);
+    }
+
+    async close() {
+        this.device.detach(this);
+        this.input?.close();
+        this.input = null;
+        this.writable = null;
+    }
+
+    async setSignals(signals) {
+        if (!this.input) {
+            throw new Error('The port is closed.');
+        }
+        this.device.setSignals(signals);
+    }
+
+    deliver(bytes) {
+        const input = this.input;
+        // Asynchronous like a real UART
+        setTimeout(() => input?.push(bytes), 0);
+    }
+
+    /**
+     * The device is gone: pending reads and writes fail, and like Web Serial
+     * after a fatal error the port has no streams until it is reopened
+     */
+    fail(error) {
+        this.input?.error(error);
+        try {
+            this.writeController?.error(error);
+        } catch (e) {
+            // Already errored
+        }
+        this.writable = null;
+    }
+}
+
+/**
+ * A navigator.serial stand-in (SerialProvider) offering the given ports
+ * @param {Array<SimulatedSerialPort>} ports - Ports; requestPort() returns the first
+ */
+export function createSimulatedSerial(ports) {
+    return {
+        requestPort: async () => {
+            if (ports.length === 0) {
+                throw new Error('No port selected by the user.');
+            }
+            return ports[0];
+        },
+        getPorts: async () => [...ports]
+    };
+}
+
+export { CHIPS as SIMULATED_CHIPS };
@@ -0,0 +1,230 @@
+/**
+ * Serial Transport Interface for ESP32 Web Flasher
+ *
+ * DeviceConnection never talks to hardware directly: it hands a port to
+ * esptool-js's Transport, which frames the ROM/stub loader protocol over it.
+ * Any object implementing the Web Serial SerialPort subset below works as a
+ * port - a real navigator.serial port, a Node serialport adapter, or the
+ * in-memory SimulatedSerialPort used by the tests.
+ *
+ * @typedef {Object} SerialPortLike
+ * @property {function({baudRate: number}): Promise<void>} open - Open at a baud rate
+ * @property {function(): Promise<void>} close - Close; readable/writable become null
+ * @property {ReadableStream<Uint8Array>|null} readable - Bytes from the device; once a reader cancels it
+ *   (esptool-js does on read timeouts) the next read gets a new stream, as with Web Serial
+ * @property {WritableStream<Uint8Array>|null} writable - Bytes to the device
+ * @property {function({dataTerminalReady?: boolean, requestToSend?: boolean}): Promise<void>} setSignals -
+ *   DTR drives GPIO0 (boot mode) and RTS drives EN (reset) on the usual auto-reset circuit
+ * @property {function(): {usbVendorId?: number, usbProductId?: number}} getInfo - USB IDs, if known
+ *
+ * @typedef {Object} SerialProvider - The navigator.serial subset DeviceConnection uses
+ * @property {function(): Promise<SerialPortLike>} requestPort - Ask the user for a port
+ * @property {function(): Promise<Array<SerialPortLike>>} getPorts - Ports the user already granted
+ *
+ * Loader protocol (https://docs.espressif.com/projects/esptool/en/latest/esp32/advanced-topics/serial-protocol.html):
+ * every packet is SLIP-framed. Requests are
+ *   [0x00] [opcode] [data length u16] [checksum u32] [data]
+ * and responses
+ *   [0x01] [opcode] [data length u16] [value u32] [data, ending in status bytes]
+ * with two status bytes from the stub and four from the ROM of ESP32 and newer chips.
+ */
+
+const SLIP_END = 0xC0;
+const SLIP_ESC = 0xDB;
+const SLIP_ESC_END = 0xDC;
+const SLIP_ESC_ESC = 0xDD;
+
+// Loader opcodes
+const ESP_COMMANDS = {
+    FLASH_BEGIN: 0x02,
+    FLASH_DATA: 0x03,
+    FLASH_END: 0x04,
+    MEM_BEGIN: 0x05,
+    MEM_END: 0x06,
+    MEM_DATA: 0x07,
+    SYNC: 0x08,
+    WRITE_REG: 0x09,
+    READ_REG: 0x0A,
+    SPI_SET_PARAMS: 0x0B,
+    SPI_ATTACH: 0x0D,
+    CHANGE_BAUDRATE: 0x0F,
+    FLASH_DEFL_BEGIN: 0x10,
+    FLASH_DEFL_DATA: 0x11,
+    FLASH_DEFL_END: 0x12,
+    SPI_FLASH_MD5: 0x13,
+    GET_SECURITY_INFO: 0x14,
+    // Stub only
+    ERASE_FLASH: 0xD0,
+    ERASE_REGION: 0xD1,
+    READ_FLASH: 0xD2,
+    RUN_USER_CODE: 0xD3
+};
+
+// Checksum seed for data packets (XOR of the payload)
+const CHECKSUM_MAGIC = 0xEF;
+
+// SYNC payload: 0x07 0x07 0x12 0x20 followed by 32 x 0x55
+const SYNC_PAYLOAD = new Uint8Array([0x07, 0x07, 0x12, 0x20, ...new Array(32).fill(0x55)]);
+
+/**
+ * SLIP-encode one packet, including the framing 0xC0 bytes
+ * @param {Uint8Array} packet
+ * @returns {Uint8Array}
+ */
+function slipEncode(packet) {
+    const out = [SLIP_END];
+    for (const byte of packet) {
+        if (byte === SLIP_END) {
+            out.push(SLIP_ESC, SLIP_ESC_END);
+        } else if (byte === SLIP_ESC) {
+            out.push(SLIP_ESC, SLIP_ESC_ESC);
+        } else {
+            out.push(byte);
+        }
+    }
+    out.push(SLIP_END);
+    return new Uint8Array(out);
+}
+
+/**
+ * Incremental SLIP decoder: feed it bytes as they arrive, get whole packets back.
+ * Bytes outside a frame (e.g. boot messages) are ignored.
+ */
+class SlipDecoder {
+    constructor() {
+        this.packet = null;
+        this.escaped = false;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {Array<Uint8Array>} - Packets completed by these bytes
+     */
+    push(bytes) {
+        const packets = [];
+        for (const byte of bytes) {
+            if (this.packet === null) {
+                if (byte === SLIP_END) {
+                    this.packet = [];
+                }
+                continue;
+            }
+
+            if (this.escaped) {
+                this.escaped = false;
+                this.packet.push(byte === SLIP_ESC_END ? SLIP_END : byte === SLIP_ESC_ESC ? SLIP_ESC : byte);
+            } else if (byte === SLIP_ESC) {
+                this.escaped = true;
+            } else if (byte === SLIP_END) {
+                // Back-to-back 0xC0s are an empty frame, not an empty packet
+                if (this.packet.length > 0) {
+                    packets.push(new Uint8Array(this.packet));
+                    this.packet = null;
+                }
+            } else {
+                this.packet.push(byte);
+            }
+        }
+        return packets;
+    }
+}
+
+/**
+ * XOR checksum of a data packet's payload
+ */
+function checksum(data, seed = CHECKSUM_MAGIC) {
+    let value = seed;
+    for (const byte of data) {
+        value ^= byte;
+    }
+    return value;
+}
+
+/**
+ * The readable side of a SerialPortLike, with Web Serial's semantics: bytes
+ * that arrive while no stream is attached are held, and once a reader cancels
+ * the stream (esptool-js does on every read timeout) the next `readable` is a
+ * fresh stream rather than the cancelled one.
+ *
+ * Usage (inside a port):
+ *   get readable() { return this.input?.readable ?? null; }
+ *   open(): this.input = new SerialReadable(); source.on('data', bytes => this.input.push(bytes));
+ */
+class SerialReadable {
+    constructor() {
+        this.stream = null;
+        this.controller = null;
+        this.pending = [];
+        this.done = false;
+    }
+
+    /**
+     * Current stream, created on first use and after a cancel; null once closed
+     * @returns {ReadableStream<Uint8Array>|null}
+     */
+    get readable() {
+        if (this.done) {
+            return null;
+        }
+        if (!this.stream) {
+            const stream = new ReadableStream({
+                start: (controller) => {
+                    this.controller = controller;
+                    for (const bytes of this.pending.splice(0)) {
+                        controller.enqueue(bytes);
+                    }
+                },
+                cancel: () => {
+                    if (this.stream === stream) {
+                        this.stream = null;
+                        this.controller = null;
+                    }
+                }
+            });
+            this.stream = stream;
+        }
+        return this.stream;
+    }
+
+    /**
+     * Bytes from the device
+     * @param {Uint8Array} bytes
+     */
+    push(bytes) {
+        if (this.done) return;
+        if (this.controller) {
+            this.controller.enqueue(bytes);
+        } else {
+            this.pending.push(bytes);
+        }
+    }
+
+    /**
+     * The port was closed: end the stream, readers see done
+     */
+    close() {
+        this.finish(controller => controller.close());
+    }
+
+    /**
+     * The port failed (e.g. the device was unplugged): readers get the error
+     */
+    error(error) {
+        this.finish(controller => controller.error(error));
+    }
+
+    finish(end) {
+        const controller = this.controller;
+        this.done = true;
+        this.stream = null;
+        this.controller = null;
+        this.pending = [];
+        try {
+            if (controller) end(controller);
+        } catch (error) {
+            // Already closed or errored
+        }
+    }
+}
+
+export { ESP_COMMANDS, CHECKSUM_MAGIC, SYNC_PAYLOAD, slipEncode, SlipDecoder, SerialReadable, checksum };
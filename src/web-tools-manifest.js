@@ -0,0 +1,99 @@
+/**
+ * ESP Web Tools Manifest Support for ESP32 Web Flasher
+ * Loads firmware published as an ESP Web Tools manifest.json and turns the
+ * build for the connected chip into a multi-image list for FirmwareFlasher
+ *
+ * Manifest format (https://esphome.github.io/esp-web-tools/):
+ * {
+ *   "name": "My Firmware",
+ *   "version": "1.2.0",
+ *   "new_install_prompt_erase": true,
+ *   "builds": [
+ *     { "chipFamily": "ESP32-C3", "parts": [ { "path": "merged.bin", "offset": 0 } ] },
+ *     { "chipFamily": "ESP32", "parts": [ { "path": "bootloader.bin", "offset": 4096 }, ... ] }
+ *   ]
+ * }
+ * Part paths are relative to the manifest URL.
+ */
+
+import { chipIdFromName } from './esp-image.js';
+
+function manifestError(message) {
+    const error = new Error(message);
+    error.isImageError = true;
+    return error;
+}
+
+/**
+ * Download and validate a manifest
+ * @param {string} url - Manifest URL (relative URLs resolve against the page)
+ * @returns {Promise<Object>} - Manifest, with `url` set to its absolute URL
+ * @throws {Error} - With isImageError set if the manifest is malformed
+ */
+async function loadManifest(url) {
+    const absoluteUrl = new URL(url, globalThis.location?.href).href;
+    const response = await fetch(absoluteUrl);
+
+    if (!response.ok) {
+        throw new Error(`Failed to download manifest: ${response.status} ${response.statusText}`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw manifestError(`Manifest ${absoluteUrl} is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(manifest?.builds) || manifest.builds.length === 0) {
+        throw manifestError(`Manifest ${absoluteUrl} has no builds`);
+    }
+    manifest.builds.forEach((build, i) => {
+        if (typeof build.chipFamily !== 'string' || !Array.isArray(build.parts) || build.parts.length === 0) {
+            throw manifestError(`Manifest build ${i} needs a chipFamily and at least one part`);
+        }
+        build.parts.forEach((part, j) => {
+            if (typeof part.path !== 'string' || typeof part.offset !== 'number') {
+                throw manifestError(`Manifest build ${i} (${build.chipFamily}) part ${j} needs a path and a numeric offset`);
+            }
+        });
+    });
+
+    return { ...manifest, url: absoluteUrl };
+}
+
+/**
+ * Find the build for a chip
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @param {string} chip - Chip name, e.g. "ESP32-C3" or an esptool-js chip description
+ * @returns {Object} - The matching build
+ * @throws {Error} - With isImageError set if the manifest has no build for the chip
+ */
+function selectBuild(manifest, chip) {
+    const chipId = chipIdFromName(chip);
+    const build = chipId === undefined
+        ? undefined
+        : manifest.builds.find(candidate => chipIdFromName(candidate.chipFamily) === chipId);
+
+    if (!build) {
+        const families = manifest.builds.map(candidate => candidate.chipFamily).join(', ');
+        throw manifestError(`${manifest.name || 'This firmware'} has no build for ${chip} (available: ${families})`);
+    }
+    return build;
+}
+
+/**
+ * Image list for a build, in the form of a project's `images`
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @param {Object} build - Build from selectBuild()
+ * @returns {Array<{name: string, url: string, offset: number}>}
+ */
+function buildImages(manifest, build) {
+    return build.parts.map(part => ({
+        name: part.path.split('/').pop().replace(/\.bin$/i, ''),
+        url: new URL(part.path, manifest.url).href,
+        offset: part.offset
+    }));
+}
+
+export { loadManifest, selectBuild, buildImages };
@@ -0,0 +1,2 @@
+const E=16,f=new Uint8Array(256),y=new Uint8Array(256);(function(){let e=1,t=1;do{e=e^e<<1&255^(e&128?27:0),t^=t<<1,t^=t<<2,t^=t<<4,t&=255,t&128&&(t^=9);const s=(r,n)=>(r<<n|r>>8-n)&255,o=t^s(t,1)^s(t,2)^s(t,3)^s(t,4)^99;f[e]=o,y[o]=e}while(e!==1);f[0]=99,y[99]=0})();function l(i,e){let t=0;for(;e;)e&1&&(t^=i),i=i<<1^(i&128?283:0),e>>=1;return t}class x{constructor(e){if(![16,24,32].includes(e.length))throw new Error(`Invalid AES key length: ${e.length} bytes`);this.rounds=e.length/4+6,this.roundKeys=this.expandKey(e)}expandKey(e){const t=e.length/4,s=(this.rounds+1)*4,o=new Uint8Array(s*4);o.set(e);let r=1;for(let n=t;n<s;n++){let c=o[(n-1)*4],h=o[(n-1)*4+1],u=o[(n-1)*4+2],a=o[(n-1)*4+3];n%t===0?([c,h,u,a]=[f[h]^r,f[u],f[a],f[c]],r=l(r,2)):t>6&&n%t===4&&([c,h,u,a]=[f[c],f[h],f[u],f[a]]),o[n*4]=o[(n-t)*4]^c,o[n*4+1]=o[(n-t)*4+1]^h,o[n*4+2]=o[(n-t)*4+2]^u,o[n*4+3]=o[(n-t)*4+3]^a}return o}addRoundKey(e,t){for(let s=0;s<16;s++)e[s]^=this.roundKeys[t*16+s]}encryptBlock(e){const t=Uint8Array.from(e);this.addRoundKey(t,0);for(let s=1;s<=this.rounds;s++){const o=new Uint8Array(16);for(let r=0;r<4;r++)for(let n=0;n<4;n++)o[n+4*r]=f[t[n+4*((r+n)%4)]];if(s!==this.rounds)for(let r=0;r<4;r++){const[n,c,h,u]=o.subarray(r*4,r*4+4);t[r*4]=l(n,2)^l(c,3)^h^u,t[r*4+1]=n^l(c,2)^l(h,3)^u,t[r*4+2]=n^c^l(h,2)^l(u,3),t[r*4+3]=l(n,3)^c^h^l(u,2)}else t.set(o);this.addRoundKey(t,s)}return t}decryptBlock(e){const t=Uint8Array.from(e);this.addRoundKey(t,this.rounds);for(let s=this.rounds-1;s>=0;s--){const o=new Uint8Array(16);for(let r=0;r<4;r++)for(let n=0;n<4;n++)o[n+4*((r+n)%4)]=y[t[n+4*r]];if(t.set(o),this.addRoundKey(t,s),s!==0)for(let r=0;r<4;r++){const[n,c,h,u]=t.slice(r*4,r*4+4);t[r*4]=l(n,14)^l(c,11)^l(h,13)^l(u,9),t[r*4+1]=l(n,9)^l(c,14)^l(h,11)^l(u,13),t[r*4+2]=l(n,13)^l(c,9)^l(h,14)^l(u,11),t[r*4+3]=l(n,11)^l(c,13)^l(h,9)^l(u,14)}}return t}}function K(i){let e=0;for(let t=0;t<16;t++){const s=i[t]>>7;i[t]=(i[t]<<1|e)&255,e=s}e&&(i[0]^=135)}function w(i,e,t,s){if(i.length!==32&&i.length!==64)throw new Error(`Invalid XTS key length: ${i.length} bytes (expected 32 or 64)`);if(e.length!==16)throw new Error(`Invalid XTS tweak length: ${e.length} bytes (expected 16)`);if(t.length%16!==0)throw new Error("XTS data length must be a multiple of 16 bytes");const o=i.length/2,r=new x(i.subarray(0,o)),c=new x(i.subarray(o)).encryptBlock(e),h=new Uint8Array(t.length),u=new Uint8Array(16);for(let a=0;a<t.length;a+=16){for(let d=0;d<16;d++)u[d]=t[a+d]^c[d];const B=s?r.decryptBlock(u):r.encryptBlock(u);for(let d=0;d<16;d++)h[a+d]=B[d]^c[d];K(c)}return h}function p(i,e,t){return w(i,e,t,!1)}function S(i,e,t){return w(i,e,t,!0)}export{x as AES,S as xtsDecrypt,p as xtsEncrypt};
+//# sourceMappingURL=aes-xts.js.map
@@ -1,17 +1,30 @@
-class d{constructor(){this.config=this.loadConfig()}loadConfig(){const o=localStorage.getItem("active-wing-config");return o?JSON.parse(o):{}}saveConfig(){localStorage.setItem("active-wing-config",JSON.stringify(this.config))}clearConfig(){this.config={},this.saveConfig(),this.loadConfigValues()}loadConfigValues(){document.querySelectorAll("[data-section][data-field]").forEach(t=>{const e=t.dataset.section,n=t.dataset.field;this.config[e]&&this.config[e][n]!==void 0&&(t.value=this.config[e][n])})}attachConfigListeners(){document.querySelectorAll("[data-section][data-field]").forEach(t=>{t.addEventListener("input",()=>{const e=t.dataset.section,n=t.dataset.field;this.config[e]||(this.config[e]={}),this.config[e][n]=t.value,this.saveConfig()})})}renderConfigFields(o){if(!o.configSections){document.getElementById("config-container").innerHTML='<div style="padding: 20px 0; text-align: center; color: #999; font-size: 13px;">No configuration needed</div>';return}const t=document.getElementById("config-container");t.innerHTML="",o.configSections.forEach(e=>{const n=document.createElement("div");n.className="config-group";let s=`<h3>${e.title}</h3>`;e.description&&(s+=`<p class="help-text" style="margin-bottom: 12px;">${e.description}</p>`),e.fields.forEach(i=>{const a=`${e.id}-${i.id}`;s+=`
+import{coerceNVSValue as m,decodeNVSValue as b}from"./nvs-generator.js";const d={checkbox:"u8",toggle:"u8",file:"blob",hex:"blob"};function u(o,e){const n=new Error(`Invalid NVS value for ${o.nvsKey||o.id}: ${e}`);return n.isNVSValueError=!0,n.nvsKey=o.nvsKey,n}function p(o){let e="";for(let n=0;n<o.length;n++)e+=String.fromCharCode(o[n]);return btoa(e)}function v(o){return Uint8Array.from(atob(o),e=>e.charCodeAt(0))}function x(o){const e=String(o).replace(/^\s*0x/i,"").replace(/[\s:]+/g,"");return e.length%2!==0||!/^[0-9a-f]*$/i.test(e)?null:Uint8Array.from(e.match(/../g)||[],n=>parseInt(n,16))}function l(o){return(o.options||[]).map(e=>e!==null&&typeof e=="object"?{value:e.value,label:e.label??String(e.value)}:{value:e,label:String(e)})}function f(o){const e=o.default!==void 0&&o.default!=="";switch(o.type){case"checkbox":case"toggle":return o.default===!0;case"range":return e?Number(o.default):o.min??0;case"select":return e?l(o).find(n=>String(n.value)===String(o.default))?.value:void 0;case"file":return;default:return e?o.default:void 0}}function $(o){const e=n=>n!==null&&typeof n=="object"&&typeof n.data=="string";return Object.fromEntries(Object.entries(o).map(([n,t])=>[n,Object.fromEntries(Object.entries(t||{}).filter(([,s])=>!e(s)))]))}function S(o,e){const n=o.nvsType||d[o.type];let t=e;if(o.type==="checkbox"||o.type==="toggle"){const s=e===!0||["true","1","on","yes"].includes(String(e).toLowerCase());t=n==="bool"?s:s?1:0}else if(o.type==="hex"){if(t=x(e),!t)throw u(o,`"${e}" is not a hex byte string`)}else if(o.type==="file"){if(typeof e?.data!="string")throw u(o,"expected a file ({ name, data } with base64 data)");t=v(e.data)}else if(o.type==="select"&&o.options&&!l(o).some(s=>String(s.value)===String(e)))throw u(o,`"${e}" is not one of the options (${l(o).map(s=>s.value).join(", ")})`);return n?m(t,n,o.nvsKey||o.id):t}function y(o,e){const n=o.nvsType||d[o.type];let t=n?b(e,n):e;if(o.type==="checkbox"||o.type==="toggle")return t===!0||t!==!1&&Number(t)!==0;if(t instanceof Uint8Array&&o.type==="file")return{name:`${o.nvsKey||o.id}.bin`,data:p(t)};if(t instanceof Uint8Array&&o.type==="hex")return Array.from(t,s=>s.toString(16).padStart(2,"0")).join("");if(o.type==="select"){const s=l(o).find(r=>String(r.value)===String(t));if(s)return s.value}return typeof t=="bigint"&&(t=t.toString()),t}class E{constructor(e={}){this.config=this.loadConfig(),this.project=null,this.fields={},this.touched=new Set,this.onChange=e.onChange||null}loadConfig(){const e=localStorage.getItem("active-wing-config");return e?$(JSON.parse(e)):{}}saveConfig(){localStorage.setItem("active-wing-config",JSON.stringify($(this.config)))}clearConfig(){this.config={},this.saveConfig(),this.applyDefaults(this.project),this.loadConfigValues(),this.onChange?.()}loadConfigValues(){document.querySelectorAll("[data-section][data-field]").forEach(n=>{const t=n.dataset.section,s=n.dataset.field;this.config[t]&&this.config[t][s]!==void 0&&this.setInputValue(n,this.config[t][s])})}attachConfigListeners(){document.querySelectorAll("[data-section][data-field]").forEach(n=>{const t=n.type==="checkbox"||n.type==="file"||n.tagName==="SELECT"?"change":"input";n.addEventListener(t,async()=>{const s=n.dataset.section,r=n.dataset.field,a=await this.readInputValue(n);a!==void 0&&(this.config[s]||(this.config[s]={}),this.config[s][r]=a,this.saveConfig(),this.showValue(n,a),this.touched.add(n.id),this.onChange?.())})})}async readInputValue(e){const n=this.fields[e.id]||{};if(e.type==="checkbox")return e.checked;if(e.type==="file"){const[t]=e.files;return t?{name:t.name,data:p(new Uint8Array(await t.arrayBuffer()))}:void 0}if(e.type==="range")return Number(e.value);if(n.type==="select"){const t=l(n).find(s=>String(s.value)===e.value);return t?t.value:e.value}return e.value}setInputValue(e,n){e.type==="checkbox"?e.checked=n===!0:e.type!=="file"&&(e.value=n),this.showValue(e,n)}showValue(e,n){if(e.type==="range"){const t=document.getElementById(`${e.id}-value`);t&&(t.textContent=n)}if(e.type==="file"){const t=document.getElementById(`${e.id}-file`);t&&n?.data!==void 0&&(t.textContent=`${n.name} (${atob(n.data).length} bytes)`)}}applyDefaults(e){for(const n of e?.configSections||[])for(const t of n.fields){const s=f(t);s===void 0||this.config[n.id]?.[t.id]!==void 0||(this.config[n.id]||(this.config[n.id]={}),this.config[n.id][t.id]=s)}}renderConfigFields(e){if(this.project=e,!e.configSections){document.getElementById("config-container").innerHTML='<div style="padding: 20px 0; text-align: center; color: #999; font-size: 13px;">No configuration needed</div>';return}const n=document.getElementById("config-container");n.innerHTML="",this.fields={},this.touched.clear(),e.configSections.forEach(t=>{const s=document.createElement("div");s.className="config-group";let r=`<h3>${t.title}</h3>`;t.description&&(r+=`<p class="help-text" style="margin-bottom: 12px;">${t.description}</p>`),t.fields.forEach(a=>{const i=`${t.id}-${a.id}`;this.fields[i]=a;const c=`
+                            id="${i}"
+                            ${a.required?"required":""}
+                            aria-required="${a.required?"true":"false"}"
+                            aria-describedby="${a.help?i+"-help ":""}${i}-error"
+                            data-section="${t.id}"
+                            data-field="${a.id}"`,h=a.help?`<span class="help-text" id="${i}-help">${a.help}</span>`:"",g=`<span class="field-error" id="${i}-error" role="alert"></span>`;if(a.type==="checkbox"||a.type==="toggle"){r+=`
                     <div class="form-group">
-                        <label for="${a}">${i.label}${i.required?' <span style="color: #ff3b30;">*</span>':' <span style="color: #86868b; font-weight: 400;">(optional)</span>'}</label>
-                        <input
-                            type="${i.type||"text"}"
-                            id="${a}"
-                            placeholder="${i.placeholder||""}"
-                            ${i.default?`value="${i.default}"`:""}
-                            ${i.required?"required":""}
-                            aria-required="${i.required?"true":"false"}"
-                            aria-describedby="${i.help?a+"-help":""}"
-                            data-section="${e.id}"
-                            data-field="${i.id}">
-                        ${i.help?`<span class="help-text" id="${a}-help">${i.help}</span>`:""}
+                        <label class="checkbox-label${a.type==="toggle"?" toggle":""}" for="${i}">
+                            <input type="checkbox" ${f(a)?"checked":""} ${c}>
+                            <span>${a.label}</span>
+                        </label>
+                        ${h}
+                        ${g}
                     </div>
-                `}),n.innerHTML=s,t.appendChild(n)}),this.loadConfigValues(),this.attachConfigListeners()}getConfig(){return this.config}populateFromNVS(o,t){t.configSections&&(this.config={},t.configSections.forEach(e=>{e.fields.forEach(n=>{const s=n.nvsKey||`${e.id}_${n.id}`;if(o[s]!==void 0){this.config[e.id]||(this.config[e.id]={}),this.config[e.id][n.id]=o[s];const i=`${e.id}-${n.id}`,a=document.getElementById(i);a&&(a.value=o[s])}})}),this.saveConfig())}}export{d as ConfigManager};
+                `;return}r+=`
+                    <div class="form-group">
+                        <label for="${i}">${a.label}${a.required?' <span style="color: #ff3b30;">*</span>':' <span style="color: #86868b; font-weight: 400;">(optional)</span>'}</label>
+                        ${this.renderControl(a,i,c)}
+                        ${h}
+                        ${g}
+                    </div>
+                `}),s.innerHTML=r,n.appendChild(s)}),this.applyDefaults(e),this.loadConfigValues(),this.attachConfigListeners()}renderControl(e,n,t){const s=`placeholder="${e.placeholder||""}"`,r=e.default!==void 0&&e.default!=="";switch(e.type){case"select":{const a=l(e).map(c=>`<option value="${c.value}" ${r&&String(c.value)===String(e.default)?"selected":""}>${c.label}</option>`),i=r?"":`<option value="" disabled selected>${e.placeholder||"Select..."}</option>`;return`<select ${t}>${i}${a.join("")}</select>`}case"range":{const a=f(e);return`
+                            <div class="range-group">
+                                <input type="range" min="${e.min??0}" max="${e.max??100}" step="${e.step??1}" value="${a}" ${t}>
+                                <output id="${n}-value" for="${n}">${a}</output>
+                            </div>`}case"textarea":return`<textarea rows="${e.rows||4}" ${s} ${t}>${r?e.default:""}</textarea>`;case"file":return`
+                            <input type="file" ${e.accept?`accept="${e.accept}"`:""} ${t}>
+                            <span class="help-text" id="${n}-file"></span>`;case"hex":return`<input type="text" class="hex-input" spellcheck="false" autocomplete="off" pattern="^\\s*(0x)?([0-9a-fA-F]{2}[\\s:]*)*$" ${s} ${r?`value="${e.default}"`:""} ${t}>`;default:return`<input type="${e.type||"text"}" ${s} ${r?`value="${e.default}"`:""} ${e.min!==void 0?`min="${e.min}"`:""} ${e.max!==void 0?`max="${e.max}"`:""} ${e.step!==void 0?`step="${e.step}"`:""} ${t}>`}}getConfig(){return this.config}showErrors(e,n={}){Object.keys(this.fields).forEach(t=>{const s=document.getElementById(t),r=e.find(c=>`${c.section}-${c.field}`===t),a=r&&(n.all||this.touched.has(t))?r.message:"",i=document.getElementById(`${t}-error`);i&&(i.textContent=a?`${r.label} ${a}`:""),s&&(s.classList.toggle("invalid",a!==""),s.setAttribute("aria-invalid",a?"true":"false"))})}populateFromNVS(e,n){n.configSections&&(this.config={},n.configSections.forEach(t=>{t.fields.forEach(s=>{const r=s.nvsKey||`${t.id}_${s.id}`;if(e[r]!==void 0){const a=y(s,e[r]);this.config[t.id]||(this.config[t.id]={}),this.config[t.id][s.id]=a;const i=`${t.id}-${s.id}`,c=document.getElementById(i);c&&this.setInputValue(c,a)}})}),this.applyDefaults(n),this.loadConfigValues(),this.saveConfig(),this.onChange?.())}}export{E as ConfigManager,y as fieldConfigValue,S as fieldNVSValue};
 //# sourceMappingURL=config-manager.js.map
@@ -0,0 +1,2 @@
+import{fieldNVSValue as b}from"./config-manager.js";const l="(25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)",x=new RegExp(`^${l}(\\.${l}){3}$`),y=/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;function p(t){try{return new URL(t)}catch{return null}}const m={ipv4:{test:t=>x.test(t),message:"must be an IPv4 address, e.g. 192.168.1.100"},hostname:{test:t=>t.length<=253&&t.split(".").every(e=>y.test(e)),message:"must be a hostname or IP address"},url:{test:t=>["http:","https:"].includes(p(t)?.protocol),message:"must be an http(s) URL"},"mqtt-url":{test:t=>{const e=p(t);return e!==null&&["mqtt:","mqtts:","ws:","wss:"].includes(e.protocol)&&e.hostname!==""},message:"must be an MQTT URL, e.g. mqtt://192.168.1.100:1883"},port:{test:t=>/^\d+$/.test(t)&&Number(t)>=1&&Number(t)<=65535,message:"must be a port number (1-65535)"}};function d(t,e){return t.type==="checkbox"||t.type==="toggle"?e!==!0&&e!=="true":t.type==="file"?typeof e?.data!="string":e==null||String(e).trim()===""}function h(t,e){const i=typeof e=="string"?e:String(e),o=[...i].length;if(t.minLength!==void 0&&o<t.minLength)return`must be at least ${t.minLength} characters`;if(t.maxLength!==void 0&&o>t.maxLength)return`must be at most ${t.maxLength} characters`;if(t.pattern!==void 0&&!new RegExp(`^(?:${t.pattern})$`,"u").test(i))return t.patternMessage||`must match ${t.pattern}`;if(t.min!==void 0||t.max!==void 0){const r=Number(e);if(i.trim()===""||!Number.isFinite(r))return"must be a number";if(t.min!==void 0&&r<t.min)return`must be at least ${t.min}`;if(t.max!==void 0&&r>t.max)return`must be at most ${t.max}`}if(t.format&&m[t.format]&&!m[t.format].test(i.trim()))return m[t.format].message;if(t.nvsKey)try{b(t,e)}catch(r){if(!r.isNVSValueError)throw r;return r.message.replace(/^Invalid NVS value for [^:]+: /,"")}return null}function $(t,e,i,o={}){const r=t[e.id]?.[i.id];return o.partial?r:r??i.default}function q(t,e={},i={}){const o=[],r=new Map;for(const s of t.configSections||[])for(const n of s.fields)r.set(`${s.id}.${n.id}`,{section:s,field:n,value:$(e,s,n,i)});const f=(s,n)=>{const{section:c,field:a}=r.get(s);o.some(u=>u.section===c.id&&u.field===a.id)||o.push({section:c.id,field:a.id,label:a.label||a.id,message:n})};for(const[s,{field:n,value:c}]of r){if(d(n,c)){n.required&&!i.partial&&f(s,n.type==="checkbox"||n.type==="toggle"?"must be checked":"is required");continue}const a=h(n,c);a&&f(s,a)}if(!i.partial)for(const s of t.configRules||[]){const n=r.get(s.if);if(!n||!(s.equals!==void 0?String(n.value)===String(s.equals):!d(n.field,n.value)))continue;const a=s.equals!==void 0?`when ${n.field.label||n.field.id} is ${s.equals}`:`when ${n.field.label||n.field.id} is set`;for(const u of s.require||[])r.has(u)&&d(r.get(u).field,r.get(u).value)&&f(u,s.message||`is required ${a}`)}const g=[...r.keys()];return o.sort((s,n)=>g.indexOf(`${s.section}.${s.field}`)-g.indexOf(`${n.section}.${n.field}`))}function L(t){const e=t.map(o=>`${o.section}.${o.field} ${o.message}`).join("; "),i=new Error(`Invalid configuration: ${e}`);return i.isConfigValidationError=!0,i.errors=t,i}export{m as FORMATS,L as configValidationError,$ as configValue,q as validateConfig,h as validateField};
+//# sourceMappingURL=config-validation.js.map
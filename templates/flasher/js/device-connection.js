@@ -1,6 +1,6 @@
-class C{constructor(e){this.ui=e,this.transport=null,this.espStub=null,this.isConnected=!1}getChipOverrides(){const e=localStorage.getItem("chip-overrides");return e?JSON.parse(e):{}}saveChipOverride(e,n){const i=this.getChipOverrides();i[e]=n,localStorage.setItem("chip-overrides",JSON.stringify(i))}clearChipOverride(e){const n=this.getChipOverrides();delete n[e],localStorage.setItem("chip-overrides",JSON.stringify(n))}async showChipMismatchDialog(e,n){return new Promise(i=>{const s=document.getElementById("status-box"),d=s.innerHTML;s.className="status-box waiting",s.innerHTML=`
+import{md5Hex as y}from"./md5.js";const d=115200,b=921600,S=[2e6,921600,460800,230400],g=16384,C=new URL("./vendor/esptool-js.js",import.meta.url).href,m={sha256:"SHA-256",sha384:"SHA-384",sha512:"SHA-512"};function h(l,t,i){let e;const s=new Promise((n,o)=>{e=setTimeout(()=>o(new Error(i)),t)});return Promise.race([l,s]).finally(()=>clearTimeout(e))}class x{constructor(t,i={}){this.ui=t,this.esptool=i.esptool||C,this.serial=i.serial||globalThis.navigator?.serial,this.storage=i.storage||globalThis.localStorage,this.confirmChipMismatch=i.confirmChipMismatch||((e,s)=>this.showChipMismatchDialog(e,s)),this.resetMode="default_reset",this.transport=null,this.espStub=null,this.port=null,this.isConnected=!1}getChipOverrides(){const t=this.storage.getItem("chip-overrides");return t?JSON.parse(t):{}}saveChipOverride(t,i){const e=this.getChipOverrides();e[t]=i,this.storage.setItem("chip-overrides",JSON.stringify(e))}clearChipOverride(t){const i=this.getChipOverrides();delete i[t],this.storage.setItem("chip-overrides",JSON.stringify(i))}async showChipMismatchDialog(t,i){return new Promise(e=>{const s=document.getElementById("status-box"),n=s.innerHTML;s.className="status-box waiting",s.innerHTML=`
                 <div class="status-text">Chip Mismatch</div>
-                <div class="status-subtext" style="margin-bottom: 12px;">Expected ${e}, found ${n}</div>
+                <div class="status-subtext" style="margin-bottom: 12px;">Expected ${t}, found ${i}</div>
                 <div style="display: flex; gap: 8px;">
                     <button id="chip-btn-cancel" class="btn btn-primary" style="flex: 1; font-size: 13px; padding: 8px 12px;">
                         Cancel
@@ -12,5 +12,5 @@ class C{constructor(e){this.ui=e,this.transport=null,this.espStub=null,this.isCo
                         Always Allow
                     </button>
                 </div>
-            `;const c=()=>{s.innerHTML=d};document.getElementById("chip-btn-cancel").addEventListener("click",()=>{c(),i("cancel")}),document.getElementById("chip-btn-once").addEventListener("click",()=>{c(),i("once")}),document.getElementById("chip-btn-always").addEventListener("click",()=>{c(),i("always")})})}async disconnect(){if(this.transport)try{await this.transport.disconnect(),this.ui.log("Disconnected from device","info")}catch{}this.transport=null,this.espStub=null,this.isConnected=!1}async connect(e,n={}){(this.transport||this.isConnected)&&(this.ui.log("Cleaning up previous connection...","warning"),await this.disconnect());const i=n.skipChipCheck||!1;try{let s=n.port;if(!s){this.ui.log("Initiating connection to ESP32...","info"),this.ui.updateStatus("waiting","Connecting...","Select your device from the prompt"),s=await navigator.serial.requestPort();const a=(await navigator.serial.getPorts()).indexOf(s);a!==-1&&localStorage.setItem("lastSerialDeviceIndex",a.toString())}this.ui.log("Opening serial port...","info"),this.ui.updateStatus("waiting","Opening port...","Establishing connection");const{Transport:d,ESPLoader:c}=await import("https://unpkg.com/esptool-js@0.4.5/bundle.js");this.transport=new d(s,!0),this.ui.log("Initializing esptool...","info"),this.ui.updateStatus("waiting","Initializing...","Detecting chip type"),this.espStub=new c({transport:this.transport,baudrate:115200,terminal:{clean:()=>{},writeLine:t=>this.ui.log(t,"info"),write:t=>this.ui.log(t,"info")}});const h=new Promise((t,a)=>{setTimeout(()=>{a(new Error("Connection timeout - device not responding. Make sure you selected the correct serial port (not Bluetooth) and try holding the BOOT button."))},15e3)}),o=await Promise.race([this.espStub.main(),h]);this.ui.log("Chip: "+o,"info");let r=null;if(this.espStub.chip&&this.espStub.chip.macAddr&&(r=this.espStub.chip.macAddr(),this.ui.log("MAC Address: "+r,"info"),this.ui.updateChipInfo(o,r)),e.chip&&o){const t=e.chip.toUpperCase(),a=o.toUpperCase(),p=!a.includes(t.replace("ESP32-","")),g=this.getChipOverrides()[a]===t;if(p)if(i)this.ui.log(`Chip validation skipped (dev option): Expected ${t}, detected ${o}`,"warning");else if(g)this.ui.log(`Chip mismatch allowed (saved preference): Expected ${t}, detected ${o}`,"warning");else{this.ui.log(`Chip mismatch: Expected ${t}, but detected ${o}`,"warning"),this.ui.updateStatus("waiting","Chip mismatch detected",`Expected ${t} but found ${o}`);const l=await this.showChipMismatchDialog(t,o);if(l==="cancel"){this.ui.log("Connection cancelled by user","info"),this.ui.updateStatus("waiting","Connection cancelled","Select a device and try again"),await this.disconnect();const u=new Error("Chip mismatch - user cancelled");throw u.isChipMismatch=!0,u}else l==="always"&&(this.saveChipOverride(a,t),this.ui.log(`Saved override: ${a} \u2192 ${t}`,"success"));this.ui.log(`Proceeding with ${o} (user override)`,"warning")}}return this.isConnected=!0,this.ui.updateStatus("connected","Device connected","Ready to flash firmware"),this.ui.log(`Connected to ${o}`,"success"),{chipType:o,macAddr:r}}catch(s){throw await this.disconnect(),s.isChipMismatch||this.handleConnectionError(s),s}}handleConnectionError(e){if(e.message&&e.message.includes("port is already open")){this.ui.log("Port is already open - please refresh the page","error"),this.ui.updateStatus("error","Port already open","Refresh the page (Ctrl+R or Cmd+R) and try again");return}if(e.message&&(e.message.includes("Transport is not defined")||e.message.includes("ESPLoader is not defined"))){this.ui.log("ESPTool library failed to load","error"),this.ui.updateStatus("error","Library loading error","Please refresh the page and ensure you have internet connection");return}if(e.message&&e.message.includes("No port selected")){this.ui.log("Port selection cancelled by user","warning"),this.ui.updateStatus("waiting","Connection cancelled",'Click "Connect Device" to try again');return}if(e.message&&(e.message.includes("permission")||e.message.includes("access denied"))){this.ui.log("Permission denied: "+e.message,"error"),this.ui.updateStatus("error","Permission denied","Close other programs using the serial port and try again");return}if(e.message&&(e.message.includes("timeout")||e.message.includes("Failed to connect")||e.message.includes("not responding"))){this.ui.log("Connection timeout: "+e.message,"error"),this.ui.updateStatus("error","Device not responding","Wrong port selected or device not in download mode. Hold BOOT button and try again.");return}if(e.message&&e.message.includes("chip")){this.ui.log("Wrong device type: "+e.message,"error"),this.ui.updateStatus("error","Wrong device detected","Make sure you selected the correct ESP32 device");return}if(e.message&&(e.message.includes("getInfo")||e.message.includes("main")||e.message.includes("Cannot read properties"))){this.ui.log("ESPTool communication error: "+e.message,"error"),this.ui.updateStatus("error","Device communication failed","Try holding BOOT button while connecting, or refresh the page");return}this.ui.log("Connection error: "+e.message,"error"),this.ui.updateStatus("error","Connection failed","Check cable connection and try again")}getESPStub(){return this.espStub}getIsConnected(){return this.isConnected}async readFlash(e,n){if(!this.espStub)throw new Error("Device not connected");this.ui.log(`Reading ${n} bytes from flash at offset 0x${e.toString(16)}...`,"info");try{const i=await this.espStub.readFlash(e,n);return this.ui.log(`Read ${i.length} bytes successfully`,"success"),new Uint8Array(i)}catch(i){throw this.ui.log(`Failed to read flash: ${i.message}`,"error"),i}}}export{C as DeviceConnection};
+            `;const o=()=>{s.innerHTML=n};document.getElementById("chip-btn-cancel").addEventListener("click",()=>{o(),e("cancel")}),document.getElementById("chip-btn-once").addEventListener("click",()=>{o(),e("once")}),document.getElementById("chip-btn-always").addEventListener("click",()=>{o(),e("always")})})}async disconnect(){if(this.transport)try{await this.transport.disconnect(),this.ui.log("Disconnected from device","info")}catch{}this.transport=null,this.espStub=null,this.port=null,this.isConnected=!1}async connect(t,i={}){(this.transport||this.isConnected)&&(this.ui.log("Cleaning up previous connection...","warning"),await this.disconnect());const e=i.skipChipCheck||!1;this.resetMode=i.resetMode||"default_reset";try{let s=i.port;if(!s){this.ui.log("Initiating connection to ESP32...","info"),this.ui.updateStatus("waiting","Connecting...","Select your device from the prompt"),s=await this.serial.requestPort();const r=(await this.serial.getPorts()).indexOf(s);r!==-1&&this.storage.setItem("lastSerialDeviceIndex",r.toString())}this.ui.log("Opening serial port...","info"),this.ui.updateStatus("waiting","Opening port...","Establishing connection"),this.port=s;const n=await this.openLoader(s);this.ui.log("Chip: "+n,"info");let o=null;if(this.espStub.chip&&this.espStub.chip.readMac&&(o=await this.espStub.chip.readMac(this.espStub),this.ui.log("MAC Address: "+o,"info"),this.ui.updateChipInfo(n,o)),t?.chip&&n){const a=t.chip.toUpperCase(),r=n.toUpperCase(),f=!r.includes(a.replace("ESP32-","")),w=this.getChipOverrides()[r]===a;if(f)if(e)this.ui.log(`Chip validation skipped (dev option): Expected ${a}, detected ${n}`,"warning");else if(w)this.ui.log(`Chip mismatch allowed (saved preference): Expected ${a}, detected ${n}`,"warning");else{this.ui.log(`Chip mismatch: Expected ${a}, but detected ${n}`,"warning"),this.ui.updateStatus("waiting","Chip mismatch detected",`Expected ${a} but found ${n}`);const u=await this.confirmChipMismatch(a,n);if(u==="cancel"){this.ui.log("Connection cancelled by user","info"),this.ui.updateStatus("waiting","Connection cancelled","Select a device and try again"),await this.disconnect();const p=new Error("Chip mismatch - user cancelled");throw p.isChipMismatch=!0,p}else u==="always"&&(this.saveChipOverride(r,a),this.ui.log(`Saved override: ${r} \u2192 ${a}`,"success"));this.ui.log(`Proceeding with ${n} (user override)`,"warning")}}const c=await this.negotiateBaudrate(s,i.baudrate??t?.baudrate??"auto");return this.isConnected=!0,this.ui.updateStatus("connected","Device connected",`Ready to flash firmware (${c} baud)`),this.ui.log(`Connected to ${n}`,"success"),{chipType:n,macAddr:o,baudrate:c}}catch(s){throw await this.disconnect(),s.isChipMismatch||this.handleConnectionError(s),s}}async reconnect(t,i={}){const e=await this.serial.getPorts();if(e.length===0)return null;const s=this.storage.getItem("lastSerialDeviceIndex"),n=s?parseInt(s):0,o=e[n]||e[0];return this.ui.log("Attempting to reconnect to previous device...","info"),this.connect(t,{...i,port:o})}async openLoader(t){const{Transport:i,ESPLoader:e}=await this.loadESPTool();return this.transport=new i(t,!0),this.ui.log("Initializing esptool...","info"),this.ui.updateStatus("waiting","Initializing...","Detecting chip type"),this.espStub=new e({transport:this.transport,baudrate:d,romBaudrate:d,terminal:{clean:()=>{},writeLine:s=>this.ui.log(s,"info"),write:s=>this.ui.log(s,"info")}}),h(this.espStub.main(this.resetMode),15e3,"Connection timeout - device not responding. Make sure you selected the correct serial port (not Bluetooth) and try holding the BOOT button.")}async loadESPTool(){const t=this.esptool,i=typeof t=="function"?"custom loader":t.url||t;let e;try{typeof t=="function"?e=await t():typeof t=="object"?e=await this.importWithIntegrity(t.url,t.integrity):e=await import(t)}catch(s){const n=new Error(`Could not load esptool-js from ${i}: ${s.message}`);throw n.isESPToolLoadError=!0,n}if(!e?.Transport||!e?.ESPLoader){const s=new Error(`esptool-js from ${i} does not export Transport and ESPLoader`);throw s.isESPToolLoadError=!0,s}return e}async importWithIntegrity(t,i){const e=await fetch(t);if(!e.ok)throw new Error(`${e.status} ${e.statusText}`);const s=await e.arrayBuffer();if(i){const[o,c]=i.split(/-(.*)/s);if(!m[o])throw new Error(`Unsupported integrity algorithm "${o}" (use sha256, sha384 or sha512)`);const a=new Uint8Array(await crypto.subtle.digest(m[o],s)),r=btoa(String.fromCharCode(...a));if(r!==c)throw new Error(`integrity check failed (expected ${o}-${c}, got ${o}-${r})`)}const n=URL.createObjectURL(new Blob([s],{type:"text/javascript"}));try{return await import(n)}finally{URL.revokeObjectURL(n)}}async negotiateBaudrate(t,i){const e=i==="auto"?b:Number(i);if(!(e>0))throw new Error(`Invalid baud rate: ${i}`);const s=[e,...S.filter(n=>n<e)].filter(n=>n>d);for(const n of s){this.ui.updateStatus("waiting","Optimizing speed...",`Trying ${n} baud`);try{return this.espStub.baudrate=n,await h(this.espStub.changeBaud(),5e3,`No response after switching to ${n} baud`),await this.testLink(),this.ui.log(`Using ${n} baud`,"success"),n}catch(o){this.ui.log(`${n} baud failed (${o.message}) - stepping down`,"warning");try{await this.transport.disconnect()}catch{}await this.openLoader(t)}}return this.ui.log(`Using ${d} baud`,"info"),d}async testLink(){const t=await h(this.espStub.readFlash(0,g),5e3,"Readback timed out"),i=await h(this.espStub.flashMd5sum(0,g),5e3,"MD5 timed out");if(y(new Uint8Array(t))!==String(i).toLowerCase())throw new Error("Readback does not match flash")}handleConnectionError(t){if(t.message&&t.message.includes("port is already open")){this.ui.log("Port is already open - please refresh the page","error"),this.ui.updateStatus("error","Port already open","Refresh the page (Ctrl+R or Cmd+R) and try again");return}if(t.isESPToolLoadError){this.ui.log(t.message,"error"),this.ui.updateStatus("error","Library loading error","esptool-js is missing - rebuild the flasher (npm run build) or check the esptool loader setting");return}if(t.message&&(t.message.includes("Transport is not defined")||t.message.includes("ESPLoader is not defined"))){this.ui.log("ESPTool library failed to load","error"),this.ui.updateStatus("error","Library loading error","Please refresh the page and ensure you have internet connection");return}if(t.message&&t.message.includes("No port selected")){this.ui.log("Port selection cancelled by user","warning"),this.ui.updateStatus("waiting","Connection cancelled",'Click "Connect Device" to try again');return}if(t.message&&(t.message.includes("permission")||t.message.includes("access denied"))){this.ui.log("Permission denied: "+t.message,"error"),this.ui.updateStatus("error","Permission denied","Close other programs using the serial port and try again");return}if(t.message&&(t.message.includes("timeout")||t.message.includes("Failed to connect")||t.message.includes("not responding"))){this.ui.log("Connection timeout: "+t.message,"error"),this.ui.updateStatus("error","Device not responding","Wrong port selected or device not in download mode. Hold BOOT button and try again.");return}if(t.message&&t.message.includes("chip")){this.ui.log("Wrong device type: "+t.message,"error"),this.ui.updateStatus("error","Wrong device detected","Make sure you selected the correct ESP32 device");return}if(t.message&&(t.message.includes("getInfo")||t.message.includes("main")||t.message.includes("Cannot read properties"))){this.ui.log("ESPTool communication error: "+t.message,"error"),this.ui.updateStatus("error","Device communication failed","Try holding BOOT button while connecting, or refresh the page");return}this.ui.log("Connection error: "+t.message,"error"),this.ui.updateStatus("error","Connection failed","Check cable connection and try again")}getESPStub(){return this.espStub}getIsConnected(){return this.isConnected}getPortInfo(){return this.port?.getInfo?.()||{}}async readFlash(t,i){if(!this.espStub)throw new Error("Device not connected");this.ui.log(`Reading ${i} bytes from flash at offset 0x${t.toString(16)}...`,"info");try{const e=await this.espStub.readFlash(t,i);return this.ui.log(`Read ${e.length} bytes successfully`,"success"),new Uint8Array(e)}catch(e){throw this.ui.log(`Failed to read flash: ${e.message}`,"error"),e}}}export{x as DeviceConnection};
 //# sourceMappingURL=device-connection.js.map
@@ -0,0 +1,2 @@
+import{PartitionTable as B,PARTITION_TABLE_OFFSET as I,PARTITION_TABLE_SIZE as y}from"./partition-table.js";const p=233,D=24,U=8,H=16,k=239,O=32,$=2882360370,N=256,E={ESP32:0,"ESP32-S2":2,"ESP32-C3":5,"ESP32-S3":9,"ESP32-C2":12,"ESP32-C6":13,"ESP32-H2":16,"ESP32-P4":18,"ESP32-C61":20,"ESP32-C5":23},R={ESP32:4096,"ESP32-S2":4096,"ESP32-P4":8192,"ESP32-C5":8192},L=["QIO","QOUT","DIO","DOUT","FAST_READ","SLOW_READ"],Z=["1MB","2MB","4MB","8MB","16MB","32MB","64MB","128MB"],F={default:{0:"40m",1:"26m",2:"20m",15:"80m"},"ESP32-C2":{0:"30m",1:"20m",2:"15m",15:"60m"},"ESP32-H2":{0:"24m",1:"16m",2:"12m",15:"48m"}};function w(e){return Object.keys(E).find(t=>E[t]===e)||`Unknown (0x${e.toString(16)})`}function M(e){const t=String(e).toUpperCase().replace(/[\s_-]/g,""),n=Object.keys(E).sort((r,o)=>o.length-r.length).find(r=>t.startsWith(r.replace("-","")));return n===void 0?void 0:E[n]}function j(e){const t=M(e);if(t===void 0)throw new Error(`Unknown chip "${e}" - cannot determine bootloader offset`);return R[w(t)]??0}function m(e,t,n){const r=e.subarray(t,t+n),o=r.indexOf(0);return new TextDecoder().decode(r.subarray(0,o>=0?o:n))}function _(e){return Array.from(e,t=>t.toString(16).padStart(2,"0")).join("")}function T(e){return`v${Math.floor(e/100)}.${e%100}`}function G(e,t){if(t+N>e.length)return null;const n=new DataView(e.buffer,e.byteOffset,e.byteLength);return n.getUint32(t,!0)!==$?null:{secureVersion:n.getUint32(t+4,!0),version:m(e,t+16,32),projectName:m(e,t+48,32),time:m(e,t+80,16),date:m(e,t+96,16),idfVersion:m(e,t+112,32),elfSHA256:_(e.subarray(t+144,t+176))}}async function x(e){const t=e instanceof Uint8Array?e:new Uint8Array(e),n=i=>{const s=new Error(i);throw s.isImageError=!0,s};(t.length<D||t[0]!==p)&&n(`Not an ESP firmware image (expected magic 0xE9, found 0x${(t[0]??0).toString(16)})`);const r=new DataView(t.buffer,t.byteOffset,t.byteLength),o=t[1];(o===0||o>H)&&n(`Invalid ESP image: ${o} segments`);const S=r.getUint16(12,!0),a=w(S),g=F[a]||F.default,u=[];let f=D,h=k;for(let i=0;i<o;i++){f+U>t.length&&n(`Invalid ESP image: segment ${i} header is past the end of the file`);const s=r.getUint32(f,!0),c=r.getUint32(f+4,!0),l=f+U;l+c>t.length&&n(`Invalid ESP image: segment ${i} (${c} bytes) is truncated`);for(let A=l;A<l+c;A++)h^=t[A];u.push({loadAddress:s,offset:l,length:c}),f=l+c}const P=f|15;P>=t.length&&n("Invalid ESP image: checksum is past the end of the file");const b=t[P];let d=P+1;const v=t[23]===1;let C=null;if(v){d+O>t.length&&n("Invalid ESP image: appended SHA-256 is past the end of the file");const i=t.subarray(d,d+O),s=new Uint8Array(await crypto.subtle.digest("SHA-256",t.slice(0,d)));C={stored:_(i),calculated:_(s),valid:i.every((c,l)=>c===s[l])},d+=O}return{chipId:S,chipName:a,flashMode:L[t[2]]||`0x${t[2].toString(16)}`,flashSize:Z[t[3]>>4]||`0x${(t[3]>>4).toString(16)}`,flashFrequency:g[t[3]&15]||`0x${(t[3]&15).toString(16)}`,entryPoint:r.getUint32(4,!0),minChipRevision:T(r.getUint16(15,!0)),maxChipRevision:T(r.getUint16(17,!0)),segments:u,size:d,checksum:{stored:b,calculated:h,valid:b===h},sha256:C,appDescription:G(t,u[0].offset)}}async function V(e){const t=e instanceof Uint8Array?e:new Uint8Array(e);let n=null;if(t.length>=I+y)try{n=B.parse(t.subarray(I,I+y))}catch{}if(n){const o=t[0]===p?0:4096,S=t[o]===p?await x(t.subarray(o)):null,a=n.findBySubtype("app","factory")[0]||n.findBySubtype("app")[0],g=a&&a.offset<t.length&&t[a.offset]===p?await x(t.subarray(a.offset)):null;if(!S&&!g){const u=new Error("Merged image contains a partition table but no bootloader or app image");throw u.isImageError=!0,u}return{kind:"merged",app:g,bootloader:S,partitionTable:n,appOffset:a?.offset??null}}const r=await x(t);return r.appDescription?{kind:"app",app:r,bootloader:null,partitionTable:null,appOffset:null}:{kind:"bootloader",app:null,bootloader:r,partitionTable:null,appOffset:null}}export{E as CHIP_IDS,p as IMAGE_MAGIC,j as bootloaderOffset,M as chipIdFromName,w as chipName,V as inspectFirmware,x as parseImage};
+//# sourceMappingURL=esp-image.js.map
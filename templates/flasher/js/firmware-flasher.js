@@ -1,2 +1,2 @@
-class m{constructor(e,r){this.ui=e,this.configManager=r}async flash(e,r,i={}){try{this.ui.log("Starting flash process...","info"),this.ui.showProgress();let s;if(i.customFirmware)this.ui.updateStatus("flashing","Using custom firmware...",`File: ${i.customFirmware.name}`),this.ui.log("Using custom firmware file: "+i.customFirmware.name,"warning"),s=await i.customFirmware.arrayBuffer(),this.ui.log(`Loaded ${(s.byteLength/1024).toFixed(1)} KB from custom file`,"success");else{this.ui.updateStatus("flashing","Downloading firmware...","Please wait"),this.ui.log("Firmware URL: "+e.firmwareUrl,"info");const t=await fetch(e.firmwareUrl);if(!t.ok)throw new Error(`Failed to download firmware: ${t.status} ${t.statusText}`);s=await t.arrayBuffer(),this.ui.log(`Downloaded ${(s.byteLength/1024).toFixed(1)} KB`,"success")}const a=new Uint8Array(s);let o="";for(let t=0;t<a.length;t++)o+=String.fromCharCode(a[t]);const l=[{data:o,address:0}];return e.configSections&&e.nvsPartition&&await this.generateAndAddNVS(e,l),this.ui.updateStatus("flashing","Writing to flash...","Do not disconnect"),await r.writeFlash({fileArray:l,flashSize:"keep",compress:!0,reportProgress:(t,c,u)=>{const g=Math.round(c/u*100);this.ui.updateProgress(g,c,u)}}),this.ui.updateStatus("success","Flash complete!","Device ready to use"),this.ui.log("Flash completed successfully","success"),!0}catch(s){throw this.handleFlashError(s,e),s}}async generateAndAddNVS(e,r){this.ui.updateStatus("flashing","Generating NVS config...","Please wait"),this.ui.log("Generating NVS partition from configuration...","info");try{const i=this.configManager.getConfig(),s={},a=e.nvsPartition.namespace||"config";s[a]={},e.configSections.forEach(n=>{n.fields.forEach(f=>{if(f.nvsKey){const h=i[n.id]?.[f.id];h!==void 0&&h!==""&&(s[a][f.nvsKey]=h)}})});const o=Object.keys(s[a]);this.ui.log(`NVS data to write: ${o.join(", ")}`,"info"),o.forEach(n=>{const f=s[a][n];this.ui.log(`  ${n} = ${f}`,"info")});const l=new NVSGenerator,t=parseInt(e.nvsPartition.size,16),c=l.generate(s,t);let u="";for(let n=0;n<c.length;n++)u+=String.fromCharCode(c[n]);const g=parseInt(e.nvsPartition.offset,16);r.push({data:u,address:g}),this.ui.log(`Generated NVS partition: ${c.length} bytes at 0x${g.toString(16)}`,"success"),this.ui.log(`NVS contains ${o.length} config values`,"info")}catch(i){this.ui.log(`Warning: NVS generation failed: ${i.message}`,"warning"),this.ui.log("Continuing with firmware flash only (config will use defaults)","warning")}}handleFlashError(e,r){this.ui.log("Flash error: "+e.message,"error");let i="Flash failed",s="";const a=r.firmwareUrl.match(/github\.com\/([^\/]+\/[^\/]+)/),o=a?a[1]:"repository",l=a?`https://github.com/${o}/releases`:"#";e.message.includes("Failed to fetch")||e.message.includes("NetworkError")?(i="Cannot download firmware",s=`No release found. <a href="${l}" target="_blank" style="color: #2196f3; text-decoration: underline;">Check releases</a> or verify internet connection.`):e.message.includes("404")||e.message.includes("Not Found")?(i="Firmware not found",s=`File not available at <a href="${r.firmwareUrl}" target="_blank" style="color: #2196f3; text-decoration: underline;">this URL</a>. <a href="${l}" target="_blank" style="color: #2196f3; text-decoration: underline;">View releases</a>.`):e.message.includes("CORS")?(i="Download blocked",s="Browser blocked download due to CORS policy. Firmware must be on GitHub releases."):e.message.includes("writeFlash")||e.message.includes("flash")?(i="Flashing failed",s=`${e.message}. Try reconnecting, holding BOOT button, or different USB cable.`):e.message.includes("disconnect")?(i="Device disconnected",s="Device unplugged during flash. Check USB cable and try again."):e.message.includes("NVS")?(i="Configuration error",s=`NVS generation failed: ${e.message}. Check your configuration values.`):(i="Flash failed",s=`${e.message}. Try reconnecting and flashing again.`),this.ui.updateStatus("error",i,s)}}export{m as FirmwareFlasher};
+import{NVSGenerator as p,NVSValue as F}from"./nvs-generator.js";import{fieldNVSValue as N}from"./config-manager.js";import{configValue as V,validateConfig as E,configValidationError as k}from"./config-validation.js";import{PartitionTable as w,readPartitionTable as g,PARTITION_TABLE_OFFSET as d,PARTITION_TABLE_SIZE as P}from"./partition-table.js";import{inspectFirmware as x,parseImage as C,chipName as D,chipIdFromName as A,bootloaderOffset as y,IMAGE_MAGIC as $}from"./esp-image.js";import{loadManifest as T,selectBuild as B,buildImages as M}from"./web-tools-manifest.js";import{md5Hex as z}from"./md5.js";const u=4096,S=65536,b=262144;class Z{constructor(e,a){this.ui=e,this.configManager=a,this.pendingFlash=null}async flash(e,a,t={}){const{signal:i}=t;try{this.ui.log("Starting flash process...","info"),this.ui.showProgress();let s=t.resume&&this.hasPendingFlash(e,t)?this.pendingFlash:null;return s?this.ui.log("Resuming previous flash - only unfinished blocks will be written","info"):(t.resume&&this.hasPendingFlash(e)&&this.ui.log("Config or options changed since the interrupted flash - preparing it again","info"),this.checkConfig(e,t),s=await this.prepareFlash(e,a,t),s.inputs=this.flashInputs(t),this.pendingFlash=s),!s.erased&&(t.erase==="all"||t.eraseRegions?.length)&&(i?.throwIfAborted(),await this.eraseFlash(a,t,s.images),s.erased=!0),this.ui.updateStatus("flashing","Writing to flash...","Do not disconnect"),await this.writeRegions(a,s.fileArray,{signal:i,resume:t.resume}),t.verify&&(i?.throwIfAborted(),await this.verifyFlash(a,s.fileArray,t.verifyRetries,i)),this.pendingFlash=null,this.ui.updateStatus("success","Flash complete!","Device ready to use"),this.ui.log("Flash completed successfully","success"),!0}catch(s){throw this.handleFlashError(s,e),s}}hasPendingFlash(e,a){return this.pendingFlash!==null&&this.pendingFlash.project===e&&(a===void 0||this.pendingFlash.inputs===this.flashInputs(a))}flashInputs(e){const a=Object.entries(e.customImages||{});return e.customFirmware&&a.push(["firmware",e.customFirmware]),JSON.stringify({config:e.nvsData??this.configManager?.getConfig()??null,nvsEncryptionKey:e.nvsEncryptionKey??null,preserveNVS:!!e.preserveNVS,erase:e.erase??"none",eraseRegions:e.eraseRegions??[],skipChipCheck:!!e.skipChipCheck,chipType:e.chipType??null,manifestUrl:e.manifestUrl??null,files:a.map(([t,i])=>[t,i.name,i.size,i.lastModified])},(t,i)=>typeof i=="bigint"?i.toString():i instanceof Uint8Array?Array.from(i):i)}discardPendingFlash(){this.pendingFlash=null}async prepareFlash(e,a,t={}){const i=await this.prepareImages(e,a,t);t.signal?.throwIfAborted();const s=i.map(n=>({name:n.name,data:this.toBinaryString(n.data),address:n.address}));if(e.nvsPartition&&(e.configSections||t.nvsData)){const n=await this.resolveNVSPartition(e,{espStub:a,images:i}),r=t.preserveNVS?await this.readDeviceNVS(a,n,t):null;await this.generateAndAddNVS(e,s,{...t,nvsPartition:n,existingNVS:r})}return{project:e,images:i,fileArray:s,erased:!1}}async writeConfig(e,a,t={}){if(!e.nvsPartition)throw new Error("This project does not have NVS configuration");this.checkConfig(e,t),this.ui.updateStatus("flashing","Writing configuration","Generating NVS partition..."),this.ui.log("Writing configuration to device...","info");const i=t.nvsData||this.buildNVSData(e,t),s=Object.keys(i).flatMap(f=>this.logNVSData(i,f)),n=await this.resolveNVSPartition(e,{espStub:a}),r=t.preserveNVS?await this.readDeviceNVS(a,n,t):null,o=this.generateNVSBinary(e,this.mergeNVSData(r,i),{...t,nvsPartition:n});this.ui.log(`Generated NVS partition: ${o.length} bytes`,"info");const l=[{name:"NVS",data:this.toBinaryString(o),address:n.offset}];return this.ui.updateStatus("flashing","Writing to flash...","Do not disconnect"),this.ui.showProgress(),await this.writeRegions(a,l,{signal:t.signal}),t.verify&&(t.signal?.throwIfAborted(),await this.verifyFlash(a,l,t.verifyRetries,t.signal)),{nvsPartition:n,keys:s}}async writeRegions(e,a,t={}){const{signal:i}=t,s=a.reduce((o,l)=>o+l.data.length,0);let n=0;const r=()=>this.ui.updateProgress(Math.round(n/s*100),n,s);for(const o of a){i?.throwIfAborted();const l=t.resume?await this.findChangedBlocks(e,o,i):[{start:0,end:o.data.length}];n+=o.data.length-l.reduce((f,h)=>f+h.end-h.start,0),r();for(const f of l)for(let h=f.start;h<f.end;h+=b){i?.throwIfAborted();const c=Math.min(h+b,f.end),m=n;await e.writeFlash({fileArray:[{data:o.data.slice(h,c),address:o.address+h}],flashSize:"keep",flashMode:"keep",flashFreq:"keep",compress:!0,reportProgress:(O,v,I)=>{n=m+Math.round((c-h)*(v/I)),r()}}),n=m+(c-h)}}r()}async findChangedBlocks(e,a,t){const i=a.name||`region at 0x${a.address.toString(16)}`;this.ui.updateStatus("flashing",`Checking ${i}...`,"Comparing with device");const s=[];let n=0,r=0;for(let o=0;o<a.data.length;o+=S){t?.throwIfAborted();const l=Math.min(o+S,a.data.length),{matches:f}=await this.compareWithDevice(e,a.address+o,a.data.slice(o,l));if(n++,f)continue;r++;const h=s[s.length-1];h&&h.end===o?h.end=l:s.push({start:o,end:l})}return this.ui.log(`${i}: ${n-r} of ${n} block${n===1?"":"s"} already written`,"info"),this.ui.updateStatus("flashing","Writing to flash...","Do not disconnect"),s}async compareWithDevice(e,a,t){const i=Uint8Array.from(t,o=>o.charCodeAt(0)),s=new Uint8Array(Math.ceil(i.length/4)*4).fill(255);s.set(i);const n=z(s),r=String(await e.flashMd5sum(a,s.length)).toLowerCase();return{matches:r===n,expected:n,actual:r,length:s.length}}async prepareImages(e,a,t={}){const i=t.chipType||a?.chip?.CHIP_NAME||e.chip,s=t.manifestUrl||e.manifestUrl;if(s&&!t.customFirmware&&(e={...e,images:await this.loadManifestImages(s,i,t.erase)}),t.customFirmware||!e.images){const f=t.customFirmware?await this.readImageFile(t.customFirmware,"custom firmware"):await this.downloadImage(e.firmwareUrl,"firmware",t.signal),h=await this.checkFirmwareImage(f,a,t);return[{name:"firmware",data:f,address:h}]}const n=t.customImages||{},r=[];for(const f of e.images){const h=n[f.name],c=h?await this.readImageFile(h,f.name):await this.downloadImage(f.url,f.name,t.signal);r.push({name:f.name,spec:f,data:c})}const o=r.find(f=>this.isPartitionTableImage(f.spec));let l=o?w.parse(o.data):null;for(const f of r)f.spec.offset===void 0&&(f.spec.partition||f.spec.name==="app")&&!l&&(l=await g(a)),f.address=this.resolveImageOffset(f,i,l),delete f.spec;this.checkImageLayout(r);for(const f of r)if(this.ui.log(`  ${f.name}: ${f.data.length} bytes at 0x${f.address.toString(16)}`,"info"),f.data[0]===$){const h=await C(f.data);this.verifyImage(h,a,t,f.name),this.showAppDescription(h.appDescription)}return r}async eraseFlash(e,a,t=[]){const i=r=>{const o=new Error(r);throw o.isPartitionError=!0,o};if(a.erase==="all"){const r=await this.findMissingBootImages(t,a.chipType||e?.chip?.CHIP_NAME);r.length>0&&i(`Full chip erase needs complete firmware (bootloader, partition table and app) - this firmware has no ${r.join(", ")}`),this.ui.updateStatus("flashing","Erasing flash...","This can take up to a minute"),this.ui.log("Erasing entire flash chip...","info"),await e.eraseFlash(),this.ui.log("Flash erased","success");return}let s=null;const n=[];for(const r of a.eraseRegions)if(typeof r=="string"){s||({table:s}=await this.findPartitionTable({espStub:e,images:t}),s||i(`Cannot erase partition "${r}" - no partition table found`));const o=s.find(r);o||i(`Cannot erase partition "${r}" - not in the partition table`),n.push({name:r,offset:o.offset,size:o.size})}else{const o=typeof r.offset=="number"?r.offset:parseInt(r.offset,16),l=typeof r.size=="number"?r.size:parseInt(r.size,16);(!(l>0)||o%u!==0||l%u!==0)&&i(`Cannot erase 0x${o.toString(16)}+0x${(l||0).toString(16)} - offset and size must be multiples of 0x${u.toString(16)}`),n.push({name:`0x${o.toString(16)}-0x${(o+l).toString(16)}`,offset:o,size:l})}this.ui.updateStatus("flashing","Erasing...","Do not disconnect");for(const r of n)this.ui.log(`Erasing ${r.name} (${r.size} bytes at 0x${r.offset.toString(16)})`,"info");await e.writeFlash({fileArray:n.map(r=>({data:"\xFF".repeat(r.size),address:r.offset})),flashSize:"keep",flashMode:"keep",flashFreq:"keep",compress:!0,reportProgress:()=>{}}),this.ui.log(`Erased ${n.length} region${n.length===1?"":"s"}`,"success")}async findMissingBootImages(e,a){const t=r=>e.some(o=>{const l=r-o.address;return l>=0&&l<o.data.length&&o.data[l]===$}),i=[];let s=null;try{s=y(a)}catch{}(s===null||!t(s))&&i.push(s===null?"bootloader":`bootloader at 0x${s.toString(16)}`);const{table:n}=await this.findPartitionTable({images:e});return n?n.findBySubtype("app").some(r=>t(r.offset))||i.push("app in an app partition"):i.push(`partition table at 0x${d.toString(16)}`),i}async verifyFlash(e,a,t=2,i){this.ui.updateStatus("flashing","Verifying flash...","Do not disconnect");for(const s of a){const n=s.name||`region at 0x${s.address.toString(16)}`;for(let r=0;;r++){i?.throwIfAborted();const{matches:o,expected:l,actual:f,length:h}=await this.compareWithDevice(e,s.address,s.data);if(o){this.ui.log(`Verified ${n}: ${h} bytes at 0x${s.address.toString(16)} (MD5 ${l})`,"success");break}if(this.ui.log(`Verification failed for ${n} at 0x${s.address.toString(16)}: expected MD5 ${l}, device has ${f}`,"warning"),r>=t){const c=new Error(`Flash verification failed for ${n} after ${t} re-flash attempt${t===1?"":"s"}`);throw c.isVerifyError=!0,c}this.ui.log(`Re-flashing ${n} (attempt ${r+1} of ${t})...`,"info"),this.ui.updateStatus("flashing",`Re-flashing ${n}...`,"Do not disconnect"),await this.writeRegions(e,[s],{signal:i,resume:!0}),this.ui.updateStatus("flashing","Verifying flash...","Do not disconnect")}}}async loadManifestImages(e,a,t){this.ui.updateStatus("flashing","Loading manifest...","Please wait"),this.ui.log(`Loading firmware manifest: ${e}`,"info");const i=await T(e),s=B(i,a);return this.ui.log(`Using ${i.name||"manifest"} ${i.version||""} build for ${s.chipFamily} (${s.parts.length} part${s.parts.length===1?"":"s"})`,"info"),i.version&&this.ui.updateFirmwareInfo(`${i.name||""} ${i.version}`.trim()),i.new_install_prompt_erase&&t!=="all"&&this.ui.log("This firmware recommends erasing the entire flash before a new install","warning"),M(i,s)}isPartitionTableImage(e){return e.name==="partition-table"||e.name==="partitions"}resolveImageOffset(e,a,t){const{spec:i}=e,s=n=>{const r=new Error(n);throw r.isImageError=!0,r};if(i.offset!==void 0)return typeof i.offset=="number"?i.offset:parseInt(i.offset,16);if(i.partition){const n=t.find(i.partition);return n||s(`Image "${i.name}" targets partition "${i.partition}", which is not in the partition table`),e.data.length>n.size&&s(`Image "${i.name}" (${e.data.length} bytes) does not fit partition "${i.partition}" (${n.size} bytes)`),n.offset}if(i.name==="app"&&t){const n=t.findBySubtype("app","factory")[0]||t.findBySubtype("app")[0];if(n)return n.offset}if(i.name==="bootloader")return y(a);if(this.isPartitionTableImage(i))return d;s(`Image "${i.name}" needs an offset or partition`)}checkImageLayout(e){const a=[...e].sort((t,i)=>t.address-i.address);for(let t=1;t<a.length;t++){const i=a[t-1];if(a[t].address<i.address+i.data.length){const s=new Error(`Image "${a[t].name}" at 0x${a[t].address.toString(16)} overlaps "${i.name}" (ends at 0x${(i.address+i.data.length).toString(16)})`);throw s.isImageError=!0,s}}}async downloadImage(e,a,t){this.ui.updateStatus("flashing",`Downloading ${a}...`,"Please wait"),this.ui.log(`Downloading ${a}: ${e}`,"info");const i=await fetch(e,{signal:t});if(!i.ok)throw new Error(`Failed to download firmware: ${i.status} ${i.statusText}`);const s=new Uint8Array(await i.arrayBuffer());return this.ui.log(`Downloaded ${(s.length/1024).toFixed(1)} KB`,"success"),s}async readImageFile(e,a){this.ui.updateStatus("flashing",`Using custom ${a==="custom firmware"?"firmware":a}...`,`File: ${e.name}`),this.ui.log(`Using custom file for ${a}: ${e.name}`,"warning");const t=new Uint8Array(await e.arrayBuffer());return this.ui.log(`Loaded ${(t.length/1024).toFixed(1)} KB from custom file`,"success"),t}toBinaryString(e){let a="";for(let t=0;t<e.length;t++)a+=String.fromCharCode(e[t]);return a}async checkFirmwareImage(e,a,t={}){const i=o=>{const l=new Error(o);throw l.isImageError=!0,l},s=await x(e),n=s.app||s.bootloader;this.ui.log(`Firmware image: ${s.kind} for ${n.chipName}, flash ${n.flashMode} ${n.flashSize} @ ${n.flashFrequency}`,"info"),s.kind==="bootloader"&&i("This file is a bootloader image, not application firmware");for(const o of[s.bootloader,s.app].filter(Boolean))this.verifyImage(o,a,t,"Firmware image");if(this.showAppDescription(s.app?.appDescription),s.kind==="merged")return 0;let r=65536;try{const o=await g(a),l=o.findBySubtype("app","factory")[0]||o.findBySubtype("app")[0];l&&(r=l.offset)}catch(o){this.ui.log(`Could not read partition table (${o.message}), using default app offset`,"warning")}return this.ui.log(`App-only image - writing to app partition at 0x${r.toString(16)}`,"info"),r}verifyImage(e,a,t,i){const s=r=>{const o=new Error(r);throw o.isImageError=!0,o};(!e.checksum.valid||e.sha256&&!e.sha256.valid)&&s(`${i} ${e.sha256&&!e.sha256.valid?"SHA-256":"checksum"} mismatch - the file is corrupted or incomplete`);const n=a?.chip?.IMAGE_CHIP_ID??A(a?.chip?.CHIP_NAME??"");if(n!==void 0&&n!==e.chipId){const r=`${i} is built for ${e.chipName} but the connected chip is ${D(n)}`;t.skipChipCheck||s(r),this.ui.log(`${r} - flashing anyway (chip validation skipped)`,"warning")}}showAppDescription(e){e&&(this.ui.log(`Installing ${e.projectName} ${e.version} (ESP-IDF ${e.idfVersion}, built ${e.date} ${e.time})`,"info"),this.ui.updateFirmwareInfo(`${e.projectName} ${e.version}`),this.ui.updateStatus("flashing",`Installing ${e.projectName} ${e.version}`,"Preparing to flash"))}async generateAndAddNVS(e,a,t={}){this.ui.updateStatus("flashing","Generating NVS config...","Please wait"),this.ui.log("Generating NVS partition from configuration...","info");const i=this.mergeNVSData(t.existingNVS,t.nvsData||this.buildNVSData(e,t)),s=Object.keys(i).flatMap(o=>this.logNVSData(i,o)),n=this.generateNVSBinary(e,i,t),r=t.nvsPartition?.offset??parseInt(e.nvsPartition.offset,16);a.push({name:"NVS",data:this.toBinaryString(n),address:r}),this.ui.log(`Generated NVS partition: ${n.length} bytes at 0x${r.toString(16)}`,"success"),this.ui.log(`NVS contains ${s.length} config values`,"info")}async readDeviceNVS(e,a,t={}){this.ui.updateStatus("flashing","Reading device settings...","Please wait"),this.ui.log(`Reading existing NVS from 0x${a.offset.toString(16)} (${a.size} bytes)...`,"info");let i;try{i=await e.readFlash(a.offset,a.size)}catch(l){throw new Error(`Could not read existing NVS from device: ${l.message}`)}const s=[],n=new p().parse(i,{strict:!0,typed:!0,diagnostics:s,encryptionKey:t.nvsEncryptionKey}),r=s.filter(l=>l.severity==="error");r.length>0&&this.ui.log(`Existing NVS has ${r.length} damaged entr${r.length===1?"y":"ies"} - those values are not kept`,"warning");const o=Object.values(n).reduce((l,f)=>l+Object.keys(f).length,0);return this.ui.log(`Keeping ${o} existing NVS value${o===1?"":"s"} not set by the new config`,"info"),n}mergeNVSData(e,a){if(!e)return a;const t={...e};for(const[i,s]of Object.entries(a))t[i]={...t[i],...s};return t}checkConfig(e,a={}){if(a.nvsData||!e.nvsPartition||!e.configSections)return;const t=E(e,this.configManager.getConfig(),{partial:a.preserveNVS});if(t.length>0)throw k(t)}buildNVSData(e,a={}){const t=this.configManager.getConfig(),i=e.nvsPartition.namespace||"config",s={};return s[i]={},e.configSections.forEach(n=>{n.fields.forEach(r=>{if(r.nvsKey){const o=V(t,n,r,{partial:a.preserveNVS});o!==void 0&&o!==""&&(s[i][r.nvsKey]=N(r,o))}})}),s}async findPartitionTable(e={}){for(const a of e.images||[]){const t=d-a.address;if(!(t<0||t>=a.data.length))try{return{table:w.parse(a.data.subarray(t,t+P)),source:"firmware image"}}catch{}}if(e.espStub)try{return{table:await g(e.espStub),source:"device"}}catch(a){this.ui.log(`Could not read partition table from device: ${a.message}`,"warning")}return{table:null,source:""}}async resolveNVSPartition(e,a={}){const t={name:e.nvsPartition.name||"nvs",offset:parseInt(e.nvsPartition.offset,16),size:parseInt(e.nvsPartition.size,16)},{table:i,source:s}=await this.findPartitionTable(a);if(!i)return this.ui.log(`Using project NVS location: 0x${t.offset.toString(16)} (${t.size} bytes)`,"warning"),t;const n=i.findNVS(t.name);if(!n){const r=new Error(`Partition table (${s}) has no NVS partition - refusing to write config`);throw r.isPartitionError=!0,r}return n.offset!==t.offset||n.size!==t.size?this.ui.log(`Partition table places NVS "${n.name}" at 0x${n.offset.toString(16)} (${n.size} bytes), not 0x${t.offset.toString(16)} as configured - using partition table`,"warning"):this.ui.log(`NVS partition "${n.name}" at 0x${n.offset.toString(16)} (from ${s} partition table)`,"info"),{name:n.name,offset:n.offset,size:n.size}}generateNVSBinary(e,a,t={}){const i=new p,s=t.nvsPartition?.size??parseInt(e.nvsPartition.size,16),n=t.nvsEncryptionKey;if(e.nvsPartition.encrypted&&!n){const r=new Error("NVS partition is encrypted - select the device's nvs_keys file in Developer Options");throw r.isNVSKeyError=!0,r}return n&&this.ui.log("Encrypting NVS partition (AES-XTS)","info"),i.generate(a,s,{encryptionKey:n})}logNVSData(e,a){const t=Object.keys(e[a]);return this.ui.log(`NVS data to write: ${t.join(", ")}`,"info"),t.forEach(i=>{const s=e[a][i];s instanceof F?this.ui.log(`  ${i} = ${s.value} (${s.type})`,"info"):this.ui.log(`  ${i} = ${s}`,"info")}),t}handleFlashError(e,a){this.ui.log("Flash error: "+e.message,"error");let t="Flash failed",i="";const s=a.firmwareUrl||a.manifestUrl||a.images?.[0]?.url||"",n=s.match(/github\.com\/([^\/]+\/[^\/]+)/),r=n?n[1]:"repository",o=n?`https://github.com/${r}/releases`:"#";e.name==="AbortError"?(t="Flash cancelled",i=this.hasPendingFlash(a)?"Stopped before finishing. Resume to write only the blocks that are missing.":"Stopped before anything was written."):e.isVerifyError?(t="Verification failed",i=`${e.message}. The device may not boot - check the USB cable or hub and flash again.`):e.isConfigValidationError?(t="Configuration error",i=e.errors.map(({label:l,message:f})=>`${l} ${f}`).join("<br>")):e.isImageError?(t="Wrong firmware file",i=`${e.message}. Check that you selected the right .bin for this device.`):e.message.includes("Failed to fetch")||e.message.includes("NetworkError")?(t="Cannot download firmware",i=`No release found. <a href="${o}" target="_blank" style="color: #2196f3; text-decoration: underline;">Check releases</a> or verify internet connection.`):e.message.includes("404")||e.message.includes("Not Found")?(t="Firmware not found",i=`File not available at <a href="${s}" target="_blank" style="color: #2196f3; text-decoration: underline;">this URL</a>. <a href="${o}" target="_blank" style="color: #2196f3; text-decoration: underline;">View releases</a>.`):e.message.includes("CORS")?(t="Download blocked",i="Browser blocked download due to CORS policy. Firmware must be on GitHub releases."):e.message.includes("writeFlash")||e.message.includes("flash")?(t="Flashing failed",i=`${e.message}. Try reconnecting, holding BOOT button, or different USB cable.`):e.message.includes("disconnect")?(t="Device disconnected",i="Device unplugged during flash. Check USB cable and try again."):e.message.includes("NVS")?(t="Configuration error",i=`NVS generation failed: ${e.message}. Check your configuration values.`):(t="Flash failed",i=`${e.message}. Try reconnecting and flashing again.`),this.ui.updateStatus("error",t,i)}}export{Z as FirmwareFlasher};
 //# sourceMappingURL=firmware-flasher.js.map
@@ -0,0 +1,2 @@
+import{DeviceConnection as P}from"./device-connection.js";import{FirmwareFlasher as $}from"./firmware-flasher.js";import{chipIdFromName as y,chipName as S}from"./esp-image.js";const i={connecting:0,detecting:20,loading:30,flashing:50,complete:100};class F{constructor(n="/firmware",t={}){this.basePath=n.replace(/\/+$/,""),this.options=t}chipDirectory(n){const t=y(n);return t===void 0?null:S(t).toLowerCase().replace(/-/g,"")}async flash(n={}){const{config:t,nvsSize:r=24576,onProgress:e=()=>{},chipType:s=null,port:l=null,baudrate:g="auto",verify:d=!0,signal:m}=n,c=this.createUI(e),p=new P(c,{esptool:this.options.esptool,serial:this.options.serial}),u=new $(c,null);try{e(i.connecting,"connecting");const{chipType:f,macAddr:w}=await p.connect({},{port:l,baudrate:g}),h=p.getESPStub();e(i.detecting,"detecting");const a=s||h.chip?.CHIP_NAME||f,o=this.chipDirectory(a);if(!o)throw new Error(`Unsupported chip: ${a}`);c.log(`Using firmware from ${this.basePath}/${o}/`,"info"),e(i.loading,"loading");const b={name:o,chip:o,images:[{name:"bootloader",url:`${this.basePath}/${o}/bootloader.bin`},{name:"partition-table",url:`${this.basePath}/${o}/partitions.bin`},{name:"app",url:`${this.basePath}/${o}/app.bin`}],nvsPartition:t?{name:this.options.nvsName||"nvs",offset:"0x9000",size:`0x${r.toString(16)}`}:void 0};return await u.flash(b,h,{nvsData:t,chipType:a,skipChipCheck:!!s,verify:d,signal:m}),e(i.complete,"complete"),await h.hardReset(),{chip:a,macAddr:w}}finally{await p.disconnect()}}createUI(n){const t=this.options.onLog||(()=>{}),r=i.complete-i.flashing-5;return{log:(e,s="info")=>t(e,s),updateStatus:()=>{},updateChipInfo:()=>{},updateFirmwareInfo:()=>{},showProgress:()=>{},hideProgress:()=>{},updateProgress:e=>{n(i.flashing+Math.round(e/100*r),"flashing")}}}}export{F as FirmwareRouter};
+//# sourceMappingURL=firmware-router.js.map
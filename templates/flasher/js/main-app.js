@@ -1,3 +1,3 @@
-import{FlasherUI as p}from"./flasher-ui.js";import{ConfigManager as f}from"./config-manager.js";import{DeviceConnection as v}from"./device-connection.js";import{FirmwareFlasher as b}from"./firmware-flasher.js";class I{constructor(e){this.projects=e,this.ui=new p,this.configManager=new f,this.deviceConnection=new v(this.ui),this.firmwareFlasher=new b(this.ui,this.configManager),this.btnConnect=document.getElementById("btn-connect"),this.btnFlash=document.getElementById("btn-flash"),this.btnWriteConfig=document.getElementById("btn-write-config"),this.btnClearMonitor=document.getElementById("btn-clear-monitor"),this.selectedProject=this.projects["active-wing"],this.init()}init(){if(!("serial"in navigator)){document.getElementById("browser-check").style.display="block",this.ui.updateStatus("error","Browser not supported","Please use Chrome, Edge, or Opera"),this.ui.log("Web Serial API not available","error");return}if(!this.selectedProject){this.ui.log("ERROR: active-wing project not found. Available projects: "+Object.keys(this.projects).join(", "),"error"),this.ui.updateStatus("error","Project not found","Configuration error - check console");return}this.attachEventListeners(),this.loadProjectUI(),this.initializeUIElements(),this.ui.log("Flasher ready","success"),this.attemptAutoReconnect()}async attemptAutoReconnect(){try{const e=await navigator.serial.getPorts();if(e.length>0){const t=localStorage.getItem("lastSerialDeviceIndex"),n=t?parseInt(t):0,o=e[n]||e[0];this.ui.log("Attempting to reconnect to previous device...","info");try{const{chipType:c,macAddr:r}=await this.deviceConnection.connect(this.selectedProject,{port:o,skipChipCheck:!1});c&&(this.ui.log(`Auto-reconnected to ${c}`,"success"),this.btnFlash.disabled=!1,this.btnFlash.style.display="block",this.btnWriteConfig.disabled=!1,this.btnWriteConfig.title="Write configuration to device NVS partition",this.btnConnect.style.display="none")}catch(c){console.log("Auto-reconnect failed:",c.message),this.btnConnect.disabled=!1,this.btnConnect.textContent="Connect Device"}}}catch(e){console.log("Auto-reconnect not available:",e.message)}}loadProjectUI(){const e=document.getElementById("project-details"),t=document.getElementById("config-container");this.ui.log("Loading project: "+this.selectedProject.name,"info"),console.log("Selected project:",this.selectedProject),console.log("Config sections:",this.selectedProject.configSections),console.log("Config container element:",t),this.ui.showProjectDetails(this.selectedProject),e.classList.add("active"),this.ui.log("Rendering config fields...","info"),this.configManager.renderConfigFields(this.selectedProject),console.log("Config container after render:",t.innerHTML.substring(0,200)),this.btnConnect.disabled=!1,this.btnConnect.textContent="Connect Device",this.btnWriteConfig.title="Connect device first",this.ui.updateStatus("waiting","Configure Settings","Fill in configuration, then connect your device"),this.ui.log("UI loaded. Connect button enabled.","success")}attachEventListeners(){this.btnConnect.addEventListener("click",()=>this.handleConnect()),this.btnFlash.addEventListener("click",()=>this.handleFlash()),this.btnWriteConfig.addEventListener("click",()=>this.handleWriteConfig()),this.btnClearMonitor.addEventListener("click",()=>this.ui.clearLog());const e=document.getElementById("dev-mode-toggle");e&&e.addEventListener("click",()=>{const i=document.getElementById("dev-options-panel"),a=document.getElementById("dev-panel-backdrop"),s=document.getElementById("dev-mode-toggle");i?.classList.toggle("active"),a?.classList.toggle("active"),s?.classList.toggle("active"),document.body.classList.toggle("dev-panel-open")});const t=document.getElementById("dev-options-close");t&&t.addEventListener("click",()=>{const i=document.getElementById("dev-options-panel"),a=document.getElementById("dev-panel-backdrop"),s=document.getElementById("dev-mode-toggle");i?.classList.remove("active"),a?.classList.remove("active"),s?.classList.remove("active"),document.body.classList.remove("dev-panel-open")});const n=document.getElementById("dev-panel-backdrop");n&&n.addEventListener("click",()=>{const i=document.getElementById("dev-options-panel"),a=document.getElementById("dev-panel-backdrop"),s=document.getElementById("dev-mode-toggle");i?.classList.remove("active"),a?.classList.remove("active"),s?.classList.remove("active"),document.body.classList.remove("dev-panel-open")}),document.addEventListener("keydown",i=>{if(i.key==="Escape"){const a=document.getElementById("dev-options-panel"),s=document.getElementById("dev-panel-backdrop"),l=document.getElementById("dev-mode-toggle");a?.classList.contains("active")&&(a?.classList.remove("active"),s?.classList.remove("active"),l?.classList.remove("active"),document.body.classList.remove("dev-panel-open"))}});const o=document.getElementById("btn-export-log");o&&o.addEventListener("click",()=>this.exportLog()),document.querySelectorAll(".dev-tab").forEach(i=>{i.addEventListener("click",()=>this.handleDevTabClick(i))}),document.querySelectorAll('input[name="firmware-source"]').forEach(i=>{i.addEventListener("change",a=>this.handleFirmwareSourceChange(a))});const c=document.getElementById("dev-custom-file");c&&c.addEventListener("change",i=>{this.handleCustomFileUpload(i)});const r=document.getElementById("troubleshooting-toggle");r&&r.addEventListener("click",()=>{this.toggleTroubleshooting()});const d=document.getElementById("about-link");d&&d.addEventListener("click",i=>{i.preventDefault(),this.openAboutPanel()});const g=document.getElementById("about-close");g&&g.addEventListener("click",()=>{this.closeAboutPanel()});const u=document.getElementById("about-backdrop");u&&u.addEventListener("click",()=>{this.closeAboutPanel()})}async handleConnect(){if(this.selectedProject)try{const t={skipChipCheck:document.getElementById("dev-skip-chip-check")?.checked||!1},{chipType:n,macAddr:o}=await this.deviceConnection.connect(this.selectedProject,t);this.btnConnect.style.display="none",this.btnFlash.style.display="block",this.btnFlash.disabled=!1,this.btnWriteConfig.disabled=!1,this.btnWriteConfig.title="Write configuration to device NVS partition"}catch(e){console.error("Connection failed:",e)}}async handleFlash(){if(this.selectedProject)try{this.btnFlash.disabled=!0;const e=this.deviceConnection.getESPStub();if(!e)throw new Error("Device not connected");const t=document.querySelector('input[name="firmware-source"]:checked')?.value||"release",n={};if(t==="custom"){const o=document.getElementById("dev-custom-file");if(o.files.length>0)n.customFirmware=o.files[0];else{this.ui.log("No custom firmware file selected","error"),this.ui.updateStatus("error","No file selected","Please select a .bin file in Developer Options"),this.btnFlash.disabled=!1;return}}await this.firmwareFlasher.flash(this.selectedProject,e,n),this.btnFlash.style.display="none",this.btnFlash.textContent="Flash Complete"}catch{this.btnFlash.disabled=!1,this.btnFlash.textContent="Retry Flash"}}async handleWriteConfig(){if(this.selectedProject){if(!this.deviceConnection.getIsConnected()){this.ui.log("Please connect to device first","warning"),this.ui.updateStatus("waiting","Not connected",'Click "Connect Device" first');return}if(!this.selectedProject.nvsPartition){this.ui.log("This project does not have NVS configuration","warning");return}try{this.btnWriteConfig.disabled=!0,this.btnWriteConfig.textContent="Writing...",this.ui.updateStatus("flashing","Writing configuration","Generating NVS partition..."),this.ui.log("Writing configuration to device...","info");const e=this.deviceConnection.getESPStub();if(!e)throw new Error("Device not connected");const t=this.configManager.getConfig(),n=this.selectedProject.nvsPartition.namespace||"config",o={};o[n]={},this.selectedProject.configSections.forEach(s=>{s.fields.forEach(l=>{if(l.nvsKey){const h=t[s.id]?.[l.id];h!==void 0&&h!==""&&(o[n][l.nvsKey]=h)}})});const c=Object.keys(o[n]);this.ui.log(`NVS data to write: ${c.join(", ")}`,"info"),c.forEach(s=>{const l=o[n][s];this.ui.log(`  ${s} = ${l}`,"info")});const r=new NVSGenerator,d=parseInt(this.selectedProject.nvsPartition.size,16),g=r.generate(o,d);let u="";for(let s=0;s<g.length;s++)u+=String.fromCharCode(g[s]);this.ui.log(`Generated NVS partition: ${g.length} bytes`,"info");const i=parseInt(this.selectedProject.nvsPartition.offset,16),a=[{data:u,address:i}];this.ui.updateStatus("flashing","Writing to flash...","Do not disconnect"),this.ui.showProgress(),await e.writeFlash({fileArray:a,flashSize:"keep",compress:!0,reportProgress:(s,l,h)=>{const m=Math.round(l/h*100);this.ui.updateProgress(m,l,h)}}),this.ui.updateStatus("success","Configuration written!","Config updated on device"),this.ui.log(`Wrote ${c.length} configuration values to device`,"success"),this.btnWriteConfig.style.display="none"}catch(e){this.ui.log(`Failed to write configuration: ${e.message}`,"error"),this.ui.updateStatus("error","Write failed",e.message),this.btnWriteConfig.disabled=!1,this.btnWriteConfig.textContent="Write Config"}}}exportLog(){const t=document.getElementById("serial-monitor").querySelectorAll(".serial-line"),n=Array.from(t).map(d=>d.textContent).join(`
-`),o=new Blob([n],{type:"text/plain"}),c=URL.createObjectURL(o),r=document.createElement("a");r.href=c,r.download=`flasher-log-${new Date().toISOString().replace(/[:.]/g,"-")}.txt`,r.click(),URL.revokeObjectURL(c),this.ui.log("Log exported successfully","success")}initializeUIElements(){}handleDevTabClick(e){const t=e.dataset.tab;document.querySelectorAll(".dev-tab").forEach(n=>{n.classList.remove("active")}),e.classList.add("active"),document.querySelectorAll(".dev-tab-content").forEach(n=>{n.classList.remove("active")}),document.querySelector(`.dev-tab-content[data-tab="${t}"]`).classList.add("active")}handleFirmwareSourceChange(e){e.target.value==="release"?(document.getElementById("release-options").style.display="block",document.getElementById("custom-options").style.display="none"):(document.getElementById("release-options").style.display="none",document.getElementById("custom-options").style.display="block")}handleCustomFileUpload(e){const t=e.target.files[0],n=document.getElementById("custom-file-info");if(t){const o=(t.size/1024/1024).toFixed(2);n.textContent=`${t.name} (${o} MB)`}else n.textContent=""}toggleTroubleshooting(){const e=document.getElementById("troubleshooting-toggle"),t=document.getElementById("troubleshooting-content");e.classList.toggle("collapsed"),t.classList.toggle("active")}openAboutPanel(){const e=document.getElementById("about-panel"),t=document.getElementById("about-backdrop");e.classList.add("active"),t.classList.add("active"),document.body.classList.add("dev-panel-open")}closeAboutPanel(){const e=document.getElementById("about-panel"),t=document.getElementById("about-backdrop");e.classList.remove("active"),t.classList.remove("active"),document.body.classList.remove("dev-panel-open")}}export{I as FlasherApp};
+import{FlasherUI as p}from"./flasher-ui.js";import{ConfigManager as v}from"./config-manager.js";import{DeviceConnection as b}from"./device-connection.js";import{FirmwareFlasher as y}from"./firmware-flasher.js";import{NVSGenerator as g}from"./nvs-generator.js";import{validateConfig as C}from"./config-validation.js";import{chipIdFromName as m}from"./esp-image.js";import{parseEraseRegions as E}from"./partition-table.js";import{listChips as j,filterProjects as k,projectIdFromURL as I,projectURL as P,projectsWithNVSIdentity as w,matchProjects as L,pickProject as B}from"./project-catalog.js";const d={nvs:"its stored product id",usb:"its USB ID",chip:"its chip"};class V{constructor(e,t={}){this.projects=e,this.ui=new p,this.configManager=new v({onChange:()=>{this.discardPendingFlash(),this.checkConfig()}}),this.deviceConnection=new b(this.ui,{esptool:t.esptool,serial:t.serial}),this.firmwareFlasher=new y(this.ui,this.configManager),this.btnConnect=document.getElementById("btn-connect"),this.btnFlash=document.getElementById("btn-flash"),this.btnCancel=document.getElementById("btn-cancel"),this.btnWriteConfig=document.getElementById("btn-write-config"),this.btnClearMonitor=document.getElementById("btn-clear-monitor"),this.selectedProjectId=null,this.selectedProject=null,this.connectedChip=null,this.suggestedIds=[],this.catalogFilter={query:"",chip:""},this.configErrors=[],this.init()}init(){if(!this.deviceConnection.serial){document.getElementById("browser-check").style.display="block",this.ui.updateStatus("error","Browser not supported","Please use Chrome, Edge, or Opera"),this.ui.log("Web Serial API not available","error");return}const e=Object.keys(this.projects);if(e.length===0){this.ui.log("ERROR: No projects configured - check js/projects-config.js","error"),this.ui.updateStatus("error","No projects found","Configuration error - check console");return}this.attachEventListeners(),this.initializeUIElements();const{id:t,requested:i}=I(window.location.href,this.projects);i!==null&&!t&&this.ui.log(`Project "${i}" not found. Available projects: ${e.join(", ")}`,"warning");const n=t||(e.length===1?e[0]:null);this.renderCatalog(),this.ui.log("Flasher ready","success"),n?this.selectProject(n,{updateURL:!1}):(this.btnConnect.disabled=!1,this.ui.updateStatus("waiting","Select a Project","Choose your board, or connect it to detect which one it is")),this.attemptAutoReconnect()}renderCatalog(){const e=document.getElementById("project-catalog");!e||Object.keys(this.projects).length<2||(e.style.display="",this.ui.renderChipFilter(j(this.projects),this.catalogFilter.chip),this.renderProjectList())}renderProjectList(){const e=k(this.projects,this.catalogFilter);this.ui.renderProjectList(this.projects,e,this.selectedProjectId,this.suggestedIds)}selectProject(e,t={}){if(!(!this.projects[e]||e===this.selectedProjectId)){if(this.abortController){this.ui.log("Wait for the current operation to finish before switching projects","warning");return}if(this.selectedProjectId=e,this.selectedProject=this.projects[e],t.updateURL!==!1&&window.history.replaceState(null,"",P(window.location.href,e)),this.renderProjectList(),this.loadProjectUI(),this.deviceConnection.getIsConnected()){this.showConnectedControls();const i=this.selectedProject.chip;i&&this.connectedChip&&m(i)!==m(this.connectedChip)?(this.ui.log(`${this.selectedProject.name} is built for ${i.toUpperCase()}, but the connected device is ${this.connectedChip}`,"warning"),this.ui.updateStatus("waiting","Chip mismatch",`${this.selectedProject.name} needs ${i.toUpperCase()} - connected device is ${this.connectedChip}`)):this.ui.updateStatus("success","Device connected",`Ready to flash ${this.selectedProject.name}`)}}}async identifyDevice(e){if(Object.keys(this.projects).length<2)return;const t={chip:e,usb:this.deviceConnection.getPortInfo(),nvs:await this.readIdentityNVS()},i=L(this.projects,t),n=B(i),c=i.some(s=>s.id===this.selectedProjectId);if(this.suggestedIds=i.filter(s=>s.reasons.length>0).map(s=>s.id),n&&n.id===this.selectedProjectId)this.ui.log(`Device identified as ${this.selectedProject.name} by ${d[n.reason]}`,"success");else if(n&&(!this.selectedProject||!c)){const s=this.selectedProject;this.ui.log(s?`${s.name} can't be flashed to this device - switching to ${this.projects[n.id].name} (identified by ${d[n.reason]})`:`Device identified as ${this.projects[n.id].name} by ${d[n.reason]}`,s?"warning":"success"),this.selectProject(n.id)}else if(n){const s=this.projects[n.id].name;this.ui.log(`This device looks like ${s} (by ${d[n.reason]}), not ${this.selectedProject.name} - select it in the project list if so`,"warning"),this.ui.updateStatus("waiting",`Is this a ${s}?`,`The device matches ${s} by ${d[n.reason]} - check the selected project before flashing`)}else if(this.selectedProject&&!c)this.ui.log(`${this.selectedProject.name} can't be flashed to this ${e} - select another project`,"warning"),this.ui.updateStatus("waiting","Wrong project?",`${this.selectedProject.name} doesn't match this device`);else if(!this.selectedProject){const s=this.suggestedIds.length;this.ui.log(s>0?`${s} projects match this ${e} - select yours in the project list`:`No project matches this ${e}`,s>0?"info":"warning"),this.ui.updateStatus("waiting","Select your board",s>0?`${s} projects match this device - they are marked in the list`:`None of the projects is built for ${e}`)}this.renderProjectList()}connectionProject(){return Object.keys(this.projects).length>1?null:this.selectedProject}async readIdentityNVS(){const[e]=w(this.projects);if(!e)return null;try{const t=this.deviceConnection.getESPStub(),i=await this.firmwareFlasher.resolveNVSPartition(this.projects[e],{espStub:t}),n=await t.readFlash(i.offset,i.size);return new g().parse(n)}catch(t){return this.ui.log(`Could not read product id from NVS: ${t.message}`,"info"),null}}showConnectedControls(){this.btnFlash.style.display="block",this.btnFlash.textContent="Flash Firmware",this.btnWriteConfig.style.display="",this.btnWriteConfig.textContent="Write Config",this.btnConnect.style.display="none",this.checkConfig()}checkConfig(e={}){const t=this.selectedProject;return this.configErrors=t?.configSections&&t.nvsPartition?C(t,this.configManager.getConfig(),{partial:document.getElementById("dev-preserve-nvs")?.checked}):[],this.configManager.showErrors(this.configErrors,{all:e.all||this.deviceConnection.getIsConnected()}),this.updateActionButtons(),this.configErrors}updateActionButtons(){if(!this.deviceConnection.getIsConnected()||this.abortController)return;const e=this.configErrors.length,t=e>0?`Fix ${e} configuration field${e===1?"":"s"} first`:"";this.btnFlash.disabled=!this.selectedProject||e>0,this.btnFlash.title=t,this.btnWriteConfig.disabled=!this.selectedProject||e>0,this.btnWriteConfig.title=t||"Write configuration to device NVS partition"}confirmConfigValid(){const e=this.checkConfig({all:!0}).length;return e===0?!0:(this.ui.log(`Configuration has ${e} problem${e===1?"":"s"}: ${this.configErrors.map(({label:t,message:i})=>`${t} ${i}`).join("; ")}`,"error"),this.ui.updateStatus("error","Check configuration",`Fix the highlighted field${e===1?"":"s"} before writing to the device`),!1)}async attemptAutoReconnect(){try{const e=await this.deviceConnection.reconnect(this.connectionProject(),{skipChipCheck:!1,baudrate:this.getBaudrate()});e?.chipType&&(this.ui.log(`Auto-reconnected to ${e.chipType}`,"success"),this.connectedChip=e.chipType,this.showConnectedControls(),await this.identifyDevice(e.chipType))}catch(e){console.log("Auto-reconnect failed:",e.message),this.btnConnect.disabled=!1,this.btnConnect.textContent="Connect Device"}}loadProjectUI(){const e=document.getElementById("project-details"),t=document.getElementById("config-container");this.ui.log("Loading project: "+this.selectedProject.name,"info"),console.log("Selected project:",this.selectedProject),console.log("Config sections:",this.selectedProject.configSections),console.log("Config container element:",t),this.ui.showProjectDetails(this.selectedProject),e.classList.add("active"),this.ui.log("Rendering config fields...","info"),this.configManager.renderConfigFields(this.selectedProject),this.checkConfig(),console.log("Config container after render:",t.innerHTML.substring(0,200)),this.btnConnect.disabled=!1,this.btnConnect.textContent="Connect Device",this.btnWriteConfig.title="Connect device first",this.ui.updateStatus("waiting","Configure Settings","Fill in configuration, then connect your device"),this.ui.log("UI loaded. Connect button enabled.","success")}attachEventListeners(){this.btnConnect.addEventListener("click",()=>this.handleConnect()),this.btnFlash.addEventListener("click",()=>this.handleFlash()),this.btnCancel?.addEventListener("click",()=>this.handleCancel()),this.btnWriteConfig.addEventListener("click",()=>this.handleWriteConfig()),document.getElementById("dev-preserve-nvs")?.addEventListener("change",()=>this.checkConfig()),["dev-skip-chip-check","dev-verify-flash","dev-erase-mode","dev-erase-regions","dev-preserve-nvs","dev-nvs-keys-file","dev-manifest-url"].forEach(o=>{document.getElementById(o)?.addEventListener("change",()=>this.discardPendingFlash())}),this.btnClearMonitor.addEventListener("click",()=>this.ui.clearLog()),document.getElementById("project-search")?.addEventListener("input",o=>{this.catalogFilter.query=o.target.value,this.renderProjectList()}),document.getElementById("project-chip-filter")?.addEventListener("click",o=>{const r=o.target.closest("[data-chip]");r&&(this.catalogFilter.chip=r.dataset.chip,this.renderCatalog())}),document.getElementById("project-list")?.addEventListener("click",o=>{const r=o.target.closest("[data-project]");r&&this.selectProject(r.dataset.project)});const e=document.getElementById("dev-mode-toggle");e&&e.addEventListener("click",()=>{const o=document.getElementById("dev-options-panel"),r=document.getElementById("dev-panel-backdrop"),l=document.getElementById("dev-mode-toggle");o?.classList.toggle("active"),r?.classList.toggle("active"),l?.classList.toggle("active"),document.body.classList.toggle("dev-panel-open")});const t=document.getElementById("dev-options-close");t&&t.addEventListener("click",()=>{const o=document.getElementById("dev-options-panel"),r=document.getElementById("dev-panel-backdrop"),l=document.getElementById("dev-mode-toggle");o?.classList.remove("active"),r?.classList.remove("active"),l?.classList.remove("active"),document.body.classList.remove("dev-panel-open")});const i=document.getElementById("dev-panel-backdrop");i&&i.addEventListener("click",()=>{const o=document.getElementById("dev-options-panel"),r=document.getElementById("dev-panel-backdrop"),l=document.getElementById("dev-mode-toggle");o?.classList.remove("active"),r?.classList.remove("active"),l?.classList.remove("active"),document.body.classList.remove("dev-panel-open")}),document.addEventListener("keydown",o=>{if(o.key==="Escape"){const r=document.getElementById("dev-options-panel"),l=document.getElementById("dev-panel-backdrop"),f=document.getElementById("dev-mode-toggle");r?.classList.contains("active")&&(r?.classList.remove("active"),l?.classList.remove("active"),f?.classList.remove("active"),document.body.classList.remove("dev-panel-open"))}});const n=document.getElementById("btn-export-log");n&&n.addEventListener("click",()=>this.exportLog()),document.querySelectorAll(".dev-tab").forEach(o=>{o.addEventListener("click",()=>this.handleDevTabClick(o))}),document.querySelectorAll('input[name="firmware-source"]').forEach(o=>{o.addEventListener("change",r=>this.handleFirmwareSourceChange(r))});const c=document.getElementById("dev-custom-file");c&&c.addEventListener("change",o=>{this.handleCustomFileUpload(o)});const s=document.getElementById("troubleshooting-toggle");s&&s.addEventListener("click",()=>{this.toggleTroubleshooting()});const a=document.getElementById("about-link");a&&a.addEventListener("click",o=>{o.preventDefault(),this.openAboutPanel()});const h=document.getElementById("about-close");h&&h.addEventListener("click",()=>{this.closeAboutPanel()});const u=document.getElementById("about-backdrop");u&&u.addEventListener("click",()=>{this.closeAboutPanel()})}async handleConnect(){try{const t={skipChipCheck:document.getElementById("dev-skip-chip-check")?.checked||!1,baudrate:this.getBaudrate()},{chipType:i,macAddr:n}=await this.deviceConnection.connect(this.connectionProject(),t);this.connectedChip=i,this.showConnectedControls(),await this.identifyDevice(i)}catch(e){console.error("Connection failed:",e)}}getBaudrate(){const e=document.getElementById("dev-baudrate")?.value||"auto";return e==="auto"?this.selectedProject?.baudrate??"auto":Number(e)}async handleFlash(){if(!(!this.selectedProject||!this.confirmConfigValid()))try{this.btnFlash.disabled=!0;const e=this.deviceConnection.getESPStub();if(!e)throw new Error("Device not connected");const t=document.querySelector('input[name="firmware-source"]:checked')?.value||"release",i={skipChipCheck:document.getElementById("dev-skip-chip-check")?.checked||!1,verify:document.getElementById("dev-verify-flash")?.checked||!1,erase:document.getElementById("dev-erase-mode")?.value||"none",preserveNVS:document.getElementById("dev-preserve-nvs")?.checked||!1};try{i.eraseRegions=E(document.getElementById("dev-erase-regions")?.value||"")}catch(n){this.ui.log(n.message,"error"),this.ui.updateStatus("error","Invalid erase region",n.message),this.btnFlash.disabled=!1;return}if(t==="custom"){const n=document.getElementById("dev-custom-file");if(n.files.length>0){const c=this.matchCustomImages(Array.from(n.files),this.selectedProject);Object.keys(c).length>0?i.customImages=c:i.customFirmware=n.files[0]}else{this.ui.log("No custom firmware file selected","error"),this.ui.updateStatus("error","No file selected","Please select a .bin file in Developer Options"),this.btnFlash.disabled=!1;return}}if(t==="manifest"){const n=document.getElementById("dev-manifest-url")?.value.trim();if(!n){this.ui.log("No manifest URL entered","error"),this.ui.updateStatus("error","No manifest URL","Enter an ESP Web Tools manifest.json URL in Developer Options"),this.btnFlash.disabled=!1;return}i.manifestUrl=n}try{i.nvsEncryptionKey=await this.getNVSEncryptionKey()}catch(n){this.ui.log(n.message,"error"),this.ui.updateStatus("error","Invalid NVS keys file",n.message),this.btnFlash.disabled=!1;return}i.resume=this.firmwareFlasher.hasPendingFlash(this.selectedProject,i),i.signal=this.startCancellable(),await this.firmwareFlasher.flash(this.selectedProject,e,i),this.btnFlash.style.display="none",this.btnFlash.textContent="Flash Complete"}catch{this.btnFlash.disabled=!1,this.firmwareFlasher.hasPendingFlash(this.selectedProject)?(this.btnFlash.textContent="Resume Flash",this.btnConnect.textContent="Reconnect Device",this.btnConnect.style.display="block"):this.btnFlash.textContent="Retry Flash"}finally{this.endCancellable()}}startCancellable(){return this.abortController=new AbortController,this.btnCancel&&(this.btnCancel.disabled=!1,this.btnCancel.style.display="block"),this.abortController.signal}endCancellable(){this.abortController=null,this.btnCancel&&(this.btnCancel.style.display="none")}handleCancel(){this.abortController&&(this.ui.log("Cancelling - stopping after the current block...","warning"),this.ui.updateStatus("flashing","Cancelling...","Finishing the current block"),this.btnCancel.disabled=!0,this.abortController.abort())}async handleWriteConfig(){if(this.selectedProject){if(!this.deviceConnection.getIsConnected()){this.ui.log("Please connect to device first","warning"),this.ui.updateStatus("waiting","Not connected",'Click "Connect Device" first');return}if(!this.selectedProject.nvsPartition){this.ui.log("This project does not have NVS configuration","warning");return}if(this.confirmConfigValid())try{this.btnWriteConfig.disabled=!0,this.btnWriteConfig.textContent="Writing...";const e=this.deviceConnection.getESPStub();if(!e)throw new Error("Device not connected");const{keys:t}=await this.firmwareFlasher.writeConfig(this.selectedProject,e,{nvsEncryptionKey:await this.getNVSEncryptionKey(),preserveNVS:document.getElementById("dev-preserve-nvs")?.checked,verify:document.getElementById("dev-verify-flash")?.checked,signal:this.startCancellable()});this.ui.updateStatus("success","Configuration written!","Config updated on device"),this.ui.log(`Wrote ${t.length} configuration values to device`,"success"),this.btnWriteConfig.style.display="none"}catch(e){e.name==="AbortError"?(this.ui.log("Configuration write cancelled","warning"),this.ui.updateStatus("error","Write cancelled","The NVS partition may be incomplete - write the config again before restarting the device")):(this.ui.log(`Failed to write configuration: ${e.message}`,"error"),this.ui.updateStatus("error","Write failed",e.message)),this.btnWriteConfig.disabled=!1,this.btnWriteConfig.textContent="Write Config"}finally{this.endCancellable()}}}async getNVSEncryptionKey(){const e=document.getElementById("dev-nvs-keys-file");if(!e||e.files.length===0)return null;const t=new Uint8Array(await e.files[0].arrayBuffer());return new g().parseKeyPartition(t)}exportLog(){const t=document.getElementById("serial-monitor").querySelectorAll(".serial-line"),i=Array.from(t).map(a=>a.textContent).join(`
+`),n=new Blob([i],{type:"text/plain"}),c=URL.createObjectURL(n),s=document.createElement("a");s.href=c,s.download=`flasher-log-${new Date().toISOString().replace(/[:.]/g,"-")}.txt`,s.click(),URL.revokeObjectURL(c),this.ui.log("Log exported successfully","success")}initializeUIElements(){}handleDevTabClick(e){const t=e.dataset.tab;document.querySelectorAll(".dev-tab").forEach(i=>{i.classList.remove("active")}),e.classList.add("active"),document.querySelectorAll(".dev-tab-content").forEach(i=>{i.classList.remove("active")}),document.querySelector(`.dev-tab-content[data-tab="${t}"]`).classList.add("active")}discardPendingFlash(){this.firmwareFlasher.hasPendingFlash(this.selectedProject)&&(this.firmwareFlasher.discardPendingFlash(),this.btnFlash.textContent==="Resume Flash"&&(this.btnFlash.textContent="Retry Flash"),this.ui.log("Settings changed - the next flash starts from the beginning","info"))}handleFirmwareSourceChange(e){this.discardPendingFlash();const t=e.target.value;document.getElementById("release-options").style.display=t==="release"?"block":"none",document.getElementById("custom-options").style.display=t==="custom"?"block":"none",document.getElementById("manifest-options").style.display=t==="manifest"?"block":"none"}handleCustomFileUpload(e){this.discardPendingFlash();const t=Array.from(e.target.files),i=document.getElementById("custom-file-info");i.textContent=t.map(n=>{const c=(n.size/1024/1024).toFixed(2);return`${n.name} (${c} MB)`}).join(", ")}matchCustomImages(e,t){const i={};return t.images&&e.forEach(n=>{const c=n.name.replace(/\.bin$/i,"").toLowerCase(),s=t.images.find(({name:a})=>c===a||c.endsWith(`-${a}`)||c.endsWith(`_${a}`)||c.endsWith(`.${a}`));s&&(i[s.name]=n)}),i}toggleTroubleshooting(){const e=document.getElementById("troubleshooting-toggle"),t=document.getElementById("troubleshooting-content");e.classList.toggle("collapsed"),t.classList.toggle("active")}openAboutPanel(){const e=document.getElementById("about-panel"),t=document.getElementById("about-backdrop");e.classList.add("active"),t.classList.add("active"),document.body.classList.add("dev-panel-open")}closeAboutPanel(){const e=document.getElementById("about-panel"),t=document.getElementById("about-backdrop");e.classList.remove("active"),t.classList.remove("active"),document.body.classList.remove("dev-panel-open")}}export{V as FlasherApp};
 //# sourceMappingURL=main-app.js.map
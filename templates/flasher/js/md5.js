@@ -0,0 +1,2 @@
+const m=[7,12,17,22,7,12,17,22,7,12,17,22,7,12,17,22,5,9,14,20,5,9,14,20,5,9,14,20,5,9,14,20,4,11,16,23,4,11,16,23,4,11,16,23,4,11,16,23,6,10,15,21,6,10,15,21,6,10,15,21,6,10,15,21],y=new Uint32Array(64).map((n,r)=>Math.floor(Math.abs(Math.sin(r+1))*4294967296));function b(n){const r=(n.length+8>>6)+1<<6,w=new Uint8Array(r);w.set(n),w[n.length]=128;const d=new DataView(w.buffer);d.setUint32(r-8,n.length*8>>>0,!0),d.setUint32(r-4,Math.floor(n.length/536870912),!0);let a=1732584193,u=4023233417,h=2562383102,g=271733878;const x=new Uint32Array(16);for(let l=0;l<r;l+=64){for(let t=0;t<16;t++)x[t]=d.getUint32(l+t*4,!0);let s=a,e=u,o=h,i=g;for(let t=0;t<64;t++){let f,c;t<16?(f=e&o|~e&i,c=t):t<32?(f=i&e|~i&o,c=(5*t+1)%16):t<48?(f=e^o^i,c=(3*t+5)%16):(f=o^(e|~i),c=7*t%16);const A=s+f+y[t]+x[c]>>>0;s=i,i=o,o=e,e=e+(A<<m[t]|A>>>32-m[t])>>>0}a=a+s>>>0,u=u+e>>>0,h=h+o>>>0,g=g+i>>>0}const U=new Uint8Array(16),p=new DataView(U.buffer);return[a,u,h,g].forEach((l,s)=>p.setUint32(s*4,l,!0)),U}function D(n){return Array.from(b(n),r=>r.toString(16).padStart(2,"0")).join("")}export{b as md5,D as md5Hex};
+//# sourceMappingURL=md5.js.map
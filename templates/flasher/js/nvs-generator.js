@@ -1,2 +1,7 @@
-class w{constructor(){this.PAGE_SIZE=4096,this.ENTRY_SIZE=32,this.ENTRIES_PER_PAGE=126,this.TYPE_U8=1,this.TYPE_I8=17,this.TYPE_U16=2,this.TYPE_I16=18,this.TYPE_U32=4,this.TYPE_I32=20,this.TYPE_STR=33,this.TYPE_BLOB=65,this.PAGE_STATE_ACTIVE=4294967294,this.PAGE_STATE_FULL=4294967292,this.PAGE_STATE_EMPTY=4294967295}generate(s,i=24576){const n=Math.floor(i/this.PAGE_SIZE),e=new Uint8Array(i);e.fill(255);let t=0,r=1,h=0;const o={};for(const f of Object.keys(s))Object.keys(s[f]).length>0&&(o[f]=++h);const c=t*this.PAGE_SIZE+32;e[c]=170,e[c+1]=170;for(const[f,E]of Object.entries(s))if(Object.keys(E).length>0){const l=o[f];this.writeEntry(e,t,r++,{namespace:0,type:1,span:1,key:f,data:new Uint8Array([l])});for(const[P,F]of Object.entries(E)){const _=this.createEntry(l,P,F);if(this.writeEntry(e,t,r,_),r+=_.span,r>=this.ENTRIES_PER_PAGE){this.finalizePage(e,t,r),t++,r=1;const p=t*this.PAGE_SIZE+32;if(e[p]=170,e[p+1]=170,t>=n)throw new Error("NVS partition size too small for data")}}}return r>0&&this.finalizePage(e,t,r),e}createEntry(s,i,n){let e,t;if(typeof n=="string"){e=this.TYPE_STR;const o=new TextEncoder().encode(n);t=new Uint8Array(o.length+1),t.set(o),t[o.length]=0,console.log(`[NVS Writer] Key: ${i}, value: "${n}", data.length: ${t.length}, bytes:`,Array.from(t))}else if(typeof n=="number")if(Number.isInteger(n))n>=0&&n<=255?(e=this.TYPE_U8,t=new Uint8Array([n])):n>=0&&n<=65535?(e=this.TYPE_U16,t=new Uint8Array(2),new DataView(t.buffer).setUint16(0,n,!0)):(e=this.TYPE_U32,t=new Uint8Array(4),new DataView(t.buffer).setUint32(0,n,!0));else throw new Error("Float values not supported yet");else throw new Error(`Unsupported value type for key ${i}: ${typeof n}`);let r=1;return e===this.TYPE_STR||e===this.TYPE_BLOB?r=1+Math.ceil(t.length/this.ENTRY_SIZE):r=1,{namespace:s,type:e,span:r,key:i,data:t}}writeEntry(s,i,n,e){const t=i*this.PAGE_SIZE+32+n*this.ENTRY_SIZE,r=new DataView(s.buffer);s[t+0]=e.namespace,s[t+1]=e.type,s[t+2]=e.span,s[t+3]=255;const h=new TextEncoder().encode(e.key.substring(0,15));s.set(h,t+8);for(let f=h.length;f<16;f++)s[t+8+f]=0;if(e.type===this.TYPE_STR||e.type===this.TYPE_BLOB){r.setUint16(t+24,e.data.length,!0);let f=0;for(let E=1;E<e.span;E++){const l=t+E*this.ENTRY_SIZE,P=e.data.slice(f,f+this.ENTRY_SIZE);s.set(P,l),f+=this.ENTRY_SIZE}}else s.set(e.data,t+24);const o=new Uint8Array(28);o[0]=s[t+0],o[1]=s[t+1],o[2]=s[t+2],o[3]=s[t+3],o.set(s.slice(t+8,t+24),4),o.set(s.slice(t+24,t+32),20);const c=this.calculateCRC32(o);r.setUint32(t+4,c,!0)}finalizePage(s,i,n){const e=i*this.PAGE_SIZE,t=new DataView(s.buffer);t.setUint32(e+0,this.PAGE_STATE_ACTIVE,!0),t.setUint32(e+4,i,!0),t.setUint32(e+8,4294967295,!0);const r=this.calculateCRC32(s.slice(e,e+28));t.setUint32(e+28,r,!0)}calculateCRC32(s){let i=4294967295;for(let n=0;n<s.length;n++){i^=s[n];for(let e=0;e<8;e++)i=i>>>1^3988292384&-(i&1)}return~i>>>0}}function I(a,s="config",i=24576){const n=new w,e={};e[s]={};for(const[t,r]of Object.entries(a))for(const[h,o]of Object.entries(r)){const c=`${t}_${h}`;e[s][c]=o}return n.generate(e,i)}w.prototype.parse=function(a){const s={},i={},n=new DataView(a.buffer,a.byteOffset,a.byteLength),e=Math.floor(a.length/this.PAGE_SIZE);for(let t=0;t<e;t++){const r=t*this.PAGE_SIZE,h=n.getUint32(r,!0);if(!(h===this.PAGE_STATE_EMPTY||h===0))for(let o=1;o<this.ENTRIES_PER_PAGE;){const c=r+32+o*this.ENTRY_SIZE,f=n.getUint8(c);if(f===255){o++;continue}const E=n.getUint8(c+1),l=n.getUint8(c+2),P=new Uint8Array(a.buffer,a.byteOffset+c+8,16),F=P.indexOf(0),_=new TextDecoder().decode(P.slice(0,F>0?F:16));if(E===1&&f===0){const g=n.getUint8(c+24);i[g]=_,s[_]||(s[_]={}),o+=l;continue}const p=i[f]||`ns_${f}`;s[p]||(s[p]={});let T;if(E===this.TYPE_U8)T=n.getUint8(c+24);else if(E===this.TYPE_I8)T=n.getInt8(c+24);else if(E===this.TYPE_U16)T=n.getUint16(c+24,!0);else if(E===this.TYPE_I16)T=n.getInt16(c+24,!0);else if(E===this.TYPE_U32)T=n.getUint32(c+24,!0);else if(E===this.TYPE_I32)T=n.getInt32(c+24,!0);else if(E===this.TYPE_STR){const g=n.getUint16(c+24,!0),u=new Uint8Array(g);let A=0;for(let d=1;d<l;d++){const y=c+d*this.ENTRY_SIZE,U=Math.min(g-A,this.ENTRY_SIZE);u.set(new Uint8Array(a.buffer,a.byteOffset+y,U),A),A+=U}const x=u.indexOf(0),S=x>=0?x:g;console.log(`[NVS Parser] Key: ${_}, strLen: ${g}, span: ${l}, bytes:`,Array.from(u.slice(0,S+1))),T=new TextDecoder().decode(u.slice(0,S))}else if(E===this.TYPE_BLOB){const g=n.getUint16(c+20,!0);T=new Uint8Array(a.buffer,a.byteOffset+c+24,Math.min(g,8))}else{o++;continue}s[p][_]=T,o+=l}}return s};function Y(a,s="config"){return new w().parse(a)[s]||{}}typeof window<"u"&&(window.NVSGenerator=w,window.generateNVSFromConfig=I,window.parseNVSConfig=Y);export{w as NVSGenerator,I as generateNVSFromConfig,Y as parseNVSConfig};
+import{xtsEncrypt as k,xtsDecrypt as B}from"./aes-xts.js";class I{constructor(){this.PAGE_SIZE=4096,this.ENTRY_SIZE=32,this.ENTRIES_PER_PAGE=126,this.BITMAP_OFFSET=32,this.FIRST_ENTRY_OFFSET=64,this.TYPE_U8=1,this.TYPE_I8=17,this.TYPE_U16=2,this.TYPE_I16=18,this.TYPE_U32=4,this.TYPE_I32=20,this.TYPE_U64=8,this.TYPE_I64=24,this.TYPE_STR=33,this.TYPE_BLOB=65,this.TYPE_BLOB_DATA=66,this.TYPE_BLOB_IDX=72,this.VERSION_1=255,this.VERSION_2=254,this.PAGE_STATE_ACTIVE=4294967294,this.PAGE_STATE_FULL=4294967292,this.PAGE_STATE_EMPTY=4294967295,this.PAGE_STATE_FREEING=4294967288,this.PAGE_STATE_CORRUPT=4294967280,this.PAGE_STATE_INVALID=0,this.ENTRY_STATE_EMPTY=3,this.ENTRY_STATE_WRITTEN=2,this.ENTRY_STATE_ERASED=0,this.XTS_KEY_SIZE=64,this.KEY_PARTITION_SIZE=4096}generate(e,t=24576,n={}){const i=n.version??2;if(i!==1&&i!==2)throw new Error(`Unsupported NVS format version: ${i}`);const r=Math.floor(t/this.PAGE_SIZE);if(r<2)throw new Error("NVS partition must be at least 2 pages (0x2000 bytes)");const o=new Uint8Array(t);o.fill(255);const a={pageIndex:0,entryIndex:0,sequence:0,maxPages:r-1,version:i===2?this.VERSION_2:this.VERSION_1};let h=0;for(const[c,l]of Object.entries(e)){if(Object.keys(l).length===0)continue;const d=++h;this.appendEntry(o,a,{namespace:0,type:this.TYPE_U8,span:1,key:c,data:new Uint8Array([d])});for(const[T,u]of Object.entries(l)){const f=this.createEntry(d,T,u);f.type===this.TYPE_BLOB&&i===2?this.appendMultiPageBlob(o,a,f):this.appendEntry(o,a,f)}}return this.finalizePage(o,a.pageIndex,a.sequence,this.PAGE_STATE_ACTIVE,a.version),n.encryptionKey?this.encryptPartition(o,n.encryptionKey):o}generateEncryptionKey(){const e=new Uint8Array(this.XTS_KEY_SIZE);return globalThis.crypto.getRandomValues(e),e}generateKeyPartition(e){this.checkEncryptionKey(e);const t=new Uint8Array(this.KEY_PARTITION_SIZE).fill(255);return t.set(e,0),new DataView(t.buffer).setUint32(this.XTS_KEY_SIZE,this.calculateCRC32(e),!0),t}parseKeyPartition(e){if(e.length<this.XTS_KEY_SIZE+4)throw new Error("NVS keys partition is too small");const t=e.slice(0,this.XTS_KEY_SIZE),i=new DataView(e.buffer,e.byteOffset,e.byteLength).getUint32(this.XTS_KEY_SIZE,!0);if(t.every(r=>r===255))throw new Error("NVS keys partition is empty");if(i!==this.calculateCRC32(t))throw new Error("NVS keys partition CRC mismatch - wrong file or corrupted keys");return t}checkEncryptionKey(e){if(!(e instanceof Uint8Array)||e.length!==this.XTS_KEY_SIZE)throw new Error(`NVS encryption key must be a ${this.XTS_KEY_SIZE}-byte Uint8Array`)}encryptPartition(e,t){return this.transformEntries(e,t,k)}decryptPartition(e,t){return this.transformEntries(e,t,B)}transformEntries(e,t,n){this.checkEncryptionKey(t);const i=new Uint8Array(e),r=Math.floor(e.length/this.PAGE_SIZE),o=new Uint8Array(16),a=new DataView(o.buffer);for(let h=0;h<r;h++){const c=h*this.PAGE_SIZE;if(new DataView(i.buffer).getUint32(c,!0)!==this.PAGE_STATE_EMPTY)for(let l=0;l<this.ENTRIES_PER_PAGE;l++){if(this.getEntryState(i,h,l)===this.ENTRY_STATE_EMPTY)continue;const d=c+this.FIRST_ENTRY_OFFSET+l*this.ENTRY_SIZE;a.setUint32(0,d,!0);const T=i.subarray(d,d+this.ENTRY_SIZE);T.set(n(t,o,T))}}return i}appendEntry(e,t,n){if(n.span>this.ENTRIES_PER_PAGE)throw new Error(`NVS entry "${n.key}" is too large (${n.span} entries, max ${this.ENTRIES_PER_PAGE} per page)`);t.entryIndex+n.span>this.ENTRIES_PER_PAGE&&this.nextPage(e,t),this.writeEntry(e,t.pageIndex,t.entryIndex,n);for(let i=0;i<n.span;i++)this.setEntryState(e,t.pageIndex,t.entryIndex+i,this.ENTRY_STATE_WRITTEN);t.entryIndex+=n.span}nextPage(e,t){if(this.finalizePage(e,t.pageIndex,t.sequence,this.PAGE_STATE_FULL,t.version),t.pageIndex++,t.sequence++,t.entryIndex=0,t.pageIndex>=t.maxPages)throw new Error("NVS partition size too small for data")}appendMultiPageBlob(e,t,n){const i=n.data;let r=0,o=0;do{t.entryIndex+2>this.ENTRIES_PER_PAGE&&this.nextPage(e,t);const c=(this.ENTRIES_PER_PAGE-t.entryIndex-1)*this.ENTRY_SIZE,l=i.subarray(r,r+c);this.appendEntry(e,t,{namespace:n.namespace,type:this.TYPE_BLOB_DATA,span:1+Math.ceil(l.length/this.ENTRY_SIZE),chunkIndex:o,key:n.key,data:l}),r+=l.length,o++}while(r<i.length);if(o>128)throw new Error(`NVS blob "${n.key}" needs ${o} chunks, max 128`);const a=new Uint8Array(8).fill(255);new DataView(a.buffer).setUint32(0,i.length,!0),a[4]=o,a[5]=0,this.appendEntry(e,t,{namespace:n.namespace,type:this.TYPE_BLOB_IDX,span:1,key:n.key,data:a})}setEntryState(e,t,n,i){const r=t*this.PAGE_SIZE+this.BITMAP_OFFSET+(n>>2),o=(n&3)*2;e[r]=e[r]&~(3<<o)|i<<o}getEntryState(e,t,n){const i=t*this.PAGE_SIZE+this.BITMAP_OFFSET+(n>>2);return e[i]>>(n&3)*2&3}createEntry(e,t,n){let i,r;if(n instanceof S)({type:i,data:r}=this.encodeTypedValue(x(n.value,n.type,t)));else if(typeof n=="string"){i=this.TYPE_STR;const h=new TextEncoder().encode(n);r=new Uint8Array(h.length+1),r.set(h),r[h.length]=0}else if(typeof n=="number")if(Number.isInteger(n))if(n>=0&&n<=255)i=this.TYPE_U8,r=new Uint8Array([n]);else if(n>=0&&n<=65535)i=this.TYPE_U16,r=new Uint8Array(2),new DataView(r.buffer).setUint16(0,n,!0);else if(n>=0&&n<=4294967295)i=this.TYPE_U32,r=new Uint8Array(4),new DataView(r.buffer).setUint32(0,n,!0);else{const a=n<0?n>=-2147483648?"i32":"i64":"u64";({type:i,data:r}=this.encodeTypedValue(x(n,a,t)))}else({type:i,data:r}=this.encodeTypedValue(x(n,"f32",t)));else if(typeof n=="bigint")({type:i,data:r}=this.encodeTypedValue(x(n,n<0n?"i64":"u64",t)));else if(typeof n=="boolean")({type:i,data:r}=this.encodeTypedValue(x(n,"bool",t)));else if(n instanceof Uint8Array||n instanceof ArrayBuffer)i=this.TYPE_BLOB,r=new Uint8Array(n);else throw new Error(`Unsupported value type for key ${t}: ${typeof n}`);let o=1;return this.isVariableLength(i)?o=1+Math.ceil(r.length/this.ENTRY_SIZE):o=1,{namespace:e,type:i,span:o,key:t,data:r}}encodeTypedValue(e){if(e.type==="string"){const a=new TextEncoder().encode(e.value),h=new Uint8Array(a.length+1);return h.set(a),{type:this.TYPE_STR,data:h}}if(e.type==="blob")return{type:this.TYPE_BLOB,data:e.value};if(e.type==="bool")return{type:this.TYPE_U8,data:new Uint8Array([e.value?1:0])};if(e.type==="f32"||e.type==="f64"){const a=new Uint8Array(e.type==="f32"?4:8),h=new DataView(a.buffer);return e.type==="f32"?h.setFloat32(0,e.value,!0):h.setFloat64(0,e.value,!0),{type:e.type==="f32"?this.TYPE_U32:this.TYPE_U64,data:a}}const{bits:t,signed:n}=A[e.type],i=new Uint8Array(t/8),r=new DataView(i.buffer),o=`set${t===64?"Big":""}${n?"Int":"Uint"}${t}`;return t===8?r[o](0,e.value):r[o](0,e.value,!0),{type:this[`TYPE_${e.type.toUpperCase()}`],data:i}}writeEntry(e,t,n,i){const r=t*this.PAGE_SIZE+this.FIRST_ENTRY_OFFSET+n*this.ENTRY_SIZE,o=new DataView(e.buffer);e[r+0]=i.namespace,e[r+1]=i.type,e[r+2]=i.span,e[r+3]=i.chunkIndex??255;const a=new TextEncoder().encode(i.key.substring(0,15));e.set(a,r+8);for(let h=a.length;h<16;h++)e[r+8+h]=0;if(this.isVariableLength(i.type)){o.setUint16(r+24,i.data.length,!0),o.setUint32(r+28,this.calculateCRC32(i.data),!0);let h=0;for(let c=1;c<i.span;c++){const l=r+c*this.ENTRY_SIZE,d=i.data.slice(h,h+this.ENTRY_SIZE);e.set(d,l),h+=this.ENTRY_SIZE}}else e.set(i.data,r+24);o.setUint32(r+4,this.calculateEntryCRC(e,r),!0)}typeName(e){return{[this.TYPE_U8]:"u8",[this.TYPE_I8]:"i8",[this.TYPE_U16]:"u16",[this.TYPE_I16]:"i16",[this.TYPE_U32]:"u32",[this.TYPE_I32]:"i32",[this.TYPE_U64]:"u64",[this.TYPE_I64]:"i64",[this.TYPE_STR]:"string",[this.TYPE_BLOB]:"blob",[this.TYPE_BLOB_DATA]:"blob",[this.TYPE_BLOB_IDX]:"blob"}[e]}isVariableLength(e){return e===this.TYPE_STR||e===this.TYPE_BLOB||e===this.TYPE_BLOB_DATA}readEntryData(e,t,n){const r=new DataView(e.buffer,e.byteOffset,e.byteLength).getUint16(t+24,!0),o=Math.max(0,n-1)*this.ENTRY_SIZE,a=t+this.ENTRY_SIZE;return e.slice(a,a+Math.min(r,o))}calculateEntryCRC(e,t){const n=new Uint8Array(28);return n.set(e.subarray(t,t+4),0),n.set(e.subarray(t+8,t+32),4),this.calculateCRC32(n)}finalizePage(e,t,n,i,r=this.VERSION_2){const o=t*this.PAGE_SIZE,a=new DataView(e.buffer);a.setUint32(o+0,i,!0),a.setUint32(o+4,n,!0),e[o+8]=r;const h=this.calculateCRC32(e.subarray(o+4,o+28));a.setUint32(o+28,h,!0)}calculateCRC32(e){let t=0;for(let n=0;n<e.length;n++){t^=e[n];for(let i=0;i<8;i++)t=t>>>1^3988292384&-(t&1)}return~t>>>0}}const A={u8:{bits:8,signed:!1},i8:{bits:8,signed:!0},u16:{bits:16,signed:!1},i16:{bits:16,signed:!0},u32:{bits:32,signed:!1},i32:{bits:32,signed:!0},u64:{bits:64,signed:!1},i64:{bits:64,signed:!0}},m=[...Object.keys(A),"bool","f32","f64","string","blob"];class S{constructor(e,t){this.type=e,this.value=t}}function x(s,e,t="value"){const n=c=>{const l=new Error(`Invalid NVS value for ${t}: ${c}`);return l.isNVSValueError=!0,l.nvsKey=t,l};if(!m.includes(e))throw n(`unknown nvsType "${e}" (expected one of ${m.join(", ")})`);if(e==="string"){const c=String(s);if(new TextEncoder().encode(c).length+1>4e3)throw n("string is longer than 4000 bytes");return new S("string",c)}if(e==="blob"){if(s instanceof Uint8Array||s instanceof ArrayBuffer)return new S("blob",new Uint8Array(s));if(typeof s=="string")return new S("blob",new TextEncoder().encode(s));throw n(`cannot store ${typeof s} as blob`)}if(e==="bool"){const c=String(s).trim().toLowerCase();if(s===!0||["true","1","on","yes"].includes(c))return new S("bool",!0);if(s===!1||["false","0","off","no"].includes(c))return new S("bool",!1);throw n(`"${s}" is not a boolean`)}if(e==="f32"||e==="f64"){const c=typeof s=="string"&&s.trim()!==""?Number(s):s;if(typeof c!="number"||!Number.isFinite(c))throw n(`"${s}" is not a finite number`);if(e==="f32"&&!Number.isFinite(Math.fround(c)))throw n(`${c} is out of range for f32`);return new S(e,c)}let i;if(typeof s=="bigint")i=s;else if(typeof s=="string"){const c=s.trim();if(/^[-+]?\d+$/.test(c)||/^0x[0-9a-f]+$/i.test(c))i=BigInt(c);else throw n(`"${s}" is not an integer`)}else if(typeof s=="number"&&Number.isInteger(s)){if(!Number.isSafeInteger(s))throw n(`${s} cannot be represented exactly; pass a BigInt or string`);i=BigInt(s)}else throw n(`${s} is not an integer`);const{bits:r,signed:o}=A[e],a=o?-(1n<<BigInt(r-1)):0n,h=o?(1n<<BigInt(r-1))-1n:(1n<<BigInt(r))-1n;if(i<a||i>h)throw n(`${i} is out of range for ${e} (${a} to ${h})`);return new S(e,r===64?i:Number(i))}function N(s,e){if(e==="bool")return s!==0;if(e==="f32"&&typeof s=="number"){const t=new DataView(new ArrayBuffer(4));t.setUint32(0,s,!0);const n=t.getFloat32(0,!0);for(let i=1;i<9;i++){const r=Number(n.toPrecision(i));if(Math.fround(r)===n)return r}return n}if(e==="f64"&&typeof s=="bigint"){const t=new DataView(new ArrayBuffer(8));return t.setBigUint64(0,s,!0),t.getFloat64(0,!0)}return s}function F(s,e="config",t=24576){const n=new I,i={};i[e]={};for(const[r,o]of Object.entries(s))for(const[a,h]of Object.entries(o)){const c=`${r}_${a}`;i[e][c]=h}return n.generate(i,t)}I.prototype.parse=function(s,e={}){var h;if(e.strict){const c=this.parseStrict(s,e);return Array.isArray(e.diagnostics)&&e.diagnostics.push(...c.diagnostics),c.data}e.encryptionKey&&(s=this.decryptPartition(s,e.encryptionKey));const t={},n={},i={},r=[],o=new DataView(s.buffer,s.byteOffset,s.byteLength),a=Math.floor(s.length/this.PAGE_SIZE);for(let c=0;c<a;c++){const l=c*this.PAGE_SIZE,d=o.getUint32(l,!0);if(!(d===this.PAGE_STATE_EMPTY||d===0))for(let T=0;T<this.ENTRIES_PER_PAGE;){const u=l+this.FIRST_ENTRY_OFFSET+T*this.ENTRY_SIZE,f=o.getUint8(u);if(f===255){T++;continue}const E=o.getUint8(u+1),_=Math.max(1,o.getUint8(u+2)),p=this.readKey(s,u);if(E===this.TYPE_U8&&f===0){const g=o.getUint8(u+24);n[g]=p,t[p]||(t[p]={}),T+=_;continue}const w=n[f]||`ns_${f}`;if(t[w]||(t[w]={}),E===this.TYPE_BLOB_DATA){const g=o.getUint8(u+3),P=i[h=`${f}:${p}`]??(i[h]={});P[g]=this.readEntryData(s,u,_)}else if(E===this.TYPE_BLOB_IDX)t[w][p]=void 0,r.push({namespace:f,key:p,...this.readBlobIndex(s,u)});else{const g=this.readEntryValue(s,u,E,_);if(g===void 0){T++;continue}t[w][p]=e.typed?new S(this.typeName(E),g):g}T+=_}}for(const c of r){const l=this.joinBlobChunks(i[`${c.namespace}:${c.key}`]||{},c),d=n[c.namespace]||`ns_${c.namespace}`;l?t[d][c.key]=e.typed?new S("blob",l):l:delete t[d][c.key]}return t},I.prototype.parseStrict=function(s,e={}){var T;e.encryptionKey&&(s=this.decryptPartition(s,e.encryptionKey));const t={},n=[],i={},r={},o={},a=new DataView(s.buffer,s.byteOffset,s.byteLength),h=Math.floor(s.length/this.PAGE_SIZE),c=(u,f,E,_)=>{n.push({severity:u,code:f,message:E,..._})},l=(u,f,E,_)=>{const p=i[u];delete t[p][f],t[p][f]=e.typed?new S(_,E):E},d=[];for(let u=0;u<h;u++){const f=u*this.PAGE_SIZE,E=a.getUint32(f,!0);if(E===this.PAGE_STATE_EMPTY)continue;if(E!==this.PAGE_STATE_ACTIVE&&E!==this.PAGE_STATE_FULL&&E!==this.PAGE_STATE_FREEING){const w=E===this.PAGE_STATE_CORRUPT?"CORRUPT":`0x${E.toString(16).padStart(8,"0")}`;c("error","page-state",`Page ${u} has state ${w}; page skipped`,{page:u,offset:f});continue}if(a.getUint32(f+28,!0)!==this.calculateCRC32(s.subarray(f+4,f+28))){c("error","page-header-crc",`Page ${u} header CRC mismatch; page skipped`,{page:u,offset:f});continue}const p=s[f+8];if(p!==this.VERSION_1&&p!==this.VERSION_2){c("error","page-version",`Page ${u} has unknown format version 0x${p.toString(16)}; page skipped`,{page:u,offset:f});continue}d.push({index:u,offset:f,state:E,version:p,sequence:a.getUint32(f+4,!0)})}d.sort((u,f)=>u.sequence-f.sequence||(f.state===this.PAGE_STATE_FREEING)-(u.state===this.PAGE_STATE_FREEING));for(let u=1;u<d.length;u++)d[u].sequence===d[u-1].sequence&&c("warning","duplicate-sequence",`Pages ${d[u-1].index} and ${d[u].index} share sequence number ${d[u].sequence}`,{page:d[u].index,offset:d[u].offset});for(const u of d)for(let f=0;f<this.ENTRIES_PER_PAGE;){const E=u.offset+this.FIRST_ENTRY_OFFSET+f*this.ENTRY_SIZE,_=this.getEntryState(s,u.index,f),p={page:u.index,entry:f,offset:E};if(_===this.ENTRY_STATE_ERASED){f++;continue}if(_!==this.ENTRY_STATE_WRITTEN){_===this.ENTRY_STATE_EMPTY&&s.subarray(E,E+this.ENTRY_SIZE).some(b=>b!==255)&&c("warning","entry-state",`Entry ${f} on page ${u.index} holds data but is marked empty; ignored`,p),f++;continue}if(a.getUint32(E+4,!0)!==this.calculateEntryCRC(s,E)){c("error","entry-crc",`Entry ${f} on page ${u.index} CRC mismatch; entry skipped`,p),f++;continue}const w=a.getUint8(E),g=a.getUint8(E+1),P=a.getUint8(E+2),y=this.readKey(s,E);Object.assign(p,{key:y});const $=this.isVariableLength(g)?1+Math.ceil(a.getUint16(E+24,!0)/this.ENTRY_SIZE):1;if(P===0||P!==$||f+P>this.ENTRIES_PER_PAGE){c("error","invalid-span",`Entry "${y}" on page ${u.index} has invalid span ${P}; entry skipped`,p),f++;continue}let Y=!0;for(let b=1;b<P;b++)this.getEntryState(s,u.index,f+b)!==this.ENTRY_STATE_WRITTEN&&(Y=!1);if(!Y){c("error","orphan-span",`Entry "${y}" on page ${u.index} has continuation entries that are not written; entry skipped`,p),f++;continue}if(f+=P,w===0){g===this.TYPE_U8?(i[a.getUint8(E+24)]=y,t[y]??(t[y]={})):c("warning","unknown-type",`Entry "${y}" in namespace 0 has type 0x${g.toString(16)}; ignored`,p);continue}if(i[w]===void 0){c("error","unknown-namespace",`Entry "${y}" on page ${u.index} uses undefined namespace index ${w}; entry skipped`,p);continue}if(Object.assign(p,{namespace:i[w]}),this.isVariableLength(g)){const b=this.readEntryData(s,E,P);if(a.getUint32(E+28,!0)!==this.calculateCRC32(b)){c("error","data-crc",`Entry "${y}" on page ${u.index} data CRC mismatch; entry skipped`,p);continue}}if(g===this.TYPE_BLOB_DATA){const b=a.getUint8(E+3),V=r[T=`${w}:${y}`]??(r[T]={});V[b]={value:this.readEntryData(s,E,P),...p}}else if(g===this.TYPE_BLOB_IDX)o[`${w}:${y}`]={namespace:w,key:y,location:p,...this.readBlobIndex(s,E)},l(w,y,void 0,"blob");else{const b=this.readEntryValue(s,E,g,P);if(b===void 0){c("warning","unknown-type",`Entry "${y}" on page ${u.index} has unknown type 0x${g.toString(16)}; ignored`,p);continue}l(w,y,b,this.typeName(g))}}for(const[u,f]of Object.entries(o)){const E=r[u]||{},_=Object.fromEntries(Object.entries(E).map(([g,P])=>[g,P.value])),p=this.joinBlobChunks(_,f),w=i[f.namespace];p?t[w][f.key]=e.typed?new S("blob",p):p:(delete t[w][f.key],c("error","incomplete-blob",`Blob "${f.key}" is missing chunks or has the wrong size; value skipped`,f.location));for(const[g,P]of Object.entries(E))(g<f.chunkStart||g>=f.chunkStart+f.chunkCount)&&c("warning","orphan-blob-chunk",`Blob chunk ${g} of "${f.key}" is not referenced by its index`,P);delete r[u]}for(const u of Object.values(r))for(const[f,E]of Object.entries(u))c("warning","orphan-blob-chunk",`Blob chunk ${f} of "${E.key}" has no blob index`,E);return{data:t,diagnostics:n}},I.prototype.readKey=function(s,e){const t=s.subarray(e+8,e+24),n=t.indexOf(0);return new TextDecoder().decode(t.subarray(0,n>=0?n:16))},I.prototype.readEntryValue=function(s,e,t,n){const i=new DataView(s.buffer,s.byteOffset,s.byteLength),r=e+24;switch(t){case this.TYPE_U8:return i.getUint8(r);case this.TYPE_I8:return i.getInt8(r);case this.TYPE_U16:return i.getUint16(r,!0);case this.TYPE_I16:return i.getInt16(r,!0);case this.TYPE_U32:return i.getUint32(r,!0);case this.TYPE_I32:return i.getInt32(r,!0);case this.TYPE_U64:return i.getBigUint64(r,!0);case this.TYPE_I64:return i.getBigInt64(r,!0);case this.TYPE_STR:{const o=this.readEntryData(s,e,n),a=o.indexOf(0);return new TextDecoder().decode(o.subarray(0,a>=0?a:o.length))}case this.TYPE_BLOB:return this.readEntryData(s,e,n);default:return}},I.prototype.readBlobIndex=function(s,e){const t=new DataView(s.buffer,s.byteOffset,s.byteLength);return{size:t.getUint32(e+24,!0),chunkCount:t.getUint8(e+28),chunkStart:t.getUint8(e+29)}},I.prototype.joinBlobChunks=function(s,e){const t=new Uint8Array(e.size);let n=0;for(let i=e.chunkStart;i<e.chunkStart+e.chunkCount;i++){const r=s[i];if(!r||n+r.length>e.size)return null;t.set(r,n),n+=r.length}return n===e.size?t:null};function C(s){const e=[];let t=[],n="",i=!1,r=1,o=1;for(let a=0;a<s.length;a++){const h=s[a];i?h==='"'&&s[a+1]==='"'?(n+='"',a++):h==='"'?i=!1:(h===`
+`&&r++,n+=h):h==='"'?i=!0:h===","?(t.push(n),n=""):h===`
+`||h==="\r"?(h==="\r"&&s[a+1]===`
+`&&a++,t.push(n),e.push({line:o,fields:t}),t=[],n="",r++,o=r):n+=h}return(n!==""||t.length>0)&&(t.push(n),e.push({line:o,fields:t})),e}function R(s){return/[",\r\n]/.test(s)?`"${s.replace(/"/g,'""')}"`:s}function O(s){const e=s.replace(/\s+/g,"");if(e.length%2!==0||!/^[0-9a-f]*$/i.test(e))throw new Error("invalid hex string");const t=new Uint8Array(e.length/2);for(let n=0;n<t.length;n++)t[n]=parseInt(e.substr(n*2,2),16);return t}function G(s){return Array.from(s,e=>e.toString(16).padStart(2,"0")).join("")}function D(s){return Uint8Array.from(atob(s.replace(/\s+/g,"")),e=>e.charCodeAt(0))}function L(s){let e="";for(let t=0;t<s.length;t++)e+=String.fromCharCode(s[t]);return btoa(e)}I.prototype.parseCSV=function(s,e={}){const t={};let n=null;for(const{line:i,fields:r}of C(s)){const[o="",a="",h="",...c]=r.map(E=>E.trim()),l=c.join(","),d=E=>new Error(`NVS CSV line ${i}: ${E}`);if(o===""&&a===""||o.startsWith("#")||o==="key"&&a==="type")continue;if(o.length>15)throw d(`key "${o}" is longer than 15 characters`);if(a==="namespace"){n=o,t[n]??(t[n]={});continue}if(a!=="data"&&a!=="file")throw d(`unknown type "${a}" (expected namespace, data or file)`);if(n===null)throw d(`"${o}" appears before any namespace row`);let T=l;if(a==="file"){const E=e.files,_=typeof E=="function"?E(l):E?.[l];if(_==null)throw d(`file "${l}" was not provided`);T=_}const u=E=>typeof E=="string"?new TextEncoder().encode(E):new Uint8Array(E),f=E=>typeof E=="string"?E:new TextDecoder().decode(E);try{if(h==="string")t[n][o]=x(f(T),"string",o);else if(h==="hex2bin")t[n][o]=new S("blob",O(f(T)));else if(h==="base64")t[n][o]=new S("blob",D(f(T)));else if(h==="binary"){if(a!=="file")throw new Error("binary encoding is only valid for file rows");t[n][o]=new S("blob",u(T))}else if(A[h])t[n][o]=x(f(T),h,o);else throw new Error(`unknown encoding "${h}"`)}catch(E){throw d(E.message)}}return t},I.prototype.generateFromCSV=function(s,e=24576,t={}){return this.generate(this.parseCSV(s,t),e,t)},I.prototype.exportCSV=function(s,e={}){const t=this.parse(s,{...e,typed:!0}),n=["key,type,encoding,value"];for(const[i,r]of Object.entries(t)){n.push(`${R(i)},namespace,,`);for(const[o,a]of Object.entries(r)){let h=a.type,c;a.type==="blob"?(h=e.blobEncoding==="base64"?"base64":"hex2bin",c=h==="base64"?L(a.value):G(a.value)):c=String(a.value),n.push(`${R(o)},data,${h},${R(c)}`)}}return n.join(`
+`)+`
+`};function U(s,e="config",t={}){return new I().parse(s,{strict:!0,...t})[e]||{}}typeof window<"u"&&(window.NVSGenerator=I,window.NVSValue=S,window.coerceNVSValue=x,window.decodeNVSValue=N,window.generateNVSFromConfig=F,window.parseNVSConfig=U);export{I as NVSGenerator,S as NVSValue,m as NVS_TYPES,x as coerceNVSValue,N as decodeNVSValue,F as generateNVSFromConfig,U as parseNVSConfig};
 //# sourceMappingURL=nvs-generator.js.map
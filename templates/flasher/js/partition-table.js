@@ -0,0 +1,4 @@
+import{md5 as A}from"./md5.js";const g=32768,h=3072,I=4096,b=32,P=20650,O=60395,U=1,B=2,_=65536,E=4096,d={app:0,data:1,bootloader:2,partition_table:3},T={app:{factory:0,test:32,...Object.fromEntries(Array.from({length:16},(a,t)=>[`ota_${t}`,16+t]))},data:{ota:0,phy:1,nvs:2,coredump:3,nvs_keys:4,efuse:5,undefined:6,esphttpd:128,fat:129,spiffs:130,littlefs:131},bootloader:{primary:0,ota:1,recovery:2},partition_table:{primary:0,ota:1}};function x(a){return Object.keys(d).find(e=>d[e]===a)||`0x${a.toString(16).padStart(2,"0")}`}function L(a,t){const e=T[x(a)]||{};return Object.keys(e).find(s=>e[s]===t)||`0x${t.toString(16).padStart(2,"0")}`}function y(a,t){const e=String(a).trim().match(/^(0x[0-9a-f]+|\d+)\s*([km]?)$/i);if(!e)throw new Error(`Invalid partition ${t}: "${a}"`);const r={"":1,k:1024,m:1024*1024}[e[2].toLowerCase()];return Number(e[1])*r}function N(a){if(typeof a=="number")return a;const t=String(a).trim().toLowerCase();if(t in d)return d[t];if(/^(0x[0-9a-f]+|\d+)$/.test(t))return Number(t);throw new Error(`Unknown partition type "${a}"`)}function C(a,t){if(typeof t=="number")return t;const e=String(t??"").trim().toLowerCase();if(e==="")return 0;const r=T[x(a)]||{};if(e in r)return r[e];if(/^(0x[0-9a-f]+|\d+)$/.test(e))return Number(e);throw new Error(`Unknown subtype "${t}" for partition type ${x(a)}`)}function l(a){return`0x${a.toString(16)}`}class ${constructor(t=[],e={}){this.offset=e.offset??g,this.partitions=t.map(r=>this.normalize(r))}normalize(t){const e=N(t.type),r=C(e,t.subtype);return{name:t.name,type:e,subtype:r,typeName:x(e),subtypeName:L(e,r),offset:t.offset,size:t.size,encrypted:!!t.encrypted,readonly:!!t.readonly}}static parse(t,e={}){const r=t instanceof Uint8Array?t:new Uint8Array(t),s=new DataView(r.buffer,r.byteOffset,r.byteLength),o=[];let n=!1;for(let f=0;f+b<=Math.min(r.length,h);f+=b){const p=s.getUint16(f,!0);if(p===65535)break;if(p===O){const S=A(r.subarray(0,f));if(!r.subarray(f+16,f+32).every((m,F)=>m===S[F]))throw new Error("Partition table MD5 mismatch - table is corrupted");n=!0;continue}if(p!==P)throw new Error(`Invalid partition table entry at 0x${f.toString(16)} (magic 0x${p.toString(16)})`);const u=r.subarray(f+12,f+28),c=u.indexOf(0),w=s.getUint32(f+28,!0);o.push({name:new TextDecoder().decode(u.subarray(0,c>=0?c:16)),type:s.getUint8(f+2),subtype:s.getUint8(f+3),offset:s.getUint32(f+4,!0),size:s.getUint32(f+8,!0),encrypted:!!(w&U),readonly:!!(w&B)})}if(o.length===0)throw new Error("No partition table found");const i=new $(o,e);return i.md5Verified=n,i}static fromCSV(t,e={}){const r=[];return t.split(/\r?\n/).forEach((s,o)=>{const n=s.replace(/#.*$/,"").trim();if(!n)return;const i=n.split(",").map(m=>m.trim());if(i.length<5)throw new Error(`Partition CSV line ${o+1}: expected Name, Type, SubType, Offset, Size[, Flags]`);const[f,p,u,c,w,S=""]=i,z=S.split(":").map(m=>m.trim().toLowerCase()).filter(Boolean);try{r.push({name:f,type:p,subtype:u,offset:c?y(c,"offset"):null,size:y(w,"size"),encrypted:z.includes("encrypted"),readonly:z.includes("readonly")})}catch(m){throw new Error(`Partition CSV line ${o+1}: ${m.message}`)}}),$.fromJSON(r,e)}static fromJSON(t,e={}){const r=Array.isArray(t)?t:t.partitions,s=e.offset??t.offset??g;let o=(typeof s=="number"?s:y(s,"table offset"))+I;const n=r.map(i=>{const f=N(i.type),p=f===d.app?_:E,u=typeof i.size=="number"?i.size:y(i.size,"size");let c=i.offset??null;return c===null||c===""?c=Math.ceil(o/p)*p:typeof c!="number"&&(c=y(c,"offset")),o=c+u,{...i,type:f,offset:c,size:u}});return new $(n,{offset:typeof s=="number"?s:y(s,"table offset")})}validate(t={}){const e=[],r=new Set,s=this.offset+I;this.partitions.length*b+b>h&&e.push(`Too many partitions (${this.partitions.length}) to fit in the partition table`),this.partitions.forEach(n=>{const i=n.type===d.app?_:E;(!n.name||new TextEncoder().encode(n.name).length>15)&&e.push(`Partition name "${n.name}" must be 1-15 bytes`),r.has(n.name)&&e.push(`Duplicate partition name "${n.name}"`),r.add(n.name),n.offset%i!==0&&e.push(`Partition "${n.name}" offset ${l(n.offset)} is not aligned to ${l(i)}`),(n.size<=0||n.size%E!==0)&&e.push(`Partition "${n.name}" size ${l(n.size)} is not a positive multiple of ${l(E)}`),n.offset<s&&n.offset+n.size>this.offset&&e.push(`Partition "${n.name}" overlaps the partition table at ${l(this.offset)}`),t.flashSize&&n.offset+n.size>t.flashSize&&e.push(`Partition "${n.name}" ends at ${l(n.offset+n.size)}, beyond the ${l(t.flashSize)} flash`)});const o=[...this.partitions].sort((n,i)=>n.offset-i.offset);for(let n=1;n<o.length;n++){const i=o[n-1];o[n].offset<i.offset+i.size&&e.push(`Partition "${o[n].name}" at ${l(o[n].offset)} overlaps "${i.name}" (ends at ${l(i.offset+i.size)})`)}return e}toBinary(t={}){const e=this.validate();if(e.length>0)throw new Error(`Invalid partition table: ${e.join("; ")}`);const r=new Uint8Array(h).fill(255),s=new DataView(r.buffer);let o=0;for(const n of this.partitions)s.setUint16(o,P,!0),r[o+2]=n.type,r[o+3]=n.subtype,s.setUint32(o+4,n.offset,!0),s.setUint32(o+8,n.size,!0),r.fill(0,o+12,o+28),r.set(new TextEncoder().encode(n.name),o+12),s.setUint32(o+28,(n.encrypted?U:0)|(n.readonly?B:0),!0),o+=b;return t.md5!==!1&&(s.setUint16(o,O,!0),r.set(A(r.subarray(0,o)),o+16)),r}toCSV(){const t=["# Name, Type, SubType, Offset, Size, Flags"];for(const e of this.partitions){const r=[e.encrypted&&"encrypted",e.readonly&&"readonly"].filter(Boolean).join(":");t.push(`${e.name}, ${e.typeName}, ${e.subtypeName}, ${l(e.offset)}, ${l(e.size)}, ${r}`.trimEnd())}return t.join(`
+`)+`
+`}find(t){return this.partitions.find(e=>e.name===t)}findBySubtype(t,e){const r=N(t),s=e===void 0?void 0:C(r,e);return this.partitions.filter(o=>o.type===r&&(s===void 0||o.subtype===s))}findNVS(t){const e=this.findBySubtype("data","nvs");return e.find(r=>r.name===t)||e[0]}}async function R(a,t=g){const e=await a.readFlash(t,h);return $.parse(new Uint8Array(e),{offset:t})}function V(a){return String(a).split(",").map(t=>t.trim()).filter(Boolean).map(t=>{if(!t.includes(":"))return t;const[e,r]=t.split(":").map(s=>s.trim());if(!/^0x[0-9a-f]+$/i.test(e)||!/^0x[0-9a-f]+$/i.test(r)){const s=new Error(`Erase range "${t}" must be hex offset:size, e.g. 0x310000:0x10000`);throw s.isPartitionError=!0,s}return{offset:parseInt(e,16),size:parseInt(r,16)}})}export{T as PARTITION_SUBTYPES,g as PARTITION_TABLE_OFFSET,h as PARTITION_TABLE_SIZE,d as PARTITION_TYPES,$ as PartitionTable,V as parseEraseRegions,L as partitionSubtypeName,x as partitionTypeName,R as readPartitionTable};
+//# sourceMappingURL=partition-table.js.map
@@ -0,0 +1,2 @@
+import{chipIdFromName as u,chipName as g}from"./esp-image.js";function l(t){const n=t.chip?u(t.chip):void 0;return n===void 0?null:g(n)}function v(t){return[...new Set(Object.values(t).map(l).filter(Boolean))].sort((e,c)=>e.localeCompare(c,void 0,{numeric:!0}))}function y(t,n={}){const e=(n.query||"").toLowerCase().split(/\s+/).filter(Boolean),c=n.chip?u(n.chip):void 0;return Object.entries(t).filter(([s,i])=>{if(n.chip&&(!i.chip||u(i.chip)!==c))return!1;const r=[s,i.name,i.description,...i.hardware||[]].join(" ").toLowerCase();return e.every(o=>r.includes(o))}).map(([s])=>s)}function j(t,n){const e=new URL(t).searchParams.get("project");return{id:e!==null&&Object.hasOwn(n,e)?e:null,requested:e}}function w(t,n){const e=new URL(t);return e.searchParams.set("project",n),e.toString()}const m=["nvs","usb","chip"];function b(t){return typeof t=="string"?parseInt(t,16):t}function f(t,n){const e=n.identify?.nvs;return e?.key?{namespace:e.namespace||n.nvsPartition?.namespace||"config",key:e.key,value:String(e.value??t)}:null}function O(t){return Object.entries(t).filter(([n,e])=>e.nvsPartition&&f(n,e)).map(([n])=>n)}function P(t,n={}){const e=n.chip?u(n.chip):void 0,c=[];for(const[i,r]of Object.entries(t)){const o=[];if(e!==void 0&&r.chip){if(u(r.chip)!==e)continue;o.push("chip")}const{usbVendorId:p,usbProductId:I}=n.usb||{};p!==void 0&&(r.identify?.usb||[]).some(a=>b(a.vendorId)===p&&(a.productId===void 0||b(a.productId)===I))&&o.unshift("usb");const d=f(i,r),h=d?n.nvs?.[d.namespace]?.[d.key]:void 0;if(h!==void 0){if(String(h)!==d.value)continue;o.unshift("nvs")}c.push({id:i,reasons:o})}const s=({reasons:i})=>i.length>0?m.indexOf(i[0]):m.length;return c.sort((i,r)=>s(i)-s(r))}function C(t){const[n]=t;if(!n||n.reasons.length===0)return null;const e=n.reasons[0];return t.filter(s=>s.reasons[0]===e).length===1?{id:n.id,reason:e}:null}export{y as filterProjects,v as listChips,P as matchProjects,f as nvsIdentity,C as pickProject,l as projectChip,j as projectIdFromURL,w as projectURL,O as projectsWithNVSIdentity};
+//# sourceMappingURL=project-catalog.js.map
@@ -1,2 +1,2 @@
-const e={"active-wing":{name:"Active Wing",description:"The reference implementation demonstrating real-time sensor fusion using Extended Kalman Filtering. This system fuses GPS and IMU data to provide accurate position and motion tracking, eliminating IMU drift through GPS corrections while maintaining high-frequency updates.",hardware:["ESP32-C3 Development Board","WT901 9-axis IMU (UART @ 9600 baud)","NEO-6M GPS Module (UART @ 9600 baud)","WS2812 RGB LED for status indication"],software:["Chrome or Edge browser (for web flasher)","Windows, macOS, or Linux","Python 3.x (for telemetry receiver tools)"],firmwareUrl:"https://github.com/adam-weber/esp-webflash-toolkit/releases/download/latest/active-wing.bin",chip:"esp32c3",target:"riscv32imc-esp-espidf",configSections:[{id:"wifi",title:"WiFi",description:"Connect to your wireless network",fields:[{id:"ssid",label:"Network Name (SSID)",type:"text",placeholder:"MyWiFiNetwork",required:!0,nvsKey:"wifi_ssid"},{id:"password",label:"Password",type:"password",placeholder:"WiFi password",required:!0,nvsKey:"wifi_pass"}]},{id:"mqtt",title:"MQTT",description:"Optional: Send status updates to MQTT broker",fields:[{id:"broker",label:"Broker URL",type:"text",placeholder:"mqtt://192.168.1.100:1883",required:!1,nvsKey:"mqtt_broker"},{id:"username",label:"Username",type:"text",placeholder:"mqtt_user",required:!1,nvsKey:"mqtt_user"},{id:"password",label:"Password",type:"password",placeholder:"mqtt_password",required:!1,nvsKey:"mqtt_pass"}]},{id:"tcp",title:"TCP Telemetry",description:"Stream real-time data to your computer (20 Hz)",fields:[{id:"server",label:"Server IP",type:"text",placeholder:"192.168.1.100",required:!0,help:"IP address of computer running tcp_telemetry_server.py",nvsKey:"tcp_server"},{id:"port",label:"Port",type:"number",placeholder:"9000",default:9e3,required:!0,nvsKey:"tcp_port"}]},{id:"led",title:"Onboard LED",description:"Configure the onboard LED flash interval",fields:[{id:"flash_interval",label:"Flash Interval (ms)",type:"number",placeholder:"1000",default:1e3,required:!1,help:"Time in milliseconds between LED toggles (500 = 0.5s, 1000 = 1s, 2000 = 2s)",nvsKey:"led_flash_ms"}]}],nvsPartition:{name:"nvs",offset:"0x9000",size:"0x6000",namespace:"config"},documentation:{url:"https://github.com/adam-weber/esp-webflash-toolkit/blob/main/sensors/active-wing/README.md",label:"Wiring Diagram & Setup Guide"}}};typeof window<"u"&&(window.PROJECTS=e);export{e as PROJECTS};
+const e={"active-wing":{name:"Active Wing",description:"The reference implementation demonstrating real-time sensor fusion using Extended Kalman Filtering. This system fuses GPS and IMU data to provide accurate position and motion tracking, eliminating IMU drift through GPS corrections while maintaining high-frequency updates.",hardware:["ESP32-C3 Development Board","WT901 9-axis IMU (UART @ 9600 baud)","NEO-6M GPS Module (UART @ 9600 baud)","WS2812 RGB LED for status indication"],software:["Chrome or Edge browser (for web flasher)","Windows, macOS, or Linux","Python 3.x (for telemetry receiver tools)"],firmwareUrl:"https://github.com/adam-weber/esp-webflash-toolkit/releases/download/latest/active-wing.bin",chip:"esp32c3",target:"riscv32imc-esp-espidf",configSections:[{id:"wifi",title:"WiFi",description:"Connect to your wireless network",fields:[{id:"ssid",label:"Network Name (SSID)",type:"text",placeholder:"MyWiFiNetwork",required:!0,maxLength:32,nvsKey:"wifi_ssid",nvsType:"string"},{id:"password",label:"Password",type:"password",placeholder:"WiFi password",required:!0,minLength:8,maxLength:63,nvsKey:"wifi_pass",nvsType:"string"}]},{id:"mqtt",title:"MQTT",description:"Optional: Send status updates to MQTT broker",fields:[{id:"broker",label:"Broker URL",type:"text",placeholder:"mqtt://192.168.1.100:1883",required:!1,format:"mqtt-url",nvsKey:"mqtt_broker",nvsType:"string"},{id:"username",label:"Username",type:"text",placeholder:"mqtt_user",required:!1,nvsKey:"mqtt_user",nvsType:"string"},{id:"password",label:"Password",type:"password",placeholder:"mqtt_password",required:!1,nvsKey:"mqtt_pass",nvsType:"string"}]},{id:"tcp",title:"TCP Telemetry",description:"Stream real-time data to your computer (20 Hz)",fields:[{id:"server",label:"Server IP",type:"text",placeholder:"192.168.1.100",required:!0,help:"IP address of computer running tcp_telemetry_server.py",format:"ipv4",nvsKey:"tcp_server",nvsType:"string"},{id:"port",label:"Port",type:"number",placeholder:"9000",default:9e3,required:!0,format:"port",nvsKey:"tcp_port",nvsType:"u16"}]},{id:"led",title:"Onboard LED",description:"Configure the onboard LED flash interval",fields:[{id:"flash_interval",label:"Flash Interval (ms)",type:"number",placeholder:"1000",default:1e3,required:!1,help:"Time in milliseconds between LED toggles (500 = 0.5s, 1000 = 1s, 2000 = 2s)",nvsKey:"led_flash_ms",nvsType:"u32"}]}],nvsPartition:{name:"nvs",offset:"0x9000",size:"0x6000",namespace:"config"},documentation:{url:"https://github.com/adam-weber/esp-webflash-toolkit/blob/main/sensors/active-wing/README.md",label:"Wiring Diagram & Setup Guide"}}};typeof window<"u"&&(window.PROJECTS=e);export{e as PROJECTS};
 //# sourceMappingURL=projects-config.js.map
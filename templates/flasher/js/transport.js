@@ -0,0 +1,2 @@
+const _=192,h=219,a=220,u=221,r={FLASH_BEGIN:2,FLASH_DATA:3,FLASH_END:4,MEM_BEGIN:5,MEM_END:6,MEM_DATA:7,SYNC:8,WRITE_REG:9,READ_REG:10,SPI_SET_PARAMS:11,SPI_ATTACH:13,CHANGE_BAUDRATE:15,FLASH_DEFL_BEGIN:16,FLASH_DEFL_DATA:17,FLASH_DEFL_END:18,SPI_FLASH_MD5:19,GET_SECURITY_INFO:20,ERASE_FLASH:208,ERASE_REGION:209,READ_FLASH:210,RUN_USER_CODE:211},i=239,l=new Uint8Array([7,7,18,32,...new Array(32).fill(85)]);function S(n){const t=[192];for(const e of n)e===192?t.push(219,220):e===219?t.push(219,221):t.push(e);return t.push(192),new Uint8Array(t)}class E{constructor(){this.packet=null,this.escaped=!1}push(t){const e=[];for(const s of t){if(this.packet===null){s===192&&(this.packet=[]);continue}this.escaped?(this.escaped=!1,this.packet.push(s===220?192:s===221?219:s)):s===219?this.escaped=!0:s===192?this.packet.length>0&&(e.push(new Uint8Array(this.packet)),this.packet=null):this.packet.push(s)}return e}}function o(n,t=i){let e=t;for(const s of n)e^=s;return e}class c{constructor(){this.stream=null,this.controller=null,this.pending=[],this.done=!1}get readable(){if(this.done)return null;if(!this.stream){const t=new ReadableStream({start:e=>{this.controller=e;for(const s of this.pending.splice(0))e.enqueue(s)},cancel:()=>{this.stream===t&&(this.stream=null,this.controller=null)}});this.stream=t}return this.stream}push(t){this.done||(this.controller?this.controller.enqueue(t):this.pending.push(t))}close(){this.finish(t=>t.close())}error(t){this.finish(e=>e.error(t))}finish(t){const e=this.controller;this.done=!0,this.stream=null,this.controller=null,this.pending=[];try{e&&t(e)}catch{}}}export{i as CHECKSUM_MAGIC,r as ESP_COMMANDS,l as SYNC_PAYLOAD,c as SerialReadable,E as SlipDecoder,o as checksum,S as slipEncode};
+//# sourceMappingURL=transport.js.map
@@ -0,0 +1,2 @@
+import{chipIdFromName as f}from"./esp-image.js";function n(a){const r=new Error(a);return r.isImageError=!0,r}async function h(a){const r=new URL(a,globalThis.location?.href).href,t=await fetch(r);if(!t.ok)throw new Error(`Failed to download manifest: ${t.status} ${t.statusText}`);let i;try{i=await t.json()}catch(e){throw n(`Manifest ${r} is not valid JSON: ${e.message}`)}if(!Array.isArray(i?.builds)||i.builds.length===0)throw n(`Manifest ${r} has no builds`);return i.builds.forEach((e,s)=>{if(typeof e.chipFamily!="string"||!Array.isArray(e.parts)||e.parts.length===0)throw n(`Manifest build ${s} needs a chipFamily and at least one part`);e.parts.forEach((o,l)=>{if(typeof o.path!="string"||typeof o.offset!="number")throw n(`Manifest build ${s} (${e.chipFamily}) part ${l} needs a path and a numeric offset`)})}),{...i,url:r}}function u(a,r){const t=f(r),i=t===void 0?void 0:a.builds.find(e=>f(e.chipFamily)===t);if(!i){const e=a.builds.map(s=>s.chipFamily).join(", ");throw n(`${a.name||"This firmware"} has no build for ${r} (available: ${e})`)}return i}function c(a,r){return r.parts.map(t=>({name:t.path.split("/").pop().replace(/\.bin$/i,""),url:new URL(t.path,a.url).href,offset:t.offset}))}export{c as buildImages,h as loadManifest,u as selectBuild};
+//# sourceMappingURL=web-tools-manifest.js.map
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+import { xtsEncrypt, xtsDecrypt } from '../src/aes-xts.js';
+import { NVSGenerator } from '../src/nvs-generator.js';
+
+const hex = text => Uint8Array.from(Buffer.from(text, 'hex'));
+
+// IEEE 1619-2007 Annex B test vectors
+const VECTORS = [
+    {
+        name: 'vector 1 (AES-128, zero keys)',
+        key: '00'.repeat(32),
+        tweak: '00'.repeat(16),
+        plaintext: '00'.repeat(32),
+        ciphertext: '917cf69ebd68b2ec9b9fe9a3eadda692cd43d2f59598ed858c02c2652fbf922e'
+    },
+    {
+        name: 'vector 2 (AES-128)',
+        key: '11'.repeat(16) + '22'.repeat(16),
+        tweak: '3333333333' + '00'.repeat(11),
+        plaintext: '44'.repeat(32),
+        ciphertext: 'c454185e6a16936e39334038acef838bfb186fff7480adc4289382ecd6d394f0'
+    },
+    {
+        name: 'vector 10 (AES-256, 512-byte unit)',
+        key: '2718281828459045235360287471352662497757247093699959574966967627' +
+             '3141592653589793238462643383279502884197169399375105820974944592',
+        tweak: 'ff' + '00'.repeat(15),
+        plaintext: Buffer.from(Array.from({ length: 512 }, (_, i) => i & 0xFF)).toString('hex'),
+        ciphertext: '1c3b3a102f770386e4836c99e370cf9bea00803f5e482357a4ae12d414a3e63b' +
+                    '5d31e276f8fe4a8d66b317f9ac683f44680a86ac35adfc3345befecb4bb188fd' +
+                    '5776926c49a3095eb108fd1098baec70aaa66999a72a82f27d848b21d4a741b0' +
+                    'c5cd4d5fff9dac89aeba122961d03a757123e9870f8acf1000020887891429ca' +
+                    '2a3e7a7d7df7b10355165c8b9a6d0a7de8b062c4500dc4cd120c0f7418dae3d0' +
+                    'b5781c34803fa75421c790dfe1de1834f280d7667b327f6c8cd7557e12ac3a0f' +
+                    '93ec05c52e0493ef31a12d3d9260f79a289d6a379bc70c50841473d1a8cc81ec' +
+                    '583e9645e07b8d9670655ba5bbcfecc6dc3966380ad8fecb17b6ba02469a020a' +
+                    '84e18e8f84252070c13e9f1f289be54fbc481457778f616015e1327a02b140f1' +
+                    '505eb309326d68378f8374595c849d84f4c333ec4423885143cb47bd71c5edae' +
+                    '9be69a2ffeceb1bec9de244fbe15992b11b77c040f12bd8f6a975a44a0f90c29' +
+                    'a9abc3d4d893927284c58754cce294529f8614dcd2aba991925fedc4ae74ffac' +
+                    '6e333b93eb4aff0479da9a410e4450e0dd7ae4c6e2910900575da401fc07059f' +
+                    '645e8b7e9bfdef33943054ff84011493c27b3429eaedb4ed5376441a77ed4385' +
+                    '1ad77f16f541dfd269d50d6a5f14fb0aab1cbb4c1550be97f7ab4066193c4caa' +
+                    '773dad38014bd2092fa755c824bb5e54c4f36ffda9fcea70b9c6e693e148c151'
+    }
+];
+
+/**
+ * Encrypt one 32-byte entry the way nvs_partition_gen.py does: AES-256-XTS
+ * (via OpenSSL here) with the entry's offset in the partition as the tweak,
+ * little-endian, zero-padded to 16 bytes
+ */
+function referenceEncryptEntry(key, offset, entry) {
+    const tweak = Buffer.alloc(16);
+    tweak.writeUInt32LE(offset);
+    const cipher = crypto.createCipheriv('aes-256-xts', key, tweak);
+    return new Uint8Array(Buffer.concat([cipher.update(entry), cipher.final()]));
+}
+
+describe('AES-XTS', () => {
+    for (const vector of VECTORS) {
+        it(`matches IEEE 1619 ${vector.name}`, () => {
+            const key = hex(vector.key);
+            const tweak = hex(vector.tweak);
+            assert.equal(Buffer.from(xtsEncrypt(key, tweak, hex(vector.plaintext))).toString('hex'), vector.ciphertext);
+            assert.equal(Buffer.from(xtsDecrypt(key, tweak, hex(vector.ciphertext))).toString('hex'), vector.plaintext);
+        });
+    }
+
+    it('encrypts NVS entries as nvs_partition_gen.py does', () => {
+        const generator = new NVSGenerator();
+        const key = Uint8Array.from({ length: 64 }, (_, i) => (i * 7 + 1) & 0xFF);
+        const config = { config: { ssid: 'Lab', port: 1883, cert: new Uint8Array(6000).fill(0xA5) } };
+        const plain = generator.generate(config, 0x4000);
+        const encrypted = generator.generate(config, 0x4000, { encryptionKey: key });
+        let entries = 0;
+
+        for (let pageOffset = 0; pageOffset < plain.length; pageOffset += generator.PAGE_SIZE) {
+            // Page headers and entry state bitmaps stay in plaintext
+            const header = pageOffset + generator.FIRST_ENTRY_OFFSET;
+            assert.deepEqual(encrypted.subarray(pageOffset, header), plain.subarray(pageOffset, header));
+
+            for (let index = 0; index < generator.ENTRIES_PER_PAGE; index++) {
+                const offset = header + index * generator.ENTRY_SIZE;
+                const entry = plain.subarray(offset, offset + generator.ENTRY_SIZE);
+                const written = generator.getEntryState(plain, pageOffset / generator.PAGE_SIZE, index) !== generator.ENTRY_STATE_EMPTY;
+                const expected = written ? referenceEncryptEntry(key, offset, entry) : entry;
+                entries += written;
+                assert.deepEqual(encrypted.subarray(offset, offset + generator.ENTRY_SIZE), expected, `entry at 0x${offset.toString(16)}`);
+            }
+        }
+        // Entries on more than one page, so the tweak covers the page offset too
+        assert.ok(entries > generator.ENTRIES_PER_PAGE);
+
+        assert.deepEqual(generator.decryptPartition(encrypted, key), plain);
+        assert.deepEqual(generator.parse(encrypted, { encryptionKey: key }), generator.parse(plain));
+    });
+});
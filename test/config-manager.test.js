@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ConfigManager, fieldNVSValue, fieldConfigValue } from '../src/config-manager.js';
+import { FirmwareFlasher } from '../src/firmware-flasher.js';
+import { NVSValue } from '../src/nvs-generator.js';
+import { installLocalStorage, createUI } from './helpers/environment.js';
+
+describe('config field values', () => {
+    it('stores checkboxes and toggles as u8 or bool', () => {
+        const checkbox = { id: 'led', type: 'checkbox', nvsKey: 'led' };
+        assert.deepEqual(fieldNVSValue(checkbox, true), new NVSValue('u8', 1));
+        assert.deepEqual(fieldNVSValue(checkbox, 'false'), new NVSValue('u8', 0));
+        assert.equal(fieldConfigValue(checkbox, 1), true);
+        assert.equal(fieldConfigValue(checkbox, 0), false);
+
+        const toggle = { id: 'ota', type: 'toggle', nvsKey: 'ota', nvsType: 'bool' };
+        assert.equal(fieldConfigValue(toggle, fieldNVSValue(toggle, true).value), true);
+    });
+
+    it('keeps select option values and rejects others', () => {
+        const select = { id: 'rate', type: 'select', options: [1, 5, { value: 10, label: 'Fast' }], nvsKey: 'rate', nvsType: 'u8' };
+        assert.deepEqual(fieldNVSValue(select, '10'), new NVSValue('u8', 10));
+        assert.equal(fieldConfigValue(select, 10), 10);
+        assert.throws(() => fieldNVSValue(select, 7), { isNVSValueError: true, message: /not one of the options \(1, 5, 10\)/ });
+    });
+
+    it('round-trips hex and file fields as blobs', () => {
+        const hex = { id: 'psk', type: 'hex', nvsKey: 'psk' };
+        const bytes = fieldNVSValue(hex, '0xDE:AD be ef');
+        assert.deepEqual(bytes, new NVSValue('blob', new Uint8Array([0xde, 0xad, 0xbe, 0xef])));
+        assert.equal(fieldConfigValue(hex, bytes.value), 'deadbeef');
+        assert.throws(() => fieldNVSValue(hex, 'abc'), { isNVSValueError: true, nvsKey: 'psk' });
+
+        const file = { id: 'cert', type: 'file', nvsKey: 'ca_cert' };
+        const blob = fieldNVSValue(file, { name: 'ca.pem', data: btoa('PEM') });
+        assert.deepEqual(blob.value, new TextEncoder().encode('PEM'));
+        assert.deepEqual(fieldConfigValue(file, blob.value), { name: 'ca_cert.bin', data: btoa('PEM') });
+    });
+
+    it('leaves untyped fields alone', () => {
+        assert.equal(fieldNVSValue({ id: 'ssid', type: 'text', nvsKey: 'ssid' }, 'Lab'), 'Lab');
+        assert.equal(fieldConfigValue({ id: 'serial', nvsKey: 'serial', nvsType: 'u64' }, 18446744073709551615n), '18446744073709551615');
+    });
+});
+
+describe('ConfigManager', () => {
+    const project = {
+        nvsPartition: { offset: '0x9000', size: '0x6000', namespace: 'config' },
+        configSections: [{
+            id: 'device',
+            fields: [
+                { id: 'name', type: 'text', nvsKey: 'name' },
+                { id: 'led', type: 'checkbox', nvsKey: 'led' },
+                { id: 'ota', type: 'toggle', default: true, nvsKey: 'ota', nvsType: 'bool' },
+                { id: 'level', type: 'range', min: 10, max: 90, nvsKey: 'level', nvsType: 'u8' },
+                { id: 'rate', type: 'select', options: [1, 5, 10], default: '5', nvsKey: 'rate', nvsType: 'u8' },
+                { id: 'motd', type: 'textarea', default: 'Hello', nvsKey: 'motd' },
+                { id: 'cert', type: 'file', nvsKey: 'cert' }
+            ]
+        }]
+    };
+
+    it('fills in the values untouched controls start at, so they are written to NVS', () => {
+        installLocalStorage();
+        const manager = new ConfigManager();
+        manager.config = { device: { name: 'lab', level: 40 } };
+        manager.applyDefaults(project);
+
+        assert.deepEqual(manager.getConfig(), { device: { name: 'lab', led: false, ota: true, level: 40, rate: 5, motd: 'Hello' } });
+        assert.deepEqual(new FirmwareFlasher(createUI(), manager).buildNVSData(project), {
+            config: {
+                name: 'lab',
+                led: new NVSValue('u8', 0),
+                ota: new NVSValue('bool', true),
+                level: new NVSValue('u8', 40),
+                rate: new NVSValue('u8', 5),
+                motd: 'Hello'
+            }
+        });
+    });
+
+    it('keeps file fields out of localStorage', () => {
+        const storage = installLocalStorage();
+        const manager = new ConfigManager();
+        const cert = { name: 'client.key', data: btoa('KEY') };
+        manager.config = { device: { name: 'lab', cert } };
+        manager.saveConfig();
+
+        assert.deepEqual(JSON.parse(storage.getItem('active-wing-config')), { device: { name: 'lab' } });
+        assert.deepEqual(manager.getConfig().device.cert, cert);
+
+        // Saved by an older version
+        storage.setItem('active-wing-config', JSON.stringify({ device: { name: 'lab', cert } }));
+        assert.deepEqual(new ConfigManager().getConfig(), { device: { name: 'lab' } });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateField, validateConfig, configValidationError } from '../src/config-validation.js';
+
+const PROJECT = {
+    configSections: [
+        {
+            id: 'wifi',
+            fields: [
+                { id: 'ssid', label: 'SSID', required: true, maxLength: 32, nvsKey: 'wifi_ssid' },
+                { id: 'password', label: 'Password', type: 'password', minLength: 8, maxLength: 63, nvsKey: 'wifi_pass' }
+            ]
+        },
+        {
+            id: 'mqtt',
+            fields: [
+                { id: 'enabled', label: 'Use MQTT', type: 'toggle', nvsKey: 'mqtt_on' },
+                { id: 'broker', label: 'Broker', format: 'mqtt-url', nvsKey: 'mqtt_broker' },
+                { id: 'port', label: 'Port', type: 'number', default: 1883, required: true, format: 'port', nvsKey: 'mqtt_port', nvsType: 'u16' }
+            ]
+        }
+    ],
+    configRules: [{ if: 'mqtt.enabled', require: ['mqtt.broker'] }]
+};
+
+describe('config validation', () => {
+    it('checks lengths, patterns and ranges', () => {
+        assert.equal(validateField({ maxLength: 63 }, 'x'.repeat(70)), 'must be at most 63 characters');
+        assert.equal(validateField({ minLength: 8 }, 'short'), 'must be at least 8 characters');
+        assert.equal(validateField({ maxLength: 2 }, 'ñé'), null);
+
+        const code = { pattern: '[A-Z]{2}\\d{3}', patternMessage: 'must look like AB123' };
+        assert.equal(validateField(code, 'AB123'), null);
+        assert.equal(validateField(code, 'xAB123'), 'must look like AB123');
+
+        assert.equal(validateField({ min: 1, max: 50 }, '51'), 'must be at most 50');
+        assert.equal(validateField({ min: 1, max: 50 }, 'ten'), 'must be a number');
+        assert.equal(validateField({ nvsKey: 'level', nvsType: 'u8' }, 300), '300 is out of range for u8 (0 to 255)');
+    });
+
+    it('checks formats', () => {
+        const check = (format, value) => validateField({ format }, value) === null;
+        assert.equal(check('ipv4', '192.168.1.100'), true);
+        assert.equal(check('ipv4', '192.168.1.256'), false);
+        assert.equal(check('hostname', 'broker.local'), true);
+        assert.equal(check('hostname', 'bad_host'), false);
+        assert.equal(check('url', 'https://example.com/ota'), true);
+        assert.equal(check('url', 'ftp://example.com'), false);
+        assert.equal(check('mqtt-url', 'mqtts://broker.local:8883'), true);
+        assert.equal(check('mqtt-url', '192.168.1.100:1883'), false);
+        assert.equal(check('port', '65535'), true);
+        assert.equal(check('port', '0'), false);
+    });
+
+    it('reports each invalid field once, in form order', () => {
+        const errors = validateConfig(PROJECT, { wifi: { ssid: '  ', password: 'x'.repeat(70) }, mqtt: { enabled: true } });
+        assert.deepEqual(errors, [
+            { section: 'wifi', field: 'ssid', label: 'SSID', message: 'is required' },
+            { section: 'wifi', field: 'password', label: 'Password', message: 'must be at most 63 characters' },
+            { section: 'mqtt', field: 'broker', label: 'Broker', message: 'is required when Use MQTT is set' }
+        ]);
+        assert.match(configValidationError(errors).message, /^Invalid configuration: wifi\.ssid is required; /);
+
+        // The port's default counts as filled in, and an unchecked toggle applies no rule
+        assert.deepEqual(validateConfig(PROJECT, { wifi: { ssid: 'Lab' }, mqtt: { enabled: false } }), []);
+    });
+
+    it('applies equals rules and custom messages', () => {
+        const project = {
+            ...PROJECT,
+            configRules: [{ if: 'mqtt.port', equals: 8883, require: ['wifi.password'], message: 'is needed for TLS' }]
+        };
+        assert.deepEqual(validateConfig(project, { wifi: { ssid: 'Lab' }, mqtt: { port: '8883' } }).map(error => error.message), ['is needed for TLS']);
+        assert.deepEqual(validateConfig(project, { wifi: { ssid: 'Lab' }, mqtt: { port: '1883' } }), []);
+    });
+
+    it('requires nothing when the device keeps values left out', () => {
+        assert.deepEqual(validateConfig(PROJECT, { mqtt: { enabled: true } }, { partial: true }), []);
+        assert.deepEqual(validateConfig(PROJECT, { wifi: { password: 'short' } }, { partial: true }).map(error => error.field), ['password']);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+import { DeviceConnection } from '../src/device-connection.js';
+import { md5Hex } from '../src/md5.js';
+import { createUI, serveFiles } from './helpers/environment.js';
+
+/**
+ * A connection whose stub garbles reads above maxGoodRate. openLoader
+ * re-syncs at the ROM rate, as the real one does after a reset.
+ */
+function connectionWith({ maxGoodRate = Infinity } = {}) {
+    const connection = new DeviceConnection(createUI());
+    const flash = Uint8Array.from({ length: 0x4000 }, (_, i) => (i * 31) & 0xFF);
+    const attempts = [];
+    let resyncs = 0;
+
+    const stub = {
+        baudrate: 115200,
+        changeBaud: async () => {
+            attempts.push(stub.baudrate);
+        },
+        readFlash: async (offset, size) => {
+            const data = flash.slice(offset, offset + size);
+            if (stub.baudrate > maxGoodRate) data[100] ^= 0x01;
+            return data;
+        },
+        flashMd5sum: async (offset, size) => md5Hex(flash.subarray(offset, offset + size))
+    };
+
+    connection.espStub = stub;
+    connection.transport = { disconnect: async () => {} };
+    connection.openLoader = async () => {
+        resyncs++;
+        stub.baudrate = 115200;
+        return 'ESP32-C3';
+    };
+    return { connection, attempts, resyncs: () => resyncs };
+}
+
+describe('DeviceConnection baud rate negotiation', () => {
+    it('uses the requested rate when its readback matches', async () => {
+        const { connection, attempts, resyncs } = connectionWith();
+        assert.equal(await connection.negotiateBaudrate(null, 'auto'), 921600);
+        assert.equal(await connection.negotiateBaudrate(null, '2000000'), 2000000);
+        assert.deepEqual(attempts, [921600, 2000000]);
+        assert.equal(resyncs(), 0);
+    });
+
+    it('steps down past rates that garble data, re-syncing after each', async () => {
+        const { connection, attempts, resyncs } = connectionWith({ maxGoodRate: 460800 });
+        assert.equal(await connection.negotiateBaudrate(null, 2000000), 460800);
+        assert.deepEqual(attempts, [2000000, 921600, 460800]);
+        assert.equal(resyncs(), 2);
+        assert.ok(connection.ui.logs.some(({ message, type }) => type === 'warning' && /^921600 baud failed \(Readback does not match flash\)/.test(message)));
+    });
+
+    it('falls back to the ROM rate and rejects invalid rates', async () => {
+        const { connection } = connectionWith({ maxGoodRate: 115200 });
+        assert.equal(await connection.negotiateBaudrate(null, 230400), 115200);
+        assert.equal(await connection.negotiateBaudrate(null, 115200), 115200);
+        await assert.rejects(connection.negotiateBaudrate(null, 'fast'), /Invalid baud rate: fast/);
+    });
+});
+
+describe('DeviceConnection esptool-js loading', () => {
+    const loadError = pattern => error => error.isESPToolLoadError && pattern.test(error.message);
+
+    it('imports the esptool-js bundle the build vendors into the template', async () => {
+        const url = new URL('../templates/flasher/js/vendor/esptool-js.js', import.meta.url).href;
+        const { Transport, ESPLoader } = await new DeviceConnection(createUI(), { esptool: url }).loadESPTool();
+        assert.equal(typeof Transport, 'function');
+        assert.equal(typeof ESPLoader, 'function');
+    });
+
+    it('takes a loader function and checks what it returns', async () => {
+        const module = { Transport: class {}, ESPLoader: class {} };
+        assert.equal(await new DeviceConnection(createUI(), { esptool: async () => module }).loadESPTool(), module);
+
+        await assert.rejects(new DeviceConnection(createUI(), { esptool: async () => ({ Transport: class {} }) }).loadESPTool(),
+            loadError(/^esptool-js from custom loader does not export Transport and ESPLoader$/));
+        await assert.rejects(new DeviceConnection(createUI(), { esptool: async () => { throw new Error('offline'); } }).loadESPTool(),
+            loadError(/^Could not load esptool-js from custom loader: offline$/));
+    });
+
+    it('refuses a CDN copy that fails its integrity check', async () => {
+        const url = 'https://cdn.test/esptool-js.js';
+        const code = new TextEncoder().encode('export const Transport = 1;');
+        const restoreFetch = serveFiles({ [url]: code });
+        const load = integrity => new DeviceConnection(createUI(), { esptool: { url, integrity } }).loadESPTool();
+
+        try {
+            const wrong = crypto.createHash('sha384').update('something else').digest('base64');
+            await assert.rejects(load(`sha384-${wrong}`), loadError(/integrity check failed \(expected sha384-/));
+            await assert.rejects(load('md5-abc'), loadError(/Unsupported integrity algorithm "md5"/));
+            await assert.rejects(new DeviceConnection(createUI(), { esptool: { url: 'https://cdn.test/missing.js' } }).loadESPTool(),
+                loadError(/from https:\/\/cdn\.test\/missing\.js: 404 Not Found$/));
+        } finally {
+            restoreFetch();
+        }
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+import { parseImage, inspectFirmware, chipIdFromName, bootloaderOffset } from '../src/esp-image.js';
+import { PartitionTable } from '../src/partition-table.js';
+
+/**
+ * esp_app_desc_t (256 bytes) as written by the IDF build
+ */
+function appDescription({ version, projectName, time, date, idfVersion }) {
+    const desc = new Uint8Array(256);
+    const view = new DataView(desc.buffer);
+    const text = new TextEncoder();
+    view.setUint32(0, 0xABCD5432, true);
+    view.setUint32(4, 2, true); // secure_version
+    desc.set(text.encode(version), 16);
+    desc.set(text.encode(projectName), 48);
+    desc.set(text.encode(time), 80);
+    desc.set(text.encode(date), 96);
+    desc.set(text.encode(idfVersion), 112);
+    desc.fill(0xAB, 144, 176); // app_elf_sha256
+    return desc;
+}
+
+/**
+ * Lay out an image byte by byte: header, segments, padding, checksum, optional SHA-256
+ * @param {string} header - 24-byte esp_image_header_t as hex, segment count included
+ * @param {Array<{address: number, data: Uint8Array}>} segments
+ */
+function image(header, segments, { hash = false } = {}) {
+    const parts = [Buffer.from(header, 'hex')];
+    let checksum = 0xEF;
+    for (const { address, data } of segments) {
+        const segmentHeader = Buffer.alloc(8);
+        segmentHeader.writeUInt32LE(address, 0);
+        segmentHeader.writeUInt32LE(data.length, 4);
+        parts.push(segmentHeader, Buffer.from(data));
+        checksum = data.reduce((sum, byte) => sum ^ byte, checksum);
+    }
+
+    const body = Buffer.concat(parts);
+    const padded = Buffer.alloc((body.length | 0xF) + 1);
+    body.copy(padded);
+    padded[padded.length - 1] = checksum;
+
+    const hashBytes = hash ? crypto.createHash('sha256').update(padded).digest() : Buffer.alloc(0);
+    return new Uint8Array(Buffer.concat([padded, hashBytes]));
+}
+
+// ESP32-S3, 2 segments, QIO, 8MB/80m, entry 0x40375a88, chip ID 9, min rev v0.3, max rev v99.99, SHA-256 appended
+const S3_HEADER = 'e9' + '02' + '00' + '3f' + '885a3740' + 'ee000000' + '0900' + '00' + '0300' + '0f27' + '00000000' + '01';
+
+const S3_SEGMENTS = [
+    {
+        address: 0x3C020020,
+        data: appDescription({ version: 'v2.1.0-3-gabc', projectName: 'weather', time: '10:30:00', date: 'Mar  4 2025', idfVersion: 'v5.2.1' })
+    },
+    { address: 0x40380000, data: Uint8Array.from({ length: 0x123 }, (_, i) => (i * 7) & 0xFF) }
+];
+
+describe('ESP image inspection', () => {
+    it('parses the image header, segments, checksum and appended SHA-256', async () => {
+        const bytes = image(S3_HEADER, S3_SEGMENTS, { hash: true });
+        const { segments, sha256, appDescription: desc, ...header } = await parseImage(bytes);
+        const checksum = bytes[0x24F];
+
+        assert.deepEqual(header, {
+            chipId: 9,
+            chipName: 'ESP32-S3',
+            flashMode: 'QIO',
+            flashSize: '8MB',
+            flashFrequency: '80m',
+            entryPoint: 0x40375A88,
+            minChipRevision: 'v0.3',
+            maxChipRevision: 'v99.99',
+            size: 0x250 + 32,
+            checksum: { stored: checksum, calculated: checksum, valid: true }
+        });
+        assert.notEqual(desc, null);
+        assert.deepEqual(segments, [
+            { loadAddress: 0x3C020020, offset: 32, length: 256 },
+            { loadAddress: 0x40380000, offset: 296, length: 0x123 }
+        ]);
+        assert.deepEqual(sha256, {
+            stored: Buffer.from(bytes.subarray(0x250)).toString('hex'),
+            calculated: Buffer.from(bytes.subarray(0x250)).toString('hex'),
+            valid: true
+        });
+    });
+
+    it('reads esp_app_desc_t from the first segment', async () => {
+        const { appDescription: desc } = await parseImage(image(S3_HEADER, S3_SEGMENTS, { hash: true }));
+        assert.deepEqual(desc, {
+            secureVersion: 2,
+            version: 'v2.1.0-3-gabc',
+            projectName: 'weather',
+            time: '10:30:00',
+            date: 'Mar  4 2025',
+            idfVersion: 'v5.2.1',
+            elfSHA256: 'ab'.repeat(32)
+        });
+    });
+
+    it('flags a bad checksum or hash and rejects malformed images', async () => {
+        const bytes = image(S3_HEADER, S3_SEGMENTS, { hash: true });
+        bytes[300] ^= 1;
+        const damaged = await parseImage(bytes);
+        assert.equal(damaged.checksum.valid, false);
+        assert.equal(damaged.sha256.valid, false);
+
+        const rejects = (data, pattern) => assert.rejects(parseImage(data), error => error.isImageError && pattern.test(error.message));
+        await rejects(new Uint8Array(0x100), /expected magic 0xE9, found 0x0/);
+        await rejects(image('e900' + '00'.repeat(22), []), /0 segments/);
+        await rejects(image(S3_HEADER, S3_SEGMENTS).subarray(0, 200), /segment 0 \(256 bytes\) is truncated/);
+        await rejects(image(S3_HEADER, S3_SEGMENTS).subarray(0, 0x250), /appended SHA-256 is past the end/);
+    });
+
+    it('decodes flash frequencies per chip', async () => {
+        // ESP32-C2 (chip ID 12) runs its SPI clock from a 60 MHz source
+        const c2 = await parseImage(image('e901022f' + '00'.repeat(8) + '0c00' + '00'.repeat(9), [{ address: 0x3C000000, data: new Uint8Array(16) }]));
+        assert.deepEqual([c2.chipName, c2.flashMode, c2.flashSize, c2.flashFrequency], ['ESP32-C2', 'DIO', '4MB', '60m']);
+        assert.equal(c2.appDescription, null);
+        assert.equal(c2.sha256, null);
+    });
+
+    it('finds the bootloader and app in a merged flash image', async () => {
+        const esp32Header = 'e9' + '01' + '02' + '20' + '00000000' + 'ee000000' + '0000' + '00' + '0000' + '0000' + '00000000' + '00';
+        const bootloader = image(esp32Header, [{ address: 0x3FFF0030, data: new Uint8Array(64).fill(1) }]);
+        const app = image(esp32Header, [S3_SEGMENTS[0]]);
+        const table = PartitionTable.fromCSV('nvs, data, nvs, 0x9000, 0x6000\nfactory, app, factory, 0x10000, 1M\n');
+
+        const merged = new Uint8Array(0x10000 + app.length).fill(0xFF);
+        merged.set(bootloader, 0x1000);
+        merged.set(table.toBinary(), 0x8000);
+        merged.set(app, 0x10000);
+
+        const result = await inspectFirmware(merged);
+        assert.equal(result.kind, 'merged');
+        assert.equal(result.appOffset, 0x10000);
+        assert.equal(result.bootloader.chipName, 'ESP32');
+        assert.equal(result.app.appDescription.projectName, 'weather');
+        assert.deepEqual(result.partitionTable.partitions.map(p => p.name), ['nvs', 'factory']);
+
+        assert.equal((await inspectFirmware(app)).kind, 'app');
+        assert.equal((await inspectFirmware(bootloader)).kind, 'bootloader');
+    });
+
+    it('maps chip names to image chip IDs and bootloader offsets', () => {
+        assert.equal(chipIdFromName('esp32c3'), 0x05);
+        assert.equal(chipIdFromName('ESP32-C3 (revision 0)'), 0x05);
+        assert.equal(chipIdFromName('esp32c61'), 0x14);
+        assert.equal(chipIdFromName('ESP32-D0WDQ6 (revision 1)'), 0x00);
+        assert.equal(chipIdFromName('esp8266'), undefined);
+
+        assert.equal(bootloaderOffset('esp32'), 0x1000);
+        assert.equal(bootloaderOffset('ESP32-S2'), 0x1000);
+        assert.equal(bootloaderOffset('esp32s3'), 0x0);
+        assert.equal(bootloaderOffset('esp32p4'), 0x2000);
+        assert.throws(() => bootloaderOffset('rp2040'), /Unknown chip "rp2040"/);
+    });
+});
@@ -0,0 +1,440 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FirmwareFlasher } from '../src/firmware-flasher.js';
+import { NVSGenerator, NVSValue } from '../src/nvs-generator.js';
+import { PartitionTable, parseEraseRegions } from '../src/partition-table.js';
+import { md5Hex } from '../src/md5.js';
+import { createUI, serveFiles, buildImage, buildProject, buildPartitionTable } from './helpers/environment.js';
+
+const project = {
+    name: 'Test Project',
+    firmwareUrl: 'https://firmware.test/firmware.bin',
+    configSections: [{
+        id: 'network',
+        fields: [
+            { id: 'port', nvsKey: 'tcp_port', nvsType: 'u16' },
+            { id: 'host', nvsKey: 'host' },
+            { id: 'note' }
+        ]
+    }],
+    nvsPartition: { offset: '0x9000', size: '0x6000', namespace: 'config' }
+};
+
+function flasherWith(config) {
+    return new FirmwareFlasher(createUI(), { getConfig: () => config });
+}
+
+/**
+ * Just enough of an esptool-js loader to identify the chip, read and write its
+ * flash and report MD5s. `corruptWrites` damages that many upcoming writes.
+ */
+function fakeLoader(chip = 'ESP32-C3') {
+    const flash = new Uint8Array(0x400000).fill(0xFF);
+    const loader = {
+        chip: { CHIP_NAME: chip },
+        flash,
+        corruptWrites: 0,
+        readFlash: async (offset, size) => flash.slice(offset, offset + size),
+        writeFlash: async ({ fileArray, reportProgress }) => {
+            fileArray.forEach(({ data, address }, index) => {
+                // Like esptool-js, pad to a 4-byte boundary with 0xFF
+                const bytes = new Uint8Array(Math.ceil(data.length / 4) * 4).fill(0xFF);
+                bytes.set(bytesOf(data));
+                if (loader.corruptWrites > 0) {
+                    loader.corruptWrites--;
+                    bytes[0] ^= 0xFF;
+                }
+                flash.set(bytes, address);
+                reportProgress?.(index, data.length, data.length);
+            });
+        },
+        flashMd5sum: async (address, size) => md5Hex(flash.subarray(address, address + size)),
+        eraseFlash: async () => flash.fill(0xFF)
+    };
+    return loader;
+}
+
+function tableWithNVS(offset, size) {
+    return PartitionTable.fromCSV(`
+        nvs,     data, nvs,     ${offset}, ${size},
+        factory, app,  factory, 0x10000,   0x100000,
+    `).toBinary();
+}
+
+function bytesOf(binary) {
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+describe('FirmwareFlasher config', () => {
+    it('coerces config values into their nvsType and skips fields without an nvsKey', () => {
+        assert.deepEqual(flasherWith({ network: { port: '9000', host: 'lab', note: 'x' } }).buildNVSData(project), {
+            config: { tcp_port: new NVSValue('u16', 9000), host: 'lab' }
+        });
+    });
+
+    it('adds the generated NVS partition at its offset', async () => {
+        const fileArray = [];
+        await flasherWith({ network: { port: '0x1f90', host: 'lab' } }).generateAndAddNVS(project, fileArray);
+
+        assert.equal(fileArray.length, 1);
+        assert.equal(fileArray[0].address, 0x9000);
+        assert.deepEqual(new NVSGenerator().parse(bytesOf(fileArray[0].data)).config, { tcp_port: 8080, host: 'lab' });
+    });
+
+    it('stops on config it cannot write instead of flashing without it', async () => {
+        const fileArray = [];
+        await assert.rejects(flasherWith({ network: { port: '70000' } }).generateAndAddNVS(project, fileArray), /70000 is out of range for u16/);
+        await assert.rejects(flasherWith({ network: { host: 'x'.repeat(5000) } }).generateAndAddNVS(project, fileArray), /too large/);
+        assert.deepEqual(fileArray, []);
+    });
+});
+
+describe('FirmwareFlasher NVS location', () => {
+    it('takes the NVS partition from the table being flashed, else the device\'s', async () => {
+        const flasher = flasherWith({});
+        const merged = new Uint8Array(0x10000).fill(0xFF);
+        merged.set(tableWithNVS('0xa000', '0x4000'), 0x8000);
+        const device = fakeLoader();
+        device.flash.set(tableWithNVS('0xb000', '0x5000'), 0x8000);
+
+        const images = [{ name: 'firmware', data: merged, address: 0x0 }];
+        const tableImage = [{ name: 'partition-table', data: tableWithNVS('0xc000', '0x3000'), address: 0x8000 }];
+
+        assert.deepEqual(await flasher.resolveNVSPartition(project, { espStub: device, images }), { name: 'nvs', offset: 0xA000, size: 0x4000 });
+        assert.deepEqual(await flasher.resolveNVSPartition(project, { espStub: device, images: tableImage }), { name: 'nvs', offset: 0xC000, size: 0x3000 });
+        assert.deepEqual(await flasher.resolveNVSPartition(project, { espStub: device }), { name: 'nvs', offset: 0xB000, size: 0x5000 });
+    });
+
+    it('falls back to the project\'s location only when no table can be read', async () => {
+        const flasher = flasherWith({});
+        assert.deepEqual(await flasher.resolveNVSPartition(project, { espStub: fakeLoader() }), { name: 'nvs', offset: 0x9000, size: 0x6000 });
+
+        const device = fakeLoader();
+        device.flash.set(PartitionTable.fromCSV('factory, app, factory, 0x10000, 0x100000\n').toBinary(), 0x8000);
+        await assert.rejects(flasher.resolveNVSPartition(project, { espStub: device }), error => error.isPartitionError && /has no NVS partition/.test(error.message));
+    });
+});
+
+describe('FirmwareFlasher image checks', () => {
+    it('writes an app-only image to the device\'s app partition', async () => {
+        const ui = createUI();
+        const device = fakeLoader('ESP32-C3');
+        device.flash.set(PartitionTable.fromCSV('nvs, data, nvs, 0x9000, 0x6000\nfactory, app, factory, 0x20000, 0x100000\n').toBinary(), 0x8000);
+
+        const image = buildImage('ESP32-C3', { app: true, projectName: 'weather', version: 'v2.1.0' });
+        assert.equal(await new FirmwareFlasher(ui, null).checkFirmwareImage(image, device), 0x20000);
+        assert.ok(ui.logs.some(({ message }) => /Installing weather v2\.1\.0/.test(message)));
+    });
+
+    it('refuses bootloaders, corrupted images and images for another chip', async () => {
+        const flasher = flasherWith({});
+        const image = buildImage('ESP32-C3', { app: true });
+        const damaged = image.slice();
+        damaged[100] ^= 1;
+
+        await assert.rejects(flasher.checkFirmwareImage(image, fakeLoader('ESP32-S3')), error => error.isImageError && /built for ESP32-C3 but the connected chip is ESP32-S3/.test(error.message));
+        await assert.rejects(flasher.checkFirmwareImage(damaged, fakeLoader()), error => error.isImageError && /checksum mismatch/.test(error.message));
+        await assert.rejects(flasher.checkFirmwareImage(buildImage('ESP32-C3'), fakeLoader()), /bootloader image, not application firmware/);
+
+        // Blank flash has no partition table: the app goes to the default offset
+        assert.equal(await flasher.checkFirmwareImage(image, fakeLoader('ESP32-S3'), { skipChipCheck: true }), 0x10000);
+    });
+});
+
+describe('FirmwareFlasher images', () => {
+    let restoreFetch;
+
+    afterEach(() => restoreFetch?.());
+
+    it('flashes each image at its offset, with the bootloader where the chip boots from', async () => {
+        for (const [chip, bootloaderAt] of [['ESP32-C3', 0x0], ['ESP32', 0x1000]]) {
+            const { project, files } = buildProject(chip);
+            restoreFetch = serveFiles(files);
+            const device = fakeLoader(chip);
+
+            await flasherWith({}).flash(project, device);
+
+            const bootloader = files['https://firmware.test/bootloader.bin'];
+            const app = files['https://firmware.test/app.bin'];
+            assert.deepEqual(device.flash.slice(bootloaderAt, bootloaderAt + bootloader.length), bootloader, chip);
+            assert.deepEqual(device.flash.slice(0x8000, 0x8C00), buildPartitionTable(), chip);
+            assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app, chip);
+            restoreFetch();
+        }
+    });
+
+    it('places images by explicit offset or partition, and takes uploaded files over URLs', async () => {
+        const { project, files } = buildProject();
+        const storage = new Uint8Array(0x1000).fill(0x5A);
+        const phy = new Uint8Array(0x1000).fill(0xA5);
+        project.images.push(
+            { name: 'storage', url: 'https://firmware.test/storage.bin', offset: '0x310000' },
+            { name: 'phy', url: 'https://firmware.test/phy.bin', partition: 'phy_init' }
+        );
+        restoreFetch = serveFiles({ ...files, 'https://firmware.test/storage.bin': storage, 'https://firmware.test/phy.bin': new Uint8Array(0x800) });
+
+        const images = await flasherWith({}).prepareImages(project, fakeLoader(), {
+            customImages: { phy: new File([phy], 'phy.bin') }
+        });
+        assert.deepEqual(images.map(({ name, address }) => [name, address]), [
+            ['bootloader', 0x0], ['partition-table', 0x8000], ['app', 0x10000], ['storage', 0x310000], ['phy', 0xF000]
+        ]);
+        assert.deepEqual(images[4].data, phy);
+    });
+
+    it('flashes NVS data passed in, with the bootloader for the chip it is told', async () => {
+        const { project, files } = buildProject('ESP32');
+        restoreFetch = serveFiles(files);
+        const device = fakeLoader('ESP32-C3');
+
+        await flasherWith({}).flash(project, device, {
+            nvsData: { config: { ssid: 'lab' }, calibration: { offset: -3 } },
+            chipType: 'ESP32',
+            skipChipCheck: true
+        });
+
+        const bootloader = files['https://firmware.test/bootloader.bin'];
+        assert.deepEqual(device.flash.slice(0x1000, 0x1000 + bootloader.length), bootloader);
+        assert.deepEqual(new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)), { config: { ssid: 'lab' }, calibration: { offset: -3 } });
+    });
+
+    it('puts the app in the factory app partition, else the first app partition', async () => {
+        const flasher = flasherWith({});
+        const app = { name: 'app', spec: { name: 'app' }, data: new Uint8Array(16) };
+        const ota = PartitionTable.fromCSV('ota_0, app, ota_0, 0x20000, 1M\nota_1, app, ota_1, , 1M\n');
+
+        assert.equal(flasher.resolveImageOffset(app, 'ESP32-C3', PartitionTable.parse(buildPartitionTable())), 0x10000);
+        assert.equal(flasher.resolveImageOffset(app, 'ESP32-C3', ota), 0x20000);
+        assert.throws(() => flasher.resolveImageOffset(app, 'ESP32-C3', null), /"app" needs an offset or partition/);
+    });
+
+    it('flashes the manifest build for the connected chip', async () => {
+        const { files } = buildProject('ESP32-C3');
+        const manifest = {
+            name: 'Test Project',
+            version: '1.0.0',
+            builds: [
+                { chipFamily: 'ESP32', parts: [{ path: 'esp32.bin', offset: 0x10000 }] },
+                { chipFamily: 'ESP32-C3', parts: [{ path: 'bootloader.bin', offset: 0 }, { path: 'partition-table.bin', offset: 0x8000 }, { path: 'app.bin', offset: 0x10000 }] }
+            ]
+        };
+        restoreFetch = serveFiles({ ...files, 'https://firmware.test/manifest.json': new TextEncoder().encode(JSON.stringify(manifest)) });
+        const device = fakeLoader('ESP32-C3');
+
+        await flasherWith({}).flash({ name: 'Test Project', manifestUrl: 'https://firmware.test/manifest.json' }, device);
+
+        const app = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x8000, 0x8C00), buildPartitionTable());
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+    });
+
+    it('refuses images that miss their partition, overflow it or overlap', async () => {
+        const flasher = flasherWith({});
+        const { project, files } = buildProject();
+        restoreFetch = serveFiles({ ...files, 'https://firmware.test/extra.bin': new Uint8Array(0x2000) });
+        const withImage = (spec) => ({ ...project, images: [...project.images, { name: 'extra', url: 'https://firmware.test/extra.bin', ...spec }] });
+        const rejects = (spec, pattern) => assert.rejects(flasher.prepareImages(withImage(spec), fakeLoader()), error => error.isImageError && pattern.test(error.message));
+
+        await rejects({ partition: 'otadata' }, /targets partition "otadata", which is not in the partition table/);
+        await rejects({ partition: 'phy_init' }, /\(8192 bytes\) does not fit partition "phy_init" \(4096 bytes\)/);
+        await rejects({ offset: '0x8800' }, /"extra" at 0x8800 overlaps "partition-table"/);
+        await rejects({}, /needs an offset or partition/);
+    });
+});
+
+describe('FirmwareFlasher verification', () => {
+    let restoreFetch, project, files;
+
+    beforeEach(() => {
+        ({ project, files } = buildProject());
+        restoreFetch = serveFiles(files);
+    });
+
+    afterEach(() => restoreFetch());
+
+    it('re-flashes a region whose MD5 does not match after writing', async () => {
+        const ui = createUI();
+        const device = fakeLoader();
+        device.corruptWrites = 1;
+
+        await new FirmwareFlasher(ui, null).flash(project, device, { verify: true });
+
+        const bootloader = files['https://firmware.test/bootloader.bin'];
+        assert.deepEqual(device.flash.slice(0x0, bootloader.length), bootloader);
+        assert.ok(ui.logs.some(({ message }) => /^Verification failed for bootloader at 0x0/.test(message)));
+        assert.ok(ui.logs.some(({ message }) => /^Verified app: \d+ bytes at 0x10000/.test(message)));
+    });
+
+    it('gives up when a region keeps failing verification', async () => {
+        const ui = createUI();
+        const device = fakeLoader();
+        device.corruptWrites = Infinity;
+
+        await assert.rejects(
+            new FirmwareFlasher(ui, null).flash(project, device, { verify: true, verifyRetries: 1 }),
+            error => error.isVerifyError && error.message === 'Flash verification failed for bootloader after 1 re-flash attempt'
+        );
+        assert.equal(ui.statuses.at(-1).text, 'Verification failed');
+    });
+});
+
+describe('FirmwareFlasher erase', () => {
+    let restoreFetch, project, files;
+
+    beforeEach(() => {
+        ({ project, files } = buildProject());
+        restoreFetch = serveFiles(files);
+    });
+
+    afterEach(() => restoreFetch());
+
+    it('erases the whole chip only for firmware that boots from blank flash', async () => {
+        const flasher = flasherWith({});
+        const device = fakeLoader();
+        device.flash.fill(0x11, 0x200000, 0x201000);
+        const without = name => ({ ...project, images: project.images.filter(image => image.name !== name) });
+
+        await assert.rejects(flasher.flash(without('bootloader'), device, { erase: 'all' }),
+            error => error.isPartitionError && /has no bootloader at 0x0$/.test(error.message));
+        const [bootloader, , app] = project.images;
+        const noTable = { ...project, images: [bootloader, { ...app, offset: '0x10000' }] };
+        await assert.rejects(flasher.flash(noTable, device, { erase: 'all' }), /has no partition table at 0x8000$/);
+        await assert.rejects(flasher.flash(without('app'), device, { erase: 'all' }), /has no app in an app partition$/);
+        assert.equal(device.flash[0x200000], 0x11);
+
+        await flasher.flash(project, device, { erase: 'all' });
+        assert.ok(device.flash.subarray(0x200000, 0x201000).every(byte => byte === 0xFF));
+        const appImage = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + appImage.length), appImage);
+    });
+
+    it('erases partitions and sector-aligned ranges before writing', async () => {
+        const flasher = flasherWith({});
+        const device = fakeLoader();
+        device.flash.fill(0x11, 0xF000, 0x10000);
+        device.flash.fill(0x22, 0x310000, 0x312000);
+
+        await flasher.flash(project, device, { eraseRegions: parseEraseRegions('phy_init, 0x310000:0x1000') });
+        assert.ok(device.flash.subarray(0xF000, 0x10000).every(byte => byte === 0xFF));
+        assert.ok(device.flash.subarray(0x310000, 0x311000).every(byte => byte === 0xFF));
+        assert.equal(device.flash[0x311000], 0x22);
+
+        await assert.rejects(flasher.flash(project, device, { eraseRegions: ['otadata'] }), /Cannot erase partition "otadata" - not in the partition table/);
+        await assert.rejects(flasher.flash(project, device, { eraseRegions: [{ offset: 0x310800, size: 0x1000 }] }), /must be multiples of 0x1000/);
+    });
+
+    it('merges the config over the device\'s NVS values when asked to preserve them', async () => {
+        const flasher = flasherWith({});
+        const device = fakeLoader();
+        device.flash.set(new NVSGenerator().generate({ config: { ssid: 'workshop', interval: 30 } }, 0x6000), 0x9000);
+        const nvs = () => new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)).config;
+
+        await flasher.flash(project, device, { nvsData: { config: { ssid: 'office' } }, preserveNVS: true });
+        assert.deepEqual(nvs(), { ssid: 'office', interval: 30 });
+
+        await flasher.flash(project, device, { nvsData: { config: { ssid: 'lab' } } });
+        assert.deepEqual(nvs(), { ssid: 'lab' });
+    });
+});
+
+describe('FirmwareFlasher cancel and resume', () => {
+    let restoreFetch, project, files;
+
+    beforeEach(() => {
+        ({ project, files } = buildProject());
+        restoreFetch = serveFiles(files);
+    });
+
+    afterEach(() => restoreFetch());
+
+    /**
+     * Abort the flash once the loader has been asked for `count` writes
+     * @returns {{signal: AbortSignal, writes: Array<number>}} - Signal to flash with, addresses written so far
+     */
+    function abortAfterWrites(device, count) {
+        const controller = new AbortController();
+        const writeFlash = device.writeFlash;
+        const writes = [];
+        device.writeFlash = async (options) => {
+            writes.push(options.fileArray[0].address);
+            if (writes.length === count) controller.abort();
+            return writeFlash(options);
+        };
+        return { signal: controller.signal, writes };
+    }
+
+    it('cancels between writes and resumes with only the blocks left to write', async () => {
+        const ui = createUI();
+        const flasher = new FirmwareFlasher(ui, { getConfig: () => ({}) });
+        const device = fakeLoader();
+        const { signal } = abortAfterWrites(device, 1);
+
+        await assert.rejects(flasher.flash(project, device, { nvsData: { config: { ssid: 'lab' } }, signal }), { name: 'AbortError' });
+        assert.ok(flasher.hasPendingFlash(project, { nvsData: { config: { ssid: 'lab' } } }));
+        assert.equal(device.flash[0x10000], 0xFF);
+
+        const { writes } = abortAfterWrites(device, Infinity);
+        await flasher.flash(project, device, { nvsData: { config: { ssid: 'lab' } }, resume: true, verify: true });
+        assert.ok(!writes.includes(0x0));
+        assert.ok(writes.includes(0x10000));
+        assert.ok(ui.logs.some(({ message }) => /^bootloader: 1 of 1 block already written/.test(message)));
+        assert.ok(!flasher.hasPendingFlash(project));
+        assert.deepEqual(new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)).config, { ssid: 'lab' });
+    });
+
+    it('stops verifying as soon as it is cancelled', async () => {
+        const flasher = flasherWith({});
+        const device = fakeLoader();
+        const flashMd5sum = device.flashMd5sum;
+        let controller, reads, writes;
+        device.flashMd5sum = (...args) => {
+            reads++;
+            controller.abort();
+            return flashMd5sum(...args);
+        };
+        const writeFlash = device.writeFlash;
+        device.writeFlash = (...args) => {
+            writes++;
+            return writeFlash(...args);
+        };
+
+        // Between the regions of a flash
+        controller = new AbortController();
+        reads = writes = 0;
+        await assert.rejects(flasher.flash(project, device, { verify: true, signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(reads, 1);
+
+        // Before re-flashing a region that failed verification
+        controller = new AbortController();
+        device.corruptWrites = 1;
+        reads = writes = 0;
+        const fileArray = [{ name: 'bootloader', data: 'abcd', address: 0x0 }];
+        await flasher.writeRegions(device, fileArray);
+        await assert.rejects(flasher.verifyFlash(device, fileArray, 2, controller.signal), { name: 'AbortError' });
+        assert.deepEqual({ reads, writes }, { reads: 1, writes: 1 });
+    });
+
+    it('prepares an interrupted flash again once its config or options change', async () => {
+        const config = { config: { ssid: 'lab' } };
+        const ui = createUI();
+        const flasher = new FirmwareFlasher(ui, { getConfig: () => ({}) });
+        const device = fakeLoader();
+        const { signal } = abortAfterWrites(device, 1);
+
+        await assert.rejects(flasher.flash(project, device, { nvsData: config, signal }), { name: 'AbortError' });
+        assert.ok(flasher.hasPendingFlash(project, { nvsData: config }));
+
+        // A different erase mode, or an edited config, no longer matches what was prepared
+        assert.ok(!flasher.hasPendingFlash(project, { nvsData: config, erase: 'all' }));
+        const prepared = { config: { ...config.config } };
+        config.config.ssid = 'office';
+        assert.ok(!flasher.hasPendingFlash(project, { nvsData: config }));
+        assert.ok(flasher.hasPendingFlash(project, { nvsData: prepared }));
+        assert.ok(flasher.hasPendingFlash(project));
+
+        await flasher.flash(project, device, { nvsData: config, resume: true });
+        assert.ok(ui.logs.some(({ message }) => /^Config or options changed since the interrupted flash/.test(message)));
+        assert.deepEqual(new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)).config, { ssid: 'office' });
+    });
+});
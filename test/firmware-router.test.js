@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FirmwareRouter } from '../src/firmware-router.js';
+
+describe('FirmwareRouter', () => {
+    it('maps detected chip names to firmware directories', () => {
+        const router = new FirmwareRouter('https://example.com/firmware/');
+        assert.equal(router.basePath, 'https://example.com/firmware');
+        assert.equal(router.chipDirectory('ESP32-C3 (QFN32) (revision v0.4)'), 'esp32c3');
+        assert.equal(router.chipDirectory('ESP32-D0WD-V3 (revision v3.0)'), 'esp32');
+        assert.equal(router.chipDirectory('esp32s3'), 'esp32s3');
+        assert.equal(router.chipDirectory('ESP8266EX'), null);
+    });
+
+    it('maps write progress onto the flashing stage and forwards log lines', () => {
+        const logs = [];
+        const progress = [];
+        const ui = new FirmwareRouter('/firmware', { onLog: (message, type) => logs.push([message, type]) })
+            .createUI((percent, stage) => progress.push([percent, stage]));
+
+        ui.log('Writing to flash...', 'info');
+        ui.updateProgress(0);
+        ui.updateProgress(50);
+        ui.updateProgress(100);
+
+        assert.deepEqual(logs, [['Writing to flash...', 'info']]);
+        assert.deepEqual(progress, [[50, 'flashing'], [73, 'flashing'], [95, 'flashing']]);
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { runFlashCommand } from '../src/flash-commands.js';
+import { NVSGenerator } from '../src/nvs-generator.js';
+import { SimulatedDevice, SimulatedSerialPort, createSimulatedSerial } from '../src/simulated-device.js';
+import { Transport, ESPLoader } from 'esptool-js/bundle.js';
+import { buildProject } from './helpers/environment.js';
+
+const esptool = async () => ({ Transport, ESPLoader });
+
+function capture() {
+    const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+    return stream;
+}
+
+describe('esp-webflash flash / write-config', () => {
+    let dir, files, device, env;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'esp-webflash-'));
+        const built = buildProject('ESP32-C3');
+        files = built.files;
+
+        const project = {
+            ...built.project,
+            configSections: [
+                { id: 'wifi', title: 'WiFi', fields: [{ id: 'ssid', label: 'SSID', type: 'text', maxLength: 32, nvsKey: 'wifi_ssid', nvsType: 'string' }] },
+                { id: 'tcp', title: 'TCP', fields: [{ id: 'port', label: 'Port', type: 'number', nvsKey: 'tcp_port', nvsType: 'u16' }] }
+            ]
+        };
+        await fs.writeFile(path.join(dir, 'projects.json'), JSON.stringify({ sensor: project }));
+        await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify({ wifi: { ssid: 'bench' }, tcp: { port: '9000' } }));
+        for (const [url, data] of Object.entries(files)) {
+            await fs.writeFile(path.join(dir, path.basename(url)), data);
+        }
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        device = new SimulatedDevice({ chip: 'ESP32-C3', macAddr: '24:0a:c4:00:00:01' });
+        env = {
+            cwd: dir,
+            stdout: capture(),
+            stderr: capture(),
+            serial: createSimulatedSerial([new SimulatedSerialPort(device)]),
+            esptool
+        };
+    });
+
+    const images = ['--image', 'bootloader=bootloader.bin', '--image', 'partition-table=partition-table.bin', '--image', 'app=app.bin'];
+
+    it('flashes local images and the config, then rewrites the config', async () => {
+        const code = await runFlashCommand('flash', ['--projects', 'projects.json', '--config', 'config.json', ...images], env);
+        assert.equal(code, 0, env.stderr.text);
+        assert.match(env.stdout.text, /Flashed Test Project to ESP32-C3 \(revision 0\) \(24:0a:c4:00:00:01\)/);
+
+        const app = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+        assert.deepEqual(new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)).config, { wifi_ssid: 'bench', tcp_port: 9000 });
+        assert.equal(device.mode, 'app');
+
+        env.stdout = capture();
+        const rewrite = await runFlashCommand('write-config', ['--projects', 'projects.json', '--set', 'wifi.ssid=lab', '--preserve-nvs'], env);
+        assert.equal(rewrite, 0, env.stderr.text);
+        assert.match(env.stdout.text, /Wrote 1 configuration value to NVS at 0x9000/);
+        assert.deepEqual(new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)).config, { wifi_ssid: 'lab', tcp_port: 9000 });
+    });
+
+    it('works without DTR/RTS when the device is already in download mode', async () => {
+        device = new SimulatedDevice({ chip: 'ESP32-C3', mode: 'rom' });
+        env.serial = createSimulatedSerial([new SimulatedSerialPort(device)]);
+
+        const code = await runFlashCommand('write-config', ['--projects', 'projects.json', '--no-reset', '--set', 'tcp.port=1883'], env);
+        assert.equal(code, 0, env.stderr.text);
+        assert.equal(device.mode, 'stub');
+        assert.deepEqual(new NVSGenerator().parse(device.flash.slice(0x9000, 0xF000)).config, { tcp_port: 1883 });
+    });
+
+    it('rejects config fields the project does not have', async () => {
+        const code = await runFlashCommand('write-config', ['--projects', 'projects.json', '--set', 'wifi.pasword=x'], env);
+        assert.equal(code, 2);
+        assert.match(env.stderr.text, /has no config field wifi\.pasword/);
+        assert.equal(device.mode, 'app');
+    });
+
+    it('checks the config against the field rules before connecting', async () => {
+        const code = await runFlashCommand('write-config', ['--projects', 'projects.json', '--set', `wifi.ssid=${'x'.repeat(33)}`, '--set', 'tcp.port=-1'], env);
+        assert.equal(code, 2);
+        assert.equal(env.stderr.text, 'error: invalid configuration\n  wifi.ssid must be at most 32 characters\n  tcp.port -1 is out of range for u16 (0 to 65535)\n');
+        assert.equal(device.mode, 'app');
+    });
+
+    it('rejects a malformed erase range before connecting', async () => {
+        const code = await runFlashCommand('flash', ['--projects', 'projects.json', '--erase', 'otadata', '--erase', '0x310000:64K', ...images], env);
+        assert.equal(code, 2);
+        assert.equal(env.stderr.text, 'error: Erase range "0x310000:64K" must be hex offset:size, e.g. 0x310000:0x10000\n');
+        assert.equal(device.mode, 'app');
+    });
+
+    it('rejects unknown options', async () => {
+        const code = await runFlashCommand('flash', ['--projects', 'projects.json', '--bogus'], env);
+        assert.equal(code, 2);
+        assert.match(env.stderr.text, /Usage: esp-webflash flash/);
+    });
+
+    it('flashes another chip anyway with --skip-chip-check', async () => {
+        device = new SimulatedDevice({ chip: 'ESP32-S3' });
+        env.serial = createSimulatedSerial([new SimulatedSerialPort(device)]);
+
+        const code = await runFlashCommand('flash', ['--projects', 'projects.json', '--skip-chip-check', ...images], env);
+        assert.equal(code, 0, env.stderr.text);
+        const app = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+    });
+
+    it('refuses a chip that does not match the project', async () => {
+        device = new SimulatedDevice({ chip: 'ESP32-S3' });
+        env.serial = createSimulatedSerial([new SimulatedSerialPort(device)]);
+
+        const code = await runFlashCommand('write-config', ['--projects', 'projects.json', '--set', 'wifi.ssid=x'], env);
+        assert.equal(code, 1);
+        assert.match(env.stderr.text, /--skip-chip-check/);
+    });
+});
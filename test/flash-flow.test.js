@@ -0,0 +1,384 @@
+import { describe, it, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DeviceConnection } from '../src/device-connection.js';
+import { FirmwareFlasher } from '../src/firmware-flasher.js';
+import { FirmwareRouter } from '../src/firmware-router.js';
+import { NVSGenerator } from '../src/nvs-generator.js';
+import { SimulatedDevice, SimulatedSerialPort, createSimulatedSerial } from '../src/simulated-device.js';
+import { matchProjects, pickProject } from '../src/project-catalog.js';
+import { Transport, ESPLoader } from 'esptool-js/bundle.js';
+import { installLocalStorage, createUI, serveFiles, buildProject, buildImage, buildPartitionTable } from './helpers/environment.js';
+
+const esptool = async () => ({ Transport, ESPLoader });
+
+function readNVS(device, offset = 0x9000, size = 0x6000) {
+    return new NVSGenerator().parse(device.flash.slice(offset, offset + size));
+}
+
+function logged(ui, pattern) {
+    return ui.logs.some(({ message }) => pattern.test(message));
+}
+
+describe('connect → flash → write config → read back', () => {
+    let device, ui, connection, flasher, project, files, restoreFetch;
+
+    before(() => {
+        installLocalStorage();
+    });
+
+    beforeEach(() => {
+        ({ project, files } = buildProject('ESP32-C3'));
+        restoreFetch = serveFiles(files);
+        device = new SimulatedDevice({ chip: 'ESP32-C3', macAddr: '24:0a:c4:01:02:03' });
+        ui = createUI();
+        connection = new DeviceConnection(ui, { esptool, serial: createSimulatedSerial([new SimulatedSerialPort(device)]) });
+        flasher = new FirmwareFlasher(ui, null);
+    });
+
+    afterEach(async () => {
+        await connection.disconnect();
+        restoreFetch();
+    });
+
+    it('flashes every image and the NVS config, then rewrites just the config', async () => {
+        const { chipType, macAddr, baudrate } = await connection.connect(project);
+        assert.match(chipType, /^ESP32-C3 /);
+        assert.equal(macAddr, '24:0a:c4:01:02:03');
+        assert.equal(baudrate, 921600);
+
+        const espStub = connection.getESPStub();
+        await flasher.flash(project, espStub, { nvsData: { config: { ssid: 'workshop', interval: 30 } }, verify: true });
+
+        const bootloader = files['https://firmware.test/bootloader.bin'];
+        const app = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x0, bootloader.length), bootloader);
+        assert.deepEqual(device.flash.slice(0x8000, 0x8C00), buildPartitionTable());
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+        assert.deepEqual(readNVS(device).config, { ssid: 'workshop', interval: 30 });
+
+        const { nvsPartition, keys } = await flasher.writeConfig(project, espStub, {
+            nvsData: { config: { ssid: 'office' } },
+            preserveNVS: true,
+            verify: true
+        });
+        assert.equal(nvsPartition.offset, 0x9000);
+        assert.deepEqual(keys, ['ssid']);
+
+        const nvs = new NVSGenerator().parse(await connection.readFlash(0x9000, 0x6000));
+        assert.deepEqual(nvs.config, { ssid: 'office', interval: 30 });
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+    });
+
+    it('replaces the config unless asked to preserve it', async () => {
+        await connection.connect(project);
+        const espStub = connection.getESPStub();
+        await flasher.flash(project, espStub, { nvsData: { config: { ssid: 'workshop', interval: 30 } } });
+
+        await flasher.writeConfig(project, espStub, { nvsData: { config: { ssid: 'office' } } });
+        assert.deepEqual(readNVS(device).config, { ssid: 'office' });
+    });
+
+    it('re-flashes a region whose MD5 does not match after writing', async () => {
+        await connection.connect(project);
+        device.failures.corruptWrites = 1;
+
+        await flasher.flash(project, connection.getESPStub(), { verify: true });
+
+        assert.ok(logged(ui, /Verification failed for bootloader/));
+        assert.ok(logged(ui, /Verified bootloader/));
+        const bootloader = files['https://firmware.test/bootloader.bin'];
+        assert.deepEqual(device.flash.slice(0x0, bootloader.length), bootloader);
+    });
+
+    it('gives up when a region keeps failing verification', async () => {
+        await connection.connect(project);
+        device.failures.corruptWrites = 100;
+
+        await assert.rejects(
+            flasher.flash(project, connection.getESPStub(), { verify: true, verifyRetries: 1 }),
+            error => error.isVerifyError
+        );
+        assert.ok(ui.statuses.some(status => status.text === 'Verification failed'));
+    });
+
+    it('stops verifying as soon as it is cancelled', async () => {
+        await connection.connect(project);
+        const espStub = connection.getESPStub();
+        const flashMd5sum = espStub.flashMd5sum.bind(espStub);
+        const writeFlash = espStub.writeFlash.bind(espStub);
+        let controller, reads, writes;
+        espStub.flashMd5sum = (...args) => {
+            reads++;
+            controller.abort();
+            return flashMd5sum(...args);
+        };
+        espStub.writeFlash = (...args) => {
+            writes++;
+            return writeFlash(...args);
+        };
+
+        // Between the regions of a flash
+        controller = new AbortController();
+        reads = writes = 0;
+        await assert.rejects(flasher.flash(project, espStub, { verify: true, signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(reads, 1);
+
+        // Before re-flashing a config that failed verification
+        controller = new AbortController();
+        device.failures.corruptWrites = 1;
+        reads = writes = 0;
+        await assert.rejects(flasher.writeConfig(project, espStub, { nvsData: { config: { ssid: 'lab' } }, verify: true, signal: controller.signal }), { name: 'AbortError' });
+        assert.deepEqual({ reads, writes }, { reads: 1, writes: 1 });
+    });
+
+    it('resumes an interrupted flash after reconnecting', async () => {
+        await connection.connect(project);
+        device.failures.disconnectAfterBytes = 0x20000;
+
+        await assert.rejects(flasher.flash(project, connection.getESPStub(), { nvsData: { config: { ssid: 'lab' } } }), /lost/);
+        assert.ok(flasher.hasPendingFlash(project));
+        await connection.disconnect();
+
+        // The port chosen in the first connect is remembered
+        const reconnected = await connection.reconnect(project);
+        assert.match(reconnected.chipType, /^ESP32-C3 /);
+
+        await flasher.flash(project, connection.getESPStub(), { nvsData: { config: { ssid: 'lab' } }, resume: true, verify: true });
+
+        assert.ok(!flasher.hasPendingFlash(project));
+        assert.ok(logged(ui, /Resuming previous flash/));
+        assert.ok(logged(ui, /bootloader: 1 of 1 block already written/));
+        const app = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+        assert.deepEqual(readNVS(device).config, { ssid: 'lab' });
+    });
+
+    it('prepares an interrupted flash again once its config or options change', async () => {
+        const config = { wifi: { ssid: 'lab' } };
+        project = { ...project, configSections: [{ id: 'wifi', fields: [{ id: 'ssid', required: true, nvsKey: 'ssid' }] }] };
+        flasher = new FirmwareFlasher(ui, { getConfig: () => config });
+        await connection.connect(project);
+        const espStub = connection.getESPStub();
+
+        const controller = new AbortController();
+        const writeFlash = espStub.writeFlash.bind(espStub);
+        espStub.writeFlash = (...args) => {
+            controller.abort();
+            return writeFlash(...args);
+        };
+        await assert.rejects(flasher.flash(project, espStub, { signal: controller.signal }), { name: 'AbortError' });
+        espStub.writeFlash = writeFlash;
+        assert.ok(flasher.hasPendingFlash(project, {}));
+
+        // A different erase mode, or an edited config, no longer matches what was prepared
+        assert.ok(!flasher.hasPendingFlash(project, { erase: 'all' }));
+        config.wifi.ssid = '';
+        assert.ok(!flasher.hasPendingFlash(project, {}));
+        await assert.rejects(flasher.flash(project, espStub, { resume: true }), error => error.isConfigValidationError);
+
+        config.wifi.ssid = 'office';
+        await flasher.flash(project, espStub, { resume: true });
+        assert.ok(logged(ui, /Config or options changed since the interrupted flash/));
+        assert.deepEqual(readNVS(device).config, { ssid: 'office' });
+    });
+
+    it('steps the baud rate down when the link garbles data', async () => {
+        device.failures.maxBaudrate = 460800;
+
+        const { baudrate } = await connection.connect(project);
+
+        assert.equal(baudrate, 460800);
+        assert.ok(logged(ui, /921600 baud failed/));
+        await flasher.flash(project, connection.getESPStub(), { verify: true });
+    });
+
+    it('writes nothing when the NVS partition cannot be generated', async () => {
+        await connection.connect(project);
+
+        await assert.rejects(flasher.flash(project, connection.getESPStub(), { nvsData: { config: { motd: 'x'.repeat(5000) } } }), /too large/);
+        assert.equal(ui.statuses.at(-1).text, 'Configuration error');
+        assert.ok(device.flash.every(byte => byte === 0xFF));
+    });
+
+    it('erases the whole chip only for firmware that boots from blank flash', async () => {
+        device.flash.fill(0x11, 0x200000, 0x201000);
+        await connection.connect(project);
+        const espStub = connection.getESPStub();
+        const without = name => ({ ...project, images: project.images.filter(image => image.name !== name) });
+
+        await assert.rejects(flasher.flash(without('bootloader'), espStub, { erase: 'all' }),
+            error => error.isPartitionError && /has no bootloader at 0x0$/.test(error.message));
+        const [bootloader, , app] = project.images;
+        const noTable = { ...project, images: [bootloader, { ...app, offset: '0x10000' }] };
+        await assert.rejects(flasher.flash(noTable, espStub, { erase: 'all' }), /has no partition table at 0x8000$/);
+        await assert.rejects(flasher.flash(without('app'), espStub, { erase: 'all' }), /has no app in an app partition$/);
+        assert.equal(device.flash[0x200000], 0x11);
+
+        await flasher.flash(project, espStub, { erase: 'all' });
+        assert.ok(device.flash.subarray(0x200000, 0x201000).every(byte => byte === 0xFF));
+        const appImage = files['https://firmware.test/app.bin'];
+        assert.deepEqual(device.flash.slice(0x10000, 0x10000 + appImage.length), appImage);
+    });
+
+    it('refuses firmware built for another chip', async () => {
+        const other = new SimulatedDevice({ chip: 'ESP32-S3' });
+        connection = new DeviceConnection(ui, { esptool, serial: createSimulatedSerial([new SimulatedSerialPort(other)]) });
+
+        await connection.connect({ ...project, chip: undefined });
+        await assert.rejects(flasher.flash(project, connection.getESPStub()), error => error.isImageError);
+        assert.ok(other.flash.every(byte => byte === 0xFF));
+    });
+
+    it('writes nothing while the config breaks a validation rule', async () => {
+        const config = { wifi: { ssid: '', password: 'x'.repeat(70) } };
+        project = {
+            ...project,
+            configSections: [{
+                id: 'wifi',
+                fields: [
+                    { id: 'ssid', label: 'SSID', required: true, nvsKey: 'ssid' },
+                    { id: 'password', label: 'Password', maxLength: 63, nvsKey: 'pass' }
+                ]
+            }]
+        };
+        flasher = new FirmwareFlasher(ui, { getConfig: () => config });
+
+        await connection.connect(project);
+        const espStub = connection.getESPStub();
+        await assert.rejects(flasher.flash(project, espStub), error => error.isConfigValidationError && error.errors.length === 2);
+        assert.deepEqual(ui.statuses.at(-1), { state: 'error', text: 'Configuration error', subtext: 'SSID is required<br>Password must be at most 63 characters' });
+        await assert.rejects(flasher.writeConfig(project, espStub), error => error.isConfigValidationError);
+        assert.ok(device.flash.every(byte => byte === 0xFF));
+
+        // Preserving the device's NVS leaves the SSID as it is, so only the password is wrong
+        config.wifi.password = 'long enough';
+        await flasher.writeConfig(project, espStub, { preserveNVS: true });
+        assert.deepEqual(readNVS(device).config, { pass: 'long enough' });
+    });
+
+    it('writes the defaults of fields the config leaves out', async () => {
+        const config = { wifi: { ssid: 'workshop' } };
+        project = {
+            ...project,
+            configSections: [
+                { id: 'wifi', fields: [{ id: 'ssid', required: true, nvsKey: 'wifi_ssid' }] },
+                {
+                    id: 'tcp',
+                    fields: [
+                        { id: 'port', type: 'number', default: 9000, required: true, format: 'port', nvsKey: 'tcp_port', nvsType: 'u16' },
+                        { id: 'interval', type: 'number', default: 1000, nvsKey: 'interval_ms', nvsType: 'u32' }
+                    ]
+                }
+            ]
+        };
+        flasher = new FirmwareFlasher(ui, { getConfig: () => config });
+
+        await connection.connect(project);
+        const espStub = connection.getESPStub();
+        await flasher.flash(project, espStub);
+        assert.deepEqual(readNVS(device).config, { wifi_ssid: 'workshop', tcp_port: 9000, interval_ms: 1000 });
+
+        // Preserving the device's NVS keeps its values for fields left out
+        config.tcp = { interval: 250 };
+        await flasher.writeConfig(project, espStub, { preserveNVS: true });
+        assert.deepEqual(readNVS(device).config, { wifi_ssid: 'workshop', tcp_port: 9000, interval_ms: 250 });
+    });
+
+    it('reports a device that does not answer', async () => {
+        device.failures.ignoreCommands = true;
+        await assert.rejects(connection.connect(project), /not responding/);
+        assert.equal(connection.getIsConnected(), false);
+    });
+});
+
+describe('auto-reconnect', () => {
+    before(() => {
+        installLocalStorage();
+    });
+
+    it('returns null when no port was granted before', async () => {
+        const connection = new DeviceConnection(createUI(), { esptool, serial: createSimulatedSerial([]) });
+        assert.equal(await connection.reconnect({}), null);
+    });
+
+    it('reconnects to the last used port without prompting', async () => {
+        const devices = [new SimulatedDevice({ chip: 'ESP32' }), new SimulatedDevice({ chip: 'ESP32-C6' })];
+        const ports = devices.map(device => new SimulatedSerialPort(device));
+        const serial = createSimulatedSerial(ports);
+        serial.requestPort = async () => ports[1];
+
+        const connection = new DeviceConnection(createUI(), { esptool, serial });
+        await connection.connect({});
+        await connection.disconnect();
+
+        serial.requestPort = async () => assert.fail('reconnect must not prompt');
+        const { chipType } = await connection.reconnect({});
+        assert.match(chipType, /^ESP32-C6 /);
+        await connection.disconnect();
+    });
+});
+
+describe('device identification', () => {
+    before(() => {
+        installLocalStorage();
+    });
+
+    it('connects without a project and matches the board by USB ID and stored product id', async () => {
+        const device = new SimulatedDevice({ chip: 'ESP32-C3', usbVendorId: 0x303A, usbProductId: 0x1001 });
+        device.flash.set(buildPartitionTable(), 0x8000);
+        device.flash.set(new NVSGenerator().generate({ app: { product: 'wing-pro', boots: 3 } }, 0x6000), 0x9000);
+
+        const ui = createUI();
+        const connection = new DeviceConnection(ui, { esptool, serial: createSimulatedSerial([new SimulatedSerialPort(device)]) });
+        const { chipType } = await connection.connect(null);
+        assert.deepEqual(connection.getPortInfo(), { usbVendorId: 0x303A, usbProductId: 0x1001 });
+
+        const projects = {
+            'wing-v2': { name: 'Wing v2', chip: 'esp32c3', identify: { usb: [{ vendorId: '0x303a', productId: '0x1001' }] } },
+            'wing-pro': {
+                name: 'Wing Pro',
+                chip: 'esp32c3',
+                identify: { usb: [{ vendorId: '0x303a' }], nvs: { key: 'product' } },
+                nvsPartition: { offset: '0x9000', size: '0x6000', namespace: 'app' }
+            },
+            'weather': { name: 'Weather', chip: 'esp32s3' }
+        };
+        const usb = connection.getPortInfo();
+        assert.equal(pickProject(matchProjects(projects, { chip: chipType, usb })), null);
+
+        const flasher = new FirmwareFlasher(ui, null);
+        const espStub = connection.getESPStub();
+        const location = await flasher.resolveNVSPartition(projects['wing-pro'], { espStub });
+        const nvs = new NVSGenerator().parse(await espStub.readFlash(location.offset, location.size));
+        assert.deepEqual(pickProject(matchProjects(projects, { chip: chipType, usb, nvs })), { id: 'wing-pro', reason: 'nvs' });
+
+        await connection.disconnect();
+    });
+});
+
+describe('FirmwareRouter', () => {
+    it('picks the image set for the detected chip', async () => {
+        installLocalStorage();
+        const base = 'https://firmware.test/releases';
+        const restoreFetch = serveFiles({
+            [`${base}/esp32s3/bootloader.bin`]: buildImage('ESP32-S3', { size: 0x1000 }),
+            [`${base}/esp32s3/partitions.bin`]: buildPartitionTable(),
+            [`${base}/esp32s3/app.bin`]: buildImage('ESP32-S3', { app: true, size: 0x8000 })
+        });
+        const device = new SimulatedDevice({ chip: 'ESP32-S3' });
+        const router = new FirmwareRouter(base, { esptool, serial: createSimulatedSerial([new SimulatedSerialPort(device)]) });
+        const stages = [];
+
+        try {
+            const { chip } = await router.flash({ config: { config: { name: 'router' } }, onProgress: (percent, stage) => stages.push(stage) });
+            assert.equal(chip, 'ESP32-S3');
+        } finally {
+            restoreFetch();
+        }
+
+        assert.deepEqual([...new Set(stages)], ['connecting', 'detecting', 'loading', 'flashing', 'complete']);
+        assert.deepEqual(readNVS(device).config, { name: 'router' });
+        assert.equal(device.mode, 'app');
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Browser bits the flasher modules expect, plus firmware fixtures
+ */
+
+import { PartitionTable } from '../../src/partition-table.js';
+import { CHIP_IDS } from '../../src/esp-image.js';
+
+/**
+ * In-memory localStorage on globalThis (DeviceConnection keeps the last port index there)
+ */
+export function installLocalStorage() {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+    return globalThis.localStorage;
+}
+
+/**
+ * Headless UI that records log lines and status updates
+ */
+export function createUI() {
+    const ui = {
+        logs: [],
+        statuses: [],
+        log: (message, type = 'info') => ui.logs.push({ message, type }),
+        updateStatus: (state, text, subtext) => ui.statuses.push({ state, text, subtext }),
+        updateChipInfo: () => {},
+        updateFirmwareInfo: () => {},
+        updateProgress: () => {},
+        showProgress: () => {},
+        hideProgress: () => {}
+    };
+    return ui;
+}
+
+/**
+ * Serve files from memory through globalThis.fetch
+ * @param {Object} files - URL -> Uint8Array
+ * @returns {Function} - Restores the previous fetch
+ */
+export function serveFiles(files) {
+    const previous = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+        const data = files[String(url)];
+        return data
+            ? new Response(data, { status: 200 })
+            : new Response(null, { status: 404, statusText: 'Not Found' });
+    };
+    return () => { globalThis.fetch = previous; };
+}
+
+/**
+ * Build a valid single-segment ESP image
+ * @param {string} chip - Chip name, e.g. 'ESP32-C3'
+ * @param {Object} options - { app: true to start the segment with esp_app_desc_t, projectName, version, size }
+ * @returns {Uint8Array}
+ */
+export function buildImage(chip, options = {}) {
+    const segmentLength = Math.max(options.size ?? 0x400, 0x100) & ~3;
+    // Pseudo-random contents, so the image doesn't compress to nothing
+    const segment = new Uint8Array(segmentLength);
+    let seed = options.seed ?? 0x12345678;
+    for (let i = 0; i < segment.length; i++) {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        segment[i] = seed & 0xFF;
+    }
+
+    if (options.app) {
+        const view = new DataView(segment.buffer);
+        const text = new TextEncoder();
+        segment.fill(0, 0, 256);
+        view.setUint32(0, 0xABCD5432, true);
+        segment.set(text.encode(options.version || '1.0.0'), 16);
+        segment.set(text.encode(options.projectName || 'test-app'), 48);
+        segment.set(text.encode('12:00:00'), 80);
+        segment.set(text.encode('Jan  1 2025'), 96);
+        segment.set(text.encode('v5.2'), 112);
+    }
+
+    const header = new Uint8Array(24);
+    const headerView = new DataView(header.buffer);
+    header[0] = 0xE9;
+    header[1] = 1;
+    header[2] = 2;      // DIO
+    header[3] = 0x20;   // 4MB, 40m
+    headerView.setUint32(4, 0x42000020, true);
+    headerView.setUint16(12, CHIP_IDS[chip], true);
+
+    const segmentHeader = new Uint8Array(8);
+    new DataView(segmentHeader.buffer).setUint32(0, 0x3C000020, true);
+    new DataView(segmentHeader.buffer).setUint32(4, segment.length, true);
+
+    const bodyLength = header.length + segmentHeader.length + segment.length;
+    const image = new Uint8Array((bodyLength | 0xF) + 1);
+    image.set(header);
+    image.set(segmentHeader, header.length);
+    image.set(segment, header.length + segmentHeader.length);
+
+    let checksum = 0xEF;
+    for (const byte of segment) {
+        checksum ^= byte;
+    }
+    image[image.length - 1] = checksum;
+    return image;
+}
+
+/**
+ * Standard layout: nvs at 0x9000 (24K), phy_init, factory app at 0x10000
+ */
+export function buildPartitionTable() {
+    return PartitionTable.fromCSV(`
+        nvs,      data, nvs,     0x9000,  0x6000,
+        phy_init, data, phy,     0xf000,  0x1000,
+        factory,  app,  factory, 0x10000, 0x100000,
+    `).toBinary();
+}
+
+/**
+ * A project with bootloader/partition-table/app images served by serveFiles()
+ * @returns {{project: Object, files: Object}}
+ */
+export function buildProject(chip = 'ESP32-C3', options = {}) {
+    const base = 'https://firmware.test/';
+    const files = {
+        [`${base}bootloader.bin`]: buildImage(chip, { size: 0x2000 }),
+        [`${base}partition-table.bin`]: buildPartitionTable(),
+        [`${base}app.bin`]: buildImage(chip, { app: true, size: options.appSize ?? 0x30000, version: options.version })
+    };
+    const project = {
+        name: 'Test Project',
+        chip,
+        images: [
+            { name: 'bootloader', url: `${base}bootloader.bin` },
+            { name: 'partition-table', url: `${base}partition-table.bin` },
+            { name: 'app', url: `${base}app.bin` }
+        ],
+        nvsPartition: { name: 'nvs', offset: '0x9000', size: '0x6000', namespace: 'config' }
+    };
+    return { project, files };
+}
@@ -0,0 +1,132 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { createNodeSerial } from '../src/node-serial.js';
+import { DeviceConnection } from '../src/device-connection.js';
+import { FirmwareFlasher } from '../src/firmware-flasher.js';
+import { NVSGenerator } from '../src/nvs-generator.js';
+import { SimulatedDevice } from '../src/simulated-device.js';
+import { Transport, ESPLoader } from 'esptool-js/bundle.js';
+import { installLocalStorage, createUI, serveFiles, buildProject } from './helpers/environment.js';
+
+const esptool = async () => ({ Transport, ESPLoader });
+
+/**
+ * serialport's SerialPort class, with simulated devices at the other end
+ * @param {Object} devices - Path -> SimulatedDevice
+ */
+function simulatedSerialPort(devices) {
+    return class SerialPort extends EventEmitter {
+        static async list() {
+            return Object.entries(devices).map(([path, device]) => ({
+                path,
+                vendorId: device.usbVendorId.toString(16),
+                productId: device.usbProductId.toString(16)
+            }));
+        }
+
+        constructor({ path, baudRate }) {
+            super();
+            this.device = devices[path];
+            this.baudRate = baudRate;
+            this.isOpen = false;
+        }
+
+        open(callback) {
+            this.isOpen = true;
+            this.device.attach(this);
+            setImmediate(callback);
+        }
+
+        write(data, callback) {
+            try {
+                this.device.receive(new Uint8Array(data), this);
+                callback();
+            } catch (error) {
+                callback(error);
+            }
+        }
+
+        drain(callback) {
+            setImmediate(callback);
+        }
+
+        set({ dtr, rts }, callback) {
+            this.device.setSignals({ dataTerminalReady: dtr, requestToSend: rts });
+            setImmediate(callback);
+        }
+
+        close(callback) {
+            this.isOpen = false;
+            this.device.detach(this);
+            setImmediate(() => {
+                this.emit('close');
+                callback();
+            });
+        }
+
+        // Called by the SimulatedDevice
+        deliver(bytes) {
+            setImmediate(() => this.emit('data', Buffer.from(bytes)));
+        }
+
+        fail(error) {
+            this.emit('error', error);
+        }
+    };
+}
+
+describe('node-serial', () => {
+    before(() => {
+        installLocalStorage();
+    });
+
+    it('hands out a fresh readable after a reader cancels, like Web Serial', async () => {
+        const SerialPort = simulatedSerialPort({ '/dev/ttyUSB0': new SimulatedDevice() });
+        const port = await createNodeSerial({ path: '/dev/ttyUSB0', SerialPort }).requestPort();
+        await port.open({ baudRate: 115200 });
+
+        const first = port.readable;
+        const reader = first.getReader();
+        const pending = reader.read();
+        await reader.cancel();
+        assert.equal((await pending).done, true);
+        reader.releaseLock();
+
+        // Bytes arriving while nothing reads are kept for the next stream
+        port.port.emit('data', Buffer.from([1, 2, 3]));
+        assert.notEqual(port.readable, first);
+        assert.deepEqual((await port.readable.getReader().read()).value, new Uint8Array([1, 2, 3]));
+
+        await port.close();
+        assert.equal(port.readable, null);
+    });
+
+    it('connects, flashes and reads back through esptool-js', async () => {
+        const device = new SimulatedDevice({ chip: 'ESP32-C3', macAddr: '24:0a:c4:05:06:07' });
+        const serial = createNodeSerial({ SerialPort: simulatedSerialPort({ '/dev/ttyUSB0': device }) });
+        const { project, files } = buildProject('ESP32-C3');
+        const restoreFetch = serveFiles(files);
+        const connection = new DeviceConnection(createUI(), { esptool, serial });
+
+        try {
+            const { chipType, macAddr } = await connection.connect(project);
+            assert.match(chipType, /^ESP32-C3 /);
+            assert.equal(macAddr, '24:0a:c4:05:06:07');
+
+            await new FirmwareFlasher(createUI(), null).flash(project, connection.getESPStub(), {
+                nvsData: { config: { ssid: 'bench' } },
+                verify: true
+            });
+
+            const app = files['https://firmware.test/app.bin'];
+            assert.deepEqual(device.flash.slice(0x10000, 0x10000 + app.length), app);
+            const nvs = new NVSGenerator().parse(await connection.readFlash(0x9000, 0x6000));
+            assert.deepEqual(nvs.config, { ssid: 'bench' });
+        } finally {
+            await connection.disconnect();
+            restoreFetch();
+        }
+    });
+});
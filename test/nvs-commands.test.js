@@ -0,0 +1,187 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { runNVSCommand } from '../src/nvs-commands.js';
+import { NVSGenerator, NVSValue } from '../src/nvs-generator.js';
+
+function capture() {
+    const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+    return stream;
+}
+
+describe('esp-webflash nvs', () => {
+    let dir;
+
+    const run = async (...args) => {
+        const env = { cwd: dir, stdout: capture(), stderr: capture() };
+        const code = await runNVSCommand(args, env);
+        return { code, stdout: env.stdout.text, stderr: env.stderr.text };
+    };
+    const read = async (file, options) => new NVSGenerator().parse(new Uint8Array(await fs.readFile(path.join(dir, file))), options);
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'esp-webflash-nvs-'));
+        await fs.writeFile(path.join(dir, 'device.json'), JSON.stringify({
+            config: {
+                wifi_ssid: 'Lab',
+                port: { type: 'u16', value: 9000 },
+                serial: { type: 'u64', value: '18446744073709551615' },
+                cert: { type: 'blob', value: '00112233' }
+            }
+        }));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('generates a partition from namespaced JSON', async () => {
+        const { code, stdout } = await run('generate', 'device.json', '-o', 'nvs.bin', '--size', '0x4000');
+        assert.equal(code, 0);
+        assert.match(stdout, /Wrote nvs\.bin \(0x4000 bytes, 4 keys\)/);
+
+        const { config } = await read('nvs.bin', { typed: true });
+        assert.deepEqual(config.port, new NVSValue('u16', 9000));
+        assert.deepEqual(config.serial, new NVSValue('u64', 18446744073709551615n));
+        assert.deepEqual(config.cert.value, new Uint8Array([0x00, 0x11, 0x22, 0x33]));
+    });
+
+    it('round-trips through dump --format json', async () => {
+        await run('generate', 'device.json', '-o', 'a.bin');
+        const { code, stdout } = await run('dump', 'a.bin', '--format', 'json');
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout).config.serial, { type: 'u64', value: '18446744073709551615' });
+
+        await fs.writeFile(path.join(dir, 'dumped.json'), stdout);
+        await run('generate', 'dumped.json', '-o', 'b.bin');
+        assert.deepEqual(await fs.readFile(path.join(dir, 'b.bin')), await fs.readFile(path.join(dir, 'a.bin')));
+    });
+
+    it('prints a table', async () => {
+        await run('generate', 'device.json', '-o', 'table.bin');
+        const { stdout } = await run('dump', 'table.bin');
+        assert.match(stdout, /^NAMESPACE\s+KEY\s+TYPE\s+VALUE\n/);
+        assert.match(stdout, /config\s+wifi_ssid\s+string\s+"Lab"\n/);
+        assert.match(stdout, /config\s+cert\s+blob\s+00112233\n/);
+    });
+
+    it('generates from an nvs_partition_gen.py CSV with file rows', async () => {
+        await fs.writeFile(path.join(dir, 'ca.der'), new Uint8Array([1, 2, 3]));
+        await fs.writeFile(path.join(dir, 'nvs.csv'), 'key,type,encoding,value\nconfig,namespace,,\nport,data,u16,1883\nca,file,binary,ca.der\n');
+
+        const { code } = await run('generate', 'nvs.csv', '-o', 'csv.bin');
+        assert.equal(code, 0);
+        assert.deepEqual(await read('csv.bin'), { config: { port: 1883, ca: new Uint8Array([1, 2, 3]) } });
+    });
+
+    it('generates from a project\'s form config', async () => {
+        const project = {
+            name: 'Sensor',
+            configSections: [{ id: 'mqtt', fields: [{ id: 'port', nvsKey: 'mqtt_port', nvsType: 'u16' }] }],
+            nvsPartition: { offset: '0x9000', size: '0x3000', namespace: 'app' }
+        };
+        await fs.writeFile(path.join(dir, 'projects.json'), JSON.stringify({ sensor: project }));
+        await fs.writeFile(path.join(dir, 'form.json'), JSON.stringify({ mqtt: { port: '1883' } }));
+
+        const { code, stdout } = await run('generate', 'form.json', '-o', 'form.bin', '--projects', 'projects.json', '--set', 'mqtt.port=8883');
+        assert.equal(code, 0);
+        assert.match(stdout, /0x3000 bytes/);
+        assert.deepEqual(await read('form.bin', { typed: true }), { app: { mqtt_port: new NVSValue('u16', 8883) } });
+
+        const invalid = await run('generate', 'form.json', '-o', 'form.bin', '--projects', 'projects.json', '--set', 'mqtt.port=70000');
+        assert.equal(invalid.code, 2);
+        assert.match(invalid.stderr, /mqtt\.port .*out of range for u16/);
+    });
+
+    it('reads file fields from paths and encodes checkbox and hex fields', async () => {
+        const project = {
+            name: 'Gateway',
+            configSections: [{
+                id: 'tls',
+                fields: [
+                    { id: 'verify', type: 'checkbox', nvsKey: 'tls_verify' },
+                    { id: 'ca', type: 'file', nvsKey: 'tls_ca' },
+                    { id: 'psk', type: 'hex', nvsKey: 'tls_psk' }
+                ]
+            }],
+            nvsPartition: { offset: '0x9000', size: '0x3000' }
+        };
+        await fs.mkdir(path.join(dir, 'gateway'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'gateway', 'projects.json'), JSON.stringify({ gateway: project }));
+        await fs.writeFile(path.join(dir, 'gateway', 'ca.pem'), 'PEM');
+        await fs.writeFile(path.join(dir, 'gateway', 'form.json'), JSON.stringify({ tls: { verify: false, ca: 'ca.pem' } }));
+
+        const { code } = await run('generate', 'gateway/form.json', '-o', 'gateway.bin', '--projects', 'gateway/projects.json', '--set', 'tls.psk=de:ad:be:ef');
+        assert.equal(code, 0);
+        assert.deepEqual(await read('gateway.bin'), {
+            config: { tls_verify: 0, tls_ca: new TextEncoder().encode('PEM'), tls_psk: new Uint8Array([0xde, 0xad, 0xbe, 0xef]) }
+        });
+
+        const missing = await run('generate', 'gateway/form.json', '-o', 'gateway.bin', '--projects', 'gateway/projects.json', '--set', 'tls.ca=nope.pem');
+        assert.equal(missing.code, 2);
+        assert.match(missing.stderr, /Cannot read tls\.ca file nope\.pem/);
+    });
+
+    it('encrypts with an nvs_keys partition and dumps it back', async () => {
+        const generator = new NVSGenerator();
+        await fs.writeFile(path.join(dir, 'keys.bin'), generator.generateKeyPartition(generator.generateEncryptionKey()));
+
+        await run('generate', 'device.json', '-o', 'encrypted.bin', '--nvs-keys', 'keys.bin');
+        assert.equal((await read('encrypted.bin', { strict: true })).config, undefined);
+
+        const { stdout } = await run('dump', 'encrypted.bin', '--nvs-keys', 'keys.bin', '--format', 'csv');
+        assert.match(stdout, /wifi_ssid,data,string,Lab/);
+    });
+
+    it('reads the partition out of a full flash dump', async () => {
+        const partition = new NVSGenerator().generate({ config: { boot_count: 7 } }, 0x3000);
+        const flash = new Uint8Array(0x10000).fill(0xFF);
+        flash.set(partition, 0x9000);
+        await fs.writeFile(path.join(dir, 'flash.bin'), flash);
+
+        const { stdout } = await run('dump', 'flash.bin', '--offset', '0x9000', '--size', '0x3000', '-f', 'json');
+        assert.deepEqual(JSON.parse(stdout), { config: { boot_count: { type: 'u8', value: 7 } } });
+    });
+
+    it('diffs two partitions', async () => {
+        const generator = new NVSGenerator();
+        await fs.writeFile(path.join(dir, 'before.bin'), generator.generate({ config: { ssid: 'Lab', port: 1883, old: 1 } }));
+        await fs.writeFile(path.join(dir, 'after.bin'), generator.generate({ config: { ssid: 'Office', port: 1883, added: 'x' } }));
+
+        const text = await run('diff', 'before.bin', 'after.bin');
+        assert.equal(text.code, 1);
+        assert.equal(text.stdout, '- config/old (u8) 1\n+ config/added (string) "x"\n~ config/ssid (string) "Lab" -> (string) "Office"\n');
+
+        const json = await run('diff', 'before.bin', 'after.bin', '--format', 'json');
+        assert.deepEqual(JSON.parse(json.stdout).changed, [
+            { namespace: 'config', key: 'ssid', from: { type: 'string', value: 'Lab' }, to: { type: 'string', value: 'Office' } }
+        ]);
+
+        const same = await run('diff', 'before.bin', 'before.bin');
+        assert.equal(same.code, 0);
+        assert.equal(same.stdout, '');
+    });
+
+    it('reports damaged entries found by the strict parser', async () => {
+        const binary = new NVSGenerator().generate({ config: { a: 1, b: 2 } });
+        binary[64 + 2 * 32 + 24] ^= 0xFF; // Corrupt the data of "b" (after the namespace entry and "a")
+        await fs.writeFile(path.join(dir, 'damaged.bin'), binary);
+
+        const { code, stdout, stderr } = await run('dump', 'damaged.bin', '-f', 'json');
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout), { config: { a: { type: 'u8', value: 1 } } });
+        assert.match(stderr, /error: Entry 2 on page 0 CRC mismatch/);
+    });
+
+    it('rejects bad usage', async () => {
+        assert.equal((await run('generate', 'device.json')).code, 2);
+        assert.equal((await run('frobnicate')).code, 2);
+        assert.equal((await run('dump', 'a.bin', '--format', 'xml')).code, 2);
+        assert.equal((await run('diff', 'a.bin')).code, 2);
+        assert.equal((await run('diff', 'a.bin', 'missing.bin')).code, 2);
+        assert.equal((await run('dump', 'missing.bin')).code, 1);
+    });
+});
@@ -0,0 +1,372 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+import { NVSGenerator, NVSValue, coerceNVSValue, decodeNVSValue } from '../src/nvs-generator.js';
+
+const PAGE_SIZE = 4096;
+
+function roundTrip(config, options) {
+    const generator = new NVSGenerator();
+    return generator.parse(generator.generate(config), options);
+}
+
+// esp_rom_crc32_le(0xFFFFFFFF, ...) as used by ESP-IDF and nvs_partition_gen.py
+function crc32(bytes) {
+    return zlib.crc32(bytes, 0xFFFFFFFF);
+}
+
+function hex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+function pageHeader(binary, page) {
+    const view = new DataView(binary.buffer, binary.byteOffset + page * PAGE_SIZE, 32);
+    const offset = page * PAGE_SIZE;
+    return {
+        state: view.getUint32(0, true),
+        sequence: view.getUint32(4, true),
+        version: view.getUint8(8),
+        crcValid: view.getUint32(28, true) === crc32(binary.subarray(offset + 4, offset + 28))
+    };
+}
+
+function entryAt(binary, page, index) {
+    const offset = page * PAGE_SIZE + 64 + index * 32;
+    return binary.subarray(offset, offset + 32);
+}
+
+// Entry CRC covers namespace, type, span, chunk index, key and data (everything but the CRC itself)
+function entryCRCValid(entry) {
+    const covered = new Uint8Array(28);
+    covered.set(entry.subarray(0, 4), 0);
+    covered.set(entry.subarray(8, 32), 4);
+    return new DataView(entry.buffer, entry.byteOffset).getUint32(4, true) === crc32(covered);
+}
+
+describe('NVSGenerator', () => {
+    it('writes page headers, entry state bitmaps and entries in the ESP-IDF layout', () => {
+        const binary = new NVSGenerator().generate({ config: { a: 1, name: 'hello world' } }, 0x3000);
+
+        assert.deepEqual(pageHeader(binary, 0), { state: 0xFFFFFFFE, sequence: 0, version: 0xFE, crcValid: true });
+        assert.equal(hex(binary.subarray(9, 28)), 'ff'.repeat(19));
+
+        // 2 bits per entry, LSB first: namespace, "a", "name" + one data entry written, the rest empty
+        assert.equal(hex(binary.subarray(32, 64)), 'aa' + 'ff'.repeat(31));
+
+        const namespace = entryAt(binary, 0, 0);
+        assert.equal(hex(namespace.subarray(0, 4)), '000101ff');
+        assert.equal(hex(namespace.subarray(8)), hex(Buffer.from('config'.padEnd(16, '\0'))) + '01' + 'ff'.repeat(7));
+
+        const a = entryAt(binary, 0, 1);
+        assert.equal(hex(a.subarray(0, 4)), '010101ff');
+        assert.equal(hex(a.subarray(8)), hex(Buffer.from('a'.padEnd(16, '\0'))) + '01' + 'ff'.repeat(7));
+
+        // Strings: size including the terminator, reserved, CRC of the data, then the data entries
+        const name = entryAt(binary, 0, 2);
+        const data = new TextEncoder().encode('hello world\0');
+        assert.equal(hex(name.subarray(0, 4)), '012102ff');
+        assert.equal(hex(name.subarray(24, 28)), '0c00ffff');
+        assert.equal(new DataView(name.buffer, name.byteOffset).getUint32(28, true), crc32(data));
+        assert.equal(hex(entryAt(binary, 0, 3).subarray(0, 12)), hex(data));
+
+        for (const entry of [namespace, a, name]) {
+            assert.ok(entryCRCValid(entry));
+        }
+        assert.ok(entryAt(binary, 0, 4).every(byte => byte === 0xFF));
+        assert.ok(binary.subarray(PAGE_SIZE).every(byte => byte === 0xFF));
+    });
+
+    it('moves an entry that does not fit to the next page and marks the full page FULL', () => {
+        // Namespace + 62 two-entry strings leave one free entry on page 0
+        const entries = {};
+        for (let i = 0; i < 63; i++) {
+            entries[`k${i}`] = 'x'.repeat(31);
+        }
+        const binary = new NVSGenerator().generate({ config: entries }, 0x3000);
+
+        assert.deepEqual(pageHeader(binary, 0), { state: 0xFFFFFFFC, sequence: 0, version: 0xFE, crcValid: true });
+        assert.deepEqual(pageHeader(binary, 1), { state: 0xFFFFFFFE, sequence: 1, version: 0xFE, crcValid: true });
+
+        // Entry 125 of page 0 stays empty rather than holding half of "k62"
+        assert.equal(hex(binary.subarray(32, 63)), 'aa'.repeat(31));
+        assert.equal(binary[63], 0xFE);
+        assert.ok(entryAt(binary, 0, 125).every(byte => byte === 0xFF));
+        assert.equal(hex(entryAt(binary, 1, 0).subarray(0, 3)), '012102');
+        assert.equal(new TextDecoder().decode(entryAt(binary, 1, 0).subarray(8, 11)), 'k62');
+        assert.equal(binary[PAGE_SIZE + 32], 0xFA);
+
+        // The last page is left erased for garbage collection
+        assert.ok(binary.subarray(2 * PAGE_SIZE).every(byte => byte === 0xFF));
+        assert.equal(Object.keys(roundTrip({ config: entries }).config).length, 63);
+    });
+
+    it('refuses data that does not fit before the last page', () => {
+        const entries = {};
+        for (let i = 0; i < 63; i++) {
+            entries[`k${i}`] = 'x'.repeat(31);
+        }
+        assert.throws(() => new NVSGenerator().generate({ config: entries }, 0x2000), /too small/);
+    });
+
+    it('splits version 2 blobs into BLOB_DATA chunks across pages with a BLOB_IDX entry', () => {
+        const generator = new NVSGenerator();
+        const cert = Uint8Array.from({ length: 5000 }, (_, i) => (i * 31) & 0xFF);
+        const binary = generator.generate({ tls: { cert } }, 0x4000);
+
+        // Chunk 0 fills the rest of page 0: 124 data entries after its header
+        const first = entryAt(binary, 0, 1);
+        assert.equal(hex(first.subarray(0, 4)), '01427d00');
+        assert.equal(new DataView(first.buffer, first.byteOffset).getUint16(24, true), 3968);
+        assert.equal(new DataView(first.buffer, first.byteOffset).getUint32(28, true), crc32(cert.subarray(0, 3968)));
+        assert.equal(pageHeader(binary, 0).state, 0xFFFFFFFC);
+
+        // Chunk 1 holds the remaining 1032 bytes in 33 data entries
+        const second = entryAt(binary, 1, 0);
+        assert.equal(hex(second.subarray(0, 4)), '01422201');
+        assert.equal(new DataView(second.buffer, second.byteOffset).getUint16(24, true), 1032);
+        assert.equal(new DataView(second.buffer, second.byteOffset).getUint32(28, true), crc32(cert.subarray(3968)));
+        assert.deepEqual(binary.subarray(PAGE_SIZE + 96, PAGE_SIZE + 96 + 1032), cert.subarray(3968));
+
+        // Index: total size, chunk count, chunk start
+        const index = entryAt(binary, 1, 34);
+        assert.equal(hex(index.subarray(0, 4)), '014801ff');
+        assert.equal(new TextDecoder().decode(index.subarray(8, 12)), 'cert');
+        assert.equal(hex(index.subarray(24)), '88130000' + '0200ffff');
+
+        for (const entry of [first, second, index]) {
+            assert.ok(entryCRCValid(entry));
+        }
+        assert.deepEqual(generator.parse(binary).tls.cert, cert);
+    });
+
+    it('writes version 1 blobs as a single BLOB entry on a version 1 page', () => {
+        const generator = new NVSGenerator();
+        const key = Uint8Array.from({ length: 40 }, (_, i) => i);
+        const binary = generator.generate({ tls: { key } }, 0x3000, { version: 1 });
+
+        assert.equal(pageHeader(binary, 0).version, 0xFF);
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(0, 4)), '014103ff');
+        assert.deepEqual(generator.parse(binary).tls.key, key);
+
+        assert.throws(() => generator.generate({ tls: { cert: new Uint8Array(5000) } }, 0x4000, { version: 1 }), /too large/);
+    });
+
+    it('coerces form values into a declared nvsType', () => {
+        assert.deepEqual(coerceNVSValue('9000', 'u16'), new NVSValue('u16', 9000));
+        assert.deepEqual(coerceNVSValue(' 0x7f ', 'i8'), new NVSValue('i8', 127));
+        assert.deepEqual(coerceNVSValue(42, 'string'), new NVSValue('string', '42'));
+        assert.deepEqual(coerceNVSValue('ab', 'blob'), new NVSValue('blob', new Uint8Array([0x61, 0x62])));
+
+        const rejects = (value, type, pattern) => assert.throws(
+            () => coerceNVSValue(value, type, 'port'),
+            error => error.isNVSValueError && error.nvsKey === 'port' && pattern.test(error.message)
+        );
+        rejects('70000', 'u16', /Invalid NVS value for port: 70000 is out of range for u16 \(0 to 65535\)/);
+        rejects('-1', 'u8', /-1 is out of range for u8/);
+        rejects('12abc', 'u32', /"12abc" is not an integer/);
+        rejects(1.5, 'i32', /1\.5 is not an integer/);
+        rejects('x'.repeat(4000), 'string', /longer than 4000 bytes/);
+        rejects(1, 'u128', /unknown nvsType "u128"/);
+    });
+
+    it('writes NVSValues as their declared entry type', () => {
+        const binary = new NVSGenerator().generate({ config: { port: new NVSValue('u16', 9000), offset: new NVSValue('i8', -5) } }, 0x3000);
+
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(0, 4)), '010201ff');
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(24)), '2823' + 'ff'.repeat(6));
+        assert.equal(hex(entryAt(binary, 0, 2).subarray(0, 4)), '011101ff');
+        assert.equal(hex(entryAt(binary, 0, 2).subarray(24)), 'fb' + 'ff'.repeat(7));
+    });
+
+    it('writes 64-bit integers, and booleans and floats in integer entries', () => {
+        const generator = new NVSGenerator();
+        const binary = generator.generate({
+            config: {
+                big: new NVSValue('u64', 18446744073709551615n),
+                low: new NVSValue('i64', -(2n ** 63n)),
+                on: coerceNVSValue('yes', 'bool'),
+                ratio: coerceNVSValue('0.1', 'f32'),
+                precise: new NVSValue('f64', 0.1)
+            }
+        }, 0x3000);
+
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(0, 3)), '010801');
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(24)), 'ff'.repeat(8));
+        assert.equal(hex(entryAt(binary, 0, 2).subarray(0, 3)), '011801');
+        assert.equal(hex(entryAt(binary, 0, 2).subarray(24)), '00'.repeat(7) + '80');
+        assert.equal(hex(entryAt(binary, 0, 3).subarray(0, 3)), '010101');
+        assert.equal(hex(entryAt(binary, 0, 3).subarray(24)), '01' + 'ff'.repeat(7));
+        assert.equal(hex(entryAt(binary, 0, 4).subarray(0, 3)), '010401');
+        assert.equal(hex(entryAt(binary, 0, 4).subarray(24)), 'cdcccc3d' + 'ff'.repeat(4));
+        assert.equal(hex(entryAt(binary, 0, 5).subarray(0, 3)), '010801');
+        assert.equal(hex(entryAt(binary, 0, 5).subarray(24)), '9a9999999999b93f');
+
+        const { config } = generator.parse(binary);
+        assert.equal(config.big, 18446744073709551615n);
+        assert.equal(config.low, -(2n ** 63n));
+        assert.equal(decodeNVSValue(config.on, 'bool'), true);
+        assert.equal(decodeNVSValue(config.ratio, 'f32'), 0.1);
+        assert.equal(decodeNVSValue(config.precise, 'f64'), 0.1);
+
+        assert.throws(() => coerceNVSValue('maybe', 'bool'), /"maybe" is not a boolean/);
+        assert.throws(() => coerceNVSValue(1e39, 'f32'), /out of range for f32/);
+        assert.throws(() => coerceNVSValue('18446744073709551616', 'u64'), /out of range for u64/);
+    });
+
+    it('infers the smallest integer type that holds a plain number', () => {
+        const config = { a: 200, b: 60000, c: 0xFFFFFFFF, d: -1, e: -(2 ** 40), f: 2 ** 33 };
+        const binary = new NVSGenerator().generate({ config }, 0x3000);
+
+        assert.deepEqual([1, 2, 3, 4, 5, 6].map(index => entryAt(binary, 0, index)[1]), [0x01, 0x02, 0x04, 0x14, 0x18, 0x08]);
+        assert.deepEqual(roundTrip({ config }).config, { ...config, e: -(2n ** 40n), f: 2n ** 33n });
+    });
+
+    it('rejects integers a number cannot hold exactly', () => {
+        assert.throws(() => new NVSGenerator().generate({ config: { big: 2 ** 64 } }), error => error.isNVSValueError);
+    });
+
+    it('imports an nvs_partition_gen.py CSV', () => {
+        const generator = new NVSGenerator();
+        const csv = [
+            'key,type,encoding,value',
+            '# comment',
+            'storage,namespace,,',
+            'dummyU8Key,data,u8,127',
+            'dummyI32Key,data,i32,-2147483648',
+            'dummyU64Key,data,u64,18446744073709551615',
+            'dummyStringKey,data,string,"a, ""quoted"" string"',
+            'dummyHex2BinKey,data,hex2bin,0a0b0c',
+            'dummyBase64Key,data,base64,AQIDBA==',
+            'cert,file,binary,ca.der',
+            ''
+        ].join('\r\n');
+        const files = { 'ca.der': new Uint8Array([0xCA]) };
+
+        assert.deepEqual(generator.parseCSV(csv, { files }), {
+            storage: {
+                dummyU8Key: new NVSValue('u8', 127),
+                dummyI32Key: new NVSValue('i32', -2147483648),
+                dummyU64Key: new NVSValue('u64', 18446744073709551615n),
+                dummyStringKey: new NVSValue('string', 'a, "quoted" string'),
+                dummyHex2BinKey: new NVSValue('blob', new Uint8Array([0x0A, 0x0B, 0x0C])),
+                dummyBase64Key: new NVSValue('blob', new Uint8Array([1, 2, 3, 4])),
+                cert: new NVSValue('blob', new Uint8Array([0xCA]))
+            }
+        });
+
+        // Namespace, type, span and inline data of the integer rows
+        const binary = generator.generateFromCSV(csv, 0x3000, { files });
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(0, 3)), '010101');
+        assert.equal(hex(entryAt(binary, 0, 1).subarray(24)), '7f' + 'ff'.repeat(7));
+        assert.equal(hex(entryAt(binary, 0, 2).subarray(0, 3)), '011401');
+        assert.equal(hex(entryAt(binary, 0, 2).subarray(24)), '00000080' + 'ff'.repeat(4));
+        assert.equal(hex(entryAt(binary, 0, 3).subarray(0, 3)), '010801');
+        assert.equal(hex(entryAt(binary, 0, 3).subarray(24)), 'ff'.repeat(8));
+    });
+
+    it('reports the CSV line of a bad row', () => {
+        const generator = new NVSGenerator();
+        assert.throws(() => generator.parseCSV('key,type,encoding,value\nport,data,u16,1883\n'), /line 2: "port" appears before any namespace row/);
+        assert.throws(() => generator.parseCSV('app,namespace,,\n\nport,data,u16,70000\n'), /line 3: .*out of range for u16/);
+        assert.throws(() => generator.parseCSV('app,namespace,,\nkey,data,hex2bin,abc\n'), /line 2: invalid hex string/);
+        assert.throws(() => generator.parseCSV('app,namespace,,\nkey,data,float,1\n'), /line 2: unknown encoding "float"/);
+        assert.throws(() => generator.parseCSV('app,namespace,,\nca,file,binary,ca.der\n'), /line 2: file "ca.der" was not provided/);
+    });
+
+    it('exports a partition as CSV that imports back to the same partition', () => {
+        const generator = new NVSGenerator();
+        const binary = generator.generate({
+            app: { port: new NVSValue('u16', 1883), offset: new NVSValue('i8', -5), motd: 'hi, "you"', key: new Uint8Array([0xDE, 0xAD]) }
+        }, 0x3000);
+
+        const csv = generator.exportCSV(binary);
+        assert.equal(csv, [
+            'key,type,encoding,value',
+            'app,namespace,,',
+            'port,data,u16,1883',
+            'offset,data,i8,-5',
+            'motd,data,string,"hi, ""you"""',
+            'key,data,hex2bin,dead',
+            ''
+        ].join('\n'));
+        assert.match(generator.exportCSV(binary, { blobEncoding: 'base64' }), /^key,data,base64,3q0=$/m);
+        assert.deepEqual(generator.generateFromCSV(csv, 0x3000), binary);
+    });
+
+    it('strict parse keeps the newest live copy of each key', () => {
+        const generator = new NVSGenerator();
+        const older = generator.generate({ config: { a: 1, b: 2 } }, 0x2000);
+        const newer = generator.generate({ config: { a: 3 } }, 0x2000);
+
+        // The newer page comes first in flash; sequence numbers decide
+        const binary = new Uint8Array(0x3000).fill(0xFF);
+        binary.set(newer.subarray(0, PAGE_SIZE), 0);
+        binary.set(older.subarray(0, PAGE_SIZE), PAGE_SIZE);
+        generator.finalizePage(binary, 0, 1, generator.PAGE_STATE_ACTIVE);
+        generator.finalizePage(binary, 1, 0, generator.PAGE_STATE_FULL);
+
+        const diagnostics = [];
+        assert.deepEqual(generator.parse(binary, { strict: true, diagnostics }), { config: { a: 3, b: 2 } });
+
+        generator.setEntryState(binary, 1, 2, generator.ENTRY_STATE_ERASED);
+        assert.deepEqual(generator.parse(binary, { strict: true, diagnostics }), { config: { a: 3 } });
+        assert.deepEqual(diagnostics, []);
+    });
+
+    it('strict parse reports damaged entries and keeps the rest', () => {
+        const generator = new NVSGenerator();
+        const binary = generator.generate({ config: { a: 1, s: 'hello', t: 'world', u: 5, v: 6 } }, 0x3000);
+        const rewrite = (index, change) => {
+            const entry = entryAt(binary, 0, index);
+            change(entry);
+            new DataView(entry.buffer, entry.byteOffset).setUint32(4, generator.calculateEntryCRC(binary, entry.byteOffset), true);
+        };
+
+        entryAt(binary, 0, 1)[24] ^= 0xFF;                                    // "a" without fixing its CRC
+        entryAt(binary, 0, 3)[0] ^= 0xFF;                                     // The data of "s"
+        generator.setEntryState(binary, 0, 5, generator.ENTRY_STATE_EMPTY);   // Second entry of "t"
+        rewrite(6, entry => { entry[1] = 0x99; });                            // Type of "u"
+
+        const { data, diagnostics } = generator.parseStrict(binary);
+        assert.deepEqual(data, { config: { v: 6 } });
+        assert.deepEqual(diagnostics.map(({ severity, code, page, entry, key }) => ({ severity, code, page, entry, key })), [
+            { severity: 'error', code: 'entry-crc', page: 0, entry: 1, key: undefined },
+            { severity: 'error', code: 'data-crc', page: 0, entry: 2, key: 's' },
+            { severity: 'error', code: 'orphan-span', page: 0, entry: 4, key: 't' },
+            { severity: 'warning', code: 'entry-state', page: 0, entry: 5, key: undefined },
+            { severity: 'warning', code: 'unknown-type', page: 0, entry: 6, key: 'u' }
+        ]);
+        assert.equal(diagnostics[0].message, 'Entry 1 on page 0 CRC mismatch; entry skipped');
+        assert.equal(diagnostics[0].offset, 64 + 32);
+    });
+
+    it('strict parse skips damaged pages and reports blobs they break', () => {
+        const generator = new NVSGenerator();
+        const cert = new Uint8Array(5000).fill(0x5A);
+        const original = generator.generate({ tls: { cert } }, 0x4000);
+
+        const corrupt = new Uint8Array(original);
+        new DataView(corrupt.buffer).setUint32(PAGE_SIZE, generator.PAGE_STATE_CORRUPT, true);
+        assert.deepEqual(generator.parseStrict(corrupt).diagnostics.map(({ code, page, entry }) => ({ code, page, entry })), [
+            { code: 'page-state', page: 1, entry: undefined },
+            { code: 'orphan-blob-chunk', page: 0, entry: 1 }
+        ]);
+
+        const badHeader = new Uint8Array(original);
+        badHeader[PAGE_SIZE + 4] ^= 1;
+        assert.deepEqual(generator.parseStrict(badHeader).diagnostics.map(({ code, page }) => ({ code, page })), [
+            { code: 'page-header-crc', page: 1 },
+            { code: 'orphan-blob-chunk', page: 0 }
+        ]);
+
+        // An index that claims a chunk that was never written
+        const missingChunk = new Uint8Array(original);
+        const index = entryAt(missingChunk, 1, 34);
+        index[28] = 3;
+        new DataView(index.buffer, index.byteOffset).setUint32(4, generator.calculateEntryCRC(missingChunk, index.byteOffset), true);
+        const { data, diagnostics } = generator.parseStrict(missingChunk);
+        assert.deepEqual(data, { tls: {} });
+        assert.deepEqual(diagnostics.map(({ code, key }) => ({ code, key })), [{ code: 'incomplete-blob', key: 'cert' }]);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+import { PartitionTable, parseEraseRegions } from '../src/partition-table.js';
+import { md5, md5Hex } from '../src/md5.js';
+
+// partitions_singleapp.csv from ESP-IDF
+const SINGLE_APP = `
+# Name,   Type, SubType, Offset,  Size, Flags
+nvs,      data, nvs,     0x9000,  0x6000,
+phy_init, data, phy,     0xf000,  0x1000,
+factory,  app,  factory, 0x10000, 1M,
+`;
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+const label = name => hex(Buffer.from(name.padEnd(16, '\0')));
+
+describe('md5', () => {
+    it('matches the RFC 1321 test suite', () => {
+        assert.equal(md5Hex(new Uint8Array(0)), 'd41d8cd98f00b204e9800998ecf8427e');
+        assert.equal(md5Hex(new TextEncoder().encode('abc')), '900150983cd24fb0d6963f7d28e17f72');
+        assert.equal(md5Hex(new TextEncoder().encode('1234567890'.repeat(8))), '57edf4a22be3c955ac49da2e2107b67a');
+    });
+
+    it('agrees with OpenSSL across block boundaries', () => {
+        for (const length of [55, 56, 63, 64, 65, 0xC00]) {
+            const data = Uint8Array.from({ length }, (_, i) => (i * 13) & 0xFF);
+            assert.equal(hex(md5(data)), crypto.createHash('md5').update(data).digest('hex'), `${length} bytes`);
+        }
+    });
+});
+
+describe('PartitionTable', () => {
+    it('writes entries and the MD5 entry as gen_esp32part.py does', () => {
+        const binary = PartitionTable.fromCSV(SINGLE_APP).toBinary();
+        assert.equal(binary.length, 0xC00);
+
+        assert.equal(hex(binary.subarray(0, 32)), 'aa500102' + '00900000' + '00600000' + label('nvs') + '00000000');
+        assert.equal(hex(binary.subarray(32, 64)), 'aa500101' + '00f00000' + '00100000' + label('phy_init') + '00000000');
+        assert.equal(hex(binary.subarray(64, 96)), 'aa500000' + '00000100' + '00001000' + label('factory') + '00000000');
+
+        // MD5 entry: magic, 14 bytes 0xFF, MD5 of the entries before it
+        const digest = crypto.createHash('md5').update(binary.subarray(0, 96)).digest('hex');
+        assert.equal(hex(binary.subarray(96, 128)), 'ebeb' + 'ff'.repeat(14) + digest);
+        assert.ok(binary.subarray(128).every(byte => byte === 0xFF));
+
+        assert.ok(PartitionTable.fromCSV(SINGLE_APP).toBinary({ md5: false }).subarray(96).every(byte => byte === 0xFF));
+    });
+
+    it('parses a table and checks its MD5', () => {
+        const binary = PartitionTable.fromCSV(SINGLE_APP).toBinary();
+        const table = PartitionTable.parse(binary);
+
+        assert.equal(table.md5Verified, true);
+        assert.deepEqual(table.partitions[0], {
+            name: 'nvs', type: 1, subtype: 2, typeName: 'data', subtypeName: 'nvs',
+            offset: 0x9000, size: 0x6000, encrypted: false, readonly: false
+        });
+        assert.deepEqual(table.partitions.map(p => `${p.typeName}/${p.subtypeName}`), ['data/nvs', 'data/phy', 'app/factory']);
+
+        const damaged = new Uint8Array(binary);
+        damaged[4] ^= 1;
+        assert.throws(() => PartitionTable.parse(damaged), /MD5 mismatch/);
+
+        assert.equal(PartitionTable.parse(PartitionTable.fromCSV(SINGLE_APP).toBinary({ md5: false })).md5Verified, false);
+        assert.throws(() => PartitionTable.parse(new Uint8Array(0xC00).fill(0xFF)), /No partition table found/);
+        assert.throws(() => PartitionTable.parse(new Uint8Array(0xC00)), /Invalid partition table entry at 0x0/);
+    });
+
+    it('reads flags, custom types and unnamed subtypes', () => {
+        const table = PartitionTable.fromCSV(`
+            nvs_key, data, nvs_keys, 0x9000, 4K, encrypted:readonly
+            custom,  0x40, 0x05,     0xa000, 8K
+        `);
+        const binary = table.toBinary();
+
+        assert.equal(hex(binary.subarray(28, 32)), '03000000');
+        assert.equal(hex(binary.subarray(32, 36)), 'aa504005');
+        assert.deepEqual(PartitionTable.parse(binary).partitions.map(({ typeName, subtypeName, encrypted, readonly }) => ({ typeName, subtypeName, encrypted, readonly })), [
+            { typeName: 'data', subtypeName: 'nvs_keys', encrypted: true, readonly: true },
+            { typeName: '0x40', subtypeName: '0x05', encrypted: false, readonly: false }
+        ]);
+        assert.equal(table.toCSV(), '# Name, Type, SubType, Offset, Size, Flags\nnvs_key, data, nvs_keys, 0x9000, 0x1000, encrypted:readonly\ncustom, 0x40, 0x05, 0xa000, 0x2000,\n');
+    });
+
+    it('places partitions without an offset after the previous one, aligned by type', () => {
+        const table = PartitionTable.fromCSV(`
+            nvs,     data, nvs,     ,  24K
+            otadata, data, ota,     ,  0x2000
+            ota_0,   app,  ota_0,   ,  1M
+            storage, data, spiffs,  ,  64K
+        `);
+        assert.deepEqual(table.partitions.map(p => [p.name, p.offset]), [
+            ['nvs', 0x9000], ['otadata', 0xF000], ['ota_0', 0x20000], ['storage', 0x120000]
+        ]);
+        assert.equal(table.findNVS('missing').name, 'nvs');
+        assert.deepEqual(table.findBySubtype('app').map(p => p.name), ['ota_0']);
+
+        assert.throws(() => PartitionTable.fromCSV('nvs, data, nvs, 0x9000\n'), /line 1: expected Name/);
+        assert.throws(() => PartitionTable.fromCSV('\nnvs, data, nvs, 0x9000, 24X\n'), /line 2: Invalid partition size: "24X"/);
+        assert.throws(() => PartitionTable.fromCSV('nvs, data, nvram, 0x9000, 24K\n'), /Unknown subtype "nvram" for partition type data/);
+    });
+
+    it('reports misaligned, overlapping and oversized partitions', () => {
+        const table = PartitionTable.fromJSON([
+            { name: 'nvs', type: 'data', subtype: 'nvs', offset: '0x8000', size: '0x6000' },
+            { name: 'factory', type: 'app', subtype: 'factory', offset: '0x11000', size: '0x100000' },
+            { name: 'storage', type: 'data', subtype: 'fat', offset: '0x100000', size: '0x400000' }
+        ]);
+        assert.deepEqual(table.validate({ flashSize: 0x400000 }), [
+            'Partition "nvs" overlaps the partition table at 0x8000',
+            'Partition "factory" offset 0x11000 is not aligned to 0x10000',
+            'Partition "storage" ends at 0x500000, beyond the 0x400000 flash',
+            'Partition "storage" at 0x100000 overlaps "factory" (ends at 0x111000)'
+        ]);
+        assert.throws(() => table.toBinary(), /Invalid partition table: /);
+    });
+
+    it('parses erase region lists', () => {
+        assert.deepEqual(parseEraseRegions(' otadata, 0x310000:0x10000 ,, nvs '), ['otadata', { offset: 0x310000, size: 0x10000 }, 'nvs']);
+        assert.deepEqual(parseEraseRegions(''), []);
+        assert.throws(() => parseEraseRegions('0x310000:64K'), error => error.isPartitionError && /Erase range "0x310000:64K" must be hex offset:size/.test(error.message));
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { listChips, filterProjects, projectIdFromURL, projectURL, projectsWithNVSIdentity, matchProjects, pickProject } from '../src/project-catalog.js';
+
+const PROJECTS = {
+    'active-wing': { name: 'Active Wing', description: 'IMU telemetry over MQTT', chip: 'esp32c3', hardware: ['ESP32-C3 DevKit', 'MPU6050'] },
+    'weather': { name: 'Weather Station', description: 'Temperature and humidity', chip: 'esp32s3', hardware: ['SHT31'] },
+    'air-c61': { name: 'Air Quality', description: 'PM2.5 sensor over MQTT', chip: 'ESP32-C61', hardware: [] },
+    'legacy': { name: 'Legacy Logger', description: 'No chip given', hardware: [] }
+};
+
+describe('project catalog', () => {
+    it('lists the chips projects are built for', () => {
+        assert.deepEqual(listChips(PROJECTS), ['ESP32-C3', 'ESP32-C61', 'ESP32-S3']);
+    });
+
+    it('searches names, descriptions and hardware', () => {
+        assert.deepEqual(filterProjects(PROJECTS, { query: 'mqtt' }), ['active-wing', 'air-c61']);
+        assert.deepEqual(filterProjects(PROJECTS, { query: '  MPU6050 ' }), ['active-wing']);
+        assert.deepEqual(filterProjects(PROJECTS, { query: 'sensor mqtt' }), ['air-c61']);
+        assert.deepEqual(filterProjects(PROJECTS, { query: 'zigbee' }), []);
+        assert.deepEqual(filterProjects(PROJECTS), Object.keys(PROJECTS));
+    });
+
+    it('filters by chip in any spelling', () => {
+        assert.deepEqual(filterProjects(PROJECTS, { chip: 'ESP32-C6' }), []);
+        assert.deepEqual(filterProjects(PROJECTS, { chip: 'esp32c61' }), ['air-c61']);
+        assert.deepEqual(filterProjects(PROJECTS, { chip: 'ESP32-S3', query: 'weather' }), ['weather']);
+    });
+
+    it('reads and writes ?project=', () => {
+        assert.deepEqual(projectIdFromURL('https://example.com/flasher/?project=weather', PROJECTS), { id: 'weather', requested: 'weather' });
+        assert.deepEqual(projectIdFromURL('https://example.com/flasher/?project=toString', PROJECTS), { id: null, requested: 'toString' });
+        assert.deepEqual(projectIdFromURL('https://example.com/flasher/', PROJECTS), { id: null, requested: null });
+
+        assert.equal(projectURL('https://example.com/flasher/?debug=1#log', 'air-c61'), 'https://example.com/flasher/?debug=1&project=air-c61#log');
+        assert.equal(projectURL('https://example.com/flasher/?project=weather', 'legacy'), 'https://example.com/flasher/?project=legacy');
+    });
+});
+
+describe('device identification', () => {
+    const BOARDS = {
+        'wing-v1': { name: 'Wing v1', chip: 'esp32c3' },
+        'wing-v2': { name: 'Wing v2', chip: 'esp32c3', identify: { usb: [{ vendorId: '0x303a', productId: '0x1001' }] } },
+        'wing-pro': {
+            name: 'Wing Pro',
+            chip: 'esp32c3',
+            identify: { usb: [{ vendorId: 0x303A }], nvs: { key: 'product' } },
+            nvsPartition: { offset: '0x9000', size: '0x6000', namespace: 'app' }
+        },
+        'weather': { name: 'Weather', chip: 'esp32s3' },
+        'legacy': { name: 'Legacy' }
+    };
+
+    it('leaves out other chips and keeps projects nothing rules out', () => {
+        const matches = matchProjects(BOARDS, { chip: 'ESP32-C3 (QFN32) (revision v0.4)', usb: { usbVendorId: 0x10C4, usbProductId: 0xEA60 } });
+        assert.deepEqual(matches, [
+            { id: 'wing-v1', reasons: ['chip'] },
+            { id: 'wing-v2', reasons: ['chip'] },
+            { id: 'wing-pro', reasons: ['chip'] },
+            { id: 'legacy', reasons: [] }
+        ]);
+        assert.equal(pickProject(matches), null);
+    });
+
+    it('picks the only project of a chip', () => {
+        assert.deepEqual(pickProject(matchProjects(BOARDS, { chip: 'ESP32-S3' })), { id: 'weather', reason: 'chip' });
+        assert.equal(pickProject(matchProjects(BOARDS, { chip: 'ESP32-C6' })), null);
+    });
+
+    it('prefers USB VID/PID over the chip', () => {
+        const matches = matchProjects(BOARDS, { chip: 'ESP32-C3', usb: { usbVendorId: 0x303A, usbProductId: 0x1001 } });
+        assert.deepEqual(matches.slice(0, 2), [
+            { id: 'wing-v2', reasons: ['usb', 'chip'] },
+            { id: 'wing-pro', reasons: ['usb', 'chip'] }
+        ]);
+        assert.equal(pickProject(matches), null);
+
+        assert.deepEqual(pickProject(matchProjects(BOARDS, { chip: 'ESP32-C3', usb: { usbVendorId: 0x303A, usbProductId: 0x1002 } })), { id: 'wing-pro', reason: 'usb' });
+    });
+
+    it('trusts the product id in NVS most', () => {
+        assert.deepEqual(projectsWithNVSIdentity(BOARDS), ['wing-pro']);
+
+        const usb = { usbVendorId: 0x303A, usbProductId: 0x1001 };
+        assert.deepEqual(pickProject(matchProjects(BOARDS, { chip: 'ESP32-C3', usb, nvs: { app: { product: 'wing-pro' } } })), { id: 'wing-pro', reason: 'nvs' });
+
+        // A different product id rules the project out
+        const other = matchProjects(BOARDS, { chip: 'ESP32-C3', usb, nvs: { app: { product: 'wing-mini' } } });
+        assert.equal(other.some(match => match.id === 'wing-pro'), false);
+        assert.deepEqual(pickProject(other), { id: 'wing-v2', reason: 'usb' });
+    });
+});
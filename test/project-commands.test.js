@@ -0,0 +1,233 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { runProjectsCommand, loadProjectSchema } from '../src/project-commands.js';
+import { validateProject, validateProjectFile } from '../src/project-schema.js';
+
+function capture() {
+    const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+    return stream;
+}
+
+function sensorProject(overrides = {}) {
+    return {
+        id: 'weather',
+        name: 'Weather Station',
+        description: 'Temperature and humidity over MQTT',
+        chip: 'esp32c3',
+        hardware: ['ESP32-C3 DevKit', 'SHT31'],
+        software: ['Chrome 89+'],
+        configSections: [{
+            id: 'wifi',
+            title: 'WiFi',
+            fields: [
+                { id: 'ssid', label: 'SSID', type: 'text', nvsKey: 'wifi_ssid', nvsType: 'string', required: true },
+                { id: 'password', label: 'Password', type: 'password', nvsKey: 'wifi_pass', nvsType: 'string' }
+            ]
+        }],
+        nvsPartition: { name: 'nvs', offset: '0x9000', size: '0x6000', namespace: 'config' },
+        ...overrides
+    };
+}
+
+describe('project.json schema', () => {
+    let schema;
+
+    beforeEach(async () => {
+        schema = await loadProjectSchema();
+    });
+
+    it('accepts a complete project', () => {
+        const project = sensorProject({
+            images: [{ name: 'bootloader', file: 'bootloader.bin' }, { name: 'app', file: 'app.bin', partition: 'factory', offset: '0x10000' }],
+            manifest: 'manifest.json',
+            baudrate: 921600,
+            documentation: { url: 'https://example.com/docs', label: 'Wiring' },
+            identify: { usb: [{ vendorId: '0x303a', productId: 0x1001 }], nvs: { key: 'product', value: 'weather' } }
+        });
+        assert.deepEqual(validateProject(project, schema), []);
+
+        project.identify.usb[0].vendorId = '0x10000';
+        assert.deepEqual(validateProject(project, schema).map(error => error.pointer), ['/identify/usb/0/vendorId']);
+    });
+
+    it('checks chips, hex sizes and NVS key limits', () => {
+        const project = sensorProject({ chip: 'ESP32-C3' });
+        project.nvsPartition.size = '0x6800';
+        project.nvsPartition.offset = '9000';
+        project.configSections[0].fields[1].nvsKey = 'wifi_password_2g';
+
+        assert.deepEqual(validateProject(project, schema).map(error => error.pointer), [
+            '/chip',
+            '/configSections/0/fields/1/nvsKey',
+            '/nvsPartition/offset',
+            '/nvsPartition/size'
+        ]);
+    });
+
+    it('rejects duplicate nvsKeys across sections', () => {
+        const project = sensorProject();
+        project.configSections.push({ id: 'mqtt', title: 'MQTT', fields: [{ id: 'user', label: 'User', nvsKey: 'wifi_ssid' }] });
+
+        assert.deepEqual(validateProject(project, schema), [{
+            pointer: '/configSections/1/fields/0/nvsKey',
+            message: 'nvsKey "wifi_ssid" is used by more than one field (also at /configSections/0/fields/0/nvsKey)'
+        }]);
+    });
+
+    it('checks options and nvsType of the richer field types', () => {
+        const project = sensorProject();
+        project.configSections.push({
+            id: 'device',
+            title: 'Device',
+            fields: [
+                { id: 'mode', label: 'Mode', type: 'select', options: ['eco', { value: 2, label: 'Fast' }], nvsKey: 'mode' },
+                { id: 'led', label: 'LED', type: 'toggle', default: true, nvsKey: 'led', nvsType: 'bool' },
+                { id: 'rate', label: 'Rate', type: 'range', min: 1, max: 50, step: 1, nvsKey: 'rate', nvsType: 'u8' },
+                { id: 'cert', label: 'CA certificate', type: 'file', accept: '.pem', nvsKey: 'ca_cert' },
+                { id: 'key', label: 'Key', type: 'hex', nvsKey: 'aes_key', nvsType: 'blob' }
+            ]
+        });
+        assert.deepEqual(validateProject(project, schema), []);
+
+        const fields = project.configSections[1].fields;
+        delete fields[0].options;
+        fields[1].nvsType = 'string';
+        fields[2].min = 60;
+        fields[3].nvsType = 'u32';
+        assert.deepEqual(validateProject(project, schema).map(error => error.pointer), [
+            '/configSections/1/fields/0',
+            '/configSections/1/fields/1/nvsType',
+            '/configSections/1/fields/2/min',
+            '/configSections/1/fields/3/nvsType'
+        ]);
+    });
+
+    it('checks validation rules and the fields they name', () => {
+        const project = sensorProject();
+        Object.assign(project.configSections[0].fields[1], { minLength: 8, maxLength: 63, pattern: '[ -~]+', patternMessage: 'printable ASCII only' });
+        project.configRules = [{ if: 'wifi.ssid', require: ['wifi.password'] }];
+        assert.deepEqual(validateProject(project, schema), []);
+
+        project.configSections[0].fields[1].pattern = '([a-z]';
+        project.configSections[0].fields[1].format = 'ipv6';
+        project.configRules.push({ if: 'mqtt.enabled', require: ['wifi.pass'] });
+        assert.deepEqual(validateProject(project, schema).map(error => error.pointer), [
+            '/configSections/0/fields/1/format',
+            '/configSections/0/fields/1/pattern',
+            '/configRules/1/if',
+            '/configRules/1/require/0'
+        ]);
+    });
+
+    it('requires nvsPartition with config sections and flags unknown properties', () => {
+        const { nvsPartition, ...project } = sensorProject();
+        project.configSections[0].fields[0].nvskey = 'typo';
+
+        assert.deepEqual(validateProject(project, schema).map(error => error.message), [
+            '"configSections" requires "nvsPartition"',
+            'unknown property "nvskey"'
+        ]);
+    });
+
+    it('reports line and column of each problem', () => {
+        const project = sensorProject();
+        project.nvsPartition.size = '0x6001';
+        const text = JSON.stringify(project, null, 2);
+
+        const { errors } = validateProjectFile(text, 'sensors/weather/project.json', schema, { directory: 'weather-v2' });
+        const sizeLine = text.split('\n').findIndex(line => line.includes('"size"')) + 1;
+        assert.deepEqual(errors.map(({ line, column, pointer }) => ({ line, column, pointer })), [
+            { line: 2, column: 3, pointer: '/id' },
+            { line: sizeLine, column: 5, pointer: '/nvsPartition/size' }
+        ]);
+        assert.match(errors[0].message, /must match its directory name "weather-v2"/);
+    });
+
+    it('reports where JSON syntax breaks', () => {
+        const { errors } = validateProjectFile('{\n  "id": "weather",\n  "name": }', 'project.json', schema);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0].message, /^invalid JSON/);
+        assert.equal(errors[0].line, 3);
+    });
+});
+
+describe('esp-webflash projects', () => {
+    let dir;
+
+    const run = async (...args) => {
+        const env = { cwd: dir, stdout: capture(), stderr: capture() };
+        const code = await runProjectsCommand(args, env);
+        return { code, stdout: env.stdout.text, stderr: env.stderr.text };
+    };
+    const writeProject = async (id, project) => {
+        await fs.mkdir(path.join(dir, 'sensors', id), { recursive: true });
+        await fs.writeFile(path.join(dir, 'sensors', id, 'project.json'), JSON.stringify(project, null, 2));
+    };
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'esp-webflash-projects-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('builds projects-config.js with release URLs', async () => {
+        await writeProject('weather', sensorProject({
+            images: [{ name: 'app', file: 'weather-app.bin' }, { name: 'bootloader', url: 'https://cdn.example.com/bl.bin' }],
+            documentation: 'https://example.com/weather'
+        }));
+        await writeProject('air', sensorProject({ id: 'air', name: 'Air Quality', configSections: undefined, nvsPartition: undefined, chip: undefined }));
+
+        const { code, stdout } = await run('build', '--repo', 'acme/sensors', '--release', 'v2.1.0');
+        assert.equal(code, 0);
+        assert.match(stdout, /Wrote js\/projects-config\.js \(air, weather\)/);
+
+        const { PROJECTS } = await import(pathToFileURL(path.join(dir, 'js', 'projects-config.js')).href);
+        assert.deepEqual(Object.keys(PROJECTS), ['air', 'weather']);
+        assert.equal(PROJECTS.air.firmwareUrl, 'https://github.com/acme/sensors/releases/download/v2.1.0/air.bin');
+        assert.equal(PROJECTS.air.chip, 'esp32c3');
+        assert.deepEqual(PROJECTS.weather.images, [
+            { name: 'app', url: 'https://github.com/acme/sensors/releases/download/v2.1.0/weather-app.bin' },
+            { name: 'bootloader', url: 'https://cdn.example.com/bl.bin' }
+        ]);
+        assert.deepEqual(PROJECTS.weather.documentation, { url: 'https://example.com/weather', label: 'Documentation' });
+        assert.deepEqual(PROJECTS.weather.nvsPartition, sensorProject().nvsPartition);
+
+        assert.equal((await run('build', '--repo', 'acme/sensors', '--release', 'v2.1.0', '--check')).code, 0);
+        const stale = await run('build', '--repo', 'acme/sensors', '--release', 'v2.2.0', '--check');
+        assert.equal(stale.code, 1);
+        assert.match(stale.stderr, /out of date/);
+    });
+
+    it('writes nothing when a project is invalid', async () => {
+        await writeProject('weather', sensorProject({ chip: 'esp32-c3' }));
+
+        const { code, stderr } = await run('build', '--repo', 'acme/sensors');
+        assert.equal(code, 1);
+        assert.match(stderr, /^sensors\/weather\/project\.json:5:3: \/chip: must be one of/m);
+        assert.match(stderr, /1 problem found/);
+        await assert.rejects(fs.access(path.join(dir, 'js', 'projects-config.js')));
+    });
+
+    it('validates single files', async () => {
+        await writeProject('weather', sensorProject());
+        await writeProject('other', sensorProject({ id: 'not-other' }));
+
+        assert.equal((await run('validate', 'sensors/weather/project.json')).code, 0);
+
+        const all = await run('validate');
+        assert.equal(all.code, 1);
+        assert.match(all.stderr, /sensors\/other\/project\.json:2:3: \/id: id "not-other" must match its directory name "other"/);
+    });
+
+    it('rejects bad usage', async () => {
+        assert.equal((await run('publish')).code, 2);
+        assert.equal((await run('build', '--sensors', 'missing')).code, 2);
+    });
+});
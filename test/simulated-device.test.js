@@ -0,0 +1,170 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SimulatedDevice, SimulatedSerialPort, createSimulatedSerial } from '../src/simulated-device.js';
+import { SlipDecoder, slipEncode, checksum } from '../src/transport.js';
+import { md5Hex } from '../src/md5.js';
+import { Transport, ESPLoader } from 'esptool-js/bundle.js';
+
+const terminal = { clean: () => {}, writeLine: () => {}, write: () => {} };
+
+function createLoader(device) {
+    return new ESPLoader({ transport: new Transport(new SimulatedSerialPort(device)), baudrate: 115200, terminal });
+}
+
+async function connect(device) {
+    const loader = createLoader(device);
+    await loader.main();
+    return { loader, chip: loader.chip.CHIP_NAME };
+}
+
+function binaryString(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+function writeFlash(loader, data, address) {
+    return loader.writeFlash({ fileArray: [{ data, address }], flashSize: 'keep', flashMode: 'keep', flashFreq: 'keep', compress: true });
+}
+
+describe('SLIP framing', () => {
+    it('round-trips packets containing the framing bytes', () => {
+        const packet = new Uint8Array([0x01, 0xC0, 0x02, 0xDB, 0xC0, 0xDB]);
+        const decoder = new SlipDecoder();
+        assert.deepEqual(decoder.push(slipEncode(packet)), [packet]);
+    });
+
+    it('reassembles packets split across reads and ignores bytes between frames', () => {
+        const encoded = slipEncode(new Uint8Array([1, 2, 3]));
+        const decoder = new SlipDecoder();
+        assert.deepEqual(decoder.push(new Uint8Array([0x41, 0x42, ...encoded.subarray(0, 2)])), []);
+        assert.deepEqual(decoder.push(encoded.subarray(2)), [new Uint8Array([1, 2, 3])]);
+    });
+
+    it('checksums with the 0xEF seed', () => {
+        assert.equal(checksum(new Uint8Array([])), 0xEF);
+        assert.equal(checksum(new Uint8Array([0xEF, 0x01])), 0x01);
+    });
+});
+
+describe('SimulatedDevice', () => {
+    let device;
+
+    beforeEach(() => {
+        device = new SimulatedDevice({ chip: 'ESP32-C3', macAddr: '24:0a:c4:aa:bb:cc' });
+    });
+
+    it('enters download mode on the DTR/RTS reset and detects the chip and MAC', async () => {
+        const { loader, chip } = await connect(device);
+        assert.equal(chip, 'ESP32-C3');
+        assert.equal(await loader.chip.readMac(loader), '24:0a:c4:aa:bb:cc');
+        assert.equal(device.mode, 'stub');
+        await loader.transport.disconnect();
+    });
+
+    for (const name of ['ESP32', 'ESP32-S3', 'ESP32-C6', 'ESP32-H2']) {
+        it(`identifies an ${name}`, async () => {
+            const { loader, chip } = await connect(new SimulatedDevice({ chip: name }));
+            assert.equal(chip, name);
+            await loader.transport.disconnect();
+        });
+    }
+
+    it('boots the app, not the loader, on a plain reset', async () => {
+        const { loader } = await connect(device);
+        await loader.hardReset();
+        assert.equal(device.mode, 'app');
+        await loader.transport.disconnect();
+    });
+
+    it('writes compressed data, reads it back and reports its MD5', async () => {
+        const { loader } = await connect(device);
+        const data = Uint8Array.from({ length: 0x5000 }, (_, i) => (i * 7) & 0xFF);
+
+        await writeFlash(loader, binaryString(data), 0x10000);
+
+        assert.deepEqual(await loader.readFlash(0x10000, data.length), data);
+        assert.equal(await loader.flashMd5sum(0x10000, data.length), md5Hex(data));
+        await loader.transport.disconnect();
+    });
+
+    it('erases a whole sector when a write starts', async () => {
+        device.flash.fill(0x00, 0x20000, 0x21000);
+        const { loader } = await connect(device);
+
+        await writeFlash(loader, 'abcd', 0x20000);
+
+        assert.deepEqual(Array.from(device.flash.subarray(0x20000, 0x20006)), [0x61, 0x62, 0x63, 0x64, 0xFF, 0xFF]);
+        assert.equal(device.flash[0x20FFF], 0xFF);
+        await loader.transport.disconnect();
+    });
+
+    it('erases the chip', async () => {
+        device.flash.fill(0x12);
+        const { loader } = await connect(device);
+        await loader.eraseFlash();
+        assert.ok(device.flash.every(byte => byte === 0xFF));
+        await loader.transport.disconnect();
+    });
+
+    it('corrupts injected writes so verification can catch them', async () => {
+        device.failures.corruptWrites = 1;
+        const { loader } = await connect(device);
+        const data = new Uint8Array(0x1000).fill(0x5A);
+
+        await writeFlash(loader, binaryString(data), 0x30000);
+        assert.notEqual(await loader.flashMd5sum(0x30000, data.length), md5Hex(data));
+
+        await writeFlash(loader, binaryString(data), 0x30000);
+        assert.equal(await loader.flashMd5sum(0x30000, data.length), md5Hex(data));
+        await loader.transport.disconnect();
+    });
+
+    it('drops the connection after the configured number of bytes', async () => {
+        const { loader } = await connect(device);
+        device.failures.disconnectAfterBytes = 0x2000;
+        const data = Uint8Array.from({ length: 0x20000 }, () => Math.floor(Math.random() * 256));
+
+        await assert.rejects(writeFlash(loader, binaryString(data), 0x40000), /lost/);
+        await loader.transport.disconnect();
+    });
+
+    it('garbles data above its maximum baud rate', async () => {
+        device.failures.maxBaudrate = 460800;
+        const { loader } = await connect(device);
+        device.flash.fill(0x33, 0, 0x4000);
+
+        loader.baudrate = 921600;
+        await loader.changeBaud();
+        await assert.rejects(loader.readFlash(0, 0x4000));
+        await loader.transport.disconnect();
+    });
+
+    it('rejects RAM data sent before MEM_BEGIN', async () => {
+        const { loader } = await connect(device);
+        device.reset(true);
+        const block = new Uint8Array(16);
+        const header = new Uint8Array(16);
+        new DataView(header.buffer).setUint32(0, block.length, true);
+
+        // Status: failed, 0x06 (failed to act)
+        const [, status] = await loader.command(loader.ESP_MEM_DATA, new Uint8Array([...header, ...block]), checksum(block));
+        assert.deepEqual(Array.from(status), [1, 0x06, 0, 0]);
+        await loader.transport.disconnect();
+    });
+
+    it('does not answer when told to ignore commands', async () => {
+        device.failures.ignoreCommands = true;
+        const loader = createLoader(device);
+        await assert.rejects(loader.connect('default_reset', 1), /Failed to connect/);
+        await loader.transport.disconnect();
+    });
+
+    it('exposes its ports through a navigator.serial stand-in', async () => {
+        const port = new SimulatedSerialPort(device);
+        const serial = createSimulatedSerial([port]);
+        assert.equal(await serial.requestPort(), port);
+        assert.deepEqual(await serial.getPorts(), [port]);
+        assert.deepEqual(port.getInfo(), { usbVendorId: 0x10C4, usbProductId: 0xEA60 });
+        await assert.rejects(createSimulatedSerial([]).requestPort(), /No port selected/);
+    });
+});
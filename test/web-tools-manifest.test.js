@@ -0,0 +1,54 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadManifest, selectBuild, buildImages } from '../src/web-tools-manifest.js';
+import { serveFiles } from './helpers/environment.js';
+
+const MANIFEST = {
+    name: 'Weather Station',
+    version: '2.1.0',
+    new_install_prompt_erase: true,
+    builds: [
+        { chipFamily: 'ESP32', parts: [{ path: 'esp32/bootloader.bin', offset: 4096 }, { path: 'esp32/app.bin', offset: 65536 }] },
+        { chipFamily: 'ESP32-C3', parts: [{ path: 'https://cdn.test/c3/merged.BIN', offset: 0 }] }
+    ]
+};
+
+function serveManifest(manifest) {
+    return serveFiles({ 'https://firmware.test/releases/manifest.json': new TextEncoder().encode(JSON.stringify(manifest)) });
+}
+
+describe('ESP Web Tools manifests', () => {
+    let restoreFetch;
+
+    afterEach(() => restoreFetch?.());
+
+    it('picks the build for a chip and resolves its parts against the manifest URL', async () => {
+        restoreFetch = serveManifest(MANIFEST);
+        const manifest = await loadManifest('https://firmware.test/releases/manifest.json');
+
+        assert.deepEqual(buildImages(manifest, selectBuild(manifest, 'ESP32-D0WD-V3 (revision v3.0)')), [
+            { name: 'bootloader', url: 'https://firmware.test/releases/esp32/bootloader.bin', offset: 0x1000 },
+            { name: 'app', url: 'https://firmware.test/releases/esp32/app.bin', offset: 0x10000 }
+        ]);
+        assert.deepEqual(buildImages(manifest, selectBuild(manifest, 'esp32c3')), [
+            { name: 'merged', url: 'https://cdn.test/c3/merged.BIN', offset: 0 }
+        ]);
+        assert.throws(() => selectBuild(manifest, 'ESP32-S3'), error => error.isImageError && error.message === 'Weather Station has no build for ESP32-S3 (available: ESP32, ESP32-C3)');
+    });
+
+    it('rejects manifests without usable builds', async () => {
+        const rejects = async (manifest, pattern) => {
+            restoreFetch = serveManifest(manifest);
+            await assert.rejects(loadManifest('https://firmware.test/releases/manifest.json'), error => error.isImageError && pattern.test(error.message));
+            restoreFetch();
+        };
+
+        await rejects({ name: 'x' }, /has no builds/);
+        await rejects({ builds: [{ chipFamily: 'ESP32', parts: [] }] }, /build 0 needs a chipFamily and at least one part/);
+        await rejects({ builds: [{ chipFamily: 'ESP32', parts: [{ path: 'app.bin', offset: '0x10000' }] }] }, /build 0 \(ESP32\) part 0 needs a path and a numeric offset/);
+
+        restoreFetch = serveManifest(MANIFEST);
+        await assert.rejects(loadManifest('https://firmware.test/missing.json'), /Failed to download manifest: 404 Not Found/);
+    });
+});